@@ -0,0 +1,392 @@
+'use strict';
+
+/**
+ * bible-daemon.js - A long-running query server that keeps the bible-utils data warm
+ *
+ * This module provides:
+ * 1. The server: runs the bible_* tools in-process, capturing their output (see bible_daemon.js for the CLI)
+ * 2. The client: runTool() - used by every bible_* tool's entry point.
+ *    Sends the command line to the daemon when it is running, otherwise runs the tool in-process.
+ *
+ * Output is identical either way: the daemon runs the very same main() of the tool,
+ * and hands back its stdout, stderr and exit code.
+ *
+ * Protocol: HTTP over a Unix socket.
+ *   POST /run     {tool, args, cwd}  ->  {stdout, stderr, exitCode} | {stale: true}
+ *   GET  /status                     ->  {pid, startedAt, requestCount, socketPath}
+ *   POST /stop                       ->  {stopping: true}
+ *
+ * Usage:
+ *   import { runTool } from './bible-daemon.js';
+ *   runTool('bible_search', main);
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import util from 'util';
+import { fileURLToPath } from 'url';
+
+import * as bible from './bible-utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/** The tools the daemon agrees to run */
+const TOOL_NAMES = [
+    'bible_compare_texts',
+    'bible_cooccurrences',
+    'bible_find_parallels',
+    'bible_get_structure',
+    'bible_get_verses',
+    'bible_morphology',
+    'bible_root_family',
+    'bible_search',
+    'bible_semantic_field',
+    'bible_strong_info',
+    'bible_word_frequency',
+];
+
+/** Default socket path: one daemon per checkout of this directory */
+const DAEMON_SOCKET_PATH = process.env.BIBLE_DAEMON_SOCKET || path.join(
+    os.tmpdir(),
+    `bible-lingual-research-${crypto.createHash('sha256').update(__dirname).digest('hex').substring(0, 12)}.sock`
+);
+
+/** Set BIBLE_NO_DAEMON=1 to always run in-process */
+const DAEMON_DISABLED = !!process.env.BIBLE_NO_DAEMON;
+
+// ============================================================================
+// Staleness
+// ============================================================================
+
+/**
+ * A fingerprint of everything the daemon's answers depend on: the data files and this directory's code.
+ * Only file sizes and modification times are used - this is checked on every request.
+ * @returns {string}
+ */
+function computeSourcesStamp() {
+    const codeFiles = fs.readdirSync(__dirname)
+        .filter(fileName => fileName.endsWith('.js'))
+        .sort()
+        .map(fileName => path.join(__dirname, fileName));
+
+    return [...bible.INDEX_SOURCE_FILES, ...codeFiles].map(filePath => {
+        try {
+            const stat = fs.statSync(filePath);
+            return `${filePath}:${stat.size}:${stat.mtimeMs}`;
+        } catch {
+            return `${filePath}:missing`;
+        }
+    }).join('\n');
+}
+
+// ============================================================================
+// Running a Tool In-Process
+// ============================================================================
+
+/**
+ * Thrown instead of exiting the process when a tool calls process.exit() inside the daemon
+ */
+class ToolExit extends Error {
+    /**
+     * @param {number} exitCode
+     */
+    constructor(exitCode) {
+        super(`Tool exited with code ${exitCode}`);
+        this.exitCode = exitCode;
+    }
+}
+
+/**
+ * @typedef {Object} ToolOutput
+ * @property {string} stdout
+ * @property {string} stderr
+ * @property {number} exitCode
+ */
+
+/**
+ * Run a tool's main() in this process, capturing what it would have printed.
+ * Temporarily replaces console.log, console.error and process.exit - so calls must not overlap.
+ * @param {function(string[]): Promise<void>} main - The tool's main()
+ * @param {string[]} args - Command line arguments (without node and the script path)
+ * @returns {Promise<ToolOutput>}
+ */
+async function runCaptured(main, args) {
+    let stdout = '';
+    let stderr = '';
+    let exitCode = 0;
+
+    const originalLog = console.log;
+    const originalError = console.error;
+    const originalExit = process.exit;
+    console.log = (...values) => { stdout += util.format(...values) + '\n'; };
+    console.error = (...values) => { stderr += util.format(...values) + '\n'; };
+    process.exit = (code = 0) => { throw new ToolExit(code); };
+
+    try {
+        await main(args);
+    } catch (error) {
+        if (error instanceof ToolExit) {
+            exitCode = error.exitCode;
+        } else {
+            // Same as the tools' own top-level handler
+            stderr += `Fatal error: ${error.message}\n`;
+            exitCode = 1;
+        }
+    } finally {
+        console.log = originalLog;
+        console.error = originalError;
+        process.exit = originalExit;
+    }
+
+    return { stdout, stderr, exitCode };
+}
+
+// ============================================================================
+// Server
+// ============================================================================
+
+/**
+ * Read a request body as JSON
+ * @param {http.IncomingMessage} request
+ * @returns {Promise<Object>}
+ */
+async function readJsonBody(request) {
+    let body = '';
+    for await (const chunk of request) {
+        body += chunk;
+    }
+    return body ? JSON.parse(body) : {};
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} response
+ * @param {number} statusCode
+ * @param {Object} value
+ */
+function sendJson(response, statusCode, value) {
+    // Clients are one-shot processes - don't keep connections alive (they would also outlive a /stop)
+    response.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8', 'Connection': 'close' });
+    response.end(JSON.stringify(value));
+}
+
+/**
+ * Remove a leftover socket file - unless a live daemon is listening on it
+ * @param {string} socketPath
+ */
+async function removeStaleSocket(socketPath) {
+    if (!fs.existsSync(socketPath)) return;
+    if (await getDaemonStatus({ socketPath })) {
+        throw new Error(`A daemon is already running on ${socketPath}`);
+    }
+    fs.unlinkSync(socketPath);
+}
+
+/**
+ * Start the daemon: load the data, then listen on the Unix socket.
+ * The daemon stops by itself when the data files or the tools' code change (the next request gets {stale: true}).
+ * @param {Object} [options]
+ * @param {string} [options.socketPath] - Defaults to DAEMON_SOCKET_PATH
+ * @param {function(string): void} [options.log] - Progress messages
+ * @returns {Promise<http.Server>} - Resolves once listening
+ */
+async function startDaemon(options = {}) {
+    const socketPath = options.socketPath ?? DAEMON_SOCKET_PATH;
+    const log = options.log ?? (() => {});
+
+    await removeStaleSocket(socketPath);
+
+    // Warm up
+    const sourcesStamp = computeSourcesStamp();
+    bible.getAllVerses();
+    bible.getStrongInfo(0);
+    bible.buildOccurrenceCounts();
+
+    /** @type {Map<string, Object>} */
+    const toolModules = new Map();
+    const startedAt = new Date().toISOString();
+    let requestCount = 0;
+    let queue = Promise.resolve();
+
+    const server = http.createServer(async (request, response) => {
+        try {
+            if (request.method === 'GET' && request.url === '/status') {
+                sendJson(response, 200, { pid: process.pid, startedAt, requestCount, socketPath });
+            } else if (request.method === 'POST' && request.url === '/stop') {
+                sendJson(response, 200, { stopping: true });
+                server.close();
+            } else if (request.method === 'POST' && request.url === '/run') {
+                const { tool, args, cwd } = await readJsonBody(request);
+                if (!TOOL_NAMES.includes(tool) || !Array.isArray(args)) {
+                    sendJson(response, 400, { error: `Unknown tool: ${tool}` });
+                    return;
+                }
+                if (computeSourcesStamp() !== sourcesStamp) {
+                    log('Data files or code changed - stopping');
+                    sendJson(response, 200, { stale: true });
+                    server.close();
+                    return;
+                }
+
+                // One tool at a time: runCaptured() swaps global console/process functions
+                const run = queue.then(async () => {
+                    if (!toolModules.has(tool)) {
+                        toolModules.set(tool, await import(`./${tool}.js`));
+                    }
+                    // Relative paths in the arguments are relative to the client's directory
+                    const daemonCwd = process.cwd();
+                    if (cwd) {
+                        process.chdir(cwd);
+                    }
+                    try {
+                        return await runCaptured(toolModules.get(tool).main, args);
+                    } finally {
+                        process.chdir(daemonCwd);
+                    }
+                });
+                queue = run.catch(() => {});
+                requestCount++;
+                sendJson(response, 200, await run);
+            } else {
+                sendJson(response, 404, { error: `Not found: ${request.method} ${request.url}` });
+            }
+        } catch (error) {
+            sendJson(response, 500, { error: error.message });
+        }
+    });
+
+    server.on('close', () => fs.rmSync(socketPath, { force: true }));
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(socketPath, () => {
+            server.off('error', reject);
+            resolve();
+        });
+    });
+    log(`Listening on ${socketPath}`);
+    return server;
+}
+
+// ============================================================================
+// Client
+// ============================================================================
+
+/**
+ * Send a request to the daemon
+ * @param {string} method
+ * @param {string} urlPath
+ * @param {Object | null} body
+ * @param {string} socketPath
+ * @returns {Promise<Object | null>} - The JSON reply, or null if no daemon is listening
+ */
+function requestDaemon(method, urlPath, body, socketPath) {
+    return new Promise((resolve, reject) => {
+        const request = http.request({ socketPath, path: urlPath, method }, response => {
+            let replyBody = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => { replyBody += chunk; });
+            response.on('end', () => {
+                let reply;
+                try {
+                    reply = JSON.parse(replyBody);
+                } catch (error) {
+                    reject(new Error(`Invalid reply from daemon: ${error.message}`));
+                    return;
+                }
+                if (response.statusCode !== 200) {
+                    reject(new Error(`Daemon error: ${reply.error}`));
+                    return;
+                }
+                resolve(reply);
+            });
+        });
+        request.on('error', error => {
+            // No daemon (or a dead one that left its socket file behind)
+            if (['ENOENT', 'ECONNREFUSED', 'ECONNRESET'].includes(error.code)) {
+                resolve(null);
+            } else {
+                reject(error);
+            }
+        });
+        request.end(body ? JSON.stringify(body) : undefined);
+    });
+}
+
+/**
+ * Ask the daemon to run a tool
+ * @param {string} toolName - e.g. "bible_search"
+ * @param {string[]} args
+ * @param {Object} [options]
+ * @param {string} [options.socketPath] - Defaults to DAEMON_SOCKET_PATH
+ * @returns {Promise<ToolOutput | null>} - null if there is no (up-to-date) daemon
+ */
+async function runOnDaemon(toolName, args, options = {}) {
+    const reply = await requestDaemon('POST', '/run', { tool: toolName, args, cwd: process.cwd() }, options.socketPath ?? DAEMON_SOCKET_PATH);
+    return (reply && !reply.stale) ? reply : null;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.socketPath] - Defaults to DAEMON_SOCKET_PATH
+ * @returns {Promise<Object | null>} - null if no daemon is running
+ */
+function getDaemonStatus(options = {}) {
+    return requestDaemon('GET', '/status', null, options.socketPath ?? DAEMON_SOCKET_PATH);
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.socketPath] - Defaults to DAEMON_SOCKET_PATH
+ * @returns {Promise<boolean>} - false if no daemon was running
+ */
+async function stopDaemon(options = {}) {
+    return !!(await requestDaemon('POST', '/stop', null, options.socketPath ?? DAEMON_SOCKET_PATH));
+}
+
+/**
+ * Entry point of every bible_* tool: use the daemon if it is running, otherwise run main() in-process
+ * @param {string} toolName - e.g. "bible_search"
+ * @param {function(string[]): Promise<void>} main - The tool's main()
+ * @param {string[]} [args] - Defaults to the process' command line arguments
+ * @returns {Promise<void>}
+ */
+async function runTool(toolName, main, args = process.argv.slice(2)) {
+    const output = DAEMON_DISABLED ? null : await runOnDaemon(toolName, args);
+    if (!output) {
+        await main(args);
+        return;
+    }
+
+    process.stdout.write(output.stdout);
+    process.stderr.write(output.stderr);
+    process.exitCode = output.exitCode;
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+export {
+    // Client
+    runTool,
+    runOnDaemon,
+    getDaemonStatus,
+    stopDaemon,
+
+    // Server
+    startDaemon,
+    runCaptured,
+
+    // Constants
+    TOOL_NAMES,
+    DAEMON_SOCKET_PATH,
+};
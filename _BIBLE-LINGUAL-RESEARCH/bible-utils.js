@@ -4,9 +4,13 @@
  * bible-utils.js - Core utilities for linguistic analysis of the Hebrew Bible
  *
  * This module provides:
- * 1. Data loading from source files (BSB CSV + Biblehub Strong's index)
+ * 1. Data loading from source files (BSB CSV + Biblehub Strong's index + an optional OSHB-style morphology file)
  * 2. Normalized data access (verses, words, Strong's numbers)
- * 3. Search functionality (regex, Strong's numbers, roots)
+ * 3. Search functionality (regex, Strong's numbers, roots, morphology constraints)
+ * 4. A persistent index cache (.index-cache/), so that only the first run after the source files change parses them
+ * 5. Text sources: the BSB and parallel editions (the repo's תנך-מנוקד / תנך-נקי, or another local one), word-level comparison
+ * 6. Tokenization: ketiv/qere pairs and maqaf groups on each word, so that a search can read the ketiv, the qere or both
+ * 7. Aramaic sections: left out by default, included or studied alone (setAramaicMode), and an Aramaic-Hebrew cognate table
  *
  * Usage:
  *   import * as bible from './bible-utils.js';
@@ -17,6 +21,8 @@
  *   bible.search('<אור>');                  // Search by root word (finds all Strong's)
  *   bible.search('ה@ל@ך');                  // Pattern with matres lectionis
  *   bible.search(' מים .* ארץ ');           // Multi-word patterns
+ *   bible.search('<שמר:piel:imperfect>');   // Root + morphology constraints
+ *   bible.search('קריאי', {reading: 'ketiv'}); // Only the written forms of ketiv/qere pairs
  *
  *   // Data access:
  *   bible.getStrongInfo(216);               // Get info for Strong's H216
@@ -24,6 +30,7 @@
  *   bible.getAllVerses();                   // Get all verses
  */
 
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -43,6 +50,23 @@ const BSB_INPUT_FILE = path.join(__dirname, '..', '..', 'hebrew', 'data', 'bsb',
 // A line per Strong's number. Example line:    | עֲמֹרָה           | עמרה           | Name         | [ 6017 ](https://biblehub.com/hebrew/6017.htm) |
 const BIBLEHUB_INPUT_FILE = path.join(__dirname, '..', '..', 'hebrew', 'data', 'biblehub', 'biblehub-entries-index.md');
 
+// Optional: a line per word, aligned with the BSB file by its word id (last column). Example line:    424039	7164	קרס	HVqp3cp
+// Columns: BSB word id, lemma, root, OSHB morphology code (see parseMorphologyCode)
+const MORPHOLOGY_INPUT_FILE = path.join(__dirname, '..', '..', 'hebrew', 'data', 'morphology', 'morphology.tsv');
+
+// The repo's own Bible text, in Markdown: a file per book, a line per verse. Example line:    > בראשית א א: בְּרֵאשִׁית בָּרָא אֱלֹהִים...
+// Ketiv/qere pairs are written "ketiv (qere)". Read as text sources (see getTextSource), not part of the index.
+const MENUKAD_TEXT_DIR = path.join(__dirname, '..', 'תנך-מנוקד');
+const NAKI_TEXT_DIR = path.join(__dirname, '..', 'תנך-נקי');
+
+// Persistent index: the parsed and normalized data, keyed on the hashes of the input files above
+const INDEX_SOURCE_FILES = [BSB_INPUT_FILE, BIBLEHUB_INPUT_FILE, MORPHOLOGY_INPUT_FILE];
+const INDEX_CACHE_DIR = path.join(__dirname, '.index-cache');
+const INDEX_CACHE_FILE = path.join(INDEX_CACHE_DIR, 'bible-index.json');
+
+// Bump whenever the parsing/normalization code changes the shape or content of the cached data
+const INDEX_FORMAT_VERSION = 6;
+
 const WORD_TYPE_INDEX_VERB = 0;
 const MAX_SEARCH_RESULTS = 10000;
 
@@ -207,6 +231,17 @@ function hebrewFinalsToRegulars(hebrewText) {
         .replace(/ץ/g, 'צ');
 }
 
+/**
+ * Write the last letter of a word in its final form - for showing normalized forms (see hebrewFinalsToRegulars)
+ * @param {string} word - e.g. "כספ"
+ * @returns {string} - e.g. "כסף"
+ */
+function hebrewLastLetterToFinal(word) {
+    const finals = { 'כ': 'ך', 'מ': 'ם', 'נ': 'ן', 'פ': 'ף', 'צ': 'ץ' };
+    const last = word.slice(-1);
+    return finals[last] ? word.slice(0, -1) + finals[last] : word;
+}
+
 /**
  * Normalize Hebrew text: fix shin/sin, remove maqaf, remove sof-pasuk, remove teamim
  * @param {string} hebrewText
@@ -247,6 +282,217 @@ function makeSearchable(hebrewWord) {
     );
 }
 
+// ============================================================================
+// Tokenization (Ketiv/Qere and Maqaf Groups)
+// ============================================================================
+
+/**
+ * A word of a verse, as the tokenization layer sees it.
+ * Ketiv/qere pairs: the written (ketiv) and the read (qere) form both stay in the verse, each a token that
+ * records both forms - so a search can read either (see selectReading). Either form may be several words, or none.
+ * Maqaf groups: words joined by a maqaf ("כָּל־הָאָרֶץ") are separate tokens, members of one group.
+ * @typedef {Object} HebrewToken
+ * @property {string} word - Nikud kept, accents and punctuation removed, shin/sin precomposed
+ * @property {'ketiv' | 'qere' | null} reading - Which form of a ketiv/qere pair this word is (null: not part of a pair)
+ * @property {string | null} ketiv - Pairs only: the pair's written form ("" for a qere without ketiv)
+ * @property {string | null} qere - Pairs only: the pair's read form, its words space separated ("" for a ketiv without qere)
+ * @property {number | null} pair - Pairs only: index of the pair in the verse
+ * @property {number} group - Index of the word's maqaf group in the verse (a word without maqaf is a group of its own)
+ * @property {number} member - Position of the word in its maqaf group (0-based)
+ */
+
+/** Which form of the ketiv/qere pairs a search reads */
+const READINGS = ['both', 'ketiv', 'qere'];
+
+/**
+ * Split the text of a verse into tokens, in the repo's Markdown convention (as in תנך-מנוקד and the commentary's quotes):
+ * the qere follows its ketiv in parentheses, and may be several words: "קְריּאֵי (קְרוּאֵי)", "בגד (בָּא גָד)".
+ * A ketiv without qere has empty parentheses: "אם (  )";
+ * a qere without ketiv follows the bare vowels of the missing word: "ִ (אִישׁ)".
+ * @param {string} text
+ * @returns {HebrewToken[]}
+ */
+function tokenizeHebrewText(text) {
+    /** @type {HebrewToken[]} */
+    const tokens = [];
+    let previousIsWord = false;
+    let pairCount = 0;
+    let groupCount = 0;
+
+    // Add the words of a whitespace-delimited chunk: maqaf-joined words become the members of one group
+    const addWords = (chunk, fields) => {
+        let member = 0;
+        for (const part of chunk.split('־')) {
+            const word = normalizeSourceWord(part);
+            if (!word) continue;
+            tokens.push({ word, reading: null, ketiv: null, qere: null, pair: null, group: groupCount, member: member++, ...fields });
+        }
+        if (member > 0) {
+            groupCount++;
+        }
+        return member > 0;
+    };
+
+    for (const [, qere, chunk] of text.matchAll(/\(([^)]*)\)|([^\s()]+)/g)) {
+        if (qere === undefined) {
+            previousIsWord = addWords(chunk, {}) || !/[\u05B0-\u05C7]/.test(chunk);
+            continue;
+        }
+
+        const ketivToken = (previousIsWord && tokens.length > 0 && tokens[tokens.length - 1].reading === null)
+            ? tokens[tokens.length - 1]
+            : null;
+        const qereChunks = qere.trim().split(/\s+/);
+        const qereWords = qereChunks.flatMap(qereChunk => qereChunk.split('־')).map(normalizeSourceWord).filter(Boolean);
+        const pairFields = { ketiv: ketivToken ? ketivToken.word : '', qere: qereWords.join(' '), pair: pairCount++ };
+        if (ketivToken) {
+            Object.assign(ketivToken, { reading: 'ketiv' }, pairFields);
+        }
+        for (const qereChunk of qereChunks) {
+            addWords(qereChunk, { reading: 'qere', ...pairFields });
+        }
+        previousIsWord = false;
+    }
+
+    return tokens;
+}
+
+/**
+ * The maqaf groups of a verse
+ * @param {HebrewToken[]} tokens
+ * @returns {number[][]} Per group: the indexes of its tokens
+ */
+function getMaqafGroups(tokens) {
+    const groups = [];
+    tokens.forEach((token, index) => {
+        (groups[token.group] ??= []).push(index);
+    });
+    return groups.filter(Boolean);
+}
+
+/**
+ * Join the words of a verse into its text: with a maqaf after the words joined to the next one, a space elsewhere
+ * @param {string[]} words
+ * @param {number[]} maqaf - Indexes of the words joined to the next word
+ * @returns {string}
+ */
+function joinVerseWords(words, maqaf) {
+    const joined = new Set(maqaf);
+    return words.map((word, i) => word + (i === words.length - 1 ? '' : joined.has(i) ? '־' : ' ')).join('');
+}
+
+/**
+ * The words a search reads, for one of READINGS:
+ *   both    every token as it is - a ketiv/qere pair is read twice
+ *   ketiv   the qere words are left out; a ketiv the text lacks takes the place of its qere
+ *   qere    the ketiv words are left out; a qere the text lacks takes the place of its ketiv
+ * @param {HebrewToken[]} tokens
+ * @param {string} reading - One of READINGS
+ * @returns {{word: string, index: number}[]} index: the token the word stands for
+ */
+function selectReading(tokens, reading) {
+    if (!READINGS.includes(reading)) {
+        throw new Error(`Invalid reading: ${reading}. Must be one of: ${READINGS.join(', ')}.`);
+    }
+
+    const selected = [];
+    tokens.forEach((token, index) => {
+        if (reading === 'both' || token.reading === null || token.reading === reading) {
+            selected.push({ word: token.word, index });
+            return;
+        }
+        // The other form of a pair: stands in for the chosen form only when the text lacks it (once per pair)
+        const pairTokens = tokens.filter(other => other.pair === token.pair);
+        if (pairTokens.some(other => other.reading === reading) || pairTokens[0] !== token) return;
+        for (const word of token[reading].split(' ').filter(Boolean)) {
+            selected.push({ word, index });
+        }
+    });
+    return selected;
+}
+
+/**
+ * The letters of a word, with every ש (shin, sin or bare) as a plain ש
+ * @param {string} word
+ * @returns {string}
+ */
+function getShinNeutralLetters(word) {
+    return word.replace(/[^\u05D0-\u05EA\uFB2A\uFB2B]/g, '').replace(/[\uFB2A\uFB2B]/g, '\u05E9');
+}
+
+/**
+ * Collect the shin/sin dots of every word that has them all: the key for resolveBareShin()
+ * @param {Iterable<string>} words - With nikud
+ * @returns {Map<string, string>} Shin-neutral letters (see getShinNeutralLetters) -> the letters with the dots, as most often spelled
+ */
+function collectShinSpellings(words) {
+    /** @type {Map<string, Map<string, number>>} */
+    const keysToSpellings = new Map();
+    for (const word of words) {
+        const letters = fixShinSin(word).replace(/[^\u05D0-\u05EA\uFB2A\uFB2B]/g, '');
+        if (letters.includes('\u05E9') || !/[\uFB2A\uFB2B]/.test(letters)) continue;
+
+        const key = getShinNeutralLetters(letters);
+        const spellings = keysToSpellings.get(key) ?? new Map();
+        spellings.set(letters, (spellings.get(letters) || 0) + 1);
+        keysToSpellings.set(key, spellings);
+    }
+
+    return new Map([...keysToSpellings].map(([key, spellings]) =>
+        [key, [...spellings].sort((a, b) => b[1] - a[1])[0][0]]));
+}
+
+/**
+ * The dot of the bare ש in the words known to have one (U+FB2A shin / U+FB2B sin), or null
+ * @param {string} word - With nikud, shin/sin precomposed
+ * @returns {string | null}
+ */
+function getKnownBareShinDot(word) {
+    // Check for יששכר (Issachar) - second shin should be sin
+    const lettersOnly = word.replace(new RegExp(`[^\u05E9${hebrewLetters}]`, 'g'), '');
+    if (lettersOnly.includes('י\uFB2Bשכר') || lettersOnly.includes('י\uFB2B\u05E9כר')) {
+        return '\uFB2B'; // Sin
+    }
+    if (word.includes('שֵיבָ')) return '\uFB2B'; // שֵיבָה = sin
+    if (word.includes('אִ') && word.includes('יש')) return '\uFB2A'; // איש = shin
+    if (word.includes('חמש')) return '\uFB2A'; // חמש = shin
+    if (word.includes('שָמַ') && word.includes('יִם')) return '\uFB2A'; // שמים = shin
+    return null;
+}
+
+/**
+ * Give each bare ש (U+05E9, without a shin or sin dot) its dot:
+ * by the known words (see getKnownBareShinDot), else as the same letters are spelled elsewhere
+ * (see collectShinSpellings), else as a dotted ש right next to it -
+ * a doubled letter written once, like the silent second ש of יִשָּׂשכָר
+ * @param {string} word - With nikud
+ * @param {Map<string, string>} shinSpellings - See collectShinSpellings()
+ * @returns {string} With shin/sin precomposed
+ */
+function resolveBareShin(word, shinSpellings) {
+    word = fixShinSin(word);
+    if (!word.includes('\u05E9')) return word;
+
+    const knownDot = getKnownBareShinDot(word);
+    if (knownDot) return word.replace(/\u05E9/g, knownDot);
+
+    const characters = [...word];
+    const letterPositions = characters.flatMap((char, i) => /[\u05D0-\u05EA\uFB2A\uFB2B]/.test(char) ? [i] : []);
+    const spelling = shinSpellings.get(getShinNeutralLetters(word));
+
+    letterPositions.forEach((position, letterIndex) => {
+        if (characters[position] !== '\u05E9') return;
+        const neighbour = [characters[letterPositions[letterIndex - 1]], characters[letterPositions[letterIndex + 1]]]
+            .find(char => char === '\uFB2A' || char === '\uFB2B');
+        const resolved = spelling ? spelling[letterIndex] : neighbour;
+        if (!resolved) {
+            throw new Error(`Unnormalized ש (U+05E9) in ${JSON.stringify(word)}`);
+        }
+        characters[position] = resolved;
+    });
+    return characters.join('');
+}
+
 // ============================================================================
 // Data Loading (Lazy - loaded on first access)
 // ============================================================================
@@ -257,9 +503,27 @@ let _bookNamesToData = null;
 /** @type {StrongData[] | null} */
 let _strongNumbersToData = null;
 
-/** @type {VerseInfo[] | null} */
+/** @type {VerseInfo[] | null} - Every verse in full, the Aramaic ones included (see buildAllVerses) */
 let _allVerses = null;
 
+/** @type {Map<number, number> | null} - Outside the Aramaic sections (the "exclude" mode - stored in the index) */
+let _occurrenceCounts = null;
+
+/** @type {Map<string, VerseInfo[]>} - Aramaic mode -> the verses as that mode sees them (see buildAllVerses) */
+const _aramaicModeVerses = new Map();
+
+/** @type {Map<string, Map<number, number>>} - Aramaic mode -> occurrence counts (besides "exclude") */
+const _aramaicModeOccurrenceCounts = new Map();
+
+/** @type {Map<number, number> | null} - Occurrences inside the Aramaic sections */
+let _aramaicOccurrenceCounts = null;
+
+/** @type {WordTotals | null} */
+let _wordTotals = null;
+
+/** @type {Map<number, Map<string, number>> | null} */
+let _strongCountsByChapter = null;
+
 /**
  * @typedef {Object} VerseData
  * @property {string} word - The Hebrew word (with nikud)
@@ -273,6 +537,8 @@ let _allVerses = null;
  * @property {number} typeIndex - Index into hebrewWordTypes
  * @property {string} type - Hebrew word type name
  * @property {string} typeEnglish - English word type name
+ * @property {string} gloss - Short English gloss: the most frequent BSB rendering (empty if never translated)
+ * @property {{english: string, count: number}[]} renderings - BSB English renderings with counts, most frequent first
  */
 
 /**
@@ -285,13 +551,38 @@ let _allVerses = null;
  * @property {string} location - Full location string (e.g., "בראשית א:א")
  * @property {string[]} words - Array of Hebrew words (with nikud)
  * @property {number[]} strongs - Array of Strong's numbers
- * @property {string} text - Full verse text (with nikud)
+ * @property {number[]} maqaf - Indexes of the words joined to the next word by a maqaf (see getVerseTokens)
+ * @property {string} text - Full verse text (with nikud; maqaf-joined words joined by a maqaf)
  * @property {string} searchableVerse - Searchable format: " word<strong> word<strong> ... "
+ * @property {string[]} english - Per word: its BSB English rendering, as in the BSB file ("" if none)
+ * @property {(WordMorphology | null)[]} [morphology] - Per word - only when the morphology file exists
+ * @property {boolean} [isAramaic] - The verse is in an Aramaic section (see isAramaicVerse)
+ * @property {boolean} [skipped] - Left out by the Aramaic mode (see setAramaicMode): no words, text is a placeholder
+ */
+
+/**
+ * @typedef {Object} WordMorphology
+ * @property {string} lemma - As in the morphology file (OSHB style: "c/559")
+ * @property {string} root - e.g. "אמר"
+ * @property {string} code - OSHB morphology code, e.g. "HC/Vqw3ms"
+ * @property {string | null} pos - Part of speech: noun, verb, adjective, adverb, pronoun, preposition, conjunction, particle
+ * @property {string | null} binyan - qal, niphal, piel, ... (verbs only)
+ * @property {string | null} tense - perfect, weqatal, imperfect, wayyiqtol, cohortative, jussive, imperative,
+ *                                   participle, passive-participle, infinitive-absolute, infinitive-construct
+ * @property {string | null} person - "1", "2" or "3"
+ * @property {string | null} gender - "m", "f" or "c" (common)
+ * @property {string | null} number - "s", "p" or "d"
+ * @property {string | null} state - absolute, construct or determined
+ * @property {string[]} prefixes - conjunction, preposition, article, interrogative (in order)
+ * @property {{type: string, person: string | null, gender: string | null, number: string | null} | null} suffix
+ *           - type: pronominal, directional or paragogic
  */
 
 /**
- * Load and parse the BSB CSV file
- * @returns {Map<string, [string, number][][][]>}
+ * Load and parse the BSB CSV file. Each word is [hebrewWord, strongNumber, bsbWordId, english, joinedByMaqaf]
+ * (bsbWordId: null if the file has no such column - the word then has no morphology)
+ * (joinedByMaqaf: the word ends with a maqaf - joined to the next word).
+ * @returns {Map<string, [string, number, number | null, string, boolean][][][]>}
  */
 function loadBsbData() {
     if (_bookNamesToData) return _bookNamesToData;
@@ -300,45 +591,33 @@ function loadBsbData() {
         console.error('Loading Bible data from', BSB_INPUT_FILE);
     }
 
-    /** @type {Map<string, [string, number][][][]>} */
+    /** @type {Map<string, [string, number, number | null, string, boolean][][][]>} */
     const bookNamesToData = new Map();
 
     let currentHebrewBookName = '===no-book-name===';
     let currentHebrewChapterSequence = 0;
     let currentHebrewVerseSequence = 0;
 
-    /** @type {[string, number][][][]} */
+    /** @type {[string, number, number | null, string, boolean][][][]} */
     let currentBookData = [];
-    /** @type {[string, number][][]} */
+    /** @type {[string, number, number | null, string, boolean][][]} */
     let currentChapterData = [];
-    /** @type {[string, number][]} */
+    /** @type {[string, number, number | null, string, boolean][]} */
     let currentVerseData = [];
 
     const bsbCsvContent = fs.readFileSync(BSB_INPUT_FILE, 'utf8');
     const lines = bsbCsvContent.split('\n').filter(line => line.trim().length > 0);
+    const shinSpellings = collectShinSpellings(lines.map(line => line.split('\t')[3] || ''));
 
     for (const line of lines) {
-        const [bsbBookName, chapterSequence, verseSequence, hebrewWord, strongNumber] = line.split('\t');
+        const [bsbBookName, chapterSequence, verseSequence, hebrewWord, strongNumber, english, bsbWordId] = line.split('\t');
 
         if (bsbBookName === 'bookName') continue; // Skip header
 
-        // Normalize the Hebrew word (handle special shin/sin cases)
-        // Some words in BSB have plain ש (U+05E9) without shin/sin dot - these need special handling
+        // Some words in BSB have plain ש (U+05E9) without shin/sin dot - see resolveBareShin()
         let normalizedHebrewWord;
         try {
-            const wordWithFixedShin = hebrewWord.replace(/\u05E9/g, () => {
-                // Check for יששכר (Issachar) - second shin should be sin
-                const lettersOnly = hebrewWord.replace(new RegExp(`[^\u05E9${hebrewLetters}]`, 'g'), '');
-                if (lettersOnly.includes('י\uFB2Bשכר') || lettersOnly.includes('י\uFB2B\u05E9כר')) {
-                    return '\uFB2B'; // Sin
-                }
-                if (hebrewWord.includes('שֵיבָ')) return '\uFB2B'; // שֵיבָה = sin
-                if (hebrewWord.includes('אִ') && hebrewWord.includes('יש')) return '\uFB2A'; // איש = shin
-                if (hebrewWord.includes('חמש')) return '\uFB2A'; // חמש = shin
-                if (hebrewWord.includes('שָמַ') && hebrewWord.includes('יִם')) return '\uFB2A'; // שמים = shin
-                throw new Error(`Unnormalized ש (U+05E9) in ${JSON.stringify(hebrewWord)}`);
-            });
-            normalizedHebrewWord = normalizeHebrewText(wordWithFixedShin);
+            normalizedHebrewWord = normalizeHebrewText(resolveBareShin(hebrewWord, shinSpellings));
         } catch (e) {
             console.error(`Error normalizing word in line: ${line}`);
             throw e;
@@ -387,7 +666,9 @@ function loadBsbData() {
 
         // Add word to verse
         const strongNumberValue = strongNumber ? parseInt(strongNumber) : 0;
-        currentVerseData.push([normalizedHebrewWord, strongNumberValue]);
+        // The word's ID links it to its morphology - a file without the column has none
+        const bsbWordIdValue = /^\d+$/.test(bsbWordId?.trim() ?? '') ? parseInt(bsbWordId) : null;
+        currentVerseData.push([normalizedHebrewWord, strongNumberValue, bsbWordIdValue, english, /־\s*$/.test(hebrewWord)]);
     }
 
     _bookNamesToData = bookNamesToData;
@@ -398,12 +679,10 @@ function loadBsbData() {
 }
 
 /**
- * Load and parse the Biblehub Strong's numbers file
+ * Parse the Biblehub Strong's numbers file
  * @returns {StrongData[]}
  */
-function loadStrongData() {
-    if (_strongNumbersToData) return _strongNumbersToData;
-
+function parseStrongData() {
     if (VERBOSE) {
         console.error('Loading Strong\'s data from', BIBLEHUB_INPUT_FILE);
     }
@@ -447,7 +726,6 @@ function loadStrongData() {
         }
     }
 
-    _strongNumbersToData = strongNumbersToData;
     if (VERBOSE) {
         console.error(`Loaded ${strongNumbersToData.length} Strong's numbers`);
     }
@@ -455,13 +733,45 @@ function loadStrongData() {
 }
 
 /**
- * Build the allVerses array from loaded data
- * @returns {VerseInfo[]}
+ * Parse the (optional) morphology file
+ * @param {string} [filePath] - Defaults to MORPHOLOGY_INPUT_FILE
+ * @returns {Map<number, [string, string, string]> | null} - BSB word id -> [lemma, root, code], or null if there is no file
  */
-function buildAllVerses() {
-    if (_allVerses) return _allVerses;
+function parseMorphologyFile(filePath = MORPHOLOGY_INPUT_FILE) {
+    if (!fs.existsSync(filePath)) return null;
+
+    if (VERBOSE) {
+        console.error('Loading morphology data from', filePath);
+    }
+
+    /** @type {Map<number, [string, string, string]>} */
+    const bsbWordIdsToMorphology = new Map();
+
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim().length > 0);
+    for (const line of lines) {
+        const [bsbWordId, lemma, root, code] = line.split('\t').map(field => field?.trim());
+        if (bsbWordId === 'id') continue; // Skip header
+
+        if (!/^\d+$/.test(bsbWordId) || !code) {
+            throw new Error(`Invalid line in ${filePath}: ${JSON.stringify(line)}`);
+        }
+        parseMorphologyCode(code); // Validate
+        bsbWordIdsToMorphology.set(parseInt(bsbWordId), [lemma, root, code]);
+    }
 
+    if (VERBOSE) {
+        console.error(`Loaded morphology for ${bsbWordIdsToMorphology.size} words`);
+    }
+    return bsbWordIdsToMorphology;
+}
+
+/**
+ * Build the allVerses array from the parsed BSB data
+ * @returns {VerseInfo[]}
+ */
+function parseAllVerses() {
     const bookNamesToData = loadBsbData();
+    const bsbWordIdsToMorphology = parseMorphologyFile();
     const allVerses = [];
 
     for (const hebrewBookName of hebrewBookNames) {
@@ -476,26 +786,9 @@ function buildAllVerses() {
                 const verseData = chapterData[verseIndex];
                 const verseHebrew = numberToHebrew(verseIndex);
 
-                // Skip Aramaic verses - make them completely unsearchable
-                if (isAramaicVerse(hebrewBookName, chapterIndex, verseIndex)) {
-                    allVerses.push({
-                        book: hebrewBookName,
-                        chapterIndex,
-                        verseIndex,
-                        chapter: chapterHebrew,
-                        verse: verseHebrew,
-                        location: `${hebrewBookName} ${chapterHebrew}:${verseHebrew}`,
-                        words: [],
-                        strongs: [],
-                        text: 'ARAMAIC-VERSE-SKIPPED',
-                        searchableVerse: '',
-                        isAramaic: true,
-                    });
-                    continue;
-                }
-
                 const words = verseData.map(([word]) => normalizeHebrewText(word));
                 const strongs = verseData.map(([, strong]) => strong);
+                const maqaf = verseData.flatMap(([, , , , joinedByMaqaf], i) => joinedByMaqaf ? [i] : []);
 
                 // Build searchable verse format: " word<strong> word<strong> ... "
                 const searchableVerse = ' ' + verseData.map(([word, strongNumber]) =>
@@ -511,146 +804,1301 @@ function buildAllVerses() {
                     location: `${hebrewBookName} ${chapterHebrew}:${verseHebrew}`,
                     words,
                     strongs,
-                    text: words.join(' '),
+                    maqaf,
+                    text: joinVerseWords(words, maqaf),
                     searchableVerse,
+                    english: verseData.map(([, , , english]) => (english || '').trim()),
+                    ...(bsbWordIdsToMorphology && {
+                        morphology: verseData.map(([, , bsbWordId]) => {
+                            const morphology = bsbWordIdsToMorphology.get(bsbWordId);
+                            return morphology ? createWordMorphology(...morphology) : null;
+                        }),
+                    }),
+                    ...(isAramaicVerse(hebrewBookName, chapterIndex, verseIndex) && { isAramaic: true }),
                 });
             }
         }
     }
 
-    _allVerses = allVerses;
     if (VERBOSE) {
         console.error(`Built ${allVerses.length} verses`);
     }
     return allVerses;
 }
 
+/**
+ * Add the BSB English renderings of each Strong's number (aggregated from the BSB file's English column)
+ * to the Strong's table: its renderings with counts, most frequent first, and its gloss - the most frequent one
+ * @param {StrongData[]} strongNumbersToData - Modified in place
+ * @param {Map<string, [string, number, number | null, string, boolean][][][]>} bookNamesToData - See loadBsbData()
+ */
+function addEnglishRenderings(strongNumbersToData, bookNamesToData) {
+    /** @type {Map<number, Map<string, number>>} */
+    const strongsToRenderings = new Map();
+    for (const bookData of bookNamesToData.values()) {
+        for (const chapterData of bookData) {
+            for (const verseData of chapterData) {
+                for (const [, strongNumber, , english] of verseData) {
+                    const rendering = normalizeEnglishRendering(english);
+                    if (strongNumber <= 0 || !rendering) continue;
+
+                    let renderings = strongsToRenderings.get(strongNumber);
+                    if (!renderings) {
+                        renderings = new Map();
+                        strongsToRenderings.set(strongNumber, renderings);
+                    }
+                    renderings.set(rendering, (renderings.get(rendering) || 0) + 1);
+                }
+            }
+        }
+    }
+
+    for (let strongNumber = 0; strongNumber < strongNumbersToData.length; strongNumber++) {
+        const renderings = [...(strongsToRenderings.get(strongNumber) || new Map())]
+            .map(([english, count]) => ({ english, count }))
+            .sort((a, b) => b.count - a.count || a.english.localeCompare(b.english));
+        strongNumbersToData[strongNumber].gloss = renderings[0]?.english ?? '';
+        strongNumbersToData[strongNumber].renderings = renderings;
+    }
+}
+
+/**
+ * Get the Strong's table (from the persistent index when possible)
+ * @returns {StrongData[]}
+ */
+function loadStrongData() {
+    ensureIndex();
+    return _strongNumbersToData;
+}
+
+/**
+ * Get all verses (from the persistent index when possible), as an Aramaic mode sees them:
+ * the verses it leaves out are placeholders (see createSkippedVerse), so that verse positions are the same in every mode
+ * @param {string} [mode] - See ARAMAIC_MODES (default: the current mode - see setAramaicMode)
+ * @returns {VerseInfo[]}
+ */
+function buildAllVerses(mode = _aramaicMode) {
+    ensureIndex();
+    if (mode === 'include') return _allVerses;
+
+    if (!_aramaicModeVerses.has(mode)) {
+        _aramaicModeVerses.set(mode, _allVerses.map(verse => isVerseInAramaicMode(verse, mode) ? verse : createSkippedVerse(verse)));
+    }
+    return _aramaicModeVerses.get(mode);
+}
+
+/**
+ * A placeholder for a verse that the Aramaic mode leaves out: no words - so no search or count can see it
+ * @param {VerseInfo} verse
+ * @returns {VerseInfo}
+ */
+function createSkippedVerse(verse) {
+    const { book, chapterIndex, verseIndex, chapter, location } = verse;
+    return {
+        book, chapterIndex, verseIndex, chapter, verse: verse.verse, location,
+        words: [],
+        strongs: [],
+        maqaf: [],
+        text: verse.isAramaic ? 'ARAMAIC-VERSE-SKIPPED' : 'HEBREW-VERSE-SKIPPED',
+        searchableVerse: '',
+        english: [],
+        ...(verse.isAramaic && { isAramaic: true }),
+        skipped: true,
+    };
+}
+
 // ============================================================================
-// Search Engine
+// Persistent Index Cache
 // ============================================================================
 
+/** Whether ensureIndex() already populated the in-memory data */
+let _indexReady = false;
+
+/** Set by requestIndexRebuild() - ignore the cache file on the next load */
+let _indexRebuildRequested = false;
+
 /**
- * Helper: replace in regex source, handling bracket context
- * @param {string} regExpSource
- * @param {RegExp} replaceRegExp
- * @param {string} replaceToIfInsideBrackets
- * @param {string} replaceToIfOutsideBrackets
+ * Compute the cache key: a hash of the index format version and of the input files' contents
+ * (the optional morphology file counts as "missing" when absent)
  * @returns {string}
  */
-function replaceInRegExpSource(regExpSource, replaceRegExp, replaceToIfInsideBrackets, replaceToIfOutsideBrackets) {
-    return regExpSource.replace(
-        replaceRegExp,
-        (wholeMatch, ...args) => {
-            const matchIndex = args[args.length - 2];
-            const beforeMatch = regExpSource.substring(0, matchIndex);
-            return (/\[[^\]]*$/.test(beforeMatch))
-                ? replaceToIfInsideBrackets
-                : replaceToIfOutsideBrackets;
-        }
-    );
+function computeIndexKey() {
+    const hash = crypto.createHash('sha256');
+    hash.update(`format-${INDEX_FORMAT_VERSION}\n`);
+    for (const inputFile of INDEX_SOURCE_FILES) {
+        hash.update((inputFile === MORPHOLOGY_INPUT_FILE && !fs.existsSync(inputFile)) ? 'missing' : fs.readFileSync(inputFile));
+        hash.update('\n');
+    }
+    return hash.digest('hex');
 }
 
 /**
- * Normalize a search query into a regex source
- * @param {string} searchRegExpSource
- * @param {boolean} isInsideAngleBrackets
- * @returns {string}
+ * Convert the in-memory data to the compact form stored in the cache file.
+ * Derived verse fields (Hebrew chapter/verse numbers, location, text) are not stored.
+ * @param {string} key - See computeIndexKey()
+ * @param {StrongData[]} strongNumbersToData
+ * @param {VerseInfo[]} allVerses
+ * @param {Map<number, number>} occurrenceCounts
+ * @returns {Object}
  */
-function normalizeSearchRegExp(searchRegExpSource, isInsideAngleBrackets) {
-    searchRegExpSource = fixShinSin(hebrewFinalsToRegulars(searchRegExpSource));
+function serializeIndex(key, strongNumbersToData, allVerses, occurrenceCounts) {
+    return {
+        version: INDEX_FORMAT_VERSION,
+        key,
+        strongs: strongNumbersToData.map(data => [
+            data.word, data.searchable, data.typeIndex, data.renderings.map(({ english, count }) => [english, count]),
+        ]),
+        verses: allVerses.map(verse => {
+            const bookIndex = hebrewBookNames.indexOf(verse.book);
+            const serialized = [bookIndex, verse.chapterIndex, verse.verseIndex, verse.words, verse.strongs, verse.searchableVerse, verse.english, verse.maqaf];
+            if (verse.morphology) {
+                serialized.push(verse.morphology.map(morphology => morphology && [morphology.lemma, morphology.root, morphology.code]));
+            }
+            return serialized;
+        }),
+        occurrenceCounts: [...occurrenceCounts],
+    };
+}
 
-    // Handle standard shin (ש) -> match both shin (U+FB2A) and sin (U+FB2B)
-    searchRegExpSource = replaceInRegExpSource(searchRegExpSource, /(?<!ת)-ת/g, '-ר\uFB2B\uFB2Aת', '-ת');
-    searchRegExpSource = replaceInRegExpSource(searchRegExpSource, /-ש/g, '-ר\uFB2B\uFB2A', '-[\uFB2B\uFB2A]');
-    searchRegExpSource = replaceInRegExpSource(searchRegExpSource, /ש-/g, '\uFB2B\uFB2Aת-', '[\uFB2B\uFB2A]-');
-    searchRegExpSource = replaceInRegExpSource(searchRegExpSource, /ש/g, '\uFB2B\uFB2A', '[\uFB2B\uFB2A]');
+/**
+ * Rebuild the in-memory data from the compact form of serializeIndex()
+ * @param {Object} index
+ * @returns {{strongNumbersToData: StrongData[], allVerses: VerseInfo[], occurrenceCounts: Map<number, number>}}
+ */
+function hydrateIndex(index) {
+    const englishWordTypes = Object.keys(wordTypesToHebrew);
+
+    const strongNumbersToData = index.strongs.map(([word, searchable, typeIndex, renderings]) => ({
+        word,
+        searchable,
+        typeIndex,
+        type: hebrewWordTypes[typeIndex] ?? 'לא ידוע',
+        typeEnglish: englishWordTypes[typeIndex] ?? 'unknown',
+        gloss: renderings[0]?.[0] ?? '',
+        renderings: renderings.map(([english, count]) => ({ english, count })),
+    }));
+
+    const allVerses = index.verses.map(([bookIndex, chapterIndex, verseIndex, words, strongs, searchableVerse, english, maqaf, morphology]) => {
+        const book = hebrewBookNames[bookIndex];
+        const chapter = numberToHebrew(chapterIndex);
+        const verse = numberToHebrew(verseIndex);
+        const location = `${book} ${chapter}:${verse}`;
 
-    if (!isInsideAngleBrackets) {
-        // Collapse multiple spaces
-        searchRegExpSource = searchRegExpSource.replace(/\s+/g, ' ');
-        // Remove non-letter Hebrew characters
-        searchRegExpSource = searchRegExpSource.replace(hebrewNonLettersRegex, '');
+        return {
+            book, chapterIndex, verseIndex, chapter, verse, location,
+            words,
+            strongs,
+            maqaf,
+            text: joinVerseWords(words, maqaf),
+            searchableVerse,
+            english,
+            ...(morphology && {
+                morphology: morphology.map(fields => fields && createWordMorphology(...fields)),
+            }),
+            ...(isAramaicVerse(book, chapterIndex, verseIndex) && { isAramaic: true }),
+        };
+    });
+
+    return {
+        strongNumbersToData,
+        allVerses,
+        occurrenceCounts: new Map(index.occurrenceCounts),
+    };
+}
+
+/**
+ * Read the cache file
+ * @param {string} key - See computeIndexKey()
+ * @returns {Object | null} - The stored index, or null if missing, unreadable or stale
+ */
+function readIndexCache(key) {
+    let index;
+    try {
+        index = JSON.parse(fs.readFileSync(INDEX_CACHE_FILE, 'utf8'));
+    } catch (e) {
+        if (VERBOSE && e.code !== 'ENOENT') {
+            console.error(`Ignoring unreadable index cache ${INDEX_CACHE_FILE}: ${e.message}`);
+        }
+        return null;
     }
+    return (index.version === INDEX_FORMAT_VERSION && index.key === key) ? index : null;
+}
 
-    // @ = zero or more matres lectionis (אהוי)
-    searchRegExpSource = replaceInRegExpSource(searchRegExpSource, /@/g, 'אהוי', '[אהוי]*');
-    // # = any single Hebrew letter (including shin U+FB2A and sin U+FB2B)
-    searchRegExpSource = replaceInRegExpSource(searchRegExpSource, /#/g, 'א-ת', '[א-ת\uFB2A\uFB2B]');
+/**
+ * Write the cache file atomically (temp file + rename, so concurrent tools never read half a file).
+ * A failed write is not fatal - the next run just parses the input files again.
+ * @param {Object} index - As returned by serializeIndex()
+ */
+function writeIndexCache(index) {
+    const tempFile = `${INDEX_CACHE_FILE}.${process.pid}.tmp`;
+    try {
+        fs.mkdirSync(INDEX_CACHE_DIR, { recursive: true });
+        fs.writeFileSync(tempFile, JSON.stringify(index));
+        fs.renameSync(tempFile, INDEX_CACHE_FILE);
+    } catch (e) {
+        fs.rmSync(tempFile, { force: true });
+        if (VERBOSE) {
+            console.error(`Could not write index cache ${INDEX_CACHE_FILE}: ${e.message}`);
+        }
+    }
+}
 
-    if (!isInsideAngleBrackets) {
-        // Between words, allow any Strong's number
-        searchRegExpSource = searchRegExpSource.replace(/([^>]) /g, '$1(?:<\\d+>|) ');
+/**
+ * Populate the Strong's table, the verses and the occurrence counts:
+ * from the cache file if its key matches the input files, otherwise by parsing them (and rewriting the cache).
+ */
+function ensureIndex() {
+    if (_indexReady) return;
+
+    const key = computeIndexKey();
+    const cachedIndex = _indexRebuildRequested ? null : readIndexCache(key);
+
+    if (cachedIndex) {
+        const hydrated = hydrateIndex(cachedIndex);
+        _strongNumbersToData = hydrated.strongNumbersToData;
+        _allVerses = hydrated.allVerses;
+        _occurrenceCounts = hydrated.occurrenceCounts;
+        if (VERBOSE) {
+            console.error(`Loaded index from ${INDEX_CACHE_FILE}`);
+        }
+    } else {
+        _strongNumbersToData = parseStrongData();
+        _allVerses = parseAllVerses();
+        addEnglishRenderings(_strongNumbersToData, loadBsbData());
+        _occurrenceCounts = countOccurrences(_allVerses.filter(verse => !verse.isAramaic));
+        _bookNamesToData = null; // Only needed while building the verses
+        writeIndexCache(serializeIndex(key, _strongNumbersToData, _allVerses, _occurrenceCounts));
     }
 
-    return searchRegExpSource;
+    _indexReady = true;
+    _indexRebuildRequested = false;
 }
 
 /**
- * @typedef {Object} SearchMatch
- * @property {VerseInfo} verse - The matched verse
- * @property {number[]} matchedWordIndexes - Indexes of matched words
- * @property {string} matchedText - The matched portion of text
+ * Ignore the cache file on the next data access: re-parse the input files and rewrite the cache.
+ * This is what the tools' `--rebuild-index` option does.
  */
+function requestIndexRebuild() {
+    _indexRebuildRequested = true;
+    _indexReady = false;
+    _strongNumbersToData = null;
+    _allVerses = null;
+    _occurrenceCounts = null;
+    _aramaicModeVerses.clear();
+    _aramaicModeOccurrenceCounts.clear();
+    _aramaicOccurrenceCounts = null;
+    _wordTotals = null;
+    _strongCountsByChapter = null;
+    _wordMorphologies.clear();
+}
+
+// ============================================================================
+// Morphology (Heuristics)
+// ============================================================================
+
+// Hebrew letter categories for morphological detection
+const LETTERS = {
+    prefixes: new Set(['ו', 'ה', 'ל', 'ב', 'כ', 'מ', 'ש']),
+    imperfectPrefixes: new Set(['י', 'ת', 'א', 'נ']),
+    vav: 'ו',
+    he: 'ה',
+    lamed: 'ל',
+    mem: 'מ',
+    nun: 'נ',
+    tav: 'ת',
+};
 
 /**
- * @typedef {Object} SearchResult
- * @property {string} query - Original query
- * @property {string} normalizedRegex - The final regex used
- * @property {SearchMatch[]} matches - Array of matches
- * @property {Object[]} strongMatches - Strong's numbers matched (for <...> queries)
- * @property {number} totalMatches - Total number of matches
- * @property {boolean} truncated - Whether results were truncated
+ * Get the consonants only (remove nikud, teamim, and shin/sin dots)
+ * @param {string} word
+ * @returns {string}
  */
+function getConsonants(word) {
+    let result = removeNikud(word);
+    // Also remove shin dot (U+05C1) and sin dot (U+05C2)
+    result = result.replace(/[\u05C1\u05C2]/g, '');
+    return result;
+}
 
 /**
- * Search the Bible using extended regex syntax
- *
- * Special patterns:
- *   @        - matches zero or more of א,ה,ו,י (matres lectionis)
- *   #        - matches any single Hebrew letter
- *   <N>      - matches Strong's number N
- *   <word>   - matches all Strong's numbers for that root word
- *   <N1|N2>  - matches multiple Strong's numbers
- *   2xy2     - proto-Semitic 2-letter root pattern (expands to verb patterns)
- *
- * @param {string} searchQuery - The search query
- * @param {Object} [options] - Search options
- * @param {number} [options.maxResults=10000] - Maximum results to return
- * @param {boolean} [options.verbsOnly=false] - Only match verbs (for 2xy2 pattern)
- * @returns {SearchResult}
+ * Detect prefix pattern
+ * @param {string} word - With nikud
+ * @returns {{prefix: string, description: string, isImperfect?: boolean, isInfinitive?: boolean}}
  */
-function search(searchQuery, options = {}) {
-    const maxResults = options.maxResults ?? MAX_SEARCH_RESULTS;
-    const allVerses = buildAllVerses();
-    const strongNumbersToData = loadStrongData();
+function detectPrefix(word) {
+    const clean = word;
+    const consonants = getConsonants(word);
 
-    /** @type {Object[]} */
-    const strongMatches = [];
+    if (consonants.length === 0) return { prefix: 'none', description: 'empty' };
 
-    // Handle 2xy2 proto-Semitic root pattern
-    let preprocessedSearchQuery = searchQuery.replace(/^2(.)(.)2$/, '<' + [
-        '$1$2',     // שב
-        'נ$1$2',    // נשב
-        'י$1$2',    // ישב
-        '$1ו$2',    // שוב
-        '$1י$2',    // שיב
-        '$1$2ה',    // שבה
-        '$1$2$2',   // שבב
-        '$1$2$1$2', // שבשב
-    ].join('|') + '>');
-    const onlyAllowVerbs = (preprocessedSearchQuery !== searchQuery) || options.verbsOnly;
+    const first = consonants[0];
+    const second = consonants.length > 1 ? consonants[1] : '';
+
+    // Check for common prefix combinations
+    const prefixes = [];
+
+    // Vav at start
+    if (first === 'ו') {
+        prefixes.push('ו');
+        // Check what follows
+        if (LETTERS.imperfectPrefixes.has(second)) {
+            prefixes.push(second);
+            return { prefix: prefixes.join('+'), description: 'vav + imperfect', isImperfect: true };
+        }
+        if (second === 'ה') {
+            return { prefix: 'ו+ה', description: 'vav + article/hiphil' };
+        }
+        if (second === 'ל') {
+            return { prefix: 'ו+ל', description: 'vav + infinitive', isInfinitive: true };
+        }
+        if (second === 'מ') {
+            return { prefix: 'ו+מ', description: 'vav + participle/preposition' };
+        }
+        return { prefix: 'ו', description: 'vav conjunctive' };
+    }
+
+    // Imperfect prefixes
+    if (LETTERS.imperfectPrefixes.has(first)) {
+        return { prefix: first, description: 'imperfect', isImperfect: true };
+    }
+
+    // Lamed prefix (infinitive)
+    if (first === 'ל') {
+        return { prefix: 'ל', description: 'infinitive', isInfinitive: true };
+    }
+
+    // He prefix (article or hiphil)
+    if (first === 'ה') {
+        // Check for patach under he (article) vs other vowels
+        if (clean[0] === 'ה' && clean.length > 1) {
+            const afterHe = clean[1];
+            // Dagesh after he often indicates article
+            return { prefix: 'ה', description: 'article/hiphil' };
+        }
+        return { prefix: 'ה', description: 'article/hiphil' };
+    }
+
+    // Mem prefix (participle or preposition)
+    if (first === 'מ') {
+        return { prefix: 'מ', description: 'participle/preposition' };
+    }
+
+    // Bet/Kaf prefixes (prepositions)
+    if (first === 'ב') {
+        return { prefix: 'ב', description: 'preposition "in"' };
+    }
+    if (first === 'כ') {
+        return { prefix: 'כ', description: 'preposition "like"' };
+    }
+    // Note: ש as prefix ("that") is rare and hard to distinguish from root
+    // We don't detect it as a prefix by default
+
+    return { prefix: 'none', description: 'no prefix' };
+}
+
+/**
+ * Detect suffix pattern
+ * @param {string} word - With nikud
+ * @returns {{suffix: string, description: string, isPossessive?: boolean, isVerbal?: boolean, isPlural?: boolean, isDual?: boolean, isDirectional?: boolean}}
+ */
+function detectSuffix(word) {
+    const clean = word;
+    const consonants = getConsonants(word);
+
+    // Check possessive suffixes first (more specific)
+    if (/נוּ$/.test(clean)) {
+        return { suffix: 'נוּ', description: '1st plural possessive (our)', isPossessive: true };
+    }
+    if (/כֶם$/.test(clean)) {
+        return { suffix: 'כֶם', description: '2nd masc. plural possessive (your)', isPossessive: true };
+    }
+    if (/כֶן$/.test(clean)) {
+        return { suffix: 'כֶן', description: '2nd fem. plural possessive (your)', isPossessive: true };
+    }
+    if (/תִּי$/.test(clean)) {
+        return { suffix: 'תִּי', description: '1st sing. perfect (I)', isVerbal: true };
+    }
+    if (/תָּ$/.test(clean)) {
+        return { suffix: 'תָּ', description: '2nd masc. sing. perfect (you)', isVerbal: true };
+    }
+    if (/תְּ$/.test(clean)) {
+        return { suffix: 'תְּ', description: '2nd fem. sing. perfect (you)', isVerbal: true };
+    }
+    if (/נָה$/.test(clean)) {
+        return { suffix: 'נָה', description: '3rd fem. plural', isVerbal: true };
+    }
+
+    // Plural endings
+    if (/ים$/.test(consonants)) {
+        return { suffix: 'ים', description: 'masc. plural', isPlural: true };
+    }
+    if (/ות$/.test(consonants)) {
+        return { suffix: 'ות', description: 'fem. plural', isPlural: true };
+    }
+    if (/יים$/.test(consonants)) {
+        return { suffix: 'יים', description: 'dual', isDual: true };
+    }
+
+    // Simple possessives (check consonants)
+    if (/הּ$/.test(clean)) {
+        return { suffix: 'הּ', description: '3rd fem. sing. possessive (her)', isPossessive: true };
+    }
+    if (/וֹ$/.test(clean)) {
+        return { suffix: 'וֹ', description: '3rd masc. sing. possessive (his)', isPossessive: true };
+    }
+    if (/וּ$/.test(clean)) {
+        return { suffix: 'וּ', description: '3rd plural perfect (they)', isVerbal: true };
+    }
+
+    // Check for directional ־ָה (ending with qamats-he but not possessive)
+    if (/ָה$/.test(clean) && !/הּ$/.test(clean)) {
+        return { suffix: 'ָה', description: 'directional', isDirectional: true };
+    }
+
+    return { suffix: 'none', description: 'no suffix' };
+}
+
+/**
+ * Detect overall form
+ * @param {string} word - With nikud
+ * @param {StrongData | null} strongInfo
+ * @returns {{form: string, formDescription: string, prefix: Object, suffix: Object}}
+ */
+function detectForm(word, strongInfo) {
+    const prefix = detectPrefix(word);
+    const suffix = detectSuffix(word);
+    const isVerb = strongInfo?.typeEnglish === 'Verb';
+
+    let form = 'base';
+    let formDescription = 'base form';
+
+    if (prefix.isInfinitive) {
+        form = 'infinitive';
+        formDescription = 'infinitive construct';
+    } else if (prefix.isImperfect) {
+        form = 'imperfect';
+        formDescription = 'imperfect tense';
+    } else if (suffix.isVerbal && suffix.suffix.startsWith('ת')) {
+        form = 'perfect';
+        formDescription = 'perfect tense (2nd person)';
+    } else if (suffix.suffix === 'וּ' && isVerb) {
+        form = 'perfect';
+        formDescription = 'perfect tense (3rd plural)';
+    } else if (prefix.prefix === 'מ' && isVerb) {
+        form = 'participle';
+        formDescription = 'participle';
+    } else if (suffix.isPlural) {
+        form = 'plural';
+        formDescription = 'plural';
+    } else if (suffix.isDual) {
+        form = 'dual';
+        formDescription = 'dual';
+    } else if (suffix.isPossessive) {
+        form = 'possessive';
+        formDescription = `with possessive suffix (${suffix.description})`;
+    }
+
+    return {
+        form,
+        formDescription,
+        prefix,
+        suffix,
+    };
+}
+
+/**
+ * Detect binyan (verb pattern) from word form
+ * @param {{word: string}} occurrence
+ * @returns {string} - qal, niphal, piel/pual, hiphil or hitpael
+ */
+function detectBinyan(occurrence) {
+    const consonants = getConsonants(occurrence.word);
+    const clean = occurrence.word;
+
+    // Check for Niphal (נ prefix in perfect, or vowel pattern)
+    if (consonants.startsWith('נ') && consonants.length > 3) {
+        return 'niphal';
+    }
+
+    // Check for Hitpael (הת prefix, or metathesis with sibilants: השת, הסת, הצת)
+    // Metathesis: הִתְשַׁמֵּר → הִשְׁתַּמֵּר (ת moves after sibilant)
+    if (consonants.startsWith('הת') || consonants.startsWith('ית')) {
+        return 'hitpael';
+    }
+    // Hitpael with metathesis: ה + sibilant + ת pattern
+    if (consonants.length >= 4 && consonants[0] === 'ה') {
+        const second = consonants[1];
+        const third = consonants[2];
+        // Sibilants: שׁ, שׂ, ש, ס, צ, ז
+        const sibilants = new Set(['ש', 'שׁ', 'שׂ', 'ס', 'צ', 'ז']);
+        if ((sibilants.has(second) || second === 'ש') && third === 'ת') {
+            return 'hitpael';
+        }
+    }
+
+    // Check for Hiphil (ה prefix with hiriq pattern)
+    if (consonants.startsWith('ה') && /ִ/.test(clean)) {
+        return 'hiphil';
+    }
+
+    // Check for Piel/Pual (doubled middle consonant - hard to detect without vowels)
+    // Look for dagesh forte which would indicate doubling
+    if (/ּ/.test(clean) && consonants.length >= 3) {
+        // Check position of dagesh
+        const dageshPos = clean.indexOf('ּ');
+        if (dageshPos > 1 && dageshPos < clean.length - 2) {
+            // Dagesh might be in middle consonant
+            return 'piel/pual';
+        }
+    }
+
+    // Default to Qal
+    return 'qal';
+}
+
+// ============================================================================
+// Morphology (Tagged Data)
+// ============================================================================
+
+/** OSHB part of speech letter -> part of speech */
+const OSHB_PARTS_OF_SPEECH = {
+    'A': 'adjective',
+    'C': 'conjunction',
+    'D': 'adverb',
+    'N': 'noun',
+    'P': 'pronoun',
+    'R': 'preposition',
+    'T': 'particle',
+    'V': 'verb',
+};
+
+/** OSHB (Hebrew) verb stem letter -> binyan */
+const OSHB_BINYANIM = {
+    'q': 'qal', 'N': 'niphal', 'p': 'piel', 'P': 'pual', 'h': 'hiphil', 'H': 'hophal', 't': 'hitpael',
+    'o': 'polel', 'O': 'polal', 'r': 'hitpolel', 'm': 'poel', 'M': 'poal', 'k': 'palel', 'K': 'pulal',
+    'Q': 'qal-passive', 'l': 'pilpel', 'L': 'polpal', 'f': 'hitpalpel', 'D': 'nitpael', 'j': 'pealal',
+    'i': 'pilel', 'u': 'hotpaal', 'c': 'tiphil', 'v': 'hishtaphel', 'w': 'nitpalel', 'y': 'nitpoel', 'z': 'hitpoel',
+};
+
+/** OSHB verb conjugation letter -> tense */
+const OSHB_TENSES = {
+    'p': 'perfect',
+    'q': 'weqatal',
+    'i': 'imperfect',
+    'w': 'wayyiqtol',
+    'h': 'cohortative',
+    'j': 'jussive',
+    'v': 'imperative',
+    'r': 'participle',
+    's': 'passive-participle',
+    'a': 'infinitive-absolute',
+    'c': 'infinitive-construct',
+};
+
+const OSHB_STATES = { 'a': 'absolute', 'c': 'construct', 'd': 'determined' };
+
+const OSHB_GENDERS = { 'm': 'm', 'f': 'f', 'c': 'c', 'b': 'c' };
+
+const OSHB_SUFFIX_TYPES = { 'p': 'pronominal', 'd': 'directional', 'h': 'paragogic', 'n': 'paragogic' };
+
+/** OSHB prefix segment -> prefixes */
+const OSHB_PREFIXES = {
+    'C': ['conjunction'],
+    'R': ['preposition'],
+    'Rd': ['preposition', 'article'],
+    'Td': ['article'],
+    'Ti': ['interrogative'],
+    'Tr': ['relative'],
+};
+
+/**
+ * Parse OSHB person/gender/number letters ("x" = not applicable)
+ * @param {string} letters - e.g. "3ms"
+ * @returns {{person: string | null, gender: string | null, number: string | null}}
+ */
+function parseOshbPersonGenderNumber(letters) {
+    const [person, gender, number] = letters;
+    return {
+        person: /^[123]$/.test(person ?? '') ? person : null,
+        gender: OSHB_GENDERS[gender] ?? null,
+        number: /^[spd]$/.test(number ?? '') ? number : null,
+    };
+}
+
+/** @type {Map<string, Object>} */
+const _morphologyCodes = new Map();
+
+/**
+ * Parse an OSHB morphology code: a language letter (H/A), then "/"-separated segments -
+ * prefixes, the word itself and an optional suffix. E.g. "HC/Vqw3ms" = and + verb qal wayyiqtol 3rd masc. sing.
+ * See https://hb.openscriptures.org/parsing/HebrewMorphologyCodes.html
+ * @param {string} code
+ * @returns {Object} - The WordMorphology fields except lemma, root and code
+ */
+function parseMorphologyCode(code) {
+    const cached = _morphologyCodes.get(code);
+    if (cached) return cached;
+
+    const match = /^[HA](.+)$/.exec(code);
+    if (!match) {
+        throw new Error(`Invalid morphology code: ${JSON.stringify(code)}`);
+    }
+    const segments = match[1].split('/');
+    const parsed = {
+        pos: null, binyan: null, tense: null, person: null, gender: null, number: null, state: null,
+        prefixes: [],
+        suffix: null,
+    };
+
+    if (segments.length > 1 && segments[segments.length - 1].startsWith('S')) {
+        const suffix = segments.pop();
+        parsed.suffix = { type: OSHB_SUFFIX_TYPES[suffix[1]] ?? 'pronominal', ...parseOshbPersonGenderNumber(suffix.substring(2)) };
+    }
+
+    const wordSegment = segments.pop();
+    for (const prefix of segments) {
+        if (!OSHB_PREFIXES[prefix]) {
+            throw new Error(`Unknown prefix ${JSON.stringify(prefix)} in morphology code ${JSON.stringify(code)}`);
+        }
+        parsed.prefixes.push(...OSHB_PREFIXES[prefix]);
+    }
+
+    parsed.pos = OSHB_PARTS_OF_SPEECH[wordSegment[0]] ?? null;
+    if (!parsed.pos) {
+        throw new Error(`Unknown part of speech in morphology code ${JSON.stringify(code)}`);
+    }
+
+    switch (wordSegment[0]) {
+        case 'V':
+            // Vqp3ms (person, gender, number), Vqrmsa (participle: gender, number, state), Vqc (infinitive)
+            parsed.binyan = OSHB_BINYANIM[wordSegment[1]] ?? null;
+            parsed.tense = OSHB_TENSES[wordSegment[2]] ?? null;
+            if (wordSegment[2] === 'r' || wordSegment[2] === 's') {
+                Object.assign(parsed, parseOshbPersonGenderNumber('x' + wordSegment.substring(3, 5)));
+                parsed.state = OSHB_STATES[wordSegment[5]] ?? null;
+            } else {
+                Object.assign(parsed, parseOshbPersonGenderNumber(wordSegment.substring(3)));
+            }
+            break;
+        case 'N':
+        case 'A':
+            // Ncmsa: type, gender, number, state
+            Object.assign(parsed, parseOshbPersonGenderNumber('x' + wordSegment.substring(2, 4)));
+            parsed.state = OSHB_STATES[wordSegment[4]] ?? null;
+            break;
+        case 'P':
+            // Pp3ms: type, person, gender, number
+            Object.assign(parsed, parseOshbPersonGenderNumber(wordSegment.substring(2)));
+            break;
+    }
+
+    _morphologyCodes.set(code, parsed);
+    return parsed;
+}
+
+/**
+ * @param {string} lemma
+ * @param {string} root
+ * @param {string} code - OSHB morphology code
+ * @returns {WordMorphology}
+ */
+function createWordMorphology(lemma, root, code) {
+    return { lemma, root, code, ...parseMorphologyCode(code) };
+}
+
+// ============================================================================
+// Morphology Features and Query Constraints
+// ============================================================================
+
+/**
+ * The morphological features of a word occurrence, in a fixed order.
+ * "suffix-*" describe a pronominal suffix (the possessor/object), the others describe the word itself.
+ */
+const MORPHOLOGY_FEATURES = [
+    'type', 'pos', 'binyan', 'tense', 'person', 'gender', 'number', 'state',
+    'prefix', 'suffix', 'suffix-person', 'suffix-gender', 'suffix-number',
+];
+
+const BINYANIM = Object.values(OSHB_BINYANIM);
+
+/** Tense -> the tense values of the feature (a wayyiqtol is also an imperfect, etc.) */
+const TENSE_FAMILIES = {
+    'perfect': ['perfect'],
+    'weqatal': ['perfect', 'weqatal'],
+    'imperfect': ['imperfect'],
+    'wayyiqtol': ['imperfect', 'wayyiqtol'],
+    'cohortative': ['imperfect', 'cohortative'],
+    'jussive': ['imperfect', 'jussive'],
+    'imperative': ['imperative'],
+    'participle': ['participle'],
+    'passive-participle': ['participle', 'passive-participle'],
+    'infinitive': ['infinitive'],
+    'infinitive-absolute': ['infinitive', 'infinitive-absolute'],
+    'infinitive-construct': ['infinitive', 'infinitive-construct'],
+};
+
+const TENSES = Object.keys(TENSE_FAMILIES);
+
+const PARTS_OF_SPEECH = Object.values(OSHB_PARTS_OF_SPEECH);
+
+const STATES = Object.values(OSHB_STATES);
+
+/** Strong's word type (lowercase) -> part of speech, for words without tagged data */
+const WORD_TYPES_TO_PARTS_OF_SPEECH = {
+    'verb': 'verb',
+    'derived-verb': 'verb',
+    'noun': 'noun',
+    'name': 'noun',
+    'adjective': 'adjective',
+    'adverb': 'adverb',
+    'pronoun': 'pronoun',
+    'preposition': 'preposition',
+    'conjunction': 'conjunction',
+    'interjection': 'particle',
+};
+
+const NUMBER_NAMES = { 'singular': 's', 'plural': 'p', 'dual': 'd' };
+
+/** Prefix letter -> prefix class */
+const PREFIX_CLASSES = {
+    'ו': 'conjunction',
+    'ה': 'article',
+    'ב': 'preposition',
+    'כ': 'preposition',
+    'ל': 'preposition',
+    'מ': 'preposition',
+};
+
+const PREFIX_CLASS_NAMES = ['conjunction', 'article', 'preposition', 'interrogative', 'relative'];
+
+const SUFFIX_CLASSES = ['none', 'pronominal', 'verbal', 'plural', 'dual', 'directional', 'paragogic'];
+
+/**
+ * detectSuffix() result -> [reading on a verb, reading on any other word].
+ * A reading is [suffix class, person/gender/number code], or null if the ending means nothing there.
+ */
+const SUFFIX_READINGS = {
+    'נוּ':  [['verbal', '1cp'], ['pronominal', '1cp']],
+    'כֶם':  [['pronominal', '2mp'], ['pronominal', '2mp']],
+    'כֶן':  [['pronominal', '2fp'], ['pronominal', '2fp']],
+    'תִּי': [['verbal', '1cs'], ['pronominal', '1cs']],
+    'תָּ':  [['verbal', '2ms'], null],
+    'תְּ':  [['verbal', '2fs'], null],
+    'נָה':  [['verbal', '3fp'], null],
+    'ים':   [['plural', 'mp'], ['plural', 'mp']],
+    'ות':   [['plural', 'fp'], ['plural', 'fp']],
+    'יים':  [['dual', 'd'], ['dual', 'd']],
+    'הּ':   [['pronominal', '3fs'], ['pronominal', '3fs']],
+    'וֹ':   [['pronominal', '3ms'], ['pronominal', '3ms']],
+    'וּ':   [['verbal', '3cp'], null],
+    'ָה':   [['directional', ''], ['directional', '']],
+    'none': [['none', ''], ['none', '']],
+};
+
+/** Imperfect prefix letter -> possible persons and genders of the subject */
+const IMPERFECT_SUBJECTS = {
+    'א': { person: ['1'], gender: ['c', 'm', 'f'], number: ['s'] },
+    'נ': { person: ['1'], gender: ['c', 'm', 'f'], number: ['p'] },
+    'י': { person: ['3'], gender: ['m'], number: ['s'] },
+    'ת': { person: ['2', '3'], gender: ['m', 'f'], number: ['s'] },
+};
+
+/**
+ * Parse a person/gender/number code such as "3ms", "3p", "fs" or "1cp"
+ * @param {string} code
+ * @returns {{person: string[], gender: string[], number: string[]} | null} - null if not a valid code
+ */
+function parsePersonGenderNumber(code) {
+    const match = /^([123])?([mfc])?([spd])?$/.exec(code);
+    if (!code || !match) return null;
+    const [, person, gender, number] = match;
+    return {
+        person: person ? [person] : [],
+        // Common gender (1st person, 3rd plural perfect) agrees with both
+        gender: !gender ? [] : (gender === 'c') ? ['c', 'm', 'f'] : [gender],
+        number: number ? [number] : [],
+    };
+}
+
+/** @type {Map<string, Object<string, string[]>>} - "word<strong>" -> features */
+const _wordMorphologies = new Map();
+
+/**
+ * Analyze the morphology of a word occurrence (heuristics based on spelling and nikud).
+ * Each feature holds all the values the word could have - an empty array means "unknown".
+ * @param {string} word - With nikud
+ * @param {number} strongNumber
+ * @returns {Object<string, string[]>} - Feature name (see MORPHOLOGY_FEATURES) -> possible values
+ */
+function analyzeWordMorphology(word, strongNumber) {
+    const cacheKey = `${word}<${strongNumber}>`;
+    const cached = _wordMorphologies.get(cacheKey);
+    if (cached) return cached;
+
+    const strongInfo = getStrongInfo(strongNumber);
+    const typeEnglish = strongInfo?.typeEnglish ?? null;
+    const isVerb = typeEnglish === 'Verb';
+    const { form, prefix, suffix } = detectForm(word, strongInfo);
+
+    const features = Object.fromEntries(MORPHOLOGY_FEATURES.map(feature => [feature, []]));
+    if (typeEnglish) {
+        features.type.push(typeEnglish.toLowerCase());
+    }
+    if (WORD_TYPES_TO_PARTS_OF_SPEECH[features.type[0]]) {
+        features.pos.push(WORD_TYPES_TO_PARTS_OF_SPEECH[features.type[0]]);
+    }
+
+    // Prefixes: imperfect markers are not prefixes, nor are the ה/מ of a verb's binyan/participle
+    for (const letter of prefix.prefix.split('+')) {
+        if (!PREFIX_CLASSES[letter]) continue;
+        if (isVerb && (letter === 'ה' || letter === 'מ')) continue;
+        features.prefix.push(letter, PREFIX_CLASSES[letter]);
+    }
+    if (features.prefix.length === 0) {
+        features.prefix.push('none');
+    }
+
+    // Suffix
+    const reading = SUFFIX_READINGS[suffix.suffix]?.[isVerb ? 0 : 1];
+    const [suffixClass, suffixCode] = reading ?? [null, ''];
+    const suffixPgn = parsePersonGenderNumber(suffixCode);
+    if (suffixClass) {
+        features.suffix.push(suffixClass);
+    }
+    if (suffixClass === 'pronominal') {
+        features['suffix-person'].push(...suffixPgn.person);
+        features['suffix-gender'].push(...suffixPgn.gender);
+        features['suffix-number'].push(...suffixPgn.number);
+    }
+
+    if (isVerb) {
+        features.binyan.push(...detectBinyan({ word }).split('/'));
+        if (['perfect', 'imperfect', 'infinitive', 'participle'].includes(form)) {
+            features.tense.push(form);
+        }
+        if (form === 'imperfect' && prefix.prefix.startsWith('ו+')) {
+            features.tense.push('wayyiqtol');
+        }
+
+        // Subject: from the imperfect prefix, refined by the ending; or from the perfect ending
+        const imperfectLetter = (form === 'imperfect') ? prefix.prefix.split('+').pop() : null;
+        const subject = IMPERFECT_SUBJECTS[imperfectLetter]
+            ? { ...IMPERFECT_SUBJECTS[imperfectLetter] }
+            : (suffixClass === 'verbal' || suffixClass === 'plural') ? suffixPgn : null;
+        if (imperfectLetter && suffix.suffix === 'וּ') {
+            subject.gender = ['m'];
+            subject.number = ['p'];
+        } else if (imperfectLetter && suffix.suffix === 'נָה') {
+            subject.gender = ['f'];
+            subject.number = ['p'];
+        }
+        if (subject) {
+            features.person.push(...subject.person);
+            features.gender.push(...subject.gender);
+            features.number.push(...subject.number);
+        }
+    } else if (suffixClass === 'plural' || suffixClass === 'dual') {
+        features.gender.push(...suffixPgn.gender);
+        features.number.push(...suffixPgn.number);
+    } else if (typeEnglish === 'Noun' || typeEnglish === 'Adjective') {
+        features.number.push('s');
+    }
+
+    _wordMorphologies.set(cacheKey, features);
+    return features;
+}
+
+/**
+ * The morphological features of a tagged word occurrence (see analyzeWordMorphology for the heuristic ones)
+ * @param {string} word - With nikud
+ * @param {number} strongNumber
+ * @param {WordMorphology} wordMorphology
+ * @returns {Object<string, string[]>} - Feature name (see MORPHOLOGY_FEATURES) -> values
+ */
+function taggedMorphologyToFeatures(word, strongNumber, wordMorphology) {
+    const cacheKey = `${word}<${strongNumber}>${wordMorphology.code}`;
+    const cached = _wordMorphologies.get(cacheKey);
+    if (cached) return cached;
+
+    const { pos, binyan, tense, person, gender, number, state, prefixes, suffix } = wordMorphology;
+    const typeEnglish = getStrongInfo(strongNumber)?.typeEnglish;
+    const genders = value => !value ? [] : (value === 'c') ? ['c', 'm', 'f'] : [value];
+
+    const features = {
+        'type': typeEnglish ? [typeEnglish.toLowerCase()] : [],
+        'pos': pos ? [pos] : [],
+        'binyan': binyan ? [binyan] : [],
+        'tense': tense ? TENSE_FAMILIES[tense] : [],
+        'person': person ? [person] : [],
+        'gender': genders(gender),
+        'number': number ? [number] : [],
+        'state': state ? [state] : [],
+        'prefix': [],
+        'suffix': [],
+        'suffix-person': [],
+        'suffix-gender': [],
+        'suffix-number': [],
+    };
+
+    // Prefix letters: the article is elided after a preposition (בַּבַּיִת)
+    const consonants = getConsonants(word);
+    let letterIndex = 0;
+    for (const prefix of prefixes) {
+        if (prefix === 'preposition') {
+            features.prefix.push(consonants[letterIndex++], prefix);
+        } else if (prefix === 'article') {
+            features.prefix.push('ה', prefix);
+            letterIndex += prefixes.includes('preposition') ? 0 : 1;
+        } else {
+            features.prefix.push(...(prefix === 'conjunction' ? ['ו'] : []), prefix);
+            letterIndex++;
+        }
+    }
+    if (features.prefix.length === 0) {
+        features.prefix.push('none');
+    }
+
+    // Suffix: a real suffix, or an ending that marks number or the subject
+    const isImperfect = features.tense.includes('imperfect');
+    if (suffix) {
+        features.suffix.push(suffix.type);
+        if (suffix.type === 'pronominal') {
+            features['suffix-person'].push(...(suffix.person ? [suffix.person] : []));
+            features['suffix-gender'].push(...genders(suffix.gender));
+            features['suffix-number'].push(...(suffix.number ? [suffix.number] : []));
+        }
+    } else if (pos !== 'verb' || tense?.includes('participle')) {
+        features.suffix.push(number === 'p' ? 'plural' : number === 'd' ? 'dual' : 'none');
+    } else if (person && (
+        (features.tense.includes('perfect') && `${person}${gender}${number}` !== '3ms') ||
+        (isImperfect && (number === 'p' || `${person}${gender}` === '2f')) ||
+        (tense === 'imperative' && `${gender}${number}` !== 'ms'))) {
+        features.suffix.push('verbal');
+    } else {
+        features.suffix.push('none');
+    }
+
+    _wordMorphologies.set(cacheKey, features);
+    return features;
+}
+
+/**
+ * The morphological features of a word in a verse: from the morphology file when it has the word,
+ * otherwise from the heuristics
+ * @param {VerseInfo} verseInfo
+ * @param {number} wordIndex
+ * @returns {Object<string, string[]>} - Feature name (see MORPHOLOGY_FEATURES) -> values
+ */
+function getWordMorphologyFeatures(verseInfo, wordIndex) {
+    const word = verseInfo.words[wordIndex];
+    const strongNumber = verseInfo.strongs[wordIndex];
+    const wordMorphology = verseInfo.morphology?.[wordIndex];
+    return wordMorphology
+        ? taggedMorphologyToFeatures(word, strongNumber, wordMorphology)
+        : analyzeWordMorphology(word, strongNumber);
+}
+
+/**
+ * @typedef {Object} MorphologyConstraint
+ * @property {string} feature - One of MORPHOLOGY_FEATURES
+ * @property {string[]} values - The word matches if any of its values for the feature is one of these
+ */
+
+/**
+ * Parse morphology constraints - the part after ":" in "<שמר:verb:piel:3ms>".
+ * Constraints are separated by ":" and are either "feature=value" or a bare value:
+ *   verb, noun, ...                        - word type (type=)
+ *   pos=noun, pos=particle, ...            - part of speech (see PARTS_OF_SPEECH)
+ *   qal, niphal, piel, ...                 - binyan (binyan=)
+ *   perfect, imperfect, wayyiqtol, ...     - tense/form (tense=)
+ *   absolute, construct, determined        - state (state=)
+ *   3ms, 3p, fp, 1cs, singular, plural ... - person/gender/number of the word itself
+ *   prefix=ו|ה|ב|כ|ל|מ|conjunction|article|preposition|interrogative|relative|none
+ *   suffix=none|pronominal|verbal|plural|dual|directional|paragogic, or a person/gender/number code
+ *                                            of a pronominal suffix (suffix=3, suffix=3fs)
+ * @param {string} constraintsText
+ * @returns {MorphologyConstraint[]}
+ */
+function parseMorphologyConstraints(constraintsText) {
+    /** @type {MorphologyConstraint[]} */
+    const constraints = [];
+    const addPersonGenderNumber = (pgn, featurePrefix) => {
+        for (const feature of ['person', 'gender', 'number']) {
+            if (pgn[feature].length > 0) {
+                // A "c" in the query means "common" only, not "m or f"
+                constraints.push({ feature: featurePrefix + feature, values: [pgn[feature][0]] });
+            }
+        }
+    };
+
+    for (const part of constraintsText.split(':').map(text => text.trim())) {
+        if (!part) {
+            throw new Error(`Empty morphology constraint: ${JSON.stringify(constraintsText)}`);
+        }
+        const [, key, rawValue] = /^(?:([a-z-]+)=)?(.+)$/.exec(part);
+        const value = rawValue.toLowerCase();
+        const typeEnglish = TYPE_ALIASES[value];
+        const pgn = parsePersonGenderNumber(NUMBER_NAMES[value] ?? value);
+
+        if ((!key || key === 'type') && typeEnglish) {
+            constraints.push({ feature: 'type', values: [typeEnglish.toLowerCase()] });
+        } else if ((!key || key === 'binyan') && BINYANIM.includes(value)) {
+            constraints.push({ feature: 'binyan', values: [value] });
+        } else if ((!key || key === 'tense') && TENSES.includes(value)) {
+            constraints.push({ feature: 'tense', values: [value] });
+        } else if ((!key || key === 'state') && STATES.includes(value)) {
+            constraints.push({ feature: 'state', values: [value] });
+        } else if (key === 'pos' && PARTS_OF_SPEECH.includes(value)) {
+            constraints.push({ feature: 'pos', values: [value] });
+        } else if (!key && pgn) {
+            addPersonGenderNumber(pgn, '');
+        } else if (['person', 'gender', 'number'].includes(key) && pgn &&
+                   ['person', 'gender', 'number'].every(feature => (feature === key) === (pgn[feature].length > 0))) {
+            addPersonGenderNumber(pgn, '');
+        } else if (key === 'prefix' && (PREFIX_CLASSES[value] || value === 'none' || PREFIX_CLASS_NAMES.includes(value))) {
+            constraints.push({ feature: 'prefix', values: [value] });
+        } else if (key === 'suffix' && SUFFIX_CLASSES.includes(value)) {
+            constraints.push({ feature: 'suffix', values: [value] });
+        } else if (key === 'suffix' && pgn) {
+            constraints.push({ feature: 'suffix', values: ['pronominal'] });
+            addPersonGenderNumber(pgn, 'suffix-');
+        } else {
+            throw new Error(`Unknown morphology constraint: ${part}`);
+        }
+    }
+
+    return constraints;
+}
+
+/**
+ * Check a word's features (see analyzeWordMorphology) against constraints
+ * @param {Object<string, string[]>} features
+ * @param {MorphologyConstraint[]} constraints
+ * @returns {boolean}
+ */
+function matchesMorphology(features, constraints) {
+    return constraints.every(({ feature, values }) =>
+        features[feature].some(value => values.includes(value))
+    );
+}
+
+/**
+ * Encode a word's features for the search engine: "{;type=verb;binyan=qal;...;}"
+ * @param {Object<string, string[]>} features
+ * @returns {string}
+ */
+function morphologyToTags(features) {
+    const tags = MORPHOLOGY_FEATURES.flatMap(feature =>
+        features[feature].map(value => `${feature}=${value}`)
+    );
+    return `{;${tags.join(';')}${tags.length > 0 ? ';' : ''}}`;
+}
+
+/**
+ * Regex source matching the tags (see morphologyToTags) of a word that satisfies the constraints
+ * @param {MorphologyConstraint[]} constraints
+ * @returns {string}
+ */
+function morphologyConstraintsToRegExp(constraints) {
+    const lookaheads = constraints.map(({ feature, values }) =>
+        `(?=[^}]*;${feature}=(?:${values.join('|')});)`
+    );
+    return `\\{${lookaheads.join('')}[^}]*\\}`;
+}
+
+/** @type {WeakMap<VerseInfo, string>} */
+const _morphologySearchableVerses = new WeakMap();
+
+/**
+ * A verse's searchableVerse with each word's morphology tags: " word<strong>{;...;} ... "
+ * @param {VerseInfo} verseInfo
+ * @returns {string}
+ */
+function getMorphologySearchableVerse(verseInfo) {
+    let searchable = _morphologySearchableVerses.get(verseInfo);
+    if (searchable === undefined) {
+        searchable = verseInfo.searchableVerse && (' ' + verseInfo.searchableVerse.trim().split(' ').map((token, i) =>
+            token + morphologyToTags(getWordMorphologyFeatures(verseInfo, i))
+        ).join(' ') + ' ');
+        _morphologySearchableVerses.set(verseInfo, searchable);
+    }
+    return searchable;
+}
+
+// ============================================================================
+// Search Engine
+// ============================================================================
+
+/**
+ * Helper: replace in regex source, handling bracket context
+ * @param {string} regExpSource
+ * @param {RegExp} replaceRegExp
+ * @param {string} replaceToIfInsideBrackets
+ * @param {string} replaceToIfOutsideBrackets
+ * @returns {string}
+ */
+function replaceInRegExpSource(regExpSource, replaceRegExp, replaceToIfInsideBrackets, replaceToIfOutsideBrackets) {
+    return regExpSource.replace(
+        replaceRegExp,
+        (wholeMatch, ...args) => {
+            const matchIndex = args[args.length - 2];
+            const beforeMatch = regExpSource.substring(0, matchIndex);
+            return (/\[[^\]]*$/.test(beforeMatch))
+                ? replaceToIfInsideBrackets
+                : replaceToIfOutsideBrackets;
+        }
+    );
+}
+
+/**
+ * Normalize a search query into a regex source
+ * @param {string} searchRegExpSource
+ * @param {boolean} isInsideAngleBrackets
+ * @param {boolean} [withMorphologyTags=false] - The regex runs on verses with morphology tags (see getMorphologySearchableVerse)
+ * @returns {string}
+ */
+function normalizeSearchRegExp(searchRegExpSource, isInsideAngleBrackets, withMorphologyTags = false) {
+    searchRegExpSource = fixShinSin(hebrewFinalsToRegulars(searchRegExpSource));
+
+    // Handle standard shin (ש) -> match both shin (U+FB2A) and sin (U+FB2B)
+    searchRegExpSource = replaceInRegExpSource(searchRegExpSource, /(?<!ת)-ת/g, '-ר\uFB2B\uFB2Aת', '-ת');
+    searchRegExpSource = replaceInRegExpSource(searchRegExpSource, /-ש/g, '-ר\uFB2B\uFB2A', '-[\uFB2B\uFB2A]');
+    searchRegExpSource = replaceInRegExpSource(searchRegExpSource, /ש-/g, '\uFB2B\uFB2Aת-', '[\uFB2B\uFB2A]-');
+    searchRegExpSource = replaceInRegExpSource(searchRegExpSource, /ש/g, '\uFB2B\uFB2A', '[\uFB2B\uFB2A]');
+
+    if (!isInsideAngleBrackets) {
+        // Collapse multiple spaces
+        searchRegExpSource = searchRegExpSource.replace(/\s+/g, ' ');
+        // Remove non-letter Hebrew characters
+        searchRegExpSource = searchRegExpSource.replace(hebrewNonLettersRegex, '');
+    }
+
+    // @ = zero or more matres lectionis (אהוי)
+    searchRegExpSource = replaceInRegExpSource(searchRegExpSource, /@/g, 'אהוי', '[אהוי]*');
+    // # = any single Hebrew letter (including shin U+FB2A and sin U+FB2B)
+    searchRegExpSource = replaceInRegExpSource(searchRegExpSource, /#/g, 'א-ת', '[א-ת\uFB2A\uFB2B]');
+
+    if (!isInsideAngleBrackets) {
+        // Between words, allow any Strong's number (and morphology tags)
+        searchRegExpSource = searchRegExpSource.replace(/([^>]) /g,
+            withMorphologyTags ? '$1(?:<\\d+>\\{[^}]*\\}|) ' : '$1(?:<\\d+>|) ');
+    }
+
+    return searchRegExpSource;
+}
+
+/**
+ * @typedef {Object} SearchMatch
+ * @property {VerseInfo} verse - The matched verse
+ * @property {number[]} matchedWordIndexes - Indexes of matched words
+ * @property {string} matchedText - The matched portion of text
+ * @property {MatchedComponent[]} [components] - Boolean queries only: the words each operand matched in this verse
+ */
+
+/**
+ * @typedef {Object} MatchedComponent
+ * @property {number} component - 1-based index of the operand in the boolean query
+ * @property {string} query - The operand's query
+ * @property {number[]} matchedWordIndexes - Indexes of the words this operand matched
+ */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {string} query - Original query
+ * @property {string} normalizedRegex - The final regex used
+ * @property {SearchMatch[]} matches - Array of matches
+ * @property {Object[]} strongMatches - Strong's numbers matched (for <...> queries)
+ * @property {number} totalMatches - Total number of matches
+ * @property {boolean} truncated - Whether results were truncated
+ * @property {{component: number, query: string}[]} [components] - Boolean queries only: the operands
+ */
+
+/**
+ * Search the Bible using extended regex syntax
+ *
+ * Special patterns:
+ *   @        - matches zero or more of א,ה,ו,י (matres lectionis)
+ *   #        - matches any single Hebrew letter
+ *   <N>      - matches Strong's number N
+ *   <word>   - matches all Strong's numbers for that root word
+ *   <N1|N2>  - matches multiple Strong's numbers
+ *   2xy2     - proto-Semitic 2-letter root pattern (expands to verb patterns)
+ *
+ * Morphology constraints (see parseMorphologyConstraints) follow a ":" inside the angle brackets:
+ *   <שמר:piel:imperfect>  - occurrences of שמר that look like piel imperfect
+ *   <:noun:plural:suffix=3> - any plural noun with a 3rd person suffix
+ *   2שב2:hiphil           - the 2xy2 pattern, hiphil only
+ *
+ * Boolean and proximity operators (see searchBoolean) combine several such queries:
+ *   <מים> WITHIN/3 <רוח>   - verses with מים within 3 verses of a verse with רוח
+ *
+ * @param {string} searchQuery - The search query
+ * @param {Object} [options] - Search options
+ * @param {number} [options.maxResults=10000] - Maximum results to return
+ * @param {boolean} [options.verbsOnly=false] - Only match verbs (for 2xy2 pattern)
+ * @param {string} [options.reading="both"] - Which form of the ketiv/qere pairs to match: "ketiv", "qere" or "both" (see selectReading)
+ * @returns {SearchResult}
+ */
+function search(searchQuery, options = {}) {
+    if (BOOLEAN_OPERATOR_REGEXP.test(searchQuery)) {
+        return searchBoolean(searchQuery, options);
+    }
+
+    const reading = options.reading ?? 'both';
+    if (!READINGS.includes(reading)) {
+        throw new Error(`Invalid reading: ${reading}. Must be one of: ${READINGS.join(', ')}.`);
+    }
+    const maxResults = options.maxResults ?? MAX_SEARCH_RESULTS;
+    const allVerses = buildAllVerses();
+    const strongNumbersToData = loadStrongData();
+
+    /** @type {Object[]} */
+    const strongMatches = [];
+
+    // Handle 2xy2 proto-Semitic root pattern
+    let preprocessedSearchQuery = searchQuery.replace(/^2(.)(.)2(:.+)?$/, '<' + [
+        '$1$2',     // שב
+        'נ$1$2',    // נשב
+        'י$1$2',    // ישב
+        '$1ו$2',    // שוב
+        '$1י$2',    // שיב
+        '$1$2ה',    // שבה
+        '$1$2$2',   // שבב
+        '$1$2$1$2', // שבשב
+    ].join('|') + '$3>');
+    const onlyAllowVerbs = (preprocessedSearchQuery !== searchQuery) || options.verbsOnly;
+
+    // Morphology constraints make the search run on the verses with morphology tags
+    const withMorphologyTags = /<[^>]*:[^>]*>/.test(preprocessedSearchQuery);
+
+    // Replace <...> with matching Strong's numbers (and morphology constraints)
+    const searchQueryWithStrongNumbers = preprocessedSearchQuery.replace(/<(.*?)>/g, (wholeMatch, innerPattern) => {
+        const colonIndex = innerPattern.indexOf(':');
+        const constraints = (colonIndex === -1) ? [] : parseMorphologyConstraints(innerPattern.substring(colonIndex + 1));
+        const tagsRegExp = (constraints.length > 0)
+            ? morphologyConstraintsToRegExp(constraints)
+            : withMorphologyTags ? '\\{[^}]*\\}' : '';
+        if (colonIndex !== -1) {
+            innerPattern = innerPattern.substring(0, colonIndex);
+        }
+
+        // No lemma: any word
+        if (!innerPattern) {
+            return `(#+<\\d+>${tagsRegExp})`;
+        }
 
-    // Replace <...> with matching Strong's numbers
-    const searchQueryWithStrongNumbers = preprocessedSearchQuery.replace(/<(.*?)>/g, (wholeMatch, innerPattern) => {
         const normalizedInnerPattern = normalizeSearchRegExp(innerPattern, true);
         const matchingStrongNumbers = [];
         const strongNumberRegExp = new RegExp(`^(?:${normalizedInnerPattern})$`);
+        // A word type constraint also narrows down the Strong's numbers
+        const typeConstraints = constraints.filter(({ feature }) => feature === 'type');
 
         for (let strongNumber = 0; strongNumber < strongNumbersToData.length; strongNumber++) {
             const data = strongNumbersToData[strongNumber];
             if (strongNumberRegExp.test(String(strongNumber)) ||
                 strongNumberRegExp.test(data.searchable)) {
-                if (!onlyAllowVerbs || data.typeIndex === WORD_TYPE_INDEX_VERB) {
+                if ((!onlyAllowVerbs || data.typeIndex === WORD_TYPE_INDEX_VERB) &&
+                    typeConstraints.every(({ values }) => values.includes(data.typeEnglish?.toLowerCase()))) {
                     matchingStrongNumbers.push(strongNumber);
                     strongMatches.push({
                         strongNumber,
@@ -667,11 +2115,11 @@ function search(searchQuery, options = {}) {
             throw new Error(`No matching Strong's numbers for: ${wholeMatch}`);
         }
 
-        return `(#+<(${matchingStrongNumbers.join('|')})>)`;
+        return `(#+<(${matchingStrongNumbers.join('|')})>${tagsRegExp})`;
     });
 
     // Build final regex
-    const normalizedRegex = normalizeSearchRegExp(searchQueryWithStrongNumbers, false);
+    const normalizedRegex = normalizeSearchRegExp(searchQueryWithStrongNumbers, false, withMorphologyTags);
 
     if (!normalizedRegex.trim()) {
         throw new Error('Empty search query');
@@ -687,24 +2135,25 @@ function search(searchQuery, options = {}) {
     for (const verseInfo of allVerses) {
         /** @type {Set<number> | null} */
         let matchedWordIndexes = null;
+        const { searchableVerse, wordIndexes } = getReadingSearchableVerse(verseInfo, reading, withMorphologyTags);
 
-        verseInfo.searchableVerse.replace(searchRegExp, (wholeMatch, ...args) => {
+        searchableVerse.replace(searchRegExp, (wholeMatch, ...args) => {
             const matchStartOffset = args[args.length - 2];
             const matchEndOffset = matchStartOffset + wholeMatch.length;
 
             // Convert offsets to word indexes
             const fromWordIndex = Math.max(0,
-                verseInfo.searchableVerse.substring(0, matchStartOffset + (wholeMatch.startsWith(' ') ? 1 : 0))
+                searchableVerse.substring(0, matchStartOffset + (wholeMatch.startsWith(' ') ? 1 : 0))
                     .replace(/[^ ]/g, '').length - 1
             );
             const toWordIndex = Math.max(0,
-                verseInfo.searchableVerse.substring(0, matchEndOffset - (wholeMatch.endsWith(' ') ? 1 : 0))
+                searchableVerse.substring(0, matchEndOffset - (wholeMatch.endsWith(' ') ? 1 : 0))
                     .replace(/[^ ]/g, '').length - 1
             );
 
             matchedWordIndexes ??= new Set();
             for (let i = fromWordIndex; i <= toWordIndex; i++) {
-                matchedWordIndexes.add(i);
+                matchedWordIndexes.add(wordIndexes ? wordIndexes[i] : i);
             }
             return wholeMatch;
         });
@@ -734,6 +2183,387 @@ function search(searchQuery, options = {}) {
     };
 }
 
+// ============================================================================
+// Boolean and Proximity Queries
+// ============================================================================
+
+/**
+ * The operators of boolean queries: upper-case English words, so they never clash with the Hebrew regex syntax.
+ * They must stand alone - surrounded by whitespace (or the ends of the query).
+ * Any "NEAR/..." or "WITHIN/..." is an operator, so a malformed distance is reported (see tokenizeBooleanQuery).
+ */
+const BOOLEAN_OPERATOR_REGEXP = /(?<=^|\s)(?:AND|OR|NOT|NEAR(?:\/\S*)?|WITHIN(?:\/\S*)?|SAMECHAPTER)(?=\s|$)/;
+
+/** The smallest distance of a proximity operator: NEAR/1 is the next word, WITHIN/0 is the same verse */
+const MIN_OPERATOR_DISTANCE = { NEAR: 1, WITHIN: 0 };
+
+/**
+ * @typedef {Object} BooleanQueryNode
+ * @property {string} operator - 'QUERY', 'AND', 'OR', 'NOT', 'NEAR', 'WITHIN' or 'SAMECHAPTER'
+ * @property {number} [distance] - For NEAR (words) and WITHIN (verses)
+ * @property {number} [component] - For QUERY: 0-based index of the operand
+ * @property {string} [query] - For QUERY: the operand's search() query
+ * @property {BooleanQueryNode} [left]
+ * @property {BooleanQueryNode} [right]
+ */
+
+/**
+ * Split a boolean query into operands and operators.
+ * An operand keeps its own spaces, except for the single space that separates it from an operator,
+ * so " מים  AND  ארץ " has the operands " מים " and " ארץ ".
+ * @param {string} booleanQuery
+ * @returns {({operand: string} | {operator: string, distance?: number})[]}
+ */
+function tokenizeBooleanQuery(booleanQuery) {
+    const tokens = [];
+    const pushOperand = (text) => {
+        if (text.trim()) {
+            tokens.push({ operand: text });
+        }
+    };
+
+    let operandStart = 0;
+    for (const operatorMatch of booleanQuery.matchAll(new RegExp(BOOLEAN_OPERATOR_REGEXP.source, 'g'))) {
+        pushOperand(booleanQuery.slice(operandStart && operandStart + 1, operatorMatch.index && operatorMatch.index - 1));
+        const [operator, distance] = operatorMatch[0].split('/');
+        if (distance !== undefined && !(/^\d+$/.test(distance) && parseInt(distance) >= MIN_OPERATOR_DISTANCE[operator])) {
+            throw new Error(`Invalid distance of ${operator}: ${JSON.stringify(distance)} - must be an integer of at least ${MIN_OPERATOR_DISTANCE[operator]} in: ${booleanQuery}`);
+        }
+        tokens.push(distance === undefined ? { operator } : { operator, distance: parseInt(distance) });
+        operandStart = operatorMatch.index + operatorMatch[0].length;
+    }
+    pushOperand(booleanQuery.slice(operandStart && operandStart + 1));
+
+    return tokens;
+}
+
+/**
+ * Parse a boolean query. Precedence, from the tightest: NEAR/n, WITHIN/n and SAMECHAPTER, then AND and NOT, then OR.
+ * Operators of the same precedence apply left to right. There is no grouping - parentheses belong to the regex syntax.
+ * @param {string} booleanQuery
+ * @returns {BooleanQueryNode}
+ */
+function parseBooleanQuery(booleanQuery) {
+    const tokens = tokenizeBooleanQuery(booleanQuery);
+    let position = 0;
+    let componentCount = 0;
+
+    const peekOperator = () => tokens[position]?.operator;
+
+    const parseOperand = () => {
+        const token = tokens[position];
+        if (!token) {
+            throw new Error(`Missing a query at the end of: ${booleanQuery}`);
+        }
+        if (token.operator) {
+            throw new Error(`Missing a query before ${token.operator}${token.distance !== undefined ? '/' + token.distance : ''} in: ${booleanQuery}`);
+        }
+        position++;
+        return { operator: 'QUERY', component: componentCount++, query: token.operand };
+    };
+
+    const parseProximity = () => {
+        let node = parseOperand();
+        while (['NEAR', 'WITHIN', 'SAMECHAPTER'].includes(peekOperator())) {
+            const { operator, distance } = tokens[position++];
+            if (operator !== 'SAMECHAPTER' && distance === undefined) {
+                throw new Error(`${operator} needs a distance, e.g. ${operator}/3`);
+            }
+            node = { operator, distance, left: node, right: parseOperand() };
+        }
+        return node;
+    };
+
+    const parseAnd = () => {
+        let node = parseProximity();
+        while (['AND', 'NOT'].includes(peekOperator())) {
+            let operator = tokens[position++].operator;
+            // "A AND NOT B" is the same as "A NOT B"
+            if (operator === 'AND' && peekOperator() === 'NOT') {
+                operator = 'NOT';
+                position++;
+            }
+            node = { operator, left: node, right: parseProximity() };
+        }
+        return node;
+    };
+
+    let node = parseAnd();
+    while (peekOperator() === 'OR') {
+        position++;
+        node = { operator: 'OR', left: node, right: parseAnd() };
+    }
+
+    if (position < tokens.length) {
+        throw new Error(`Unexpected ${tokens[position].operator ?? 'query'} in: ${booleanQuery}`);
+    }
+    return node;
+}
+
+/**
+ * What a boolean (sub-)query matched: verse index (in getAllVerses()) -> component -> matched word indexes
+ * @typedef {Map<number, Map<number, Set<number>>>} BooleanHits
+ */
+
+/**
+ * Merge hits into a target (in place)
+ * @param {BooleanHits} target
+ * @param {number} verseIndex
+ * @param {Map<number, Set<number>>} componentsToWords
+ */
+function mergeBooleanHits(target, verseIndex, componentsToWords) {
+    if (!target.has(verseIndex)) {
+        target.set(verseIndex, new Map());
+    }
+    const targetComponents = target.get(verseIndex);
+    for (const [component, wordIndexes] of componentsToWords) {
+        if (!targetComponents.has(component)) {
+            targetComponents.set(component, new Set());
+        }
+        for (const wordIndex of wordIndexes) {
+            targetComponents.get(component).add(wordIndex);
+        }
+    }
+}
+
+/**
+ * Positions of different books are this far apart, so that no distance reaches across books
+ */
+const BOOLEAN_BOOK_DISTANCE = 1e9;
+
+/**
+ * Keep the hits on both sides that have a partner on the other side, at most maxDistance away.
+ * @param {BooleanHits} leftHits
+ * @param {BooleanHits} rightHits
+ * @param {function(number, number): number} getPosition - (verseIndex, wordIndex) -> position (of a word or a verse)
+ * @param {number} maxDistance
+ * @param {boolean} samePositionPairs - Whether a position pairs up with itself (one verse) or not (one word)
+ * @returns {BooleanHits}
+ */
+function pairBooleanHits(leftHits, rightHits, getPosition, maxDistance, samePositionPairs) {
+    const result = new Map();
+
+    const collectPositions = (hits) => {
+        const positions = [];
+        for (const [verseIndex, componentsToWords] of hits) {
+            for (const wordIndexes of componentsToWords.values()) {
+                for (const wordIndex of wordIndexes) {
+                    positions.push(getPosition(verseIndex, wordIndex));
+                }
+            }
+        }
+        return positions.sort((a, b) => a - b);
+    };
+
+    const hasPartner = (sortedPositions, position) => {
+        // Binary search for the first position within reach
+        let low = 0;
+        let high = sortedPositions.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (sortedPositions[middle] < position - maxDistance) low = middle + 1;
+            else high = middle;
+        }
+        for (let i = low; i < sortedPositions.length && sortedPositions[i] <= position + maxDistance; i++) {
+            if (samePositionPairs || sortedPositions[i] !== position) return true;
+        }
+        return false;
+    };
+
+    for (const [hits, otherPositions] of [[leftHits, collectPositions(rightHits)], [rightHits, collectPositions(leftHits)]]) {
+        for (const [verseIndex, componentsToWords] of hits) {
+            const keptComponents = new Map();
+            for (const [component, wordIndexes] of componentsToWords) {
+                const keptWords = [...wordIndexes].filter(wordIndex =>
+                    hasPartner(otherPositions, getPosition(verseIndex, wordIndex)));
+                if (keptWords.length > 0) {
+                    keptComponents.set(component, keptWords);
+                }
+            }
+            if (keptComponents.size > 0) {
+                mergeBooleanHits(result, verseIndex, keptComponents);
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Evaluate a parsed boolean query
+ * @param {BooleanQueryNode} node
+ * @param {Object} context
+ * @param {VerseInfo[]} context.allVerses
+ * @param {Map<VerseInfo, number>} context.verseIndexes - verse -> index in allVerses
+ * @param {number[]} context.versePositions - verse index -> its position (see BOOLEAN_BOOK_DISTANCE)
+ * @param {number[]} context.wordPositions - verse index -> position of its first word (see BOOLEAN_BOOK_DISTANCE)
+ * @param {SearchResult[]} context.componentResults - Filled with each operand's search() result
+ * @param {Object} context.searchOptions - Passed to search() for each operand
+ * @returns {BooleanHits}
+ */
+function evaluateBooleanQuery(node, context) {
+    const { allVerses } = context;
+
+    if (node.operator === 'QUERY') {
+        const componentResult = search(node.query, { ...context.searchOptions, maxResults: Infinity });
+        context.componentResults[node.component] = componentResult;
+        const hits = new Map();
+        for (const match of componentResult.matches) {
+            hits.set(context.verseIndexes.get(match.verse), new Map([[node.component, new Set(match.matchedWordIndexes)]]));
+        }
+        return hits;
+    }
+
+    const leftHits = evaluateBooleanQuery(node.left, context);
+    const rightHits = evaluateBooleanQuery(node.right, context);
+    const result = new Map();
+
+    switch (node.operator) {
+        case 'OR':
+            for (const hits of [leftHits, rightHits]) {
+                for (const [verseIndex, componentsToWords] of hits) {
+                    mergeBooleanHits(result, verseIndex, componentsToWords);
+                }
+            }
+            return result;
+
+        case 'AND':
+            for (const [verseIndex, componentsToWords] of leftHits) {
+                if (rightHits.has(verseIndex)) {
+                    mergeBooleanHits(result, verseIndex, componentsToWords);
+                    mergeBooleanHits(result, verseIndex, rightHits.get(verseIndex));
+                }
+            }
+            return result;
+
+        case 'NOT':
+            for (const [verseIndex, componentsToWords] of leftHits) {
+                if (!rightHits.has(verseIndex)) {
+                    mergeBooleanHits(result, verseIndex, componentsToWords);
+                }
+            }
+            return result;
+
+        case 'NEAR':
+            // Word distances run across verse boundaries
+            return pairBooleanHits(leftHits, rightHits,
+                (verseIndex, wordIndex) => context.wordPositions[verseIndex] + wordIndex, node.distance, false);
+
+        case 'WITHIN':
+            return pairBooleanHits(leftHits, rightHits,
+                (verseIndex) => context.versePositions[verseIndex], node.distance, true);
+
+        case 'SAMECHAPTER': {
+            const chapterKey = (verseIndex) => `${allVerses[verseIndex].book} ${allVerses[verseIndex].chapterIndex}`;
+            const leftChapters = new Set([...leftHits.keys()].map(chapterKey));
+            const rightChapters = new Set([...rightHits.keys()].map(chapterKey));
+            for (const [hits, otherChapters] of [[leftHits, rightChapters], [rightHits, leftChapters]]) {
+                for (const [verseIndex, componentsToWords] of hits) {
+                    if (otherChapters.has(chapterKey(verseIndex))) {
+                        mergeBooleanHits(result, verseIndex, componentsToWords);
+                    }
+                }
+            }
+            return result;
+        }
+
+        default:
+            throw new Error(`Unknown boolean operator: ${node.operator}`);
+    }
+}
+
+/**
+ * Search with boolean and proximity operators between regular search() queries (the operands):
+ *
+ *   A AND B          - A and B in the same verse
+ *   A OR B           - A or B
+ *   A NOT B          - A in a verse without B (also: A AND NOT B)
+ *   A NEAR/n B       - A within n words of B (across verse boundaries, within a book)
+ *   A WITHIN/n B     - A within n verses of B (WITHIN/0 is the same verse; within a book)
+ *   A SAMECHAPTER B  - A in the same chapter as B
+ *
+ * Precedence: NEAR/WITHIN/SAMECHAPTER, then AND/NOT, then OR - each left to right; there is no grouping.
+ * Every verse that takes part in a match is returned (for WITHIN/SAMECHAPTER: the verses of both sides),
+ * in biblical order, with the words of each operand that took part in it (SearchMatch.components).
+ * NOT operands never take part in a match, so they are not highlighted.
+ *
+ * @param {string} booleanQuery - e.g. "<מים> WITHIN/3 <רוח>"
+ * @param {Object} [options] - Same as search()
+ * @returns {SearchResult}
+ */
+function searchBoolean(booleanQuery, options = {}) {
+    const maxResults = options.maxResults ?? MAX_SEARCH_RESULTS;
+    const allVerses = buildAllVerses();
+    const queryTree = parseBooleanQuery(booleanQuery);
+
+    /** @type {Map<VerseInfo, number>} */
+    const verseIndexes = new Map();
+    const versePositions = [];
+    const wordPositions = [];
+    let versePosition = 0;
+    let wordPosition = 0;
+    allVerses.forEach((verseInfo, verseIndex) => {
+        if (verseIndex > 0 && verseInfo.book !== allVerses[verseIndex - 1].book) {
+            versePosition += BOOLEAN_BOOK_DISTANCE;
+            wordPosition += BOOLEAN_BOOK_DISTANCE;
+        }
+        verseIndexes.set(verseInfo, verseIndex);
+        versePositions.push(versePosition++);
+        wordPositions.push(wordPosition);
+        wordPosition += verseInfo.words.length;
+    });
+
+    /** @type {SearchResult[]} */
+    const componentResults = [];
+    const hits = evaluateBooleanQuery(queryTree, {
+        allVerses,
+        verseIndexes,
+        versePositions,
+        wordPositions,
+        componentResults,
+        searchOptions: { verbsOnly: options.verbsOnly, reading: options.reading },
+    });
+
+    /** @type {SearchMatch[]} */
+    const matches = [];
+    const sortedVerseIndexes = [...hits.keys()].sort((a, b) => a - b);
+    for (const verseIndex of sortedVerseIndexes.slice(0, maxResults)) {
+        const verseInfo = allVerses[verseIndex];
+        const components = [...hits.get(verseIndex)]
+            .sort(([a], [b]) => a - b)
+            .map(([component, wordIndexes]) => ({
+                component: component + 1,
+                query: componentResults[component].query,
+                matchedWordIndexes: [...wordIndexes].sort((a, b) => a - b),
+            }));
+        const matchedWordIndexes = [...new Set(components.flatMap(c => c.matchedWordIndexes))].sort((a, b) => a - b);
+        matches.push({
+            verse: verseInfo,
+            matchedWordIndexes,
+            matchedText: matchedWordIndexes.map(i => verseInfo.words[i]).join(' '),
+            components,
+        });
+    }
+
+    // The operands' Strong's numbers, each once
+    const strongMatches = [...new Map(componentResults
+        .flatMap(componentResult => componentResult.strongMatches)
+        .map(strongMatch => [strongMatch.strongNumber, strongMatch])).values()];
+
+    let componentIndex = 0;
+    return {
+        query: booleanQuery,
+        normalizedRegex: tokenizeBooleanQuery(booleanQuery).map(token => token.operator
+            ? token.operator + (token.distance !== undefined ? '/' + token.distance : '')
+            : `(${componentResults[componentIndex++].normalizedRegex})`).join(' '),
+        matches,
+        strongMatches,
+        totalMatches: matches.length,
+        truncated: sortedVerseIndexes.length > maxResults,
+        components: componentResults.map((componentResult, component) => ({ component: component + 1, query: componentResult.query })),
+    };
+}
+
 // ============================================================================
 // Public API
 // ============================================================================
@@ -785,7 +2615,7 @@ function getVerse(book, chapterIndex, verseIndex) {
 }
 
 /**
- * Get all verses
+ * Get all verses - the ones the Aramaic mode leaves out are placeholders without words (see setAramaicMode)
  * @returns {VerseInfo[]}
  */
 function getAllVerses() {
@@ -855,56 +2685,245 @@ const SECTION_NAMES = {
 };
 
 // ============================================================================
-// Aramaic Sections
+// Aramaic Sections
+// ============================================================================
+
+/**
+ * Aramaic sections (verse ranges that are in Aramaic, not Hebrew)
+ * Format: { book: [{startChapter, startVerse, endChapter, endVerse}] }
+ * Note: chapters and verses are 0-indexed
+ */
+const ARAMAIC_SECTIONS = {
+    'דניאל': [
+        { startChapter: 1, startVerse: 3, endChapter: 6, endVerse: 27 } // Actually 2:4-7:28
+    ],
+    'עזרא': [
+        { startChapter: 3, startVerse: 7, endChapter: 5, endVerse: 17 }, // 4:8-6:18
+        { startChapter: 6, startVerse: 11, endChapter: 6, endVerse: 25 } // 7:12-26
+    ],
+    'ירמיהו': [
+        { startChapter: 9, startVerse: 10, endChapter: 9, endVerse: 10 } // 10:11 (single verse)
+    ],
+    'בראשית': [
+        { startChapter: 30, startVerse: 46, endChapter: 30, endVerse: 46 } // 31:47 (two words)
+    ],
+};
+
+/**
+ * Check if a verse is in an Aramaic section
+ * @param {string} book - Hebrew book name
+ * @param {number} chapterIndex - 0-indexed chapter
+ * @param {number} verseIndex - 0-indexed verse
+ * @returns {boolean}
+ */
+function isAramaicVerse(book, chapterIndex, verseIndex) {
+    const sections = ARAMAIC_SECTIONS[book];
+    if (!sections) return false;
+
+    for (const section of sections) {
+        if (chapterIndex > section.startChapter && chapterIndex < section.endChapter) {
+            return true;
+        }
+        if (chapterIndex === section.startChapter && chapterIndex === section.endChapter) {
+            return verseIndex >= section.startVerse && verseIndex <= section.endVerse;
+        }
+        if (chapterIndex === section.startChapter && verseIndex >= section.startVerse) {
+            return true;
+        }
+        if (chapterIndex === section.endChapter && verseIndex <= section.endVerse) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// ============================================================================
+// Aramaic Mode
+// ============================================================================
+
+/**
+ * How the tools treat the Aramaic sections (the tools' --aramaic option):
+ *   exclude   Hebrew only - the Aramaic verses are left out (default)
+ *   include   Hebrew and Aramaic
+ *   only      The Aramaic sections alone - e.g. cognate evidence for a root in Daniel and Ezra
+ */
+const ARAMAIC_MODES = ['exclude', 'include', 'only'];
+
+/** Marks Aramaic verses and words in the tools' text outputs (JSON outputs have "aramaic": true) */
+const ARAMAIC_LABEL = '[Aramaic]';
+
+/** The current Aramaic mode - see setAramaicMode() */
+let _aramaicMode = 'exclude';
+
+/**
+ * Set the Aramaic mode of all data access: getAllVerses(), search(), occurrence counts, word totals...
+ * The verses the mode leaves out stay in place as placeholders without words.
+ * Every tool sets it from its --aramaic option (the daemon runs tools with different modes one after another).
+ * @param {string} mode - See ARAMAIC_MODES
+ */
+function setAramaicMode(mode) {
+    if (!ARAMAIC_MODES.includes(mode)) {
+        throw new Error(`Invalid Aramaic mode: ${mode}. Must be one of: ${ARAMAIC_MODES.join(', ')}.`);
+    }
+    if (mode === _aramaicMode) return;
+
+    _aramaicMode = mode;
+    _wordTotals = null;
+    _strongCountsByChapter = null;
+}
+
+/**
+ * @returns {string} - The current Aramaic mode (see setAramaicMode)
+ */
+function getAramaicMode() {
+    return _aramaicMode;
+}
+
+/**
+ * Check whether an Aramaic mode keeps a verse
+ * @param {{book: string, chapterIndex: number, verseIndex: number}} verse - A VerseInfo, a SourceVerse...
+ * @param {string} [mode] - Default: the current mode
+ * @returns {boolean}
+ */
+function isVerseInAramaicMode(verse, mode = _aramaicMode) {
+    if (mode === 'include') return true;
+    return isAramaicVerse(verse.book, verse.chapterIndex, verse.verseIndex) === (mode === 'only');
+}
+
+/**
+ * Mark an Aramaic verse or word in a text output
+ * @param {string} text - e.g. a verse location, or a word
+ * @param {boolean} [isAramaic] - e.g. verse.isAramaic, or isAramaicStrong(strongNumber)
+ * @returns {string} - The text, followed by ARAMAIC_LABEL if Aramaic
+ */
+function labelAramaic(text, isAramaic) {
+    return isAramaic ? `${text} ${ARAMAIC_LABEL}` : text;
+}
+
+/**
+ * Count the occurrences of a Strong's number inside the Aramaic sections (whatever the Aramaic mode)
+ * @param {number} strongNumber
+ * @returns {number}
+ */
+function getAramaicOccurrenceCount(strongNumber) {
+    if (!_aramaicOccurrenceCounts) {
+        _aramaicOccurrenceCounts = countOccurrences(buildAllVerses('only'));
+    }
+    return _aramaicOccurrenceCounts.get(strongNumber) || 0;
+}
+
+/**
+ * Check whether a Strong's number is an Aramaic word: it occurs in the Aramaic sections, and nowhere else
+ * @param {number} strongNumber
+ * @returns {boolean}
+ */
+function isAramaicStrong(strongNumber) {
+    ensureIndex();
+    return getAramaicOccurrenceCount(strongNumber) > 0 && !_occurrenceCounts.has(strongNumber);
+}
+
+// ============================================================================
+// Aramaic Cognates
 // ============================================================================
 
+/** The Aramaic-Hebrew cognate hint table - see loadAramaicCognates() */
+const ARAMAIC_COGNATES_FILE = path.join(__dirname, 'aramaic-cognates.txt');
+
 /**
- * Aramaic sections (verse ranges that are in Aramaic, not Hebrew)
- * Format: { book: [{startChapter, startVerse, endChapter, endVerse}] }
- * Note: chapters and verses are 0-indexed
+ * @typedef {Object} AramaicCognateTable
+ * @property {{aramaic: string, hebrew: string, gloss: string}[]} words - Aramaic forms and their Hebrew roots (letters only)
+ * @property {{aramaic: string, hebrew: string, gloss: string}[]} sounds - Regular letter correspondences (single letters)
  */
-const ARAMAIC_SECTIONS = {
-    'דניאל': [
-        { startChapter: 1, startVerse: 3, endChapter: 6, endVerse: 27 } // Actually 2:4-7:28
-    ],
-    'עזרא': [
-        { startChapter: 3, startVerse: 7, endChapter: 5, endVerse: 17 }, // 4:8-6:18
-        { startChapter: 6, startVerse: 11, endChapter: 6, endVerse: 25 } // 7:12-26
-    ],
-    'ירמיהו': [
-        { startChapter: 9, startVerse: 10, endChapter: 9, endVerse: 10 } // 10:11 (single verse)
-    ],
-    'בראשית': [
-        { startChapter: 30, startVerse: 46, endChapter: 30, endVerse: 46 } // 31:47 (two words)
-    ],
-};
+
+/** @type {Map<string, AramaicCognateTable>} - File path -> table */
+const _aramaicCognateTables = new Map();
 
 /**
- * Check if a verse is in an Aramaic section
- * @param {string} book - Hebrew book name
- * @param {number} chapterIndex - 0-indexed chapter
- * @param {number} verseIndex - 0-indexed verse
- * @returns {boolean}
+ * Load the Aramaic-Hebrew cognate hint table.
+ *
+ * File format - one "ARAMAIC = HEBREW gloss..." per line:
+ *   # Comment
+ *   דהב = זהב  gold
+ *   ד = ז      דהב/זהב, דכר/זכר
+ *
+ * A pair of single letters is a regular sound correspondence; any other pair links an Aramaic form to a Hebrew root.
+ * The gloss is free text. Forms are compared by their letters (see getSourceWordLetters).
+ *
+ * @param {string} [filePath] - Default: ARAMAIC_COGNATES_FILE
+ * @returns {AramaicCognateTable}
  */
-function isAramaicVerse(book, chapterIndex, verseIndex) {
-    const sections = ARAMAIC_SECTIONS[book];
-    if (!sections) return false;
+function loadAramaicCognates(filePath = ARAMAIC_COGNATES_FILE) {
+    if (_aramaicCognateTables.has(filePath)) return _aramaicCognateTables.get(filePath);
 
-    for (const section of sections) {
-        if (chapterIndex > section.startChapter && chapterIndex < section.endChapter) {
-            return true;
+    const table = { words: [], sounds: [] };
+    fs.readFileSync(filePath, 'utf8').split(/\r?\n/).forEach((line, lineIndex) => {
+        const text = line.replace(/#.*/, '').trim();
+        if (!text) return;
+
+        const parsed = text.match(/^(\S+)\s*=\s*(\S+)\s*(.*)$/);
+        if (!parsed) {
+            throw new Error(`Invalid line ${lineIndex + 1} in ${filePath} (expected "ARAMAIC = HEBREW gloss"): ${line}`);
         }
-        if (chapterIndex === section.startChapter && chapterIndex === section.endChapter) {
-            return verseIndex >= section.startVerse && verseIndex <= section.endVerse;
+        const [aramaic, hebrew] = [parsed[1], parsed[2]].map(form => getSourceWordLetters(form));
+        if (!aramaic || !hebrew) {
+            throw new Error(`Invalid line ${lineIndex + 1} in ${filePath} (not Hebrew letters): ${line}`);
         }
-        if (chapterIndex === section.startChapter && verseIndex >= section.startVerse) {
-            return true;
+        const entry = { aramaic, hebrew, gloss: parsed[3].trim() };
+        if (aramaic.length === 1 && hebrew.length === 1) {
+            table.sounds.push(entry);
+        } else {
+            table.words.push(entry);
         }
-        if (chapterIndex === section.endChapter && verseIndex <= section.endVerse) {
-            return true;
+    });
+
+    _aramaicCognateTables.set(filePath, table);
+    return table;
+}
+
+/**
+ * The Aramaic forms that may be cognates of a Hebrew root: the table's word pairs for the root, the root itself,
+ * then the root with its letters changed by the regular sound correspondences (one or more letters at a time).
+ * These are hints - check which of them the Aramaic sections attest.
+ * @param {string} root - Hebrew root, e.g. "זהב"
+ * @param {string} [filePath] - See loadAramaicCognates()
+ * @returns {{root: string, basis: string, gloss: string}[]} - root: the Aramaic form;
+ *                                                          basis: "table", "same letters",
+ *                                                          or the correspondences used ("ז>ד")
+ */
+function getAramaicCognateCandidates(root, filePath = ARAMAIC_COGNATES_FILE) {
+    const table = loadAramaicCognates(filePath);
+    const candidates = new Map();
+    root = getSourceWordLetters(root);
+
+    for (const entry of table.words) {
+        if (entry.hebrew === root && !candidates.has(entry.aramaic)) {
+            candidates.set(entry.aramaic, { root: entry.aramaic, basis: 'table', gloss: entry.gloss });
         }
     }
-    return false;
+
+    if (!candidates.has(root)) {
+        candidates.set(root, { root, basis: 'same letters', gloss: '' });
+    }
+
+    // Every combination of the letters' correspondences (a letter either stays or changes)
+    let variants = [{ root: '', changes: [] }];
+    for (const letter of root) {
+        const next = [];
+        for (const variant of variants) {
+            next.push({ root: variant.root + letter, changes: variant.changes });
+            for (const sound of table.sounds.filter(sound => sound.hebrew === letter)) {
+                next.push({ root: variant.root + sound.aramaic, changes: [...variant.changes, `${letter}>${sound.aramaic}`] });
+            }
+        }
+        variants = next;
+    }
+    for (const variant of variants) {
+        if (variant.changes.length > 0 && !candidates.has(variant.root)) {
+            candidates.set(variant.root, { root: variant.root, basis: variant.changes.join(', '), gloss: '' });
+        }
+    }
+
+    return [...candidates.values()].map(candidate => ({ ...candidate, root: hebrewLastLetterToFinal(candidate.root) }));
 }
 
 // ============================================================================
@@ -1065,6 +3084,227 @@ function getBookSection(book) {
     return 'unknown';
 }
 
+// ============================================================================
+// Corpus Partitions
+// ============================================================================
+
+/** Bundled partition files: --partition=NAME finds partitions/NAME.txt */
+const PARTITIONS_DIR = path.join(__dirname, 'partitions');
+
+/**
+ * @typedef {Object} CorpusPartition
+ * @property {string} filePath - The partition file
+ * @property {string[]} labels - The partitions' labels, in order of first appearance in the file
+ * @property {function(VerseInfo): (string | null)} labelOf - The partition of a verse (null: in none)
+ */
+
+/**
+ * Find a partition file: a path, or the name of a bundled file (see PARTITIONS_DIR)
+ * @param {string} nameOrPath - e.g. "late-biblical-hebrew" or "./my-sources.txt"
+ * @returns {string}
+ */
+function resolvePartitionFile(nameOrPath) {
+    if (fs.existsSync(nameOrPath)) {
+        return nameOrPath;
+    }
+    const bundledPath = path.join(PARTITIONS_DIR, `${nameOrPath}.txt`);
+    if (!/[\\/]/.test(nameOrPath) && fs.existsSync(bundledPath)) {
+        return bundledPath;
+    }
+    const bundledNames = fs.existsSync(PARTITIONS_DIR)
+        ? fs.readdirSync(PARTITIONS_DIR).filter(fileName => fileName.endsWith('.txt')).map(fileName => fileName.slice(0, -4))
+        : [];
+    throw new Error(`Partition file not found: ${nameOrPath} (bundled: ${bundledNames.join(', ') || 'none'})`);
+}
+
+/**
+ * Parse one range of a partition file into a verse filter.
+ * Accepts everything parseRange() does, plus verse ranges: "בראשית 2:4", "בראשית 2:4-25", "בראשית 1:1-2:3"
+ * @param {string} rangeStr
+ * @returns {function(VerseInfo): boolean}
+ */
+function parseVerseRange(rangeStr) {
+    const verseRangeMatch = rangeStr.match(/^(\S+)\s+([א-ת\d]+):([א-ת\d]+)(?:\s*-\s*(?:([א-ת\d]+):)?([א-ת\d]+))?$/);
+    if (!verseRangeMatch) {
+        const range = parseRange(rangeStr);
+        return (verse) => range.books.has(verse.book) && range.chapterFilter(verse.book, verse.chapterIndex);
+    }
+
+    const [, bookName, startChapter, startVerse, endChapter, endVerse] = verseRangeMatch;
+    if (!hebrewBookNames.includes(bookName)) {
+        throw new Error(`Unknown book: ${bookName}`);
+    }
+    // Compare (chapter, verse) pairs as single numbers
+    const toKey = (chapterIndex, verseIndex) => chapterIndex * 1000 + verseIndex;
+    const startKey = toKey(parseHebrewOrArabicNumber(startChapter) - 1, parseHebrewOrArabicNumber(startVerse) - 1);
+    const endKey = (endVerse === undefined)
+        ? startKey
+        : toKey(parseHebrewOrArabicNumber(endChapter ?? startChapter) - 1, parseHebrewOrArabicNumber(endVerse) - 1);
+    if (endKey < startKey) {
+        throw new Error(`Range ends before it starts: ${rangeStr}`);
+    }
+
+    return (verse) => {
+        if (verse.book !== bookName) return false;
+        const key = toKey(verse.chapterIndex, verse.verseIndex);
+        return key >= startKey && key <= endKey;
+    };
+}
+
+/**
+ * Load a corpus partition file: it maps verse ranges to labels, e.g. layers or sources of the text.
+ *
+ * File format - one "label: range, range, ..." per line (a label may repeat on several lines):
+ *   # Comment
+ *   classical: *
+ *   late: דברי-הימים-א, דברי-הימים-ב, עזרא, נחמיה
+ *   P: בראשית 1:1-2:3, בראשית 5:1-28
+ *
+ * A range is a section ("תורה"), a book ("בראשית"), chapters ("בראשית 1-11"), or verses
+ * ("בראשית 2:4", "בראשית 2:4-25", "בראשית 1:1-2:3"). "*" is every verse that no other line covers.
+ * When ranges overlap, the later line wins - so a file can go from the general to the specific.
+ * Verses that no line covers are in no partition.
+ *
+ * @param {string} nameOrPath - A path, or the name of a bundled file (see PARTITIONS_DIR)
+ * @returns {CorpusPartition}
+ */
+function loadPartitionFile(nameOrPath) {
+    const filePath = resolvePartitionFile(nameOrPath);
+    const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/);
+
+    /** @type {{label: string, filter: function(VerseInfo): boolean}[]} */
+    const entries = [];
+    const labels = [];
+    let fallbackLabel = null;
+
+    lines.forEach((line, lineIndex) => {
+        const text = line.replace(/#.*/, '').trim();
+        if (!text) return;
+
+        const colonIndex = text.indexOf(':');
+        const label = text.substring(0, colonIndex).trim();
+        const rangesText = text.substring(colonIndex + 1).trim();
+        if (colonIndex === -1 || !label || !rangesText) {
+            throw new Error(`Invalid line ${lineIndex + 1} in ${filePath} (expected "label: range, range, ..."): ${line}`);
+        }
+        if (!labels.includes(label)) {
+            labels.push(label);
+        }
+
+        for (const rangeStr of rangesText.split(/\s*[,;]\s*/).filter(Boolean)) {
+            if (rangeStr === '*') {
+                fallbackLabel = label;
+                continue;
+            }
+            try {
+                entries.push({ label, filter: parseVerseRange(rangeStr) });
+            } catch (error) {
+                throw new Error(`Invalid range on line ${lineIndex + 1} in ${filePath}: ${error.message}`);
+            }
+        }
+    });
+
+    if (labels.length === 0) {
+        throw new Error(`No partitions in ${filePath}`);
+    }
+
+    // Resolve each verse's label once
+    /** @type {Map<VerseInfo, string>} */
+    const verseLabels = new Map();
+    for (const verse of buildAllVerses()) {
+        let label = fallbackLabel;
+        for (let i = entries.length - 1; i >= 0; i--) {
+            if (entries[i].filter(verse)) {
+                label = entries[i].label;
+                break;
+            }
+        }
+        if (label !== null) {
+            verseLabels.set(verse, label);
+        }
+    }
+
+    return {
+        filePath,
+        labels,
+        labelOf: (verse) => verseLabels.get(verse) ?? null,
+    };
+}
+
+// ============================================================================
+// Statistics
+// ============================================================================
+
+/**
+ * Natural logarithm of the gamma function (Lanczos approximation)
+ * @param {number} x - Positive
+ * @returns {number}
+ */
+function logGamma(x) {
+    const coefficients = [
+        76.18009172947146, -86.50532032941677, 24.01409824083091,
+        -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5,
+    ];
+    let series = 1.000000000190015;
+    for (let i = 0; i < coefficients.length; i++) {
+        series += coefficients[i] / (x + 1 + i);
+    }
+    const t = x + 5.5;
+    return (x + 0.5) * Math.log(t) - t + Math.log(2.5066282746310005 * series / x);
+}
+
+/**
+ * The regularized upper incomplete gamma function Q(a, x) = 1 - P(a, x)
+ * @param {number} a - Positive
+ * @param {number} x - Non-negative
+ * @returns {number}
+ */
+function regularizedGammaQ(a, x) {
+    if (x <= 0) return 1;
+    const logPrefix = a * Math.log(x) - x - logGamma(a);
+
+    if (x < a + 1) {
+        // Series for P(a, x)
+        let term = 1 / a;
+        let sum = term;
+        for (let n = 1; n < 1000 && Math.abs(term) > Math.abs(sum) * 1e-15; n++) {
+            term *= x / (a + n);
+            sum += term;
+        }
+        return Math.max(0, 1 - sum * Math.exp(logPrefix));
+    }
+
+    // Continued fraction for Q(a, x) (modified Lentz)
+    const tiny = 1e-300;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let h = d;
+    for (let n = 1; n < 1000; n++) {
+        const an = -n * (n - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = b + an / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-15) break;
+    }
+    return Math.exp(logPrefix) * h;
+}
+
+/**
+ * The p-value of a chi-square statistic (also for log-likelihood G², which has the same distribution)
+ * @param {number} statistic
+ * @param {number} degreesOfFreedom
+ * @returns {number}
+ */
+function chiSquarePValue(statistic, degreesOfFreedom) {
+    return regularizedGammaQ(degreesOfFreedom / 2, statistic / 2);
+}
+
 // ============================================================================
 // Hebrew Number Utilities
 // ============================================================================
@@ -1080,89 +3320,311 @@ const hebrewLetterValues = {
 };
 
 /**
- * Convert Hebrew numeral string to number
- * Handles טו (15) and טז (16) special cases
- * @param {string} hebrewNum - Hebrew numeral string (e.g., "א", "יא", "כג")
- * @returns {number} - The numeric value (1-indexed)
+ * Convert Hebrew numeral string to number
+ * Handles טו (15) and טז (16) special cases
+ * @param {string} hebrewNum - Hebrew numeral string (e.g., "א", "יא", "כג")
+ * @returns {number} - The numeric value (1-indexed)
+ */
+function hebrewToNumber(hebrewNum) {
+    if (!hebrewNum || hebrewNum.trim() === '') {
+        throw new Error('Empty Hebrew number');
+    }
+
+    // Remove any non-Hebrew characters (quotes, geresh, etc.)
+    const cleaned = hebrewNum.replace(/[^א-ת]/g, '');
+
+    if (cleaned === '') {
+        throw new Error(`Invalid Hebrew number: ${hebrewNum}`);
+    }
+
+    let total = 0;
+    for (const char of cleaned) {
+        const value = hebrewLetterValues[char];
+        if (value === undefined) {
+            throw new Error(`Unknown Hebrew numeral character: ${char}`);
+        }
+        total += value;
+    }
+
+    return total;
+}
+
+/**
+ * Parse a number that could be Arabic (1, 23) or Hebrew (א, כג)
+ * @param {string} numStr - Number string
+ * @returns {number} - 1-indexed number
+ */
+function parseHebrewOrArabicNumber(numStr) {
+    const trimmed = numStr.trim();
+
+    // Check if it's Arabic numerals
+    if (/^\d+$/.test(trimmed)) {
+        return parseInt(trimmed, 10);
+    }
+
+    // Must be Hebrew numerals
+    return hebrewToNumber(trimmed);
+}
+
+// ============================================================================
+// Occurrence Counting (Cached)
+// ============================================================================
+
+/**
+ * Count the occurrences of every Strong's number in the given verses
+ * @param {VerseInfo[]} allVerses
+ * @returns {Map<number, number>}
+ */
+function countOccurrences(allVerses) {
+    const counts = new Map();
+
+    for (const verse of allVerses) {
+        for (const strongNum of verse.strongs) {
+            if (strongNum > 0) {
+                counts.set(strongNum, (counts.get(strongNum) || 0) + 1);
+            }
+        }
+    }
+
+    return counts;
+}
+
+/**
+ * Get occurrence counts for all Strong's numbers, in the verses of the Aramaic mode (see setAramaicMode).
+ * The index stores the counts of the default mode; the other modes count on first use.
+ * @returns {Map<number, number>}
+ */
+function buildOccurrenceCounts() {
+    ensureIndex();
+    if (_aramaicMode === 'exclude') return _occurrenceCounts;
+
+    if (!_aramaicModeOccurrenceCounts.has(_aramaicMode)) {
+        _aramaicModeOccurrenceCounts.set(_aramaicMode, countOccurrences(buildAllVerses()));
+    }
+    return _aramaicModeOccurrenceCounts.get(_aramaicMode);
+}
+
+/**
+ * Get occurrence count for a Strong's number
+ * @param {number} strongNumber
+ * @returns {number}
+ */
+function getOccurrenceCount(strongNumber) {
+    const counts = buildOccurrenceCounts();
+    return counts.get(strongNumber) || 0;
+}
+
+// ============================================================================
+// English Renderings
+// ============================================================================
+
+/**
+ * Normalize a BSB English rendering: trim it and strip the brackets and punctuation around it
+ * @param {string} english - e.g. "[the] earth,"
+ * @returns {string} - e.g. "the earth" (empty for untranslated words: "-", "vvv")
+ */
+function normalizeEnglishRendering(english) {
+    const normalized = (english || '')
+        .replace(/[[\]{}()]/g, '')
+        .replace(/^[\s.,;:!?'"-]+|[\s.,;:!?'"-]+$/g, '')
+        .replace(/\s+/g, ' ');
+    return normalized === 'vvv' ? '' : normalized;
+}
+
+/**
+ * Get how the BSB translates a Strong's number: its English renderings, most frequent first
+ * @param {number} strongNumber
+ * @returns {{english: string, count: number}[]}
+ */
+function getEnglishRenderings(strongNumber) {
+    return getStrongInfo(strongNumber)?.renderings ?? [];
+}
+
+/**
+ * A short English gloss of a Strong's number: its most frequent BSB rendering
+ * @param {number} strongNumber
+ * @returns {string} - Empty if the BSB never translates it
+ */
+function getStrongGloss(strongNumber) {
+    return getStrongInfo(strongNumber)?.gloss ?? '';
+}
+
+// ============================================================================
+// Word Totals and Dispersion (Cached)
+// ============================================================================
+
+/**
+ * @typedef {Object} ChapterWordTotal
+ * @property {string} book - Hebrew book name
+ * @property {number} chapterIndex - 0-indexed chapter
+ * @property {string} chapter - Hebrew chapter number
+ * @property {number} words - Words in the chapter (the verses the Aramaic mode leaves out have none)
+ */
+
+/**
+ * @typedef {Object} WordTotals
+ * @property {number} total - Hebrew words in the Bible
+ * @property {Map<string, number>} byBook - Book name -> words
+ * @property {Map<string, ChapterWordTotal>} byChapter - Chapter key (see getChapterKey) -> words, in biblical order
+ */
+
+/**
+ * The key of a verse's chapter in per-chapter maps: "בראשית א"
+ * @param {{book: string, chapter: string}} verse - A VerseInfo or a ChapterWordTotal
+ * @returns {string}
+ */
+function getChapterKey(verse) {
+    return `${verse.book} ${verse.chapter}`;
+}
+
+/**
+ * Get the number of words per book and per chapter - the denominators of relative frequencies
+ * @returns {WordTotals}
  */
-function hebrewToNumber(hebrewNum) {
-    if (!hebrewNum || hebrewNum.trim() === '') {
-        throw new Error('Empty Hebrew number');
+function getWordTotals() {
+    if (_wordTotals) return _wordTotals;
+
+    const totals = { total: 0, byBook: new Map(), byChapter: new Map() };
+    for (const verse of getAllVerses()) {
+        const chapterKey = getChapterKey(verse);
+        if (!totals.byChapter.has(chapterKey)) {
+            totals.byChapter.set(chapterKey, {
+                book: verse.book,
+                chapterIndex: verse.chapterIndex,
+                chapter: verse.chapter,
+                words: 0,
+            });
+        }
+        totals.byChapter.get(chapterKey).words += verse.words.length;
+        totals.byBook.set(verse.book, (totals.byBook.get(verse.book) || 0) + verse.words.length);
+        totals.total += verse.words.length;
     }
 
-    // Remove any non-Hebrew characters (quotes, geresh, etc.)
-    const cleaned = hebrewNum.replace(/[^א-ת]/g, '');
-
-    if (cleaned === '') {
-        throw new Error(`Invalid Hebrew number: ${hebrewNum}`);
-    }
+    _wordTotals = totals;
+    return _wordTotals;
+}
 
-    let total = 0;
-    for (const char of cleaned) {
-        const value = hebrewLetterValues[char];
-        if (value === undefined) {
-            throw new Error(`Unknown Hebrew numeral character: ${char}`);
+/**
+ * Get the occurrences of a Strong's number per chapter (counted like getOccurrenceCount)
+ * @param {number} strongNumber
+ * @returns {Map<string, number>} - Chapter key (see getChapterKey) -> occurrences
+ */
+function getStrongCountsByChapter(strongNumber) {
+    if (!_strongCountsByChapter) {
+        _strongCountsByChapter = new Map();
+        for (const verse of getAllVerses()) {
+            const chapterKey = getChapterKey(verse);
+            for (const strongNum of verse.strongs) {
+                if (strongNum <= 0) continue;
+                let counts = _strongCountsByChapter.get(strongNum);
+                if (!counts) {
+                    counts = new Map();
+                    _strongCountsByChapter.set(strongNum, counts);
+                }
+                counts.set(chapterKey, (counts.get(chapterKey) || 0) + 1);
+            }
         }
-        total += value;
     }
-
-    return total;
+    return _strongCountsByChapter.get(strongNumber) || new Map();
 }
 
 /**
- * Parse a number that could be Arabic (1, 23) or Hebrew (א, כג)
- * @param {string} numStr - Number string
- * @returns {number} - 1-indexed number
+ * @typedef {Object} Dispersion
+ * @property {number} parts - Number of corpus parts (books or chapters)
+ * @property {number} range - Parts with at least one occurrence
+ * @property {number | null} juillandD - Juilland's D: 1 = evenly spread, 0 = all in one part (null if undefined)
+ * @property {number | null} dp - Gries' Deviation of Proportions: 0 = spread as the parts' sizes, ~1 = clustered
  */
-function parseHebrewOrArabicNumber(numStr) {
-    const trimmed = numStr.trim();
 
-    // Check if it's Arabic numerals
-    if (/^\d+$/.test(trimmed)) {
-        return parseInt(trimmed, 10);
+/**
+ * Measure how evenly occurrences are spread over parts of the corpus.
+ * Juilland's D is computed on the relative frequencies of the parts, so parts of unequal size are comparable.
+ * @param {Map<string, number>} counts - Part -> occurrences (missing parts have none)
+ * @param {Map<string, number>} sizes - Part -> words: all the parts
+ * @returns {Dispersion}
+ */
+function computeDispersion(counts, sizes) {
+    const parts = [...sizes].filter(([, words]) => words > 0);
+    const totalWords = parts.reduce((sum, [, words]) => sum + words, 0);
+    const totalCount = parts.reduce((sum, [part]) => sum + (counts.get(part) || 0), 0);
+    const range = parts.filter(([part]) => counts.get(part) > 0).length;
+
+    if (totalCount === 0 || parts.length === 0) {
+        return { parts: parts.length, range, juillandD: null, dp: null };
     }
 
-    // Must be Hebrew numerals
-    return hebrewToNumber(trimmed);
-}
+    // Juilland's D = 1 - V / sqrt(n - 1), V = coefficient of variation of the relative frequencies
+    let juillandD = null;
+    if (parts.length > 1) {
+        const rates = parts.map(([part, words]) => (counts.get(part) || 0) / words);
+        const mean = rates.reduce((sum, rate) => sum + rate, 0) / rates.length;
+        const variance = rates.reduce((sum, rate) => sum + (rate - mean) ** 2, 0) / rates.length;
+        juillandD = Math.max(0, 1 - (Math.sqrt(variance) / mean) / Math.sqrt(parts.length - 1));
+    }
 
-// ============================================================================
-// Occurrence Counting (Cached)
-// ============================================================================
+    // DP = half the sum of |share of the occurrences - share of the words| over the parts
+    const dp = parts.reduce((sum, [part, words]) =>
+        sum + Math.abs((counts.get(part) || 0) / totalCount - words / totalWords), 0) / 2;
 
-/** @type {Map<number, number> | null} */
-let _occurrenceCounts = null;
+    return { parts: parts.length, range, juillandD, dp };
+}
 
 /**
- * Build occurrence counts for all Strong's numbers
- * @returns {Map<number, number>}
+ * @typedef {Object} FrequencyProfile
+ * @property {number} count - Occurrences in the range
+ * @property {number} words - Words in the range
+ * @property {number} per10k - Occurrences per 10,000 words
+ * @property {{books: Dispersion, chapters: Dispersion}} dispersion
  */
-function buildOccurrenceCounts() {
-    if (_occurrenceCounts) return _occurrenceCounts;
-
-    const allVerses = buildAllVerses();
-    const counts = new Map();
 
-    for (const verse of allVerses) {
-        for (const strongNum of verse.strongs) {
-            if (strongNum > 0) {
-                counts.set(strongNum, (counts.get(strongNum) || 0) + 1);
-            }
+/**
+ * Relative frequency and dispersion of occurrences, over the books and chapters of a range
+ * @param {Map<string, number>} countsByChapter - Chapter key (see getChapterKey) -> occurrences
+ * @param {Object | null} [rangeFilter] - From parseRange() (null = the whole Bible)
+ * @returns {FrequencyProfile}
+ */
+function computeFrequencyProfile(countsByChapter, rangeFilter = null) {
+    const chapterSizes = new Map();
+    const chapterCounts = new Map();
+    const bookSizes = new Map();
+    const bookCounts = new Map();
+    let count = 0;
+    let words = 0;
+
+    for (const [chapterKey, chapter] of getWordTotals().byChapter) {
+        if (rangeFilter) {
+            if (!rangeFilter.books.has(chapter.book)) continue;
+            if (!rangeFilter.chapterFilter(chapter.book, chapter.chapterIndex)) continue;
         }
+        const chapterCount = countsByChapter.get(chapterKey) || 0;
+        chapterSizes.set(chapterKey, chapter.words);
+        chapterCounts.set(chapterKey, chapterCount);
+        bookSizes.set(chapter.book, (bookSizes.get(chapter.book) || 0) + chapter.words);
+        bookCounts.set(chapter.book, (bookCounts.get(chapter.book) || 0) + chapterCount);
+        count += chapterCount;
+        words += chapter.words;
     }
 
-    _occurrenceCounts = counts;
-    return counts;
+    return {
+        count,
+        words,
+        per10k: words > 0 ? count / words * 10000 : 0,
+        dispersion: {
+            books: computeDispersion(bookCounts, bookSizes),
+            chapters: computeDispersion(chapterCounts, chapterSizes),
+        },
+    };
 }
 
 /**
- * Get occurrence count for a Strong's number
- * @param {number} strongNumber
- * @returns {number}
+ * Format a Dispersion for display: "12/39 books, D = 0.41, DP = 0.62"
+ * @param {Dispersion} dispersion
+ * @param {string} partsName - e.g. "books"
+ * @returns {string}
  */
-function getOccurrenceCount(strongNumber) {
-    const counts = buildOccurrenceCounts();
-    return counts.get(strongNumber) || 0;
+function formatDispersion(dispersion, partsName) {
+    const format = value => (value === null ? '-' : value.toFixed(2));
+    return `${dispersion.range}/${dispersion.parts} ${partsName}, D = ${format(dispersion.juillandD)}, DP = ${format(dispersion.dp)}`;
 }
 
 // ============================================================================
@@ -1199,6 +3661,7 @@ function getExamples(strongNumber, count) {
             location: match.verse.location,
             text: match.verse.text,
             matchedWords,
+            ...(match.verse.isAramaic && { aramaic: true }),
         });
     }
 
@@ -1213,6 +3676,7 @@ function getExamples(strongNumber, count) {
                 location: match.verse.location,
                 text: match.verse.text,
                 matchedWords,
+                ...(match.verse.isAramaic && { aramaic: true }),
             });
         }
     }
@@ -1220,6 +3684,479 @@ function getExamples(strongNumber, count) {
     return examples;
 }
 
+// ============================================================================
+// Text Sources (Parallel Editions)
+// ============================================================================
+
+/**
+ * @typedef {Object} SourceVerse
+ * @property {string} book - Hebrew book name (as in hebrewBookNames)
+ * @property {number} chapterIndex - 0-indexed chapter
+ * @property {number} verseIndex - 0-indexed verse
+ * @property {string} location - Full location string (e.g., "בראשית א:א")
+ * @property {string[]} words - As written in the source: nikud kept (if it has any), accents and punctuation removed
+ * @property {('ketiv' | 'qere' | null)[]} readings - Per word: the written (ketiv) or the read (qere) form of a ketiv/qere pair
+ * @property {HebrewToken[]} tokens - Per word: its ketiv/qere pair and maqaf group (see tokenizeHebrewText)
+ * @property {string} text - The words, joined
+ * @property {boolean} [isAramaic] - The verse is in an Aramaic section (marked by the BSB source only)
+ */
+
+/**
+ * @typedef {Object} TextSource
+ * @property {string} name - e.g. "bsb", "menukad"
+ * @property {string} description
+ * @property {function(): SourceVerse[]} loadVerses - All the verses of the source, in Biblical order
+ */
+
+/** The Markdown editions spell some book names in full */
+const MARKDOWN_BOOK_NAMES_TO_HEBREW = {
+    'יהושוע': 'יהושע',
+    'חגיי': 'חגי',
+    'קוהלת': 'קהלת',
+    'דנייאל': 'דניאל',
+};
+
+/** A verse line of a Markdown edition: "> בראשית א א: בְּרֵאשִׁית בָּרָא..." */
+const MARKDOWN_VERSE_LINE_REGEXP = /^>\s*(\S+)\s+([א-ת]+)\s+([א-ת]+):\s*(.*)$/;
+
+/** Everything but letters and nikud: punctuation, maqaf, sof-pasuk... (run after the accents are removed) */
+const sourceNonWordCharactersRegex = /[^\u05B0-\u05BC\u05BF\u05C1\u05C2\u05C4\u05C5\u05C7\u05D0-\u05EA\uFB2A\uFB2B]/g;
+
+/** @type {Map<string, TextSource>} */
+const _textSources = new Map();
+
+/** @type {Map<string, {verses: SourceVerse[], locationsToVerses: Map<string, SourceVerse>}>} */
+const _textSourceVerses = new Map();
+
+/**
+ * Register a text source, so that it can be looked up by name
+ * @param {TextSource} source
+ */
+function registerTextSource(source) {
+    _textSources.set(source.name, source);
+    _textSourceVerses.delete(source.name);
+}
+
+/**
+ * Get a text source: a registered name ("bsb", "menukad", "naki"), or a directory holding another
+ * Markdown edition (same layout as the repo's תנך-מנוקד: "> בראשית א א: ..." lines, in any number of .md files)
+ * @param {string} nameOrDirectory
+ * @returns {TextSource}
+ */
+function getTextSource(nameOrDirectory) {
+    const source = _textSources.get(nameOrDirectory) ?? _textSources.get(path.resolve(nameOrDirectory));
+    if (source) return source;
+
+    if (fs.existsSync(nameOrDirectory) && fs.statSync(nameOrDirectory).isDirectory()) {
+        const directorySource = createMarkdownTextSource(path.resolve(nameOrDirectory), path.resolve(nameOrDirectory));
+        registerTextSource(directorySource);
+        return directorySource;
+    }
+
+    throw new Error(`Unknown text source: ${nameOrDirectory} (known: ${getTextSourceNames().join(', ')}, or a directory of Markdown books)`);
+}
+
+/**
+ * @returns {string[]} The names of the registered text sources
+ */
+function getTextSourceNames() {
+    return [..._textSources.keys()];
+}
+
+/**
+ * Get all the verses of a text source (loaded once)
+ * @param {string} nameOrDirectory - See getTextSource()
+ * @returns {SourceVerse[]}
+ */
+function getSourceVerses(nameOrDirectory) {
+    return loadTextSource(getTextSource(nameOrDirectory)).verses;
+}
+
+/**
+ * Get a specific verse of a text source
+ * @param {string} nameOrDirectory - See getTextSource()
+ * @param {string} book - Hebrew book name
+ * @param {number} chapterIndex - 0-indexed chapter
+ * @param {number} verseIndex - 0-indexed verse
+ * @returns {SourceVerse | null}
+ */
+function getSourceVerse(nameOrDirectory, book, chapterIndex, verseIndex) {
+    const location = `${book} ${numberToHebrew(chapterIndex)}:${numberToHebrew(verseIndex)}`;
+    return loadTextSource(getTextSource(nameOrDirectory)).locationsToVerses.get(location) || null;
+}
+
+/**
+ * @param {TextSource} source
+ * @returns {{verses: SourceVerse[], locationsToVerses: Map<string, SourceVerse>}}
+ */
+function loadTextSource(source) {
+    if (!_textSourceVerses.has(source.name)) {
+        const verses = source.loadVerses();
+        _textSourceVerses.set(source.name, {
+            verses,
+            locationsToVerses: new Map(verses.map(verse => [verse.location, verse])),
+        });
+    }
+    return _textSourceVerses.get(source.name);
+}
+
+/**
+ * Whether a text source carries nikud
+ * @param {string} nameOrDirectory - See getTextSource()
+ * @returns {boolean}
+ */
+function textSourceHasPoints(nameOrDirectory) {
+    return getSourceVerses(nameOrDirectory).some(verse => /[\u05B0-\u05BC]/.test(verse.text));
+}
+
+/**
+ * Normalize a word of a source text: fix shin/sin, remove accents, punctuation, maqaf and sof-pasuk
+ * @param {string} word
+ * @returns {string} Empty if no letter is left (a punctuation mark, the vowels of a qere without ketiv...)
+ */
+function normalizeSourceWord(word) {
+    const normalized = fixShinSin(word)
+        .replace(hebrewAccentsRegex, '')
+        .replace(sourceNonWordCharactersRegex, '');
+    return /[\u05D0-\u05EA\uFB2A\uFB2B]/.test(normalized) ? normalized : '';
+}
+
+/**
+ * Parse a verse line of a Markdown edition
+ * @param {string} line - e.g. "> בראשית א א: בְּרֵאשִׁית בָּרָא..."
+ * @returns {{book: string, chapterIndex: number, verseIndex: number, text: string} | null} - null if not a verse line
+ */
+function parseMarkdownVerseLine(line) {
+    const match = line.match(MARKDOWN_VERSE_LINE_REGEXP);
+    if (!match) return null;
+
+    const [, bookName, chapter, verse, text] = match;
+    const book = MARKDOWN_BOOK_NAMES_TO_HEBREW[bookName] ?? bookName;
+    if (!hebrewBookNames.includes(book)) {
+        throw new Error(`Unknown book name ${JSON.stringify(bookName)} in line: ${line}`);
+    }
+    return { book, chapterIndex: hebrewToNumber(chapter) - 1, verseIndex: hebrewToNumber(verse) - 1, text };
+}
+
+/**
+ * A text source reading a Markdown edition: a directory tree of .md files with "> בראשית א א: ..." verse lines
+ * @param {string} name
+ * @param {string} directory
+ * @param {string} [description]
+ * @returns {TextSource}
+ */
+function createMarkdownTextSource(name, directory, description = `Markdown edition in ${directory}`) {
+    return {
+        name,
+        description,
+        loadVerses() {
+            const verses = [];
+            const fileNames = fs.readdirSync(directory, { recursive: true }).filter(fileName => fileName.endsWith('.md'));
+            for (const fileName of fileNames) {
+                for (const line of fs.readFileSync(path.join(directory, fileName), 'utf8').split('\n')) {
+                    const verseLine = parseMarkdownVerseLine(line.trim());
+                    if (!verseLine) continue;
+
+                    const { book, chapterIndex, verseIndex, text } = verseLine;
+                    const tokens = tokenizeHebrewText(text);
+                    const words = tokens.map(token => token.word);
+                    verses.push({
+                        book,
+                        chapterIndex,
+                        verseIndex,
+                        location: `${book} ${numberToHebrew(chapterIndex)}:${numberToHebrew(verseIndex)}`,
+                        words,
+                        readings: tokens.map(token => token.reading),
+                        tokens,
+                        text: words.join(' '),
+                    });
+                }
+            }
+
+            const bookOrder = new Map(hebrewBookNames.map((book, index) => [book, index]));
+            return verses.sort((verse1, verse2) =>
+                bookOrder.get(verse1.book) - bookOrder.get(verse2.book) ||
+                verse1.chapterIndex - verse2.chapterIndex ||
+                verse1.verseIndex - verse2.verseIndex
+            );
+        },
+    };
+}
+
+registerTextSource({
+    name: 'bsb',
+    description: 'The BSB word stream - the research corpus, with Strong\'s numbers',
+    loadVerses: () => buildAllVerses('include').map(verse => ({
+        book: verse.book,
+        chapterIndex: verse.chapterIndex,
+        verseIndex: verse.verseIndex,
+        location: verse.location,
+        words: verse.words,
+        readings: getVerseTokens(verse).map(token => token.reading),
+        tokens: getVerseTokens(verse),
+        text: verse.text,
+        ...(verse.isAramaic && { isAramaic: true }),
+    })),
+});
+registerTextSource(createMarkdownTextSource('menukad', MENUKAD_TEXT_DIR, 'The repo\'s pointed text (תנך-מנוקד)'));
+registerTextSource(createMarkdownTextSource('naki', NAKI_TEXT_DIR, 'The repo\'s unpointed text (תנך-נקי)'));
+
+// ============================================================================
+// Comparing Text Sources
+// ============================================================================
+
+/**
+ * Kinds of word differences between two sources, from the most to the least benign:
+ *   vocalization   Same letters, other nikud (only when comparing with points)
+ *   spelling       Same word, spelled plene vs. defective (ו/י as matres lectionis)
+ *   word-division  One word in one source, two in the other
+ *   ketiv-qere     A ketiv or qere form one source has and the other doesn't (or reads differently)
+ *   missing        A word only one source has
+ *   different      Any other substitution
+ */
+const WORD_DIFFERENCE_TYPES = ['vocalization', 'spelling', 'word-division', 'ketiv-qere', 'missing', 'different'];
+
+/**
+ * @typedef {Object} WordDifference
+ * @property {string} type - One of WORD_DIFFERENCE_TYPES
+ * @property {string[]} a - The words of the first source (empty if it lacks them)
+ * @property {string[]} b - The words of the second source (empty if it lacks them)
+ */
+
+/**
+ * The letters of a word, for comparing sources: no nikud, shin and sin alike, finals → regulars
+ * @param {string} word
+ * @returns {string}
+ */
+function getSourceWordLetters(word) {
+    return hebrewFinalsToRegulars(fixShinSin(word).replace(/[\uFB2A\uFB2B]/g, '\u05E9').replace(/[^\u05D0-\u05EA]/g, ''));
+}
+
+/**
+ * Compare the words of a verse in two sources (LCS alignment), and classify what differs
+ * @param {{words: string[], readings?: ('ketiv' | 'qere' | null)[]}} verseA
+ * @param {{words: string[], readings?: ('ketiv' | 'qere' | null)[]}} verseB
+ * @param {Object} [options]
+ * @param {boolean} [options.points] - Compare the nikud too (both sources must have it)
+ * @returns {WordDifference[]} In verse order
+ */
+function compareSourceWords(verseA, verseB, options = {}) {
+    const toTokens = verse => verse.words.map((word, i) => {
+        const letters = getSourceWordLetters(word);
+        return {
+            word,
+            letters,
+            key: options.points ? fixShinSin(word).normalize('NFD') : letters,
+            reading: verse.readings?.[i] ?? null,
+        };
+    });
+    const tokensA = toTokens(verseA);
+    const tokensB = toTokens(verseB);
+
+    // The words between two aligned words are a "gap" to classify
+    const differences = [];
+    let gapStartA = 0;
+    let gapStartB = 0;
+    for (const [i, j] of alignWordKeys(tokensA.map(token => token.key), tokensB.map(token => token.key))) {
+        differences.push(...classifyWordGap(tokensA.slice(gapStartA, i), tokensB.slice(gapStartB, j)));
+        gapStartA = i + 1;
+        gapStartB = j + 1;
+    }
+    differences.push(...classifyWordGap(tokensA.slice(gapStartA), tokensB.slice(gapStartB)));
+
+    return differences;
+}
+
+/**
+ * Align two word sequences by their keys: their longest common subsequence
+ * @param {string[]} keysA
+ * @param {string[]} keysB
+ * @returns {[number, number][]} The aligned pairs of indexes, in order
+ */
+function alignWordKeys(keysA, keysB) {
+    // lengths[i][j] = length of the longest common subsequence of keysA[i..] and keysB[j..]
+    const lengths = Array.from({ length: keysA.length + 1 }, () => new Uint16Array(keysB.length + 1));
+    for (let i = keysA.length - 1; i >= 0; i--) {
+        for (let j = keysB.length - 1; j >= 0; j--) {
+            lengths[i][j] = keysA[i] === keysB[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const pairs = [];
+    let i = 0;
+    let j = 0;
+    while (i < keysA.length && j < keysB.length) {
+        if (keysA[i] === keysB[j]) {
+            pairs.push([i++, j++]);
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    return pairs;
+}
+
+/**
+ * Classify the unmatched words between two aligned matches.
+ * Words pair up as substitutions when they are related (same letters but for ו/י, or a ketiv/qere form),
+ * or when both sides have as many words left; otherwise the extra word of the longer side is missing.
+ * @param {{word: string, letters: string, reading: string | null}[]} gapA
+ * @param {{word: string, letters: string, reading: string | null}[]} gapB
+ * @returns {WordDifference[]}
+ */
+function classifyWordGap(gapA, gapB) {
+    const differences = [];
+    const addDifference = (type, tokensA, tokensB) => differences.push({
+        type,
+        a: tokensA.map(token => token.word),
+        b: tokensB.map(token => token.word),
+    });
+
+    let i = 0;
+    let j = 0;
+    while (i < gapA.length && j < gapB.length) {
+        if (j + 1 < gapB.length && gapA[i].letters === gapB[j].letters + gapB[j + 1].letters) {
+            addDifference('word-division', [gapA[i]], gapB.slice(j, j + 2));
+            i += 1;
+            j += 2;
+        } else if (i + 1 < gapA.length && gapA[i].letters + gapA[i + 1].letters === gapB[j].letters) {
+            addDifference('word-division', gapA.slice(i, i + 2), [gapB[j]]);
+            i += 2;
+            j += 1;
+        } else {
+            const type = classifyWordSubstitution(gapA[i], gapB[j]);
+            const leftA = gapA.length - i;
+            const leftB = gapB.length - j;
+            if (type !== 'different' || leftA === leftB) {
+                addDifference(type, [gapA[i]], [gapB[j]]);
+                i += 1;
+                j += 1;
+            } else if (leftA > leftB) {
+                addDifference(gapA[i].reading ? 'ketiv-qere' : 'missing', [gapA[i]], []);
+                i += 1;
+            } else {
+                addDifference(gapB[j].reading ? 'ketiv-qere' : 'missing', [], [gapB[j]]);
+                j += 1;
+            }
+        }
+    }
+    for (const token of gapA.slice(i)) {
+        addDifference(token.reading ? 'ketiv-qere' : 'missing', [token], []);
+    }
+    for (const token of gapB.slice(j)) {
+        addDifference(token.reading ? 'ketiv-qere' : 'missing', [], [token]);
+    }
+
+    return differences;
+}
+
+/**
+ * @param {{letters: string, reading: string | null}} tokenA
+ * @param {{letters: string, reading: string | null}} tokenB
+ * @returns {string} A WORD_DIFFERENCE_TYPES type
+ */
+function classifyWordSubstitution(tokenA, tokenB) {
+    if (tokenA.reading || tokenB.reading) return 'ketiv-qere';
+    if (tokenA.letters === tokenB.letters) return 'vocalization';
+    if (tokenA.letters.replace(/[וי]/g, '') === tokenB.letters.replace(/[וי]/g, '')) return 'spelling';
+    return 'different';
+}
+
+// ============================================================================
+// Verse Tokens (BSB)
+// ============================================================================
+
+/** The text source whose ketiv/qere marks the BSB verses take on - the BSB word stream has none */
+const KETIV_QERE_SOURCE = 'menukad';
+
+/** @type {WeakMap<VerseInfo, HebrewToken[]>} */
+const _verseTokens = new WeakMap();
+
+/** @type {WeakMap<VerseInfo, Map<string, {searchableVerse: string, wordIndexes: number[] | null}>>} */
+const _readingSearchableVerses = new WeakMap();
+
+/**
+ * The tokens of a BSB verse (see HebrewToken): the maqaf groups come from the BSB file, the ketiv/qere pairs from
+ * the repo's תנך-מנוקד, which the commentary quotes. The words are aligned by their letters, so a BSB word that is
+ * a ketiv or a qere there is one here too - and records both forms of its pair, also the one the BSB lacks.
+ * @param {VerseInfo} verseInfo
+ * @returns {HebrewToken[]} Per word of verseInfo.words
+ */
+function getVerseTokens(verseInfo) {
+    let tokens = _verseTokens.get(verseInfo);
+    if (tokens) return tokens;
+
+    const joined = new Set(verseInfo.maqaf);
+    let group = 0;
+    let member = 0;
+    tokens = verseInfo.words.map((word, i) => {
+        const token = { word, reading: null, ketiv: null, qere: null, pair: null, group, member };
+        if (joined.has(i)) {
+            member++;
+        } else {
+            group++;
+            member = 0;
+        }
+        return token;
+    });
+
+    const markedVerse = (verseInfo.skipped || !fs.existsSync(MENUKAD_TEXT_DIR))
+        ? null
+        : getSourceVerse(KETIV_QERE_SOURCE, verseInfo.book, verseInfo.chapterIndex, verseInfo.verseIndex);
+    if (markedVerse && markedVerse.tokens.some(token => token.reading)) {
+        const alignedPairs = alignWordKeys(
+            tokens.map(token => getSourceWordLetters(token.word)),
+            markedVerse.tokens.map(token => getSourceWordLetters(token.word)));
+        for (const [i, j] of alignedPairs) {
+            const { reading, ketiv, qere, pair } = markedVerse.tokens[j];
+            if (reading) {
+                Object.assign(tokens[i], { reading, ketiv, qere, pair });
+            }
+        }
+    }
+
+    _verseTokens.set(verseInfo, tokens);
+    return tokens;
+}
+
+/**
+ * A verse's searchableVerse (or its morphology-tagged form) for one of READINGS - see selectReading().
+ * A ketiv/qere form the BSB lacks is searched with the Strong's number (and tags) of the word it stands in for.
+ * @param {VerseInfo} verseInfo
+ * @param {string} reading - One of READINGS
+ * @param {boolean} withMorphologyTags
+ * @returns {{searchableVerse: string, wordIndexes: number[] | null}}
+ *          wordIndexes: per searchable word, the index of the verse word it stands for (null: the verse's own words)
+ */
+function getReadingSearchableVerse(verseInfo, reading, withMorphologyTags) {
+    const ownSearchableVerse = withMorphologyTags ? getMorphologySearchableVerse(verseInfo) : verseInfo.searchableVerse;
+    if (reading === 'both' || !ownSearchableVerse || getVerseTokens(verseInfo).every(token => token.reading === null)) {
+        return { searchableVerse: ownSearchableVerse, wordIndexes: null };
+    }
+
+    const cacheKey = withMorphologyTags ? `${reading}:tags` : reading;
+    let readingVerses = _readingSearchableVerses.get(verseInfo);
+    if (!readingVerses) {
+        readingVerses = new Map();
+        _readingSearchableVerses.set(verseInfo, readingVerses);
+    }
+    if (!readingVerses.has(cacheKey)) {
+        const selected = selectReading(getVerseTokens(verseInfo), reading);
+        const searchableWords = selected.map(({ word, index }) =>
+            hebrewFinalsToRegulars(fixShinSin(word).replace(nonHebrewLettersRegex, '')) +
+            `<${verseInfo.strongs[index]}>` +
+            (withMorphologyTags ? morphologyToTags(getWordMorphologyFeatures(verseInfo, index)) : ''));
+        readingVerses.set(cacheKey, {
+            searchableVerse: ' ' + searchableWords.join(' ') + ' ',
+            wordIndexes: selected.map(({ index }) => index),
+        });
+    }
+    return readingVerses.get(cacheKey);
+}
+
 // ============================================================================
 // Utility Functions
 // ============================================================================
@@ -1234,6 +4171,27 @@ function formatWord(word, noPoints = false) {
     return noPoints ? removeNikud(word) : word;
 }
 
+/**
+ * How many columns a text takes in a terminal - nikud and accent marks take none
+ * @param {string} text
+ * @returns {number}
+ */
+function displayWidth(text) {
+    return [...removeNikud(text).replace(/[\u0591-\u05AF\u05C1\u05C2]/g, '')].length;
+}
+
+/**
+ * Pad a text to a display width
+ * @param {string} text
+ * @param {number} width
+ * @param {boolean} atStart - Pad before the text (so that it ends at the column's edge)
+ * @returns {string}
+ */
+function padToWidth(text, width, atStart) {
+    const padding = ' '.repeat(Math.max(0, width - displayWidth(text)));
+    return atStart ? padding + text : text + padding;
+}
+
 // ============================================================================
 // Module Exports
 // ============================================================================
@@ -1242,10 +4200,14 @@ function formatWord(word, noPoints = false) {
 export {
     // Core search
     search,
+    searchBoolean,
+    parseBooleanQuery,
 
     // Strong's number utilities
     getStrongInfo,
     findStrongNumbers,
+    getStrongGloss,
+    getEnglishRenderings,
 
     // Verse access
     getVerse,
@@ -1260,7 +4222,11 @@ export {
     makeSearchable,
     numberToHebrew,
     normalizeHebrewText,
+    normalizeEnglishRendering,
+    joinVerseWords,
     formatWord,
+    displayWidth,
+    padToWidth,
 };
 
 // Hebrew number parsing
@@ -1288,6 +4254,24 @@ export {
     TYPE_ORDER,
 };
 
+// Morphology: tagged data, heuristics and query constraints
+export {
+    getWordMorphologyFeatures,
+    analyzeWordMorphology,
+    parseMorphologyCode,
+    parseMorphologyConstraints,
+    matchesMorphology,
+    detectPrefix,
+    detectSuffix,
+    detectForm,
+    detectBinyan,
+    getConsonants,
+    MORPHOLOGY_FEATURES,
+    BINYANIM,
+    TENSES,
+    PARTS_OF_SPEECH,
+};
+
 // Stopwords
 export {
     STOPWORDS,
@@ -1295,12 +4279,61 @@ export {
     isStopword,
 };
 
+// Text sources: parallel editions and their comparison
+export {
+    registerTextSource,
+    getTextSource,
+    getTextSourceNames,
+    getSourceVerses,
+    getSourceVerse,
+    textSourceHasPoints,
+    createMarkdownTextSource,
+    parseMarkdownVerseLine,
+    compareSourceWords,
+    WORD_DIFFERENCE_TYPES,
+};
+
+// Tokenization: ketiv/qere pairs and maqaf groups
+export {
+    tokenizeHebrewText,
+    getVerseTokens,
+    getMaqafGroups,
+    selectReading,
+    collectShinSpellings,
+    resolveBareShin,
+    READINGS,
+};
+
+// Aramaic sections: the Aramaic mode and the cognate hint table
+export {
+    setAramaicMode,
+    getAramaicMode,
+    isAramaicVerse,
+    isVerseInAramaicMode,
+    isAramaicStrong,
+    getAramaicOccurrenceCount,
+    labelAramaic,
+    loadAramaicCognates,
+    getAramaicCognateCandidates,
+    ARAMAIC_MODES,
+    ARAMAIC_LABEL,
+    ARAMAIC_COGNATES_FILE,
+};
+
 // Range parsing
 export {
     parseRange,
+    parseVerseRange,
     getBookSection,
 };
 
+// Corpus partitions and statistics
+export {
+    loadPartitionFile,
+    chiSquarePValue,
+    PARTITIONS_DIR,
+};
+
 // Occurrence counting
 export {
     buildOccurrenceCounts,
@@ -1308,6 +4341,28 @@ export {
     getExamples,
 };
 
+// Word totals, relative frequencies and dispersion
+export {
+    getWordTotals,
+    getChapterKey,
+    getStrongCountsByChapter,
+    computeDispersion,
+    computeFrequencyProfile,
+    formatDispersion,
+};
+
+// Persistent index cache
+export {
+    requestIndexRebuild,
+    parseMorphologyFile,
+    computeIndexKey,
+    serializeIndex,
+    hydrateIndex,
+    INDEX_CACHE_FILE,
+    INDEX_SOURCE_FILES,
+    MORPHOLOGY_INPUT_FILE,
+};
+
 // Internal utilities (exported for edge cases, prefer higher-level functions)
 export {
     fixShinSin,
@@ -0,0 +1,378 @@
+#!/usr/bin/env node
+'use strict';
+
+const usage = `
+bible_compare_texts - Compare the words of two Hebrew text sources, verse by verse
+
+INTENT/GOAL:
+    The research tools read the BSB word stream, while the commentary quotes the
+    repo's own תנך-מנוקד. When a quote disagrees with the research corpus, this
+    tells what kind of disagreement it is: a spelling variant (plene/defective),
+    a ketiv/qere, a word division, a missing word - or a real difference.
+
+SYNTAX:
+    ./bible_compare_texts.js [options]
+
+SOURCES:
+    bsb          The BSB word stream - the research corpus
+    menukad      The repo's pointed text (תנך-מנוקד)
+    naki         The repo's unpointed text (תנך-נקי)
+    DIRECTORY    Another local edition, in the same Markdown layout: any number of .md
+                 files with "> בראשית א א: ..." verse lines, ketiv/qere as "ketiv (qere)"
+
+OPTIONS:
+    --sources=A,B           The two sources to compare (default: "bsb,menukad")
+    --range=RANGE           Limit to a range (default: the whole Bible)
+    --points                Compare the nikud too (both sources must be pointed)
+    --types=T1,T2           Only report these difference types (see below)
+    --limit=N               List at most N verses (default: 50, 0 = all) - the summary counts all
+    --format=FORMAT         Output format: "text" (default), "json"
+    --aramaic=MODE          Aramaic sections (Daniel, Ezra...): "exclude" (default), "include" or "only"
+    --rebuild-index         Re-parse the source data and rewrite the index cache
+
+RANGE SYNTAX:
+    "תורה"                  Section name
+    "בראשית"                Single book
+    "בראשית 1-11"           Chapters within book
+    "בראשית 2:4-25"         Verses ("בראשית 1:1-2:3" across chapters)
+
+DIFFERENCE TYPES:
+    vocalization            Same letters, other nikud (only with --points)
+    spelling                Same word, spelled plene vs. defective (ו/י as matres lectionis)
+    word-division           One word in one source, two in the other
+    ketiv-qere              A ketiv or qere form that the other source lacks or reads otherwise
+    missing                 A word only one source has
+    different               Any other substitution
+
+EXAMPLES:
+    # Where does the research corpus differ from the repo's text in Genesis?
+    ./bible_compare_texts.js --range="בראשית"
+
+    # Does a quoted verse match the corpus, nikud included?
+    ./bible_compare_texts.js --range="שמות 25:1" --points
+
+    # Ketiv/qere and missing words only, between the repo's two texts
+    ./bible_compare_texts.js --sources=menukad,naki --types=ketiv-qere,missing
+
+    # Against another local edition
+    ./bible_compare_texts.js --sources=menukad,../other-edition --range="תורה"
+
+OUTPUT:
+    A line per differing word (or word group), under its verse:
+        (במדבר א:טז)
+          ketiv-qere     bsb: —              menukad: קְריּאֵי
+    Then a summary: the count of each difference type, and the verses that
+    only one of the sources has.
+
+NOTES:
+    - Words are aligned by their letters (longest common subsequence); the words
+      between two aligned words are then classified
+    - Letters compare without nikud, with shin/sin alike and finals as regulars
+    - Only the verses of --aramaic are compared: by default the Aramaic sections are
+      left out (counted in the summary); their verses are marked [Aramaic]
+`;
+
+import * as bible from './bible-utils.js';
+import {
+    WORD_DIFFERENCE_TYPES,
+    parseVerseRange,
+} from './bible-utils.js';
+import { runTool } from './bible-daemon.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/** Verses listed by default */
+const DEFAULT_LIMIT = 50;
+
+/** Verses only one source has: how many to name in the text summary */
+const MISSING_VERSES_SHOWN = 10;
+
+// ============================================================================
+// Argument Parsing
+// ============================================================================
+
+/**
+ * Parse command line arguments
+ * @param {string[]} args
+ * @returns {Object}
+ */
+function parseArgs(args) {
+    const options = {
+        sources: ['bsb', 'menukad'],
+        range: null,
+        points: false,
+        types: null,
+        limit: DEFAULT_LIMIT,
+        format: 'text',
+        aramaic: 'exclude',
+        rebuildIndex: false,
+        help: false,
+    };
+
+    for (const arg of args) {
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg.startsWith('--sources=')) {
+            options.sources = arg.substring(10).split(',').map(source => source.trim());
+        } else if (arg.startsWith('--range=')) {
+            options.range = arg.substring(8);
+        } else if (arg === '--points') {
+            options.points = true;
+        } else if (arg.startsWith('--types=')) {
+            options.types = arg.substring(8).split(',').map(type => type.trim());
+        } else if (arg.startsWith('--limit=')) {
+            options.limit = parseInt(arg.substring(8));
+        } else if (arg.startsWith('--format=')) {
+            options.format = arg.substring(9);
+        } else if (arg.startsWith('--aramaic=')) {
+            options.aramaic = arg.substring(10);
+        } else if (arg === '--rebuild-index') {
+            options.rebuildIndex = true;
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (options.sources.length !== 2 || options.sources.some(source => !source)) {
+        throw new Error(`--sources needs exactly two sources: ${options.sources.join(',')}`);
+    }
+    for (const type of options.types ?? []) {
+        if (!WORD_DIFFERENCE_TYPES.includes(type)) {
+            throw new Error(`Invalid type: ${type}. Must be one of: ${WORD_DIFFERENCE_TYPES.join(', ')}.`);
+        }
+    }
+    if (!(options.limit >= 0)) {
+        throw new Error(`Invalid limit: ${options.limit}. Must be 0 or more.`);
+    }
+    if (!['text', 'json'].includes(options.format)) {
+        throw new Error(`Invalid format: ${options.format}. Must be text or json.`);
+    }
+    if (!bible.ARAMAIC_MODES.includes(options.aramaic)) {
+        throw new Error(`Invalid aramaic mode: ${options.aramaic}. Must be exclude, include, or only.`);
+    }
+
+    return options;
+}
+
+// ============================================================================
+// Comparison
+// ============================================================================
+
+/**
+ * @typedef {Object} VerseComparison
+ * @property {string} location
+ * @property {boolean} [aramaic] - The verse is in an Aramaic section
+ * @property {{type: string, a: string[], b: string[]}[]} differences - See compareSourceWords() in bible-utils.js
+ */
+
+/**
+ * @typedef {Object} TextComparison
+ * @property {[string, string]} sources - The names of the two sources
+ * @property {boolean} points - Whether the nikud was compared
+ * @property {number} versesCompared
+ * @property {Object<string, number>} counts - Per difference type (only the reported types)
+ * @property {VerseComparison[]} verses - The verses with reported differences, in Biblical order
+ * @property {[string[], string[]]} versesOnlyIn - Locations only the first / the second source has
+ * @property {string} aramaic - The Aramaic mode (see bible.setAramaicMode)
+ * @property {number} versesLeftOut - Verses of the range that the Aramaic mode leaves out
+ */
+
+/**
+ * Compare two text sources, verse by verse
+ * @param {Object} options - See parseArgs()
+ * @returns {TextComparison}
+ */
+function compareTexts(options) {
+    const [sourceA, sourceB] = options.sources.map(name => bible.getTextSource(name));
+    if (options.points) {
+        for (const source of [sourceA, sourceB]) {
+            if (!bible.textSourceHasPoints(source.name)) {
+                throw new Error(`--points: ${source.name} has no nikud`);
+            }
+        }
+    }
+
+    const inRange = options.range ? parseVerseRange(options.range) : () => true;
+    const rangeVersesA = bible.getSourceVerses(sourceA.name).filter(inRange);
+    const versesA = rangeVersesA.filter(verse => bible.isVerseInAramaicMode(verse));
+    const versesB = bible.getSourceVerses(sourceB.name).filter(verse => inRange(verse) && bible.isVerseInAramaicMode(verse));
+    const reportedTypes = new Set(options.types ?? WORD_DIFFERENCE_TYPES);
+
+    const result = {
+        sources: [sourceA.name, sourceB.name],
+        points: options.points,
+        versesCompared: 0,
+        counts: Object.fromEntries([...reportedTypes].map(type => [type, 0])),
+        verses: [],
+        versesOnlyIn: [[], []],
+        aramaic: bible.getAramaicMode(),
+        versesLeftOut: rangeVersesA.length - versesA.length,
+    };
+
+    for (const verseA of versesA) {
+        const verseB = bible.getSourceVerse(sourceB.name, verseA.book, verseA.chapterIndex, verseA.verseIndex);
+        if (!verseB) {
+            result.versesOnlyIn[0].push(verseA.location);
+            continue;
+        }
+
+        result.versesCompared++;
+        const differences = bible.compareSourceWords(verseA, verseB, { points: options.points })
+            .filter(difference => reportedTypes.has(difference.type));
+        for (const difference of differences) {
+            result.counts[difference.type]++;
+        }
+        if (differences.length > 0) {
+            const aramaic = bible.isAramaicVerse(verseA.book, verseA.chapterIndex, verseA.verseIndex);
+            result.verses.push({ location: verseA.location, ...(aramaic && { aramaic: true }), differences });
+        }
+    }
+
+    const locationsA = new Set(versesA.map(verse => verse.location));
+    result.versesOnlyIn[1] = versesB.map(verse => verse.location).filter(location => !locationsA.has(location));
+
+    return result;
+}
+
+// ============================================================================
+// Output Formatting
+// ============================================================================
+
+/**
+ * Format one difference as a text line
+ * @param {{type: string, a: string[], b: string[]}} difference
+ * @param {[string, string]} sources
+ * @returns {string}
+ */
+function formatDifference(difference, sources) {
+    const wordsA = difference.a.join(' ') || '—';
+    const wordsB = difference.b.join(' ') || '—';
+    const sideA = bible.padToWidth(`${sources[0]}: ${wordsA}`, 30, false);
+    return `  ${difference.type.padEnd(14)} ${sideA} ${sources[1]}: ${wordsB}`;
+}
+
+/**
+ * Format a comparison as text
+ * @param {TextComparison} result
+ * @param {Object} options - Formatting options
+ */
+function formatText(result, options) {
+    const lines = [];
+    const [nameA, nameB] = result.sources;
+    lines.push(`Comparing ${nameA} with ${nameB} (${result.points ? 'letters and nikud' : 'letters'}): ` +
+        `${result.versesCompared} verses, ${result.verses.length} with differences`);
+
+    const shownVerses = options.limit > 0 ? result.verses.slice(0, options.limit) : result.verses;
+    for (const verse of shownVerses) {
+        lines.push('');
+        lines.push(`(${bible.labelAramaic(verse.location, verse.aramaic)})`);
+        for (const difference of verse.differences) {
+            lines.push(formatDifference(difference, result.sources));
+        }
+    }
+    if (shownVerses.length < result.verses.length) {
+        lines.push('');
+        lines.push(`... and ${result.verses.length - shownVerses.length} more verses (use --limit=0 for all)`);
+    }
+
+    lines.push('');
+    lines.push('Summary:');
+    for (const [type, count] of Object.entries(result.counts)) {
+        lines.push(`  ${type.padEnd(14)} ${count}`);
+    }
+    result.sources.forEach((name, i) => {
+        const locations = result.versesOnlyIn[i];
+        if (locations.length === 0) return;
+        const shown = locations.slice(0, MISSING_VERSES_SHOWN).join(', ');
+        const more = locations.length > MISSING_VERSES_SHOWN ? `, ... (${locations.length - MISSING_VERSES_SHOWN} more)` : '';
+        lines.push(`  Verses only in ${name}: ${locations.length} - ${shown}${more}`);
+    });
+    if (result.versesLeftOut > 0) {
+        lines.push(`  Verses left out by --aramaic=${result.aramaic}: ${result.versesLeftOut}`);
+    }
+
+    console.log(lines.join('\n'));
+}
+
+/**
+ * Format a comparison as JSON
+ * @param {TextComparison} result
+ * @param {Object} options - Formatting options
+ */
+function formatJson(result, options) {
+    const output = {
+        sources: result.sources,
+        points: result.points,
+        versesCompared: result.versesCompared,
+        versesWithDifferences: result.verses.length,
+        counts: result.counts,
+        verses: options.limit > 0 ? result.verses.slice(0, options.limit) : result.verses,
+        versesOnlyIn: Object.fromEntries(result.sources.map((name, i) => [name, result.versesOnlyIn[i]])),
+        aramaic: result.aramaic,
+        versesLeftOut: result.versesLeftOut,
+    };
+
+    console.log(JSON.stringify(output, null, 2));
+}
+
+// ============================================================================
+// Main
+// ============================================================================
+
+async function main(args = process.argv.slice(2)) {
+    let options;
+    try {
+        options = parseArgs(args);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        console.error('Use --help for usage information.');
+        process.exit(1);
+    }
+
+    if (options.help) {
+        console.log(usage);
+        process.exit(0);
+    }
+
+    if (options.rebuildIndex) {
+        bible.requestIndexRebuild();
+    }
+    bible.setAramaicMode(options.aramaic);
+
+    let result;
+    try {
+        result = compareTexts(options);
+    } catch (error) {
+        console.error(`Comparison error: ${error.message}`);
+        process.exit(1);
+    }
+
+    switch (options.format) {
+        case 'json':
+            formatJson(result, options);
+            break;
+        case 'text':
+        default:
+            formatText(result, options);
+            break;
+    }
+}
+
+// Export for testing (main() is also run by the daemon)
+export {
+    main,
+    parseArgs,
+    compareTexts,
+    formatDifference,
+};
+
+// Run main if executed directly
+const isMainModule = process.argv[1] && import.meta.url === `file://${process.argv[1]}`;
+if (isMainModule) {
+    runTool('bible_compare_texts', main).catch(error => {
+        console.error(`Fatal error: ${error.message}`);
+        process.exit(1);
+    });
+}
@@ -35,14 +35,29 @@ OPTIONS:
                         "adjacent" - next to each other
                         "N" - within N words
 
+    --measure=MEASURE   How to rank the co-occurring words (and score a word pair):
+                        "count" (default) - raw count of co-occurrences
+                        "log-likelihood"  - Dunning's G² (a significance test)
+                        "chi-square"      - Pearson's χ² (a significance test)
+                        "t-score"         - favors frequent, well-attested pairs
+                        "dice"            - favors pairs that mostly occur together
+                        "mi3"             - MI³: PMI, less biased toward rare words
+                        "pmi"             - pointwise mutual information (log2)
+    --significance=P    With log-likelihood or chi-square: only show results significant
+                        at P - "0.05", "0.01" or "0.001"
+
     --top=N             Show top N co-occurring words (default: 20)
     --min=N             Only show words appearing N+ times together
     --show-examples=N   Show N example verses for each co-occurrence
     --by-strong         Group results by Strong's number instead of word
     --range=RANGE       Limit to specific range
     --include-stopwords Include function words in results
+    --reading=FORM      Ketiv/qere pairs: match the "ketiv", the "qere" or "both"
+                        (default: both - every word the text has)
     --no-points         Remove nikud from output
     --format=FORMAT     Output format: "text" (default), "json"
+    --aramaic=MODE      Aramaic sections (Daniel, Ezra...): "exclude" (default), "include" or "only"
+    --rebuild-index     Re-parse the source data and rewrite the index cache
 
 EXAMPLES:
     # What words appear with "מים" (water)?
@@ -57,13 +72,29 @@ EXAMPLES:
     # Co-occurrences within 3 words
     ./bible_cooccurrences.js "<טוב>" --proximity=3
 
+    # Real associations, not just frequent words: significant at p < 0.001
+    ./bible_cooccurrences.js "<מים>" --measure=log-likelihood --significance=0.001
+
+    # How strongly do two words attract each other?
+    ./bible_cooccurrences.js "<חסד>" "<אמת>" --measure=dice
+
 NOTES:
-    - Aramaic sections excluded (not relevant for Hebrew linguistic research)
+    - Aramaic sections excluded by default (--aramaic=include or only to study them);
+      Aramaic words and verses are marked [Aramaic] (JSON: "aramaic": true)
     - Common function words (את, אשר, על, etc.) are filtered from results
       unless --include-stopwords is used
-    - Results sorted by frequency (most common first)
+    - Results sorted by frequency (most common first), or by --measure
     - Percentage shows what fraction of the primary word's occurrences
       include the co-occurring word
+    - Association measures count VERSES (in the range) in a 2x2 table: verses with the
+      query word and/or the co-occurring word. "Observed" is the number of the query's
+      verses with the co-occurring word (within --proximity); "Expected" is the number
+      to expect if the two words were independent (query verses × word verses / all verses)
+    - Log-likelihood and chi-square are signed: negative values mean the words avoid each
+      other (observed < expected). Critical values (1 degree of freedom): 3.84 (p<0.05),
+      6.63 (p<0.01), 10.83 (p<0.001)
+    - Results observed in fewer than 5 verses are flagged "low evidence" - any
+      measure is unreliable there (chi-square even more so when expected is below 5)
 `;
 
 import * as bible from './bible-utils.js';
@@ -73,6 +104,7 @@ import {
     isStopword,
     parseRange,
 } from './bible-utils.js';
+import { runTool } from './bible-daemon.js';
 
 /**
  * Check if query word matches a word in verse
@@ -108,14 +140,19 @@ function parseArgs(args) {
         word1: null,
         word2: null,
         proximity: 'verse',
+        measure: 'count',
+        significance: null,
         top: 20,
         min: 1,
         showExamples: 0,
         byStrong: false,
         range: null,
+        reading: 'both',
         includeStopwords: false,
         noPoints: false,
         format: 'text',
+        aramaic: 'exclude',
+        rebuildIndex: false,
         help: false,
     };
 
@@ -128,6 +165,10 @@ function parseArgs(args) {
             options.help = true;
         } else if (arg.startsWith('--proximity=')) {
             options.proximity = arg.substring(12);
+        } else if (arg.startsWith('--measure=')) {
+            options.measure = arg.substring(10);
+        } else if (arg.startsWith('--significance=')) {
+            options.significance = arg.substring(15);
         } else if (arg.startsWith('--top=')) {
             options.top = parseInt(arg.substring(6), 10);
         } else if (arg.startsWith('--min=')) {
@@ -138,6 +179,8 @@ function parseArgs(args) {
             options.byStrong = true;
         } else if (arg.startsWith('--range=')) {
             options.range = arg.substring(8);
+        } else if (arg.startsWith('--reading=')) {
+            options.reading = arg.substring(10);
         } else if (arg === '--include-stopwords') {
             options.includeStopwords = true;
         } else if (arg === '--no-points') {
@@ -146,6 +189,10 @@ function parseArgs(args) {
             options.format = arg.substring(9);
         } else if (!arg.startsWith('-')) {
             words.push(arg);
+        } else if (arg.startsWith('--aramaic=')) {
+            options.aramaic = arg.substring(10);
+        } else if (arg === '--rebuild-index') {
+            options.rebuildIndex = true;
         } else {
             throw new Error(`Unknown option: ${arg}`);
         }
@@ -158,6 +205,18 @@ function parseArgs(args) {
         throw new Error(`Invalid format: ${options.format}. Must be text or json.`);
     }
 
+    if (!MEASURES.includes(options.measure)) {
+        throw new Error(`Invalid measure: ${options.measure}. Must be ${MEASURES.join(', ')}.`);
+    }
+    if (options.significance !== null) {
+        if (!(options.significance in CHI_SQUARE_CRITICAL_VALUES)) {
+            throw new Error(`Invalid significance: ${options.significance}. Must be ${Object.keys(CHI_SQUARE_CRITICAL_VALUES).join(', ')}.`);
+        }
+        if (!SIGNIFICANCE_TEST_MEASURES.includes(options.measure)) {
+            throw new Error('--significance requires --measure=log-likelihood or --measure=chi-square');
+        }
+    }
+
     // Parse proximity
     if (options.proximity !== 'verse' && options.proximity !== 'adjacent') {
         const num = parseInt(options.proximity, 10);
@@ -168,9 +227,160 @@ function parseArgs(args) {
         options.proximity = 'distance';
     }
 
+    if (!bible.READINGS.includes(options.reading)) {
+        throw new Error(`Invalid reading: ${options.reading}. Must be ketiv, qere, or both.`);
+    }
+    if (!bible.ARAMAIC_MODES.includes(options.aramaic)) {
+        throw new Error(`Invalid aramaic mode: ${options.aramaic}. Must be exclude, include, or only.`);
+    }
+
     return options;
 }
 
+// ============================================================================
+// Association Measures
+// ============================================================================
+
+/** The --measure values. "count" keeps the raw co-occurrence counts. */
+const MEASURES = ['count', 'log-likelihood', 'chi-square', 't-score', 'dice', 'mi3', 'pmi'];
+
+/** The measures that are significance tests (χ² distributed, 1 degree of freedom) */
+const SIGNIFICANCE_TEST_MEASURES = ['log-likelihood', 'chi-square'];
+
+/** Critical values of χ² with 1 degree of freedom, by p-value - from the smallest (strictest) p */
+const CHI_SQUARE_CRITICAL_VALUES = {
+    '0.001': 10.828,
+    '0.01': 6.635,
+    '0.05': 3.841,
+};
+
+/** Fewer co-occurring verses than this are too little evidence for any measure */
+const LOW_EVIDENCE_COUNT = 5;
+
+/**
+ * @typedef {Object} Association
+ * @property {number} observed - Verses with both words (O11)
+ * @property {number} expected - Verses with both words, if they were independent (E11)
+ * @property {number} score - The measure's value
+ * @property {string | null} significance - The smallest p-value the score passes ("0.001", "0.01", "0.05"), for significance tests
+ * @property {boolean} lowEvidence - Observed fewer than LOW_EVIDENCE_COUNT times
+ */
+
+/**
+ * Compute an association measure from a 2x2 contingency table of verses
+ * @param {string} measure - One of MEASURES (except "count")
+ * @param {number} observed - Verses with both words
+ * @param {number} verses1 - Verses with the first word
+ * @param {number} verses2 - Verses with the second word
+ * @param {number} totalVerses - All verses (in the range)
+ * @returns {Association}
+ */
+function computeAssociation(measure, observed, verses1, verses2, totalVerses) {
+    const n = totalVerses;
+    const o11 = observed;
+    const o12 = verses1 - observed;
+    const o21 = verses2 - observed;
+    const o22 = n - verses1 - verses2 + observed;
+    const e11 = verses1 * verses2 / n;
+    const e12 = verses1 * (n - verses2) / n;
+    const e21 = (n - verses1) * verses2 / n;
+    const e22 = (n - verses1) * (n - verses2) / n;
+    // Negative association (the words avoid each other) gets negative test statistics
+    const sign = o11 >= e11 ? 1 : -1;
+
+    let score;
+    switch (measure) {
+        case 'log-likelihood': {
+            const term = (o, e) => (o > 0 ? o * Math.log(o / e) : 0);
+            score = sign * 2 * (term(o11, e11) + term(o12, e12) + term(o21, e21) + term(o22, e22));
+            break;
+        }
+        case 'chi-square': {
+            const denominator = verses1 * (n - verses1) * verses2 * (n - verses2);
+            score = denominator > 0 ? sign * n * (o11 * o22 - o12 * o21) ** 2 / denominator : 0;
+            break;
+        }
+        case 't-score':
+            score = o11 > 0 ? (o11 - e11) / Math.sqrt(o11) : 0;
+            break;
+        case 'dice':
+            score = (verses1 + verses2) > 0 ? 2 * o11 / (verses1 + verses2) : 0;
+            break;
+        case 'mi3':
+            score = o11 > 0 ? Math.log2(o11 ** 3 / e11) : -Infinity;
+            break;
+        case 'pmi':
+            score = o11 > 0 ? Math.log2(o11 / e11) : -Infinity;
+            break;
+        default:
+            throw new Error(`Unknown measure: ${measure}`);
+    }
+
+    let significance = null;
+    if (SIGNIFICANCE_TEST_MEASURES.includes(measure)) {
+        significance = Object.keys(CHI_SQUARE_CRITICAL_VALUES)
+            .find(pValue => score >= CHI_SQUARE_CRITICAL_VALUES[pValue]) ?? null;
+    }
+
+    return {
+        observed,
+        expected: e11,
+        score,
+        significance,
+        lowEvidence: observed < LOW_EVIDENCE_COUNT,
+    };
+}
+
+/**
+ * Whether an association passes --significance (always true without it)
+ * @param {Association} association
+ * @param {string | null} significance - "0.05", "0.01", "0.001" or null
+ * @returns {boolean}
+ */
+function passesSignificance(association, significance) {
+    return significance === null || association.score >= CHI_SQUARE_CRITICAL_VALUES[significance];
+}
+
+/**
+ * The key a co-occurring word is counted under
+ * @param {string} word
+ * @param {number} strongNum
+ * @param {boolean} byStrong
+ * @returns {string}
+ */
+function getCollocateKey(word, strongNum, byStrong) {
+    return (byStrong && strongNum > 0) ? `H${strongNum}` : bible.makeSearchable(word);
+}
+
+/**
+ * Count the verses in the range, and for each word key - the verses it appears in
+ * @param {Object | null} rangeFilter - From parseRange()
+ * @param {boolean} byStrong - Key by Strong's number (like getCollocateKey)
+ * @param {string} reading - One of bible.READINGS: the words of the ketiv/qere pairs (like the co-occurrence counts)
+ * @returns {{totalVerses: number, keyVerseCounts: Map<string, number>}}
+ */
+function countVersesInRange(rangeFilter, byStrong, reading) {
+    const keyVerseCounts = new Map();
+    let totalVerses = 0;
+
+    for (const verse of bible.getAllVerses()) {
+        if (verse.skipped) continue;
+        if (rangeFilter) {
+            if (!rangeFilter.books.has(verse.book)) continue;
+            if (!rangeFilter.chapterFilter(verse.book, verse.chapterIndex)) continue;
+        }
+        totalVerses++;
+
+        const verseKeys = new Set(bible.selectReading(bible.getVerseTokens(verse), reading)
+            .map(({ word, index }) => getCollocateKey(word, verse.strongs[index], byStrong)));
+        for (const key of verseKeys) {
+            keyVerseCounts.set(key, (keyVerseCounts.get(key) || 0) + 1);
+        }
+    }
+
+    return { totalVerses, keyVerseCounts };
+}
+
 // ============================================================================
 // Co-occurrence Analysis
 // ============================================================================
@@ -196,7 +406,7 @@ function parseArgs(args) {
  */
 function analyzeCooccurrences(query, options = {}) {
     // Search for the query word
-    const searchResult = bible.search(query, { maxResults: 10000 });
+    const searchResult = bible.search(query, { maxResults: 10000, reading: options.reading });
 
     // Parse range filter
     const rangeFilter = parseRange(options.range);
@@ -223,12 +433,11 @@ function analyzeCooccurrences(query, options = {}) {
         // Get matched positions
         const matchedIndexes = new Set(match.matchedWordIndexes);
 
-        // Count co-occurring words
-        for (let i = 0; i < verse.words.length; i++) {
+        // Count co-occurring words (of the reading's form of the ketiv/qere pairs)
+        for (const { word, index: i } of bible.selectReading(bible.getVerseTokens(verse), options.reading ?? 'both')) {
             // Skip the matched words themselves
             if (matchedIndexes.has(i)) continue;
 
-            const word = verse.words[i];
             const strongNum = verse.strongs[i];
 
             // Check proximity
@@ -253,18 +462,15 @@ function analyzeCooccurrences(query, options = {}) {
             }
 
             // Get key for grouping
-            let key;
+            const key = getCollocateKey(word, strongNum, options.byStrong);
             let displayWord = word;
 
             if (options.byStrong && strongNum > 0) {
-                key = `H${strongNum}`;
                 // Get the word from Strong's data if available
                 const strongInfo = bible.getStrongInfo(strongNum);
                 if (strongInfo) {
                     displayWord = strongInfo.word;
                 }
-            } else {
-                key = bible.makeSearchable(word);
             }
 
             // Skip stopwords unless explicitly requested
@@ -276,6 +482,8 @@ function analyzeCooccurrences(query, options = {}) {
                     word: displayWord,
                     searchable: bible.makeSearchable(word),
                     count: 0,
+                    verseCount: 0,
+                    lastLocation: null,
                     strongSet: new Set(),
                     examples: [],
                 });
@@ -283,6 +491,10 @@ function analyzeCooccurrences(query, options = {}) {
 
             const entry = cooccurrenceCounts.get(key);
             entry.count++;
+            if (entry.lastLocation !== verse.location) {
+                entry.lastLocation = verse.location;
+                entry.verseCount++;
+            }
             if (strongNum > 0) entry.strongSet.add(strongNum);
 
             // Collect examples
@@ -293,6 +505,7 @@ function analyzeCooccurrences(query, options = {}) {
                     text: verse.text,
                     matchedWord: verse.words[match.matchedWordIndexes[0]],
                     cooccurWord: word,
+                    ...(verse.isAramaic && { aramaic: true }),
                 });
             }
         }
@@ -306,6 +519,8 @@ function analyzeCooccurrences(query, options = {}) {
             searchable: data.searchable,
             count: data.count,
             percentage: totalVerses > 0 ? (data.count / totalVerses * 100).toFixed(1) : '0.0',
+            // An Aramaic word: all its Strong's numbers only occur in the Aramaic sections
+            ...(data.strongSet.size > 0 && [...data.strongSet].every(bible.isAramaicStrong) && { aramaic: true }),
         };
 
         if (data.strongSet.size > 0) {
@@ -331,8 +546,22 @@ function analyzeCooccurrences(query, options = {}) {
         return entry;
     });
 
-    // Sort by count descending
-    cooccurrences.sort((a, b) => b.count - a.count);
+    // Score with the association measure, then sort by it (or by count) descending
+    const measure = options.measure ?? 'count';
+    let versesInRange = null;
+    if (measure !== 'count') {
+        const { totalVerses: allVerseCount, keyVerseCounts } = countVersesInRange(rangeFilter, options.byStrong, options.reading ?? 'both');
+        versesInRange = allVerseCount;
+        for (const entry of cooccurrences) {
+            const data = cooccurrenceCounts.get(entry.key);
+            entry.wordVerses = keyVerseCounts.get(entry.key) || 0;
+            Object.assign(entry, computeAssociation(measure, data.verseCount, totalVerses, entry.wordVerses, allVerseCount));
+        }
+        cooccurrences = cooccurrences.filter(entry => passesSignificance(entry, options.significance ?? null));
+        cooccurrences.sort((a, b) => (b.score - a.score) || (b.count - a.count));
+    } else {
+        cooccurrences.sort((a, b) => b.count - a.count);
+    }
 
     // Apply min filter
     if (options.min > 1) {
@@ -351,6 +580,8 @@ function analyzeCooccurrences(query, options = {}) {
         cooccurrences,
         proximity: options.proximity,
         proximityDistance: options.proximityDistance,
+        measure,
+        ...(versesInRange !== null && { versesInRange }),
     };
 }
 
@@ -359,8 +590,8 @@ function analyzeCooccurrences(query, options = {}) {
  */
 function analyzeWordPair(query1, query2, options = {}) {
     // Search for both words
-    const search1 = bible.search(query1, { maxResults: 10000 });
-    const search2 = bible.search(query2, { maxResults: 10000 });
+    const search1 = bible.search(query1, { maxResults: 10000, reading: options.reading });
+    const search2 = bible.search(query2, { maxResults: 10000, reading: options.reading });
 
     // Parse range filter
     const rangeFilter = parseRange(options.range);
@@ -438,6 +669,7 @@ function analyzeWordPair(query1, query2, options = {}) {
             word1,
             word2,
             distance: minDistance === Infinity ? null : minDistance,
+            ...(verse.isAramaic && { aramaic: true }),
         });
 
         // Count by book
@@ -471,6 +703,25 @@ function analyzeWordPair(query1, query2, options = {}) {
         }
     }
 
+    // Association of the pair (verses in the range as units)
+    let association;
+    if ((options.measure ?? 'count') !== 'count') {
+        let versesInRange = 0;
+        for (const verse of bible.getAllVerses()) {
+            if (verse.skipped) continue;
+            if (rangeFilter) {
+                if (!rangeFilter.books.has(verse.book)) continue;
+                if (!rangeFilter.chapterFilter(verse.book, verse.chapterIndex)) continue;
+            }
+            versesInRange++;
+        }
+        association = {
+            measure: options.measure,
+            versesInRange,
+            ...computeAssociation(options.measure, cooccurringVerses.length, locations1.size, locations2.size, versesInRange),
+        };
+    }
+
     return {
         query1,
         query2,
@@ -485,6 +736,7 @@ function analyzeWordPair(query1, query2, options = {}) {
         examples,
         proximity: options.proximity,
         proximityDistance: options.proximityDistance,
+        ...(association && { association }),
     };
 }
 
@@ -499,6 +751,32 @@ function formatWord(word, noPoints) {
     return noPoints ? bible.removeNikud(word) : word;
 }
 
+/**
+ * Format an association score for display
+ * @param {number} score
+ * @returns {string}
+ */
+function formatScore(score) {
+    return Number.isFinite(score) ? score.toFixed(2) : String(score);
+}
+
+/**
+ * Describe an association: observed, expected, score, significance, evidence
+ * @param {Object} association - An Association (with its measure)
+ * @param {string} measure
+ * @returns {string}
+ */
+function formatAssociation(association, measure) {
+    let text = `observed ${association.observed}, expected ${association.expected.toFixed(1)}, ${measure} ${formatScore(association.score)}`;
+    if (SIGNIFICANCE_TEST_MEASURES.includes(measure)) {
+        text += association.significance ? ` (p < ${association.significance})` : ' (not significant)';
+    }
+    if (association.lowEvidence) {
+        text += ' [low evidence]';
+    }
+    return text;
+}
+
 /**
  * Format single-word co-occurrence results as text
  */
@@ -523,6 +801,10 @@ function formatSingleWordText(result, options) {
         lines.push(`Proximity: within ${result.proximityDistance} words`);
     }
 
+    if (result.measure !== 'count') {
+        lines.push(`Measure: ${result.measure} (verses as units: ${result.versesInRange} in range)`);
+    }
+
     lines.push('');
 
     if (result.cooccurrences.length === 0) {
@@ -536,14 +818,17 @@ function formatSingleWordText(result, options) {
 
     // Calculate column widths
     const maxWordLen = Math.max(...result.cooccurrences.map(e =>
-        formatWord(e.word, options.noPoints).length));
+        bible.labelAramaic(formatWord(e.word, options.noPoints), e.aramaic).length));
 
     for (const entry of result.cooccurrences) {
-        const word = formatWord(entry.word, options.noPoints);
+        const word = bible.labelAramaic(formatWord(entry.word, options.noPoints), entry.aramaic);
         const paddedWord = word.padStart(maxWordLen);
         const countStr = String(entry.count).padStart(5);
 
         let line = `  ${paddedWord}  ${countStr} times  (${entry.percentage}%)`;
+        if (result.measure !== 'count') {
+            line += `  ${formatAssociation(entry, result.measure)}`;
+        }
         if (entry.strongNumbers && entry.strongNumbers.length > 0) {
             const strongs = entry.strongNumbers.slice(0, 2).map(n => `H${n}`).join('/');
             line += `  [${strongs}]`;
@@ -552,7 +837,7 @@ function formatSingleWordText(result, options) {
 
         if (entry.examples && entry.examples.length > 0) {
             for (const ex of entry.examples) {
-                lines.push(`      (${ex.location}) ${ex.text.substring(0, 60)}...`);
+                lines.push(`      ${bible.labelAramaic(`(${ex.location})`, ex.aramaic)} ${ex.text.substring(0, 60)}...`);
             }
         }
     }
@@ -573,6 +858,10 @@ function formatWordPairText(result, options) {
     lines.push(`  ${result.query2}: ${result.word2Count} verses`);
     lines.push(`  Together: ${result.cooccurrenceCount} verses`);
     lines.push(`  (${result.percentage1}% of ${result.query1}, ${result.percentage2}% of ${result.query2})`);
+    if (result.association) {
+        lines.push(`  Association: ${formatAssociation(result.association, result.association.measure)}`);
+        lines.push(`  (verses as units: ${result.association.versesInRange} in range)`);
+    }
 
     // Proximity info
     if (result.proximity === 'adjacent') {
@@ -586,7 +875,7 @@ function formatWordPairText(result, options) {
     if (result.examples.length > 0) {
         lines.push('Examples:');
         for (const ex of result.examples) {
-            lines.push(`  (${ex.location}) ${ex.text}`);
+            lines.push(`  ${bible.labelAramaic(`(${ex.location})`, ex.aramaic)} ${ex.text}`);
         }
         lines.push('');
     }
@@ -629,9 +918,7 @@ function formatJson(result, options) {
 // Main
 // ============================================================================
 
-async function main() {
-    const args = process.argv.slice(2);
-
+async function main(args = process.argv.slice(2)) {
     let options;
     try {
         options = parseArgs(args);
@@ -646,6 +933,11 @@ async function main() {
         process.exit(options.help ? 0 : 1);
     }
 
+    if (options.rebuildIndex) {
+        bible.requestIndexRebuild();
+    }
+    bible.setAramaicMode(options.aramaic);
+
     let result;
     try {
         if (options.word2) {
@@ -670,13 +962,16 @@ async function main() {
     }
 }
 
-// Export for testing
+// Export for testing (main() is also run by the daemon)
 export {
+    main,
     parseArgs,
     parseRange,
     isStopword,
     analyzeCooccurrences,
     analyzeWordPair,
+    computeAssociation,
+    MEASURES,
     STOPWORDS,
     SECTION_NAMES,
 };
@@ -684,7 +979,7 @@ export {
 // Run main if executed directly
 const isMainModule = process.argv[1] && import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-    main().catch(error => {
+    runTool('bible_cooccurrences', main).catch(error => {
         console.error(`Fatal error: ${error.message}`);
         process.exit(1);
     });
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+'use strict';
+
+const usage = `
+bible_daemon - Keep the Bible data warm for the other bible_* tools
+
+INTENT/GOAL:
+    Every bible_* tool is a separate process that loads the whole corpus.
+    When this daemon is running, the tools hand their command line over to it
+    and print its answer instead - same output, same exit code, no loading.
+    When it is not running, the tools load the data themselves as usual.
+
+SYNTAX:
+    ./bible_daemon.js <command> [options]
+
+COMMANDS:
+    start               Load the data and serve requests (runs in the foreground)
+    status              Show whether a daemon is running
+    stop                Stop the running daemon
+
+OPTIONS:
+    --socket=PATH       Unix socket path (default: per-checkout path in the temp directory,
+                        or the BIBLE_DAEMON_SOCKET environment variable)
+    --format=FORMAT     Output format for "status": "text" (default), "json"
+
+EXAMPLES:
+    # Start the daemon in the background
+    ./bible_daemon.js start &
+
+    # Tools now answer through the daemon
+    ./bible_search.js "<אור>"
+
+    # Force in-process loading for one call
+    BIBLE_NO_DAEMON=1 ./bible_search.js "<אור>"
+
+    # Check and stop
+    ./bible_daemon.js status
+    ./bible_daemon.js stop
+
+NOTES:
+    - The daemon stops by itself when the data files or the tools' code change;
+      the request that noticed it falls back to in-process loading
+    - Requests are served one at a time
+    - Tools started with BIBLE_DAEMON_SOCKET set use that socket instead of the default one
+`;
+
+import {
+    startDaemon,
+    getDaemonStatus,
+    stopDaemon,
+    DAEMON_SOCKET_PATH,
+} from './bible-daemon.js';
+
+/**
+ * Parse command line arguments
+ * @param {string[]} args
+ * @returns {Object}
+ */
+function parseArgs(args) {
+    const options = {
+        command: null,
+        socketPath: DAEMON_SOCKET_PATH,
+        format: 'text',
+        help: false,
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg.startsWith('--socket=')) {
+            options.socketPath = arg.substring(9);
+        } else if (arg.startsWith('--format=')) {
+            options.format = arg.substring(9);
+        } else if (!arg.startsWith('-')) {
+            options.command = arg;
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (options.command !== null && !['start', 'status', 'stop'].includes(options.command)) {
+        throw new Error(`Unknown command: ${options.command}. Must be start, status, or stop.`);
+    }
+    if (!['text', 'json'].includes(options.format)) {
+        throw new Error(`Invalid format: ${options.format}. Must be text or json.`);
+    }
+
+    return options;
+}
+
+// ============================================================================
+// Main Entry Point
+// ============================================================================
+
+async function main(args = process.argv.slice(2)) {
+    let options;
+    try {
+        options = parseArgs(args);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        console.error('Use --help for usage information.');
+        process.exit(1);
+    }
+
+    if (options.help || !options.command) {
+        console.log(usage);
+        process.exit(options.help ? 0 : 1);
+    }
+
+    switch (options.command) {
+        case 'start': {
+            const server = await startDaemon({
+                socketPath: options.socketPath,
+                log: message => console.error(`bible_daemon: ${message}`),
+            });
+            const stop = () => server.close();
+            process.on('SIGINT', stop);
+            process.on('SIGTERM', stop);
+            server.on('close', () => console.error('bible_daemon: Stopped'));
+            break;
+        }
+        case 'status': {
+            const status = await getDaemonStatus({ socketPath: options.socketPath });
+            if (options.format === 'json') {
+                console.log(JSON.stringify(status, null, 2));
+            } else if (status) {
+                console.log(`Running: pid ${status.pid}, since ${status.startedAt}, ${status.requestCount} requests served`);
+                console.log(`Socket: ${status.socketPath}`);
+            } else {
+                console.log(`Not running (socket: ${options.socketPath})`);
+            }
+            break;
+        }
+        case 'stop': {
+            const wasRunning = await stopDaemon({ socketPath: options.socketPath });
+            console.log(wasRunning ? 'Stopped' : 'Not running');
+            break;
+        }
+    }
+}
+
+// Export for testing
+export {
+    parseArgs,
+};
+
+// Run main if executed directly
+const isMainModule = process.argv[1] && import.meta.url === `file://${process.argv[1]}`;
+if (isMainModule) {
+    main().catch(error => {
+        console.error(`Fatal error: ${error.message}`);
+        process.exit(1);
+    });
+}
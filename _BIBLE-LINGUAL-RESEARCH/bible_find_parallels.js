@@ -14,11 +14,21 @@ INTENT/GOAL:
     - Identifies formulaic phrases and patterns
     - Helps understand word meaning through parallel substitution
 
+    Echoes often span several verses, or share an ordered phrase of a few words.
+    Two more modes find those:
+    - Passages (--window=N): the verse and the N-1 verses after it, against every
+      window of N consecutive verses
+    - Shared phrases (--ngram=N): verses sharing an ordered sequence of at least N
+      Strong's numbers with the source, ranked by how rare the sequence is
+
 SYNTAX:
     ./bible_find_parallels.js <reference> [options]
 
 OPTIONS:
-    --min-similarity=N  Minimum similarity score (0-1, default: 0.3)
+    --window=N          Compare passages of N consecutive verses (default: 1)
+    --ngram=N           Find shared ordered sequences of at least N words (2-10)
+                        instead of overall similarity
+    --min-similarity=N  Minimum similarity score (0-1, default: 0.3, not for --ngram)
     --max-results=N     Maximum parallel verses to return (default: 20)
     --same-book         Only find parallels within the same book
     --different-book    Only find parallels in different books
@@ -26,6 +36,8 @@ OPTIONS:
     --range=RANGE       Limit search to specific range
     --no-points         Remove nikud from output
     --format=FORMAT     Output format: "text" (default), "json"
+    --aramaic=MODE      Aramaic sections (Daniel, Ezra...): "exclude" (default), "include" or "only"
+    --rebuild-index     Re-parse the source data and rewrite the index cache
 
 EXAMPLES:
     # Find verses parallel to Genesis 1:1
@@ -37,6 +49,12 @@ EXAMPLES:
     # Higher similarity threshold
     ./bible_find_parallels.js "תהילים 23:1" --min-similarity=0.4
 
+    # Passages of 3 verses echoing Genesis 1:1-3
+    ./bible_find_parallels.js "בראשית 1:1" --window=3
+
+    # Verses sharing a phrase of 3+ words with Isaiah 40:3
+    ./bible_find_parallels.js "ישעיהו 40:3" --ngram=3 --different-book
+
 SIMILARITY CALCULATION:
     Similarity is based on:
     - Shared Strong's numbers (semantic match)
@@ -46,10 +64,26 @@ SIMILARITY CALCULATION:
     A score of 1.0 = identical verses
     A score of 0.3+ = some significant overlap
 
+    With --window, a window's score is that of all its verses together.
+    Overlapping windows echo the same passage - only the best of them is shown.
+
+SHARED SEQUENCES (--ngram):
+    A sequence is a run of Strong's numbers in the same order in both verses
+    (stopwords skipped, so את/אשר between the words don't break it), within a verse,
+    extended to its full shared length. Its rarity = ln(verses in range / verses
+    containing it): a phrase found in 2 verses outranks a formula found in 200.
+    With --window, every verse of the source passage is searched.
+
+ALIGNMENT:
+    With --window and --ngram, the text output aligns the two passages word by word:
+        source word   =  parallel word   H1254     (shared Strong's number)
+        source words  ·  parallel words            (the words between)
+
 NOTES:
     - Similarity matching uses Strong's numbers, not just spelling
     - Common words (את, אשר) are weighted lower
-    - Aramaic sections excluded (not relevant for Hebrew linguistic research)
+    - Aramaic sections excluded by default (--aramaic=include or only to study them);
+      Aramaic verses and words are marked [Aramaic] (JSON: "aramaic": true)
 `;
 
 import * as bible from './bible-utils.js';
@@ -57,7 +91,9 @@ import {
     STOPWORD_STRONGS,
     parseRange,
     parseHebrewOrArabicNumber,
+    displayWidth,
 } from './bible-utils.js';
+import { runTool } from './bible-daemon.js';
 
 // ============================================================================
 // Helpers
@@ -95,9 +131,17 @@ const parseNumber = parseHebrewOrArabicNumber;
 // Argument Parsing
 // ============================================================================
 
+/** Largest --window (verses) */
+const MAX_WINDOW = 20;
+
+/** Largest --ngram (words) */
+const MAX_NGRAM = 10;
+
 function parseArgs(args) {
     const options = {
         reference: null,
+        window: 1,
+        ngram: null,
         minSimilarity: 0.3,
         maxResults: 20,
         sameBook: false,
@@ -106,6 +150,8 @@ function parseArgs(args) {
         range: null,
         noPoints: false,
         format: 'text',
+        aramaic: 'exclude',
+        rebuildIndex: false,
         help: false,
     };
 
@@ -114,6 +160,10 @@ function parseArgs(args) {
 
         if (arg === '--help' || arg === '-h') {
             options.help = true;
+        } else if (arg.startsWith('--window=')) {
+            options.window = parseInt(arg.substring(9), 10);
+        } else if (arg.startsWith('--ngram=')) {
+            options.ngram = parseInt(arg.substring(8), 10);
         } else if (arg.startsWith('--min-similarity=')) {
             options.minSimilarity = parseFloat(arg.substring(17));
         } else if (arg.startsWith('--max-results=')) {
@@ -132,6 +182,10 @@ function parseArgs(args) {
             options.format = arg.substring(9);
         } else if (!arg.startsWith('-')) {
             options.reference = arg;
+        } else if (arg.startsWith('--aramaic=')) {
+            options.aramaic = arg.substring(10);
+        } else if (arg === '--rebuild-index') {
+            options.rebuildIndex = true;
         } else {
             throw new Error(`Unknown option: ${arg}`);
         }
@@ -145,6 +199,17 @@ function parseArgs(args) {
         throw new Error('Cannot use both --same-book and --different-book');
     }
 
+    if (!(options.window >= 1 && options.window <= MAX_WINDOW)) {
+        throw new Error(`Invalid window: ${options.window}. Must be 1-${MAX_WINDOW}.`);
+    }
+
+    if (options.ngram !== null && !(options.ngram >= 2 && options.ngram <= MAX_NGRAM)) {
+        throw new Error(`Invalid ngram: ${options.ngram}. Must be 2-${MAX_NGRAM}.`);
+    }
+    if (!bible.ARAMAIC_MODES.includes(options.aramaic)) {
+        throw new Error(`Invalid aramaic mode: ${options.aramaic}. Must be exclude, include, or only.`);
+    }
+
     return options;
 }
 
@@ -152,21 +217,23 @@ function parseArgs(args) {
 // IDF (Inverse Document Frequency) Calculation
 // ============================================================================
 
-let _idfCache = null;
-let _totalVerses = 0;
+/** Aramaic mode -> {idf, total} */
+const _idfCache = new Map();
 
 /**
- * Build IDF weights for all Strong's numbers
- * @returns {Map<number, number>}
+ * Build IDF weights for all Strong's numbers (over the verses of the current Aramaic mode)
+ * @returns {{idf: Map<number, number>, total: number}}
  */
 function buildIDF(options) {
-    if (_idfCache) return { idf: _idfCache, total: _totalVerses };
+    const mode = bible.getAramaicMode();
+    if (_idfCache.has(mode)) return _idfCache.get(mode);
 
     const docFreq = new Map(); // Strong's number -> number of verses containing it
     const allVerses = bible.getAllVerses();
     let total = 0;
 
     for (const verse of allVerses) {
+        if (verse.skipped) continue;
         total++;
         const seenStrongs = new Set();
 
@@ -184,8 +251,7 @@ function buildIDF(options) {
         idf.set(strong, Math.log(total / freq));
     }
 
-    _idfCache = idf;
-    _totalVerses = total;
+    _idfCache.set(mode, { idf, total });
     return { idf, total };
 }
 
@@ -248,6 +314,20 @@ function getSharedStrongs(sig1, sig2) {
     return [...strongs1].filter(s => strongs2.has(s));
 }
 
+/**
+ * Get the words of Strong's numbers (their dictionary forms)
+ */
+function getSharedWords(sharedStrongs) {
+    const sharedWords = [];
+    for (const strong of sharedStrongs) {
+        const info = bible.getStrongInfo(strong);
+        if (info) {
+            sharedWords.push(info.word);
+        }
+    }
+    return sharedWords;
+}
+
 // ============================================================================
 // Parallel Finding
 // ============================================================================
@@ -261,6 +341,9 @@ function findVerse(book, chapter, verse) {
     for (const v of allVerses) {
         // chapterIndex and verseIndex are 0-based, chapter and verse are 1-based
         if (v.book === book && v.chapterIndex === chapter - 1 && v.verseIndex === verse - 1) {
+            if (v.skipped) {
+                throw new Error(`Verse ${book} ${chapter}:${verse} is left out by --aramaic=${bible.getAramaicMode()} (try --aramaic=include)`);
+            }
             return v;
         }
     }
@@ -304,6 +387,13 @@ function buildInvertedIndex(options) {
  * Find parallel verses
  */
 function findParallels(sourceRef, options) {
+    if (options.ngram) {
+        return findSequenceParallels(sourceRef, options);
+    }
+    if (options.window > 1) {
+        return findPassageParallels(sourceRef, options);
+    }
+
     const { book, chapter, verse } = parseReference(sourceRef);
     const sourceVerse = findVerse(book, chapter, verse);
 
@@ -315,6 +405,7 @@ function findParallels(sourceRef, options) {
                 reference: sourceVerse.location,
                 text: sourceVerse.text,
                 strongs: sourceVerse.strongs.filter(s => s > 0),
+                ...(sourceVerse.isAramaic && { aramaic: true }),
             },
             parallels: [],
         };
@@ -361,15 +452,7 @@ function findParallels(sourceRef, options) {
 
         if (similarity >= options.minSimilarity) {
             const sharedStrongs = getSharedStrongs(sourceSig, candidateSig);
-
-            // Get words for shared Strong's
-            const sharedWords = [];
-            for (const strong of sharedStrongs) {
-                const info = bible.getStrongInfo(strong);
-                if (info) {
-                    sharedWords.push(info.word);
-                }
-            }
+            const sharedWords = getSharedWords(sharedStrongs);
 
             results.push({
                 reference: candidate.location,
@@ -379,6 +462,7 @@ function findParallels(sourceRef, options) {
                 sharedStrongs,
                 sharedWords,
                 strongCount: candidate.strongs.filter(s => s > 0 && !STOPWORD_STRONGS.has(s)).length,
+                ...(candidate.isAramaic && { aramaic: true }),
             });
         }
     }
@@ -392,11 +476,401 @@ function findParallels(sourceRef, options) {
             book: sourceVerse.book,
             text: sourceVerse.text,
             strongs: sourceVerse.strongs.filter(s => s > 0 && !STOPWORD_STRONGS.has(s)),
+            ...(sourceVerse.isAramaic && { aramaic: true }),
         },
         parallels: results.slice(0, options.maxResults),
     };
 }
 
+// ============================================================================
+// Passages (Verse Windows)
+// ============================================================================
+
+/**
+ * @typedef {Object} Passage
+ * @property {Object[]} verses - Consecutive verses of one book
+ * @property {string} reference - e.g. "בראשית א:א-ג"
+ * @property {string} text - The verses' texts, joined
+ * @property {string[]} words - The verses' words, joined
+ * @property {number[]} strongs - The verses' Strong's numbers, joined (aligned with words)
+ */
+
+let _locationToIndex = null;
+
+/**
+ * Get a verse's position in bible.getAllVerses()
+ * @param {string} location - e.g. "בראשית א:א"
+ * @returns {number}
+ */
+function getVerseIndex(location) {
+    if (!_locationToIndex) {
+        _locationToIndex = new Map(bible.getAllVerses().map((verse, index) => [verse.location, index]));
+    }
+    return _locationToIndex.get(location);
+}
+
+/**
+ * Format the reference of consecutive verses: "בראשית א:א-ג", "בראשית א:לא-ב:ב"
+ * @param {Object[]} verses
+ * @returns {string}
+ */
+function formatPassageReference(verses) {
+    const first = verses[0];
+    const last = verses[verses.length - 1];
+    if (verses.length === 1) return first.location;
+    if (first.chapterIndex === last.chapterIndex) return `${first.location}-${last.verse}`;
+    return `${first.location}-${last.chapter}:${last.verse}`;
+}
+
+/**
+ * Get the passage of `size` verses starting at a verse - cut at the end of the book
+ * @param {number} startIndex - Position in bible.getAllVerses()
+ * @param {number} size - Number of verses
+ * @returns {Passage}
+ */
+function getPassage(startIndex, size) {
+    const allVerses = bible.getAllVerses();
+    const book = allVerses[startIndex].book;
+    const verses = [];
+    for (let i = startIndex; i < startIndex + size && i < allVerses.length && allVerses[i].book === book; i++) {
+        verses.push(allVerses[i]);
+    }
+    return {
+        verses,
+        reference: formatPassageReference(verses),
+        text: verses.map(verse => verse.text).join(' '),
+        words: verses.flatMap(verse => verse.words),
+        strongs: verses.flatMap(verse => verse.strongs),
+    };
+}
+
+/**
+ * Get the source passage of a reference: the verse and the following verses (--window)
+ * @param {string} sourceRef - e.g. "בראשית 1:1"
+ * @param {number} size - Number of verses
+ * @returns {{passage: Passage, startIndex: number}}
+ */
+function getSourcePassage(sourceRef, size) {
+    const { book, chapter, verse } = parseReference(sourceRef);
+    const startIndex = getVerseIndex(findVerse(book, chapter, verse).location);
+    return { passage: getPassage(startIndex, size), startIndex };
+}
+
+/**
+ * Describe the source passage in the result
+ * @param {Passage} passage
+ * @returns {Object}
+ */
+function describeSource(passage) {
+    return {
+        reference: passage.reference,
+        book: passage.verses[0].book,
+        text: passage.text,
+        strongs: passage.strongs.filter(s => s > 0 && !STOPWORD_STRONGS.has(s)),
+        verses: passage.verses.map(verse => verse.location),
+        ...(passage.verses.some(verse => verse.isAramaic) && { aramaic: true }),
+    };
+}
+
+/**
+ * Make a verse filter out of --range
+ * @param {Object} options
+ * @returns {function(Object): boolean}
+ */
+function makeRangeCheck(options) {
+    const rangeFilter = parseRange(options.range);
+    return verse => !rangeFilter ||
+        (rangeFilter.books.has(verse.book) && rangeFilter.chapterFilter(verse.book, verse.chapterIndex));
+}
+
+/**
+ * Find passages parallel to a passage: sliding windows of the same number of verses,
+ * scored like single verses (IDF-weighted overlap of their Strong's numbers).
+ * Overlapping windows echo the same passage - only the best of them is kept.
+ * @param {string} sourceRef
+ * @param {Object} options
+ * @returns {Object}
+ */
+function findPassageParallels(sourceRef, options) {
+    const { passage: source, startIndex: sourceStart } = getSourcePassage(sourceRef, options.window);
+    const size = source.verses.length;
+    const sourceSig = getVerseSignature(source);
+    const result = { mode: 'window', window: options.window, source: describeSource(source), parallels: [] };
+    if (sourceSig.length === 0) return result;
+
+    const { idf } = buildIDF(options);
+    const invertedIndex = buildInvertedIndex(options);
+    const inRange = makeRangeCheck(options);
+
+    // Candidate windows: those containing a verse that shares a Strong's number
+    const candidateStarts = new Set();
+    for (const strong of new Set(sourceSig.map(s => s.strong))) {
+        for (const location of invertedIndex.get(strong) || []) {
+            const index = getVerseIndex(location);
+            for (let start = Math.max(0, index - size + 1); start <= index; start++) {
+                candidateStarts.add(start);
+            }
+        }
+    }
+
+    const candidates = [];
+    for (const start of candidateStarts) {
+        // Not overlapping the source
+        if (start <= sourceStart + size - 1 && start + size - 1 >= sourceStart) continue;
+
+        const candidate = getPassage(start, size);
+        if (candidate.verses.length < size || !candidate.verses.every(inRange)) continue;
+
+        const candidateBook = candidate.verses[0].book;
+        if (options.sameBook && candidateBook !== source.verses[0].book) continue;
+        if (options.differentBook && candidateBook === source.verses[0].book) continue;
+
+        const candidateSig = getVerseSignature(candidate);
+        const similarity = calculateSimilarity(sourceSig, candidateSig, idf);
+        if (similarity >= options.minSimilarity) {
+            candidates.push({ start, candidate, candidateSig, similarity });
+        }
+    }
+
+    candidates.sort((a, b) => b.similarity - a.similarity || a.start - b.start);
+
+    for (const { start, candidate, candidateSig, similarity } of candidates) {
+        if (result.parallels.length >= options.maxResults) break;
+        // Windows closer than their size share verses
+        if (result.parallels.some(parallel => Math.abs(parallel.start - start) < size)) continue;
+
+        const sharedStrongs = getSharedStrongs(sourceSig, candidateSig);
+        result.parallels.push({
+            start,
+            reference: candidate.reference,
+            book: candidate.verses[0].book,
+            text: candidate.text,
+            similarity: parseFloat(similarity.toFixed(3)),
+            sharedStrongs,
+            sharedWords: getSharedWords(sharedStrongs),
+            strongCount: candidateSig.length,
+            verses: candidate.verses.map(verse => verse.location),
+            ...(candidate.verses.some(verse => verse.isAramaic) && { aramaic: true }),
+            alignment: alignPassages(source, candidate),
+        });
+    }
+
+    for (const parallel of result.parallels) {
+        delete parallel.start;
+    }
+    return result;
+}
+
+// ============================================================================
+// Shared Sequences (N-grams)
+// ============================================================================
+
+/**
+ * @typedef {Object} SharedSequence
+ * @property {number[]} strongs - The shared Strong's numbers, in order (stopwords skipped)
+ * @property {number} length
+ * @property {number} verses - Verses of the range that contain the sequence (the source included)
+ * @property {number} rarity - log(verses in the range / verses) - rarer sequences score higher
+ * @property {string} sourceReference - The source verse that has the sequence
+ * @property {AlignmentRow[]} alignment
+ */
+
+/**
+ * Get the n-grams of a signature
+ * @param {{strong: number, position: number}[]} signature - From getVerseSignature()
+ * @param {number} n
+ * @returns {string[]} - Keys: "430,1254,8064"
+ */
+function getSignatureNgrams(signature, n) {
+    const ngrams = [];
+    for (let i = 0; i + n <= signature.length; i++) {
+        ngrams.push(signature.slice(i, i + n).map(s => s.strong).join(','));
+    }
+    return ngrams;
+}
+
+/**
+ * Find verses sharing an ordered sequence of at least N Strong's numbers with the source (stopwords skipped).
+ * Sequences are extended to their full shared length, and ranked by rarity: a phrase that occurs
+ * in few verses is a better witness of an echo than a common formula.
+ * @param {string} sourceRef
+ * @param {Object} options - options.ngram: the minimal sequence length
+ * @returns {Object}
+ */
+function findSequenceParallels(sourceRef, options) {
+    const n = options.ngram;
+    const { passage: source } = getSourcePassage(sourceRef, options.window || 1);
+    const result = { mode: 'ngram', ngram: n, window: options.window || 1, source: describeSource(source), parallels: [] };
+
+    // n-gram -> where it starts in the source verses
+    const sourceSignatures = source.verses.map(verse => getVerseSignature(verse));
+    const sourceNgrams = new Map();
+    sourceSignatures.forEach((signature, sourceVerse) => {
+        getSignatureNgrams(signature, n).forEach((key, sourceStart) => {
+            if (!sourceNgrams.has(key)) {
+                sourceNgrams.set(key, []);
+            }
+            sourceNgrams.get(key).push({ sourceVerse, sourceStart });
+        });
+    });
+    if (sourceNgrams.size === 0) return result;
+
+    // Maximal shared runs, per verse
+    const inRange = makeRangeCheck(options);
+    const sourceLocations = new Set(source.verses.map(verse => verse.location));
+    const matches = [];
+    let totalVerses = 0;
+    for (const verse of bible.getAllVerses()) {
+        if (verse.skipped || !inRange(verse)) continue;
+        totalVerses++;
+        if (sourceLocations.has(verse.location)) continue;
+
+        const signature = getVerseSignature(verse);
+        const runs = [];
+        getSignatureNgrams(signature, n).forEach((key, targetStart) => {
+            for (const { sourceVerse, sourceStart } of sourceNgrams.get(key) || []) {
+                const sourceSig = sourceSignatures[sourceVerse];
+                // Only where a run starts
+                if (sourceStart > 0 && targetStart > 0 &&
+                    sourceSig[sourceStart - 1].strong === signature[targetStart - 1].strong) continue;
+
+                let length = n;
+                while (sourceStart + length < sourceSig.length && targetStart + length < signature.length &&
+                    sourceSig[sourceStart + length].strong === signature[targetStart + length].strong) {
+                    length++;
+                }
+                runs.push({ sourceVerse, sourceStart, targetStart, length });
+            }
+        });
+        if (runs.length > 0) {
+            const keys = runs.map(run => `,${signature.slice(run.targetStart, run.targetStart + run.length).map(s => s.strong).join(',')},`);
+            matches.push({ verse, signature, runs, keys });
+        }
+    }
+
+    // Rarity: in how many verses of the range each sequence occurs
+    const verseCounts = new Map();
+    for (const { keys } of matches) {
+        for (const key of keys) {
+            if (verseCounts.has(key)) continue;
+            const count = matches.filter(match => match.keys.some(other => other.includes(key))).length;
+            verseCounts.set(key, count + 1);
+        }
+    }
+
+    const sourceBook = source.verses[0].book;
+    for (const { verse, signature, runs, keys } of matches) {
+        if (options.sameBook && verse.book !== sourceBook) continue;
+        if (options.differentBook && verse.book === sourceBook) continue;
+
+        const sequences = runs.map((run, runIndex) => {
+            const sourceVerse = source.verses[run.sourceVerse];
+            const sourceSig = sourceSignatures[run.sourceVerse];
+            const pairs = [];
+            for (let i = 0; i < run.length; i++) {
+                pairs.push({
+                    sourceIndex: sourceSig[run.sourceStart + i].position,
+                    targetIndex: signature[run.targetStart + i].position,
+                    strong: signature[run.targetStart + i].strong,
+                });
+            }
+            const verses = verseCounts.get(keys[runIndex]);
+            return {
+                strongs: pairs.map(pair => pair.strong),
+                length: run.length,
+                verses,
+                rarity: parseFloat(Math.log(totalVerses / verses).toFixed(3)),
+                sourceReference: sourceVerse.location,
+                alignment: buildAlignment(pairs, sourceVerse.words, verse.words),
+            };
+        });
+        sequences.sort((a, b) => b.rarity - a.rarity || b.length - a.length);
+
+        result.parallels.push({
+            reference: verse.location,
+            book: verse.book,
+            text: verse.text,
+            rarity: sequences[0].rarity,
+            sequences,
+            ...(verse.isAramaic && { aramaic: true }),
+        });
+    }
+
+    const longest = parallel => Math.max(...parallel.sequences.map(sequence => sequence.length));
+    result.parallels.sort((a, b) => b.rarity - a.rarity || longest(b) - longest(a));
+    result.parallels = result.parallels.slice(0, options.maxResults);
+    return result;
+}
+
+// ============================================================================
+// Word-by-Word Alignment
+// ============================================================================
+
+/**
+ * @typedef {Object} AlignmentRow
+ * @property {string[]} source - Source word(s)
+ * @property {string[]} target - Parallel word(s)
+ * @property {number | null} strong - The shared Strong's number (null: the words between two shared words)
+ */
+
+/**
+ * Build the alignment rows of matched word pairs: a row per pair, and a row for the words between pairs
+ * @param {{sourceIndex: number, targetIndex: number, strong: number}[]} pairs - In increasing order on both sides
+ * @param {string[]} sourceWords
+ * @param {string[]} targetWords
+ * @returns {AlignmentRow[]}
+ */
+function buildAlignment(pairs, sourceWords, targetWords) {
+    const rows = [];
+    pairs.forEach((pair, i) => {
+        if (i > 0) {
+            const source = sourceWords.slice(pairs[i - 1].sourceIndex + 1, pair.sourceIndex);
+            const target = targetWords.slice(pairs[i - 1].targetIndex + 1, pair.targetIndex);
+            if (source.length > 0 || target.length > 0) {
+                rows.push({ source, target, strong: null });
+            }
+        }
+        rows.push({ source: [sourceWords[pair.sourceIndex]], target: [targetWords[pair.targetIndex]], strong: pair.strong });
+    });
+    return rows;
+}
+
+/**
+ * Align two passages word by word: the longest common subsequence of their Strong's numbers (stopwords skipped)
+ * @param {{words: string[], strongs: number[]}} source - A passage or a verse
+ * @param {{words: string[], strongs: number[]}} target
+ * @returns {AlignmentRow[]}
+ */
+function alignPassages(source, target) {
+    const sourceSig = getVerseSignature(source);
+    const targetSig = getVerseSignature(target);
+
+    // lengths[i][j] = LCS length of sourceSig[i..] and targetSig[j..]
+    const lengths = Array.from({ length: sourceSig.length + 1 }, () => new Uint16Array(targetSig.length + 1));
+    for (let i = sourceSig.length - 1; i >= 0; i--) {
+        for (let j = targetSig.length - 1; j >= 0; j--) {
+            lengths[i][j] = sourceSig[i].strong === targetSig[j].strong
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const pairs = [];
+    for (let i = 0, j = 0; i < sourceSig.length && j < targetSig.length;) {
+        if (sourceSig[i].strong === targetSig[j].strong) {
+            pairs.push({ sourceIndex: sourceSig[i].position, targetIndex: targetSig[j].position, strong: sourceSig[i].strong });
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+
+    return buildAlignment(pairs, source.words, target.words);
+}
+
 // ============================================================================
 // Output Formatting
 // ============================================================================
@@ -405,11 +879,36 @@ function formatWord(word, noPoints) {
     return noPoints ? bible.removeNikud(word) : word;
 }
 
+/** Longer runs of in-between words are shortened in the alignment */
+const MAX_ALIGNMENT_GAP_WORDS = 6;
+
+/**
+ * Format alignment rows as two columns
+ * @param {AlignmentRow[]} rows
+ * @param {boolean} noPoints
+ * @returns {string[]}
+ */
+function formatAlignment(rows, noPoints) {
+    const formatCell = words => formatWord(words.length > MAX_ALIGNMENT_GAP_WORDS
+        ? `${words.slice(0, 2).join(' ')} …(${words.length - 4})… ${words.slice(-2).join(' ')}`
+        : words.join(' '), noPoints);
+    const cells = rows.map(row => [formatCell(row.source), formatCell(row.target)]);
+    const width = Math.max(...cells.map(([source]) => displayWidth(source)));
+
+    return rows.map((row, i) => {
+        const [source, target] = cells[i];
+        const padding = ' '.repeat(width - displayWidth(source));
+        return `      ${source}${padding}  ${row.strong ? '=' : '·'}  ${target}${row.strong ? `  H${row.strong}` : ''}`.trimEnd();
+    });
+}
+
 function formatText(result, options) {
     const lines = [];
 
     // Source verse
-    lines.push(`Parallels to ${result.source.reference}:`);
+    const versesInfo = result.source.verses && result.source.verses.length > 1 ? ` (${result.source.verses.length} verses)` : '';
+    const modeInfo = result.mode === 'ngram' ? ` - shared sequences of ${result.ngram}+ words` : '';
+    lines.push(`Parallels to ${bible.labelAramaic(result.source.reference, result.source.aramaic)}${versesInfo}${modeInfo}:`);
     lines.push(`"${formatWord(result.source.text, options.noPoints)}"`);
     lines.push('');
 
@@ -424,7 +923,21 @@ function formatText(result, options) {
 
     for (let i = 0; i < result.parallels.length; i++) {
         const p = result.parallels[i];
-        lines.push(`${i + 1}. (${p.reference}) - Similarity: ${(p.similarity * 100).toFixed(0)}%`);
+
+        if (result.mode === 'ngram') {
+            lines.push(`${i + 1}. (${bible.labelAramaic(p.reference, p.aramaic)}) - Rarity: ${p.rarity.toFixed(2)}`);
+            lines.push(`   "${formatWord(p.text, options.noPoints)}"`);
+            for (const sequence of p.sequences) {
+                const from = result.window > 1 ? ` - from ${sequence.sourceReference}` : '';
+                lines.push(`   Shared sequence: ${sequence.length} words, in ${sequence.verses} verses ` +
+                    `(rarity ${sequence.rarity.toFixed(2)})${from}`);
+                lines.push(...formatAlignment(sequence.alignment, options.noPoints));
+            }
+            lines.push('');
+            continue;
+        }
+
+        lines.push(`${i + 1}. (${bible.labelAramaic(p.reference, p.aramaic)}) - Similarity: ${(p.similarity * 100).toFixed(0)}%`);
 
         let text = formatWord(p.text, options.noPoints);
 
@@ -444,6 +957,11 @@ function formatText(result, options) {
             lines.push(`   Shared: ${p.sharedWords.slice(0, 5).join(', ')}${p.sharedWords.length > 5 ? '...' : ''}`);
         }
 
+        if (p.alignment && p.alignment.length > 0) {
+            lines.push('   Alignment:');
+            lines.push(...formatAlignment(p.alignment, options.noPoints));
+        }
+
         lines.push('');
     }
 
@@ -454,11 +972,20 @@ function formatJson(result, options) {
     const output = { ...result };
 
     if (options.noPoints) {
+        const removeAlignmentNikud = rows => rows.map(row => ({
+            ...row,
+            source: row.source.map(w => bible.removeNikud(w)),
+            target: row.target.map(w => bible.removeNikud(w)),
+        }));
         output.source.text = bible.removeNikud(output.source.text);
         output.parallels = output.parallels.map(p => ({
             ...p,
             text: bible.removeNikud(p.text),
-            sharedWords: p.sharedWords.map(w => bible.removeNikud(w)),
+            ...(p.sharedWords && { sharedWords: p.sharedWords.map(w => bible.removeNikud(w)) }),
+            ...(p.alignment && { alignment: removeAlignmentNikud(p.alignment) }),
+            ...(p.sequences && {
+                sequences: p.sequences.map(sequence => ({ ...sequence, alignment: removeAlignmentNikud(sequence.alignment) })),
+            }),
         }));
     }
 
@@ -469,9 +996,7 @@ function formatJson(result, options) {
 // Main
 // ============================================================================
 
-async function main() {
-    const args = process.argv.slice(2);
-
+async function main(args = process.argv.slice(2)) {
     let options;
     try {
         options = parseArgs(args);
@@ -486,6 +1011,11 @@ async function main() {
         process.exit(options.help ? 0 : 1);
     }
 
+    if (options.rebuildIndex) {
+        bible.requestIndexRebuild();
+    }
+    bible.setAramaicMode(options.aramaic);
+
     let result;
     try {
         result = findParallels(options.reference, options);
@@ -501,25 +1031,34 @@ async function main() {
     }
 }
 
-// Export for testing
+// Export for testing (main() is also run by the daemon)
 export {
+    main,
     parseArgs,
     parseReference,
     parseRange,
     parseNumber,
     buildIDF,
+    buildInvertedIndex,
     getVerseSignature,
     calculateSimilarity,
     getSharedStrongs,
     findVerse,
     findParallels,
+    findPassageParallels,
+    getVerseIndex,
+    makeRangeCheck,
+    findSequenceParallels,
+    formatPassageReference,
+    alignPassages,
+    buildAlignment,
     STOPWORD_STRONGS,
 };
 
 // Run main if executed directly
 const isMainModule = process.argv[1] && import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-    main().catch(error => {
+    runTool('bible_find_parallels', main).catch(error => {
         console.error(`Fatal error: ${error.message}`);
         process.exit(1);
     });
@@ -26,6 +26,9 @@ SECTIONS:
 
 OPTIONS:
     --format=FORMAT     Output format: "text" (default), "json"
+    --aramaic=MODE      Aramaic sections (Daniel, Ezra...): "exclude" (default), "include" or "only"
+                        (here: "only" lists just the books and chapters that have them)
+    --rebuild-index     Re-parse the source data and rewrite the index cache
 
 EXAMPLES:
     # List all books with chapter counts
@@ -65,7 +68,8 @@ NOTES:
     - Chapter and verse numbers in output use Hebrew numerals for consistency
     - Internal processing uses 0-indexed numbers
     - This tool is read-only and fast (uses cached structure data)
-    - Aramaic sections excluded (not relevant for Hebrew linguistic research)
+    - Verse counts include the Aramaic verses, whatever --aramaic says; the books and
+      chapters with Aramaic verses are marked [Aramaic] (JSON: aramaicSections, aramaicVerses)
 `;
 
 import * as bible from './bible-utils.js';
@@ -77,6 +81,7 @@ import {
     SECTIONS,
     hebrewToNumber,
 } from './bible-utils.js';
+import { runTool } from './bible-daemon.js';
 
 // ============================================================================
 // Structure Building
@@ -88,7 +93,9 @@ import {
  * @property {string} section - Section name (תורה, נביאים, כתובים)
  * @property {number} chapterCount - Number of chapters
  * @property {number[]} versesPerChapter - Array of verse counts per chapter
+ * @property {number[]} aramaicVersesPerChapter - Aramaic verse counts per chapter
  * @property {number} totalVerses - Total verses in the book
+ * @property {{start: string, end: string}[] | null} aramaicSections - Aramaic verse ranges ("2:4" to "7:28"), null if none
  */
 
 /**
@@ -118,21 +125,37 @@ function buildStructure() {
             section: sectionName,
             chapterCount: 0,
             versesPerChapter: [],
+            aramaicVersesPerChapter: [],
             totalVerses: 0,
+            aramaicSections: null,
         });
     }
 
     // Count verses per chapter
+    let previousVerse = null;
     for (const verse of allVerses) {
         const book = structure.get(verse.book);
         if (book) {
             // Expand versesPerChapter array if needed
             while (book.versesPerChapter.length <= verse.chapterIndex) {
                 book.versesPerChapter.push(0);
+                book.aramaicVersesPerChapter.push(0);
             }
             book.versesPerChapter[verse.chapterIndex]++;
             book.totalVerses++;
+
+            // Aramaic sections: runs of Aramaic verses
+            if (verse.isAramaic) {
+                book.aramaicVersesPerChapter[verse.chapterIndex]++;
+                const reference = `${verse.chapterIndex + 1}:${verse.verseIndex + 1}`;
+                if (!previousVerse?.isAramaic || previousVerse.book !== verse.book) {
+                    book.aramaicSections = book.aramaicSections ?? [];
+                    book.aramaicSections.push({ start: reference, end: reference });
+                }
+                book.aramaicSections[book.aramaicSections.length - 1].end = reference;
+            }
         }
+        previousVerse = verse;
     }
 
     // Set chapter counts
@@ -171,6 +194,8 @@ function parseArgs(args) {
         book: null,
         chapter: null,
         format: 'text',
+        aramaic: 'exclude',
+        rebuildIndex: false,
         help: false,
     };
 
@@ -194,6 +219,10 @@ function parseArgs(args) {
                     options.chapter = parseHebrewNumber(arg);
                 }
             }
+        } else if (arg.startsWith('--aramaic=')) {
+            options.aramaic = arg.substring(10);
+        } else if (arg === '--rebuild-index') {
+            options.rebuildIndex = true;
         } else {
             throw new Error(`Unknown option: ${arg}`);
         }
@@ -202,6 +231,9 @@ function parseArgs(args) {
     if (!['text', 'json'].includes(options.format)) {
         throw new Error(`Invalid format: ${options.format}. Must be text or json.`);
     }
+    if (!bible.ARAMAIC_MODES.includes(options.aramaic)) {
+        throw new Error(`Invalid aramaic mode: ${options.aramaic}. Must be exclude, include, or only.`);
+    }
 
     return options;
 }
@@ -213,6 +245,27 @@ const parseHebrewNumber = hebrewToNumber;
 // Output Formatting
 // ============================================================================
 
+/**
+ * Whether a book is listed: with --aramaic=only, just the books with Aramaic sections
+ * @param {BookStructure} book
+ * @param {Object} options
+ * @returns {boolean}
+ */
+function isBookShown(book, options) {
+    return options.aramaic !== 'only' || book.aramaicSections !== null;
+}
+
+/**
+ * The Aramaic sections of a book, for text output: " [Aramaic] 2:4-7:28" (empty if none)
+ * @param {BookStructure} book
+ * @returns {string}
+ */
+function formatAramaicSections(book) {
+    if (!book.aramaicSections) return '';
+    const ranges = book.aramaicSections.map(({ start, end }) => (start === end ? start : `${start}-${end}`));
+    return ` ${bible.ARAMAIC_LABEL} ${ranges.join(', ')}`;
+}
+
 /**
  * Format all books overview (text)
  * @param {Object} options
@@ -230,9 +283,9 @@ function formatAllBooksText(options) {
 
         for (const bookName of section.books) {
             const book = structure.get(bookName);
-            if (book) {
+            if (book && isBookShown(book, options)) {
                 const paddedName = bookName.padStart(15);
-                lines.push(`  ${paddedName}    ${book.chapterCount} פרקים`);
+                lines.push(`  ${paddedName}    ${book.chapterCount} פרקים${formatAramaicSections(book)}`);
 
                 totalBooks++;
                 totalChapters += book.chapterCount;
@@ -261,12 +314,13 @@ function formatBookText(bookName, options) {
     }
 
     const lines = [];
-    lines.push(`${book.name} - ${book.chapterCount} פרקים:`);
+    lines.push(`${book.name} - ${book.chapterCount} פרקים:${formatAramaicSections(book)}`);
 
     for (let i = 0; i < book.versesPerChapter.length; i++) {
+        if (options.aramaic === 'only' && book.aramaicVersesPerChapter[i] === 0) continue;
         const chapterHebrew = bible.numberToHebrew(i);
         const verseCount = book.versesPerChapter[i];
-        lines.push(`  פרק ${chapterHebrew.padStart(3)} - ${verseCount} פסוקים`);
+        lines.push(bible.labelAramaic(`  פרק ${chapterHebrew.padStart(3)} - ${verseCount} פסוקים`, book.aramaicVersesPerChapter[i] > 0));
     }
 
     lines.push('');
@@ -297,27 +351,26 @@ function formatChapterText(bookName, chapter, options) {
     const chapterHebrew = bible.numberToHebrew(chapterIndex);
     const verseCount = book.versesPerChapter[chapterIndex];
 
-    console.log(`${book.name} פרק ${chapterHebrew}: ${verseCount} פסוקים`);
+    console.log(bible.labelAramaic(`${book.name} פרק ${chapterHebrew}: ${verseCount} פסוקים`, book.aramaicVersesPerChapter[chapterIndex] > 0));
 }
 
 /**
- * Format all books overview (JSON)
- * @param {Object} options
+ * Describe all books, by section
+ * @param {Object} options - options.aramaic: "only" lists just the books with Aramaic sections
+ * @returns {{sections: Object[], totals: {books: number, chapters: number, verses: number}}}
  */
-function formatAllBooksJson(options) {
+function describeAllBooks(options) {
     const structure = getStructure();
 
-    const output = {
+    return {
         sections: SECTIONS.map(section => ({
             name: section.name,
-            books: section.books.map(bookName => {
-                const book = structure.get(bookName);
-                return {
-                    name: book.name,
-                    chapters: book.chapterCount,
-                    totalVerses: book.totalVerses,
-                };
-            }),
+            books: section.books.map(bookName => structure.get(bookName)).filter(book => isBookShown(book, options)).map(book => ({
+                name: book.name,
+                chapters: book.chapterCount,
+                totalVerses: book.totalVerses,
+                ...(book.aramaicSections && { aramaicSections: book.aramaicSections }),
+            })),
         })),
         totals: {
             books: [...structure.values()].length,
@@ -325,47 +378,44 @@ function formatAllBooksJson(options) {
             verses: [...structure.values()].reduce((sum, b) => sum + b.totalVerses, 0),
         },
     };
-
-    console.log(JSON.stringify(output, null, 2));
 }
 
 /**
- * Format single book details (JSON)
+ * Describe a book and its chapters
  * @param {string} bookName
- * @param {Object} options
+ * @param {Object} options - options.aramaic: "only" lists just the chapters with Aramaic verses
+ * @returns {Object}
  */
-function formatBookJson(bookName, options) {
-    const structure = getStructure();
-    const book = structure.get(bookName);
+function describeBook(bookName, options) {
+    const book = getStructure().get(bookName);
 
     if (!book) {
         throw new Error(`Unknown book: ${bookName}`);
     }
 
-    const output = {
+    return {
         name: book.name,
         section: book.section,
         chapters: book.chapterCount,
         totalVerses: book.totalVerses,
+        ...(book.aramaicSections && { aramaicSections: book.aramaicSections }),
         chapterDetails: book.versesPerChapter.map((verses, i) => ({
             chapter: i + 1,
             chapterHebrew: bible.numberToHebrew(i),
             verses,
-        })),
+            ...(book.aramaicVersesPerChapter[i] > 0 && { aramaicVerses: book.aramaicVersesPerChapter[i] }),
+        })).filter(chapter => options.aramaic !== 'only' || chapter.aramaicVerses),
     };
-
-    console.log(JSON.stringify(output, null, 2));
 }
 
 /**
- * Format single chapter info (JSON)
+ * Describe a chapter
  * @param {string} bookName
  * @param {number} chapter - 1-indexed chapter number
- * @param {Object} options
+ * @returns {Object}
  */
-function formatChapterJson(bookName, chapter, options) {
-    const structure = getStructure();
-    const book = structure.get(bookName);
+function describeChapter(bookName, chapter) {
+    const book = getStructure().get(bookName);
 
     if (!book) {
         throw new Error(`Unknown book: ${bookName}`);
@@ -376,23 +426,20 @@ function formatChapterJson(bookName, chapter, options) {
         throw new Error(`Invalid chapter ${chapter} for ${bookName}. Valid range: 1-${book.chapterCount}`);
     }
 
-    const output = {
+    return {
         book: book.name,
         chapter,
         chapterHebrew: bible.numberToHebrew(chapterIndex),
         verses: book.versesPerChapter[chapterIndex],
+        ...(book.aramaicVersesPerChapter[chapterIndex] > 0 && { aramaicVerses: book.aramaicVersesPerChapter[chapterIndex] }),
     };
-
-    console.log(JSON.stringify(output, null, 2));
 }
 
 // ============================================================================
 // Main
 // ============================================================================
 
-async function main() {
-    const args = process.argv.slice(2);
-
+async function main(args = process.argv.slice(2)) {
     let options;
     try {
         options = parseArgs(args);
@@ -407,15 +454,22 @@ async function main() {
         process.exit(0);
     }
 
+    if (options.rebuildIndex) {
+        bible.requestIndexRebuild();
+    }
+    bible.setAramaicMode(options.aramaic);
+
     try {
         if (options.format === 'json') {
+            let output;
             if (options.chapter !== null) {
-                formatChapterJson(options.book, options.chapter, options);
+                output = describeChapter(options.book, options.chapter);
             } else if (options.book !== null) {
-                formatBookJson(options.book, options);
+                output = describeBook(options.book, options);
             } else {
-                formatAllBooksJson(options);
+                output = describeAllBooks(options);
             }
+            console.log(JSON.stringify(output, null, 2));
         } else {
             if (options.chapter !== null) {
                 formatChapterText(options.book, options.chapter, options);
@@ -431,10 +485,14 @@ async function main() {
     }
 }
 
-// Export for testing
+// Export for testing (main() is also run by the daemon)
 export {
+    main,
     getStructure,
     buildStructure,
+    describeAllBooks,
+    describeBook,
+    describeChapter,
     parseArgs,
     parseHebrewNumber,
     SECTIONS,
@@ -447,7 +505,7 @@ export {
 // Run main if executed directly
 const isMainModule = process.argv[1] && import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-    main().catch(error => {
+    runTool('bible_get_structure', main).catch(error => {
         console.error(`Fatal error: ${error.message}`);
         process.exit(1);
     });
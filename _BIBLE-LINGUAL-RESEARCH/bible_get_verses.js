@@ -34,7 +34,17 @@ OPTIONS:
     --context=N, -c N       Include N verses before and after (default: 0)
     --no-points             Remove nikud (vowel points) from output
     --include-strongs       Show Strong's numbers inline: word<H123>
-    --format=FORMAT         Output format: "text" (default), "json", "markdown"
+    --interlinear           Show each verse as aligned rows: Hebrew word, consonantal form,
+                            Strong's number, word type, and the BSB English of that token
+    --ltr-columns           Interlinear columns in reading order left to right
+                            (default: first word in the rightmost column, as Hebrew reads)
+    --format=FORMAT         Output format: "text" (default), "json", "markdown",
+                            "html" (interlinear only: a <table dir="rtl"> per verse)
+    --source=SOURCE         Read the text from another source: "menukad" (the repo's
+                            תנך-מנוקד), "naki" (תנך-נקי), or a directory of Markdown books
+                            (default: "bsb"). No Strong's numbers outside the BSB
+    --aramaic=MODE          Aramaic sections (Daniel, Ezra...): "exclude" (default), "include" or "only"
+    --rebuild-index         Re-parse the source data and rewrite the index cache
 
 EXAMPLES:
     # Get Genesis 1:1
@@ -52,6 +62,12 @@ EXAMPLES:
     # Get Exodus verses without vowel points
     ./bible_get_verses.js "שמות 3:14" --no-points
 
+    # The same verse in the repo's own text (also has the Aramaic verses)
+    ./bible_get_verses.js "דניאל 2:4" --source=menukad
+
+    # Word-by-word interlinear, as a Markdown table
+    ./bible_get_verses.js "בראשית 1:1" --interlinear --format=markdown
+
 OUTPUT:
     Default format shows:
     - Location prefix in parentheses
@@ -61,6 +77,15 @@ OUTPUT:
         (בראשית א:א) בְּרֵאשִׁית בָּרָא אֱלֹהִים אֵת הַשָּׁמַיִם וְאֵת הָאָרֶץ
         (בראשית א:ב) וְהָאָרֶץ הָיְתָה תֹהוּ וָבֹהוּ...
 
+    Interlinear (--interlinear) shows a column per word, and a row per layer:
+        (בראשית א:א)
+              אֵת     אֱלֹהִים     בָּרָא    בְּרֵאשִׁית  Hebrew
+              את      אלהים      ברא      בראשית  Consonants
+            H853       H430      H1254       H7225  Strong's
+        ...
+    Long verses continue in further blocks of columns.
+    With --format=json, every word becomes {word, consonants, strong, type, english}.
+
 NOTES:
     - Accents (teamim/cantillation) are ALWAYS removed - they add noise without
       linguistic value for this type of analysis
@@ -75,6 +100,7 @@ import {
     hebrewToNumber,
     parseHebrewOrArabicNumber,
 } from './bible-utils.js';
+import { runTool } from './bible-daemon.js';
 
 // Alias for backward compatibility
 const parseNumber = parseHebrewOrArabicNumber;
@@ -327,6 +353,28 @@ function getVerses(range, context = 0) {
     };
 }
 
+/**
+ * Replace the text of the verses with their text in another source (see getTextSource in bible-utils.js)
+ * @param {Object} result - Result from getVerses
+ * @param {string} sourceName
+ * @returns {Object} - A result like getVerses'
+ */
+function readFromTextSource(result, sourceName) {
+    const source = bible.getTextSource(sourceName);
+    return {
+        ...result,
+        verses: result.verses.map(verse => {
+            const sourceVerse = bible.getSourceVerse(source.name, verse.book, verse.chapterIndex, verse.verseIndex);
+            return {
+                ...verse,
+                words: sourceVerse ? sourceVerse.words : [],
+                strongs: [],
+                text: sourceVerse ? sourceVerse.text : `(not in ${source.name})`,
+            };
+        }),
+    };
+}
+
 // ============================================================================
 // Argument Parsing
 // ============================================================================
@@ -342,7 +390,12 @@ function parseArgs(args) {
         context: 0,
         noPoints: false,
         includeStrongs: false,
+        interlinear: false,
+        ltrColumns: false,
+        source: 'bsb',
         format: 'text',
+        aramaic: 'exclude',
+        rebuildIndex: false,
         help: false,
     };
 
@@ -365,24 +418,51 @@ function parseArgs(args) {
         } else if (arg === '--include-strongs') {
             options.includeStrongs = true;
             i++;
+        } else if (arg === '--interlinear') {
+            options.interlinear = true;
+            i++;
+        } else if (arg === '--ltr-columns') {
+            options.ltrColumns = true;
+            i++;
         } else if (arg.startsWith('--format=')) {
             options.format = arg.substring(9);
             i++;
+        } else if (arg.startsWith('--source=')) {
+            options.source = arg.substring(9);
+            i++;
         } else if (!arg.startsWith('-')) {
             options.reference = arg;
             i++;
+        } else if (arg.startsWith('--aramaic=')) {
+            options.aramaic = arg.substring(10);
+            i++;
+        } else if (arg === '--rebuild-index') {
+            options.rebuildIndex = true;
+            i++;
         } else {
             throw new Error(`Unknown option: ${arg}`);
         }
     }
 
     // Validate
-    if (!['text', 'json', 'markdown'].includes(options.format)) {
-        throw new Error(`Invalid format: ${options.format}. Must be text, json, or markdown.`);
+    if (!['text', 'json', 'markdown', 'html'].includes(options.format)) {
+        throw new Error(`Invalid format: ${options.format}. Must be text, json, markdown, or html.`);
+    }
+    if (options.format === 'html' && !options.interlinear) {
+        throw new Error('--format=html needs --interlinear');
+    }
+    if (options.ltrColumns && !options.interlinear) {
+        throw new Error('--ltr-columns needs --interlinear');
+    }
+    if (options.source !== 'bsb' && (options.includeStrongs || options.interlinear)) {
+        throw new Error(`--source=${options.source} has no Strong's numbers (needed by --include-strongs and --interlinear)`);
     }
     if (options.context < 0 || options.context > 50) {
         throw new Error(`Invalid context value: ${options.context}. Must be between 0 and 50.`);
     }
+    if (!bible.ARAMAIC_MODES.includes(options.aramaic)) {
+        throw new Error(`Invalid aramaic mode: ${options.aramaic}. Must be exclude, include, or only.`);
+    }
 
     return options;
 }
@@ -391,6 +471,16 @@ function parseArgs(args) {
 // Output Formatting
 // ============================================================================
 
+/**
+ * Mark a verse's location when it is an Aramaic verse that the Aramaic mode shows (see --aramaic)
+ * @param {string} locationText - The location, as the format shows it: "(בראשית א:א)", "**בראשית א:א**"...
+ * @param {Object} verse - Verse object
+ * @returns {string}
+ */
+function labelLocation(locationText, verse) {
+    return bible.labelAramaic(locationText, verse.isAramaic && !verse.skipped);
+}
+
 /**
  * Format a verse for text output
  * @param {Object} verse - Verse object
@@ -419,7 +509,7 @@ function formatVerseText(verse, options, isContext = false) {
     }
 
     const prefix = isContext ? '  ' : '';
-    return `${prefix}(${verse.location}) ${text}`;
+    return `${prefix}${labelLocation(`(${verse.location})`, verse)} ${text}`;
 }
 
 /**
@@ -468,9 +558,9 @@ function formatMarkdown(result, options) {
         }
 
         if (isContext) {
-            lines.push(`> *${verse.location}:* ${text}`);
+            lines.push(`> ${labelLocation(`*${verse.location}:*`, verse)} ${text}`);
         } else {
-            lines.push(`> **${verse.location}:** ${text}`);
+            lines.push(`> ${labelLocation(`**${verse.location}:**`, verse)} ${text}`);
         }
     }
 
@@ -496,6 +586,16 @@ function formatJson(result, options) {
                 ? verse.words.map(w => bible.removeNikud(w))
                 : verse.words;
 
+            let wordsOutput = words;
+            if (options.interlinear) {
+                wordsOutput = buildInterlinearWords(verse, options);
+            } else if (options.includeStrongs) {
+                wordsOutput = words.map((word, j) => ({
+                    word,
+                    strong: verse.strongs[j] > 0 ? verse.strongs[j] : null,
+                }));
+            }
+
             return {
                 location: verse.location,
                 book: verse.book,
@@ -503,12 +603,8 @@ function formatJson(result, options) {
                 verse: verse.verseIndex + 1,
                 text,
                 isContext: i < result.mainStartIdx || i > result.mainEndIdx,
-                words: options.includeStrongs
-                    ? words.map((word, j) => ({
-                        word,
-                        strong: verse.strongs[j] > 0 ? verse.strongs[j] : null,
-                    }))
-                    : words,
+                words: wordsOutput,
+                ...(verse.isAramaic && { aramaic: true }),
             };
         }),
     };
@@ -517,12 +613,239 @@ function formatJson(result, options) {
 }
 
 // ============================================================================
-// Main
+// Interlinear Output
 // ============================================================================
 
-async function main() {
-    const args = process.argv.slice(2);
+/** Terminal interlinear: start a new block of columns once a line would get wider than this */
+const INTERLINEAR_LINE_WIDTH = 100;
+
+/** Gap between terminal interlinear columns */
+const INTERLINEAR_COLUMN_GAP = '  ';
+
+/**
+ * The rows of an interlinear verse, top to bottom
+ * @type {{key: string, label: string, isHebrew: boolean}[]}
+ */
+const INTERLINEAR_ROWS = [
+    { key: 'word', label: 'Hebrew', isHebrew: true },
+    { key: 'consonants', label: 'Consonants', isHebrew: true },
+    { key: 'strong', label: 'Strong\'s', isHebrew: false },
+    { key: 'type', label: 'Type', isHebrew: false },
+    { key: 'english', label: 'English', isHebrew: false },
+];
+
+/**
+ * @typedef {Object} InterlinearWord
+ * @property {string} word - As printed (without nikud under --no-points)
+ * @property {string} consonants - The word without nikud
+ * @property {number | null} strong
+ * @property {string} type - English word type of the Strong's entry ("" if unknown)
+ * @property {string} english - The BSB English of this very token ("" if untranslated)
+ */
+
+/**
+ * Break a verse into interlinear words
+ * @param {Object} verse - Verse object
+ * @param {Object} options - Formatting options
+ * @returns {InterlinearWord[]}
+ */
+function buildInterlinearWords(verse, options) {
+    return verse.words.map((word, i) => {
+        const strong = verse.strongs[i] > 0 ? verse.strongs[i] : null;
+        return {
+            word: bible.formatWord(word, options.noPoints),
+            consonants: bible.removeNikud(word),
+            strong,
+            type: (strong && bible.getStrongInfo(strong)?.typeEnglish) || '',
+            english: verse.english[i] || '',
+        };
+    });
+}
+
+/**
+ * The text of one interlinear cell
+ * @param {InterlinearWord} word
+ * @param {string} key - Row key, from INTERLINEAR_ROWS
+ * @returns {string}
+ */
+function interlinearCell(word, key) {
+    if (key === 'strong') {
+        return word.strong ? `H${word.strong}` : '';
+    }
+    return word[key];
+}
+
+/**
+ * Split interlinear words into blocks that fit the terminal width
+ * @param {InterlinearWord[]} words
+ * @param {number} labelWidth
+ * @returns {{words: InterlinearWord[], widths: number[]}[]}
+ */
+function splitInterlinearBlocks(words, labelWidth) {
+    const blocks = [];
+    let block = { words: [], widths: [] };
+    let lineWidth = labelWidth;
+
+    for (const word of words) {
+        const width = Math.max(...INTERLINEAR_ROWS.map(row => bible.displayWidth(interlinearCell(word, row.key))));
+        const addedWidth = INTERLINEAR_COLUMN_GAP.length + width;
+        if (block.words.length > 0 && lineWidth + addedWidth > INTERLINEAR_LINE_WIDTH) {
+            blocks.push(block);
+            block = { words: [], widths: [] };
+            lineWidth = labelWidth;
+        }
+        block.words.push(word);
+        block.widths.push(width);
+        lineWidth += addedWidth;
+    }
+    if (block.words.length > 0) {
+        blocks.push(block);
+    }
+    return blocks;
+}
+
+/**
+ * Render a verse as aligned terminal rows.
+ * Right-to-left column order puts the first word at the right, and the row labels at the right edge;
+ * cells are then aligned to their right edge too.
+ * @param {Object} verse - Verse object
+ * @param {Object} options - Formatting options
+ * @param {boolean} isContext - Whether this is a context verse
+ * @returns {string[]} Lines
+ */
+function buildInterlinearText(verse, options, isContext = false) {
+    const prefix = isContext ? '  ' : '';
+    const words = buildInterlinearWords(verse, options);
+    if (words.length === 0) {
+        return [`${prefix}${labelLocation(`(${verse.location})`, verse)} ${verse.text}`];
+    }
+
+    const rightToLeft = !options.ltrColumns;
+    const labelWidth = Math.max(...INTERLINEAR_ROWS.map(row => row.label.length));
+    const lines = [`${prefix}${labelLocation(`(${verse.location})`, verse)}`];
+
+    for (const block of splitInterlinearBlocks(words, labelWidth)) {
+        for (const row of INTERLINEAR_ROWS) {
+            const cells = block.words.map((word, i) => bible.padToWidth(interlinearCell(word, row.key), block.widths[i], rightToLeft));
+            const line = rightToLeft
+                ? [...cells.reverse(), row.label].join(INTERLINEAR_COLUMN_GAP)
+                : [row.label.padEnd(labelWidth), ...cells].join(INTERLINEAR_COLUMN_GAP);
+            lines.push(prefix + line.trimEnd());
+        }
+        lines.push('');
+    }
+    lines.pop();
+
+    return lines;
+}
 
+/**
+ * Escape a Markdown table cell
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeMarkdownCell(text) {
+    return text.replace(/\|/g, '\\|');
+}
+
+/**
+ * Render a verse as a Markdown table: a column per word, the Hebrew words as the header row.
+ * Right-to-left column order puts the first word in the rightmost column, and the row labels last.
+ * @param {Object} verse - Verse object
+ * @param {Object} options - Formatting options
+ * @param {boolean} isContext - Whether this is a context verse
+ * @returns {string[]} Lines
+ */
+function buildInterlinearMarkdown(verse, options, isContext = false) {
+    const title = labelLocation(isContext ? `*${verse.location}*` : `**${verse.location}**`, verse);
+    const words = buildInterlinearWords(verse, options);
+    if (words.length === 0) {
+        return [`${title} ${verse.text}`];
+    }
+
+    const rightToLeft = !options.ltrColumns;
+    const toLine = cells => `| ${cells.map(escapeMarkdownCell).join(' | ')} |`;
+    const rowLines = INTERLINEAR_ROWS.map(row => {
+        const cells = words.map(word => interlinearCell(word, row.key));
+        return toLine(rightToLeft ? [...cells.reverse(), row.label] : [row.label, ...cells]);
+    });
+
+    return [
+        title,
+        '',
+        rowLines[0],
+        toLine(Array(words.length + 1).fill('---')),
+        ...rowLines.slice(1),
+    ];
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a verse as an HTML table.
+ * Cells stay in reading order - the table's direction places them (dir="rtl" unless --ltr-columns).
+ * @param {Object} verse - Verse object
+ * @param {Object} options - Formatting options
+ * @param {boolean} isContext - Whether this is a context verse
+ * @returns {string[]} Lines
+ */
+function buildInterlinearHtml(verse, options, isContext = false) {
+    const words = buildInterlinearWords(verse, options);
+    const lines = [
+        `<table class="interlinear${isContext ? ' context' : ''}" dir="${options.ltrColumns ? 'ltr' : 'rtl'}">`,
+        `  <caption>${labelLocation(escapeHtml(verse.location), verse)}</caption>`,
+    ];
+
+    if (words.length === 0) {
+        lines.push(`  <tr><td>${escapeHtml(verse.text)}</td></tr>`);
+    } else {
+        for (const row of INTERLINEAR_ROWS) {
+            const cellAttributes = row.isHebrew ? ' lang="he"' : ' dir="ltr"';
+            const cells = words.map(word => `<td${cellAttributes}>${escapeHtml(interlinearCell(word, row.key))}</td>`);
+            lines.push(`  <tr class="${row.key}"><th>${escapeHtml(row.label)}</th>${cells.join('')}</tr>`);
+        }
+    }
+
+    lines.push('</table>');
+    return lines;
+}
+
+/**
+ * Format verses as interlinear rows - in the terminal, Markdown or HTML rendering of options.format
+ * @param {Object} result - Result from getVerses
+ * @param {Object} options - Formatting options
+ */
+function formatInterlinear(result, options) {
+    const build = {
+        text: buildInterlinearText,
+        markdown: buildInterlinearMarkdown,
+        html: buildInterlinearHtml,
+    }[options.format];
+
+    const blocks = result.verses.map((verse, i) => {
+        const isContext = i < result.mainStartIdx || i > result.mainEndIdx;
+        return build(verse, options, isContext).join('\n');
+    });
+
+    console.log(blocks.join('\n\n'));
+}
+
+// ============================================================================
+// Main
+// ============================================================================
+
+async function main(args = process.argv.slice(2)) {
     let options;
     try {
         options = parseArgs(args);
@@ -537,6 +860,11 @@ async function main() {
         process.exit(options.help ? 0 : 1);
     }
 
+    if (options.rebuildIndex) {
+        bible.requestIndexRebuild();
+    }
+    bible.setAramaicMode(options.aramaic);
+
     let range;
     try {
         range = parseReference(options.reference);
@@ -548,11 +876,19 @@ async function main() {
     let result;
     try {
         result = getVerses(range, options.context);
+        if (options.source !== 'bsb') {
+            result = readFromTextSource(result, options.source);
+        }
     } catch (error) {
         console.error(`Error: ${error.message}`);
         process.exit(1);
     }
 
+    if (options.interlinear && options.format !== 'json') {
+        formatInterlinear(result, options);
+        return;
+    }
+
     switch (options.format) {
         case 'json':
             formatJson(result, options);
@@ -567,8 +903,9 @@ async function main() {
     }
 }
 
-// Export for testing
+// Export for testing (main() is also run by the daemon)
 export {
+    main,
     hebrewToNumber,
     parseNumber,
     parseBookName,
@@ -578,12 +915,17 @@ export {
     getVerses,
     findVerseIndex,
     getLastVerseOfChapter,
+    readFromTextSource,
+    buildInterlinearWords,
+    buildInterlinearText,
+    buildInterlinearMarkdown,
+    buildInterlinearHtml,
 };
 
 // Run main if executed directly
 const isMainModule = process.argv[1] && import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-    main().catch(error => {
+    runTool('bible_get_verses', main).catch(error => {
         console.error(`Fatal error: ${error.message}`);
         process.exit(1);
     });
@@ -0,0 +1,694 @@
+#!/usr/bin/env node
+'use strict';
+
+const usage = `
+bible_intertextuality_map - Compute all strong verse-to-verse parallels of a range, as a graph
+
+INTENT/GOAL:
+    bible_find_parallels answers "what does this verse echo?" one verse at a time.
+    This tool answers it for a whole range at once - e.g. all of Genesis against
+    the rest of the Bible - and saves the result as a graph of verse-to-verse links
+    with their similarity scores. Once a map is built, looking up a verse's echoes
+    needs no computation (the Bible data is loaded only to validate the reference).
+
+SYNTAX:
+    ./bible_intertextuality_map.js build [options]
+    ./bible_intertextuality_map.js lookup <reference> [options]
+
+COMMANDS:
+    build               Compute a map (or reuse it, when already computed with the same
+                        options and data) and write its graph files
+    lookup              List the links of a verse, from the maps in the output directory
+
+BUILD OPTIONS:
+    --range=RANGE       The verses to find parallels for (default: the whole Bible)
+    --against=RANGE     Where to look for parallels (default: the whole Bible)
+    --different-book    Only link verses of different books
+    --min-similarity=N  Minimum similarity score (0-1, default: 0.4)
+    --max-links=N       Keep the N best links of each verse (default: 10)
+    --name=NAME         Base name of the graph files (default: from the range and a hash of the options)
+    --restart           Ignore a cached map or an interrupted run, and start over
+    --aramaic=MODE      Aramaic sections (Daniel, Ezra...): "exclude" (default), "include" or "only"
+    --rebuild-index     Re-parse the source data and rewrite the index cache
+
+LOOKUP OPTIONS:
+    --map=FILE          Look in this map's JSON file only (default: all the maps in the output directory)
+
+COMMON OPTIONS:
+    --output=DIR        Where the maps are (default: .intertextuality-maps/ next to this tool)
+    --format=FORMAT     Output format: "text" (default), "json"
+
+OUTPUT FILES (in the output directory):
+    NAME.json           {version, key, parameters, verseCount, nodes: [{id, book}],
+                         links: [{source, target, similarity, sharedStrongs}]}
+    NAME.dot            Graphviz (undirected, edge weight = similarity)
+    NAME.graphml        GraphML (for Gephi, Cytoscape, ...)
+    NAME.progress.json  While building: the links so far - a rerun resumes from it
+
+RANGE SYNTAX (same as bible_get_verses):
+    "בראשית"                Single book
+    "בראשית 1-11"           Chapters within book
+    "תורה"                  Section name
+
+EXAMPLES:
+    # All of Genesis against the rest of the Bible
+    ./bible_intertextuality_map.js build --range="בראשית" --different-book
+
+    # The Torah against the prophets, only strong links
+    ./bible_intertextuality_map.js build --range="תורה" --against="נביאים" --min-similarity=0.5
+
+    # What does Genesis 1:1 echo?
+    ./bible_intertextuality_map.js lookup "בראשית 1:1"
+
+NOTES:
+    - Similarity is the same as bible_find_parallels': IDF-weighted overlap of the
+      verses' Strong's numbers (stopwords skipped)
+    - Links are undirected: a pair found from both ends is listed once
+    - A run saves its progress every 250 verses; stop it at any time (Ctrl-C) and run
+      the same command again to resume
+    - Runs in its own process (not through bible_daemon), so progress is shown as it goes
+    - Aramaic sections excluded by default (build --aramaic=include or only to study them,
+      in maps of their own); Aramaic verses are marked [Aramaic] (JSON, DOT, GraphML: aramaic)
+`;
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import * as bible from './bible-utils.js';
+import { computeIndexKey } from './bible-utils.js';
+import {
+    buildIDF,
+    buildInvertedIndex,
+    getVerseSignature,
+    getVerseIndex,
+    makeRangeCheck,
+    parseReference,
+} from './bible_find_parallels.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/** Default output directory */
+const MAPS_DIR = path.join(__dirname, '.intertextuality-maps');
+
+/** Bump whenever the map's content or shape changes - cached maps are then recomputed */
+const MAP_FORMAT_VERSION = 1;
+
+const DEFAULT_MIN_SIMILARITY = 0.4;
+const DEFAULT_MAX_LINKS = 10;
+
+/** Save the progress every that many verses */
+const CHECKPOINT_EVERY = 250;
+
+// ============================================================================
+// Argument Parsing
+// ============================================================================
+
+function parseArgs(args) {
+    const options = {
+        command: null,
+        reference: null,
+        range: null,
+        against: null,
+        differentBook: false,
+        minSimilarity: DEFAULT_MIN_SIMILARITY,
+        maxLinks: DEFAULT_MAX_LINKS,
+        name: null,
+        restart: false,
+        map: null,
+        output: MAPS_DIR,
+        format: 'text',
+        aramaic: 'exclude',
+        rebuildIndex: false,
+        help: false,
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg.startsWith('--range=')) {
+            options.range = arg.substring(8);
+        } else if (arg.startsWith('--against=')) {
+            options.against = arg.substring(10);
+        } else if (arg === '--different-book') {
+            options.differentBook = true;
+        } else if (arg.startsWith('--min-similarity=')) {
+            options.minSimilarity = parseFloat(arg.substring(17));
+        } else if (arg.startsWith('--max-links=')) {
+            options.maxLinks = parseInt(arg.substring(12), 10);
+        } else if (arg.startsWith('--name=')) {
+            options.name = arg.substring(7);
+        } else if (arg === '--restart') {
+            options.restart = true;
+        } else if (arg.startsWith('--map=')) {
+            options.map = arg.substring(6);
+        } else if (arg.startsWith('--output=')) {
+            options.output = arg.substring(9);
+        } else if (arg.startsWith('--format=')) {
+            options.format = arg.substring(9);
+        } else if (arg.startsWith('--aramaic=')) {
+            options.aramaic = arg.substring(10);
+        } else if (arg === '--rebuild-index') {
+            options.rebuildIndex = true;
+        } else if (!arg.startsWith('-')) {
+            if (options.command === null) {
+                options.command = arg;
+            } else {
+                options.reference = arg;
+            }
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (options.command !== null && !['build', 'lookup'].includes(options.command)) {
+        throw new Error(`Unknown command: ${options.command}. Must be build or lookup.`);
+    }
+    if (options.command === 'lookup' && !options.reference) {
+        throw new Error('lookup needs a verse reference, e.g. "בראשית 1:1"');
+    }
+    if (!(options.minSimilarity >= 0 && options.minSimilarity <= 1)) {
+        throw new Error(`Invalid min-similarity: ${options.minSimilarity}. Must be 0-1.`);
+    }
+    if (!(options.maxLinks >= 1)) {
+        throw new Error(`Invalid max-links: ${options.maxLinks}. Must be 1 or more.`);
+    }
+    if (!['text', 'json'].includes(options.format)) {
+        throw new Error(`Invalid format: ${options.format}. Must be text or json.`);
+    }
+    if (!bible.ARAMAIC_MODES.includes(options.aramaic)) {
+        throw new Error(`Invalid aramaic mode: ${options.aramaic}. Must be exclude, include, or only.`);
+    }
+
+    return options;
+}
+
+// ============================================================================
+// Map Files
+// ============================================================================
+
+/**
+ * The options that determine a map's content
+ * @param {Object} options
+ * @returns {Object}
+ */
+function getMapParameters(options) {
+    return {
+        range: options.range,
+        against: options.against,
+        differentBook: options.differentBook,
+        minSimilarity: options.minSimilarity,
+        maxLinks: options.maxLinks,
+        aramaic: options.aramaic,
+    };
+}
+
+/**
+ * A map's cache key: its parameters, the Bible data and the map format
+ * @param {Object} parameters - From getMapParameters()
+ * @returns {string}
+ */
+function computeMapKey(parameters) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify({ version: MAP_FORMAT_VERSION, data: computeIndexKey(), parameters }))
+        .digest('hex');
+}
+
+/**
+ * Get the paths of a map's files
+ * @param {Object} options
+ * @param {string} key - From computeMapKey()
+ * @returns {{json: string, dot: string, graphml: string, progress: string}}
+ */
+function getMapFiles(options, key) {
+    const slug = text => text.trim().replace(/[\s/\\:]+/g, '_');
+    const name = options.name ?? [
+        slug(options.range ?? 'all'),
+        ...(options.against ? [`against-${slug(options.against)}`] : []),
+        ...(options.aramaic !== 'exclude' ? [`aramaic-${options.aramaic}`] : []),
+        key.substring(0, 8),
+    ].join('--');
+    const base = path.join(options.output, name);
+    return {
+        json: `${base}.json`,
+        dot: `${base}.dot`,
+        graphml: `${base}.graphml`,
+        progress: `${base}.progress.json`,
+    };
+}
+
+/**
+ * Read a JSON file
+ * @param {string} filePath
+ * @returns {Object | null} - null if missing or unreadable
+ */
+function readJsonFile(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Write a file atomically (temp file + rename, so a reader never sees half a file)
+ * @param {string} filePath
+ * @param {string} content
+ */
+function writeFileAtomic(filePath, content) {
+    const tempFile = `${filePath}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    try {
+        fs.writeFileSync(tempFile, content);
+        fs.renameSync(tempFile, filePath);
+    } finally {
+        fs.rmSync(tempFile, { force: true });
+    }
+}
+
+// ============================================================================
+// Building
+// ============================================================================
+
+/**
+ * @typedef {Object} MapLink
+ * @property {string} source - Verse location (the earlier verse in biblical order)
+ * @property {string} target - Verse location
+ * @property {number} similarity - See bible_find_parallels' calculateSimilarity()
+ * @property {number[]} sharedStrongs
+ */
+
+/**
+ * Find the best links of one verse.
+ * Same score as calculateSimilarity(), computed for all candidates at once from the inverted index:
+ * intersection weight accumulated per candidate, union = both weights - intersection.
+ * @param {number} sourceIndex - Position in bible.getAllVerses()
+ * @param {Object} context - Built once by buildMap()
+ * @param {Object} parameters - From getMapParameters()
+ * @returns {MapLink[]} - Best first
+ */
+function findVerseLinks(sourceIndex, context, parameters) {
+    const { allVerses, idf, postings, strongSets, weights, intersections } = context;
+    const source = allVerses[sourceIndex];
+
+    const touched = [];
+    for (const strong of strongSets[sourceIndex]) {
+        const weight = idf.get(strong) || 1;
+        for (const index of postings.get(strong) || []) {
+            if (intersections[index] === 0) touched.push(index);
+            intersections[index] += weight;
+        }
+    }
+
+    const candidates = [];
+    for (const index of touched) {
+        const intersection = intersections[index];
+        intersections[index] = 0;
+        if (index === sourceIndex) continue;
+        if (parameters.differentBook && allVerses[index].book === source.book) continue;
+
+        const similarity = intersection / (weights[sourceIndex] + weights[index] - intersection);
+        if (similarity >= parameters.minSimilarity) {
+            candidates.push({ index, similarity });
+        }
+    }
+
+    candidates.sort((a, b) => b.similarity - a.similarity || a.index - b.index);
+    return candidates.slice(0, parameters.maxLinks).map(({ index, similarity }) => {
+        const [first, second] = index < sourceIndex ? [index, sourceIndex] : [sourceIndex, index];
+        return {
+            source: allVerses[first].location,
+            target: allVerses[second].location,
+            similarity: parseFloat(similarity.toFixed(3)),
+            sharedStrongs: [...strongSets[sourceIndex]].filter(strong => strongSets[index].has(strong)),
+        };
+    });
+}
+
+/**
+ * Build the map of a range: its links, then its graph files.
+ * A map already built with the same parameters and data is returned as is.
+ * Progress is saved every CHECKPOINT_EVERY verses, and an interrupted run resumes from it.
+ * @param {Object} options - From parseArgs()
+ * @param {Object} [hooks]
+ * @param {function(string): void} [hooks.log] - Progress messages
+ * @param {function(): boolean} [hooks.shouldStop] - Checked at every checkpoint: true = save and stop
+ * @param {number} [hooks.checkpointEvery] - Defaults to CHECKPOINT_EVERY
+ * @returns {Promise<{map: Object | null, files: Object, cached: boolean, stopped: boolean}>}
+ */
+async function buildMap(options, hooks = {}) {
+    const log = hooks.log ?? (() => {});
+    const checkpointEvery = hooks.checkpointEvery ?? CHECKPOINT_EVERY;
+    const parameters = getMapParameters(options);
+    const key = computeMapKey(parameters);
+    const files = getMapFiles(options, key);
+
+    if (!options.restart) {
+        const cachedMap = readJsonFile(files.json);
+        if (cachedMap && cachedMap.key === key) {
+            return { map: cachedMap, files, cached: true, stopped: false };
+        }
+    }
+
+    let progress = options.restart ? null : readJsonFile(files.progress);
+    if (progress && progress.key === key) {
+        log(`Resuming at verse ${progress.nextVerse + 1}`);
+    } else {
+        progress = { key, parameters, nextVerse: 0, links: [] };
+    }
+
+    // Everything the per-verse search needs
+    const allVerses = bible.getAllVerses();
+    const inRange = makeRangeCheck({ range: parameters.range });
+    const { idf } = buildIDF();
+    const postings = new Map();
+    for (const [strong, locations] of buildInvertedIndex({ range: parameters.against })) {
+        postings.set(strong, locations.map(location => getVerseIndex(location)));
+    }
+    const strongSets = allVerses.map(verse => new Set(getVerseSignature(verse).map(s => s.strong)));
+    const weights = Float64Array.from(strongSets, strongs =>
+        [...strongs].reduce((sum, strong) => sum + (idf.get(strong) || 1), 0));
+    const context = { allVerses, idf, postings, strongSets, weights, intersections: new Float64Array(allVerses.length) };
+
+    const sourceIndexes = [];
+    allVerses.forEach((verse, index) => {
+        if (inRange(verse) && strongSets[index].size > 0) sourceIndexes.push(index);
+    });
+
+    for (let i = progress.nextVerse; i < sourceIndexes.length; i++) {
+        progress.links.push(...findVerseLinks(sourceIndexes[i], context, parameters));
+
+        if ((i + 1) % checkpointEvery === 0 && i + 1 < sourceIndexes.length) {
+            progress.nextVerse = i + 1;
+            writeFileAtomic(files.progress, JSON.stringify(progress));
+            log(`${i + 1}/${sourceIndexes.length} verses, ${progress.links.length} links`);
+
+            // Let signals (Ctrl-C) be handled
+            await new Promise(resolve => setImmediate(resolve));
+            if (hooks.shouldStop && hooks.shouldStop()) {
+                return { map: null, files, cached: false, stopped: true };
+            }
+        }
+    }
+
+    const map = assembleMap(key, parameters, sourceIndexes.length, progress.links);
+    writeFileAtomic(files.json, JSON.stringify(map));
+    writeFileAtomic(files.dot, formatDot(map));
+    writeFileAtomic(files.graphml, formatGraphML(map));
+    fs.rmSync(files.progress, { force: true });
+    return { map, files, cached: false, stopped: false };
+}
+
+/**
+ * Make the map out of the links found: a pair found from both ends is kept once
+ * @param {string} key
+ * @param {Object} parameters
+ * @param {number} verseCount - Verses searched
+ * @param {MapLink[]} links
+ * @returns {Object}
+ */
+function assembleMap(key, parameters, verseCount, links) {
+    const uniqueLinks = new Map();
+    for (const link of links) {
+        uniqueLinks.set(`${link.source}|${link.target}`, link);
+    }
+    const sortedLinks = [...uniqueLinks.values()].sort((a, b) =>
+        b.similarity - a.similarity || getVerseIndex(a.source) - getVerseIndex(b.source));
+
+    const nodeIds = new Set(sortedLinks.flatMap(link => [link.source, link.target]));
+    const nodes = [...nodeIds]
+        .sort((a, b) => getVerseIndex(a) - getVerseIndex(b))
+        .map(id => bible.getAllVerses()[getVerseIndex(id)])
+        .map(verse => ({ id: verse.location, book: verse.book, ...(verse.isAramaic && { aramaic: true }) }));
+
+    return { version: MAP_FORMAT_VERSION, key, parameters, verseCount, nodes, links: sortedLinks };
+}
+
+// ============================================================================
+// Graph Formats
+// ============================================================================
+
+/**
+ * Format a map as a Graphviz DOT graph
+ * @param {Object} map
+ * @returns {string}
+ */
+function formatDot(map) {
+    const quote = text => `"${text.replace(/["\\]/g, '\\$&')}"`;
+    const lines = ['graph intertextuality {', '    node [shape=box];'];
+    for (const node of map.nodes) {
+        lines.push(`    ${quote(node.id)} [book=${quote(node.book)}${node.aramaic ? ', aramaic=true' : ''}];`);
+    }
+    for (const link of map.links) {
+        lines.push(`    ${quote(link.source)} -- ${quote(link.target)} [weight=${link.similarity}, label="${link.similarity}"];`);
+    }
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Escape text for XML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+    return String(text).replace(/[<>&"']/g, char => ({
+        '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;',
+    }[char]));
+}
+
+/**
+ * Format a map as GraphML
+ * @param {Object} map
+ * @returns {string}
+ */
+function formatGraphML(map) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+        '  <key id="book" for="node" attr.name="book" attr.type="string"/>',
+        '  <key id="aramaic" for="node" attr.name="aramaic" attr.type="boolean"/>',
+        '  <key id="similarity" for="edge" attr.name="similarity" attr.type="double"/>',
+        '  <key id="sharedStrongs" for="edge" attr.name="sharedStrongs" attr.type="string"/>',
+        '  <graph id="intertextuality" edgedefault="undirected">',
+    ];
+    for (const node of map.nodes) {
+        lines.push(`    <node id="${escapeXml(node.id)}"><data key="book">${escapeXml(node.book)}</data>` +
+            `${node.aramaic ? '<data key="aramaic">true</data>' : ''}</node>`);
+    }
+    for (const link of map.links) {
+        lines.push(`    <edge source="${escapeXml(link.source)}" target="${escapeXml(link.target)}">` +
+            `<data key="similarity">${link.similarity}</data>` +
+            `<data key="sharedStrongs">${link.sharedStrongs.join(' ')}</data></edge>`);
+    }
+    lines.push('  </graph>', '</graphml>');
+    return lines.join('\n') + '\n';
+}
+
+// ============================================================================
+// Lookup
+// ============================================================================
+
+/**
+ * List the links of a verse in the built maps (the Bible data only validates the reference)
+ * @param {string} reference - e.g. "בראשית 1:1" or "בראשית א:א"
+ * @param {Object} options - From parseArgs(): map, output
+ * @returns {{reference: string, maps: string[], links: Object[]}}
+ */
+function lookupVerse(reference, options) {
+    const { book, chapter, verse } = parseReference(reference);
+    const location = `${book} ${bible.numberToHebrew(chapter - 1)}:${bible.numberToHebrew(verse - 1)}`;
+    if (getVerseIndex(location) === undefined) {
+        throw new Error(`Verse not found: ${book} ${chapter}:${verse}`);
+    }
+
+    let mapFiles;
+    if (options.map) {
+        mapFiles = [options.map];
+    } else {
+        mapFiles = fs.existsSync(options.output)
+            ? fs.readdirSync(options.output)
+                .filter(fileName => fileName.endsWith('.json') && !fileName.endsWith('.progress.json'))
+                .sort()
+                .map(fileName => path.join(options.output, fileName))
+            : [];
+        if (mapFiles.length === 0) {
+            throw new Error(`No maps in ${options.output} - build one first: ./bible_intertextuality_map.js build --range=...`);
+        }
+    }
+
+    // The best score of each linked verse, over all the maps
+    const linksByVerse = new Map();
+    for (const mapFile of mapFiles) {
+        const map = readJsonFile(mapFile);
+        if (!map || map.version !== MAP_FORMAT_VERSION) {
+            throw new Error(`Not an intertextuality map: ${mapFile}`);
+        }
+        const aramaicNodes = new Set(map.nodes.filter(node => node.aramaic).map(node => node.id));
+        for (const link of map.links) {
+            const other = link.source === location ? link.target : link.target === location ? link.source : null;
+            if (other === null) continue;
+            const known = linksByVerse.get(other);
+            if (!known || known.similarity < link.similarity) {
+                linksByVerse.set(other, {
+                    reference: other,
+                    similarity: link.similarity,
+                    sharedStrongs: link.sharedStrongs,
+                    map: path.basename(mapFile),
+                    ...(aramaicNodes.has(other) && { aramaic: true }),
+                });
+            }
+        }
+    }
+
+    return {
+        reference: location,
+        maps: mapFiles.map(mapFile => path.basename(mapFile)),
+        links: [...linksByVerse.values()].sort((a, b) => b.similarity - a.similarity),
+    };
+}
+
+// ============================================================================
+// Output Formatting
+// ============================================================================
+
+function formatBuildText(result, options) {
+    const { parameters } = result.map;
+    const lines = [];
+    lines.push(`Intertextuality map: ${parameters.range ?? 'the whole Bible'} against ${parameters.against ?? 'the whole Bible'}` +
+        `${parameters.differentBook ? ' (different books)' : ''}, similarity >= ${parameters.minSimilarity}, ` +
+        `up to ${parameters.maxLinks} links per verse` +
+        `${parameters.aramaic && parameters.aramaic !== 'exclude' ? `, Aramaic sections: ${parameters.aramaic}` : ''}${result.cached ? ' - cached (use --restart to recompute)' : ''}`);
+    lines.push(`  ${result.map.links.length} links between ${result.map.nodes.length} verses (${result.map.verseCount} verses searched)`);
+    lines.push(`  JSON:    ${result.files.json}`);
+    lines.push(`  DOT:     ${result.files.dot}`);
+    lines.push(`  GraphML: ${result.files.graphml}`);
+    console.log(lines.join('\n'));
+}
+
+function formatBuildJson(result, options) {
+    console.log(JSON.stringify({
+        cached: result.cached,
+        parameters: result.map.parameters,
+        verseCount: result.map.verseCount,
+        nodeCount: result.map.nodes.length,
+        linkCount: result.map.links.length,
+        files: result.files,
+    }, null, 2));
+}
+
+function formatLookupText(result, options) {
+    const lines = [];
+    if (result.links.length === 0) {
+        lines.push(`No links of ${result.reference} in ${result.maps.length} map${result.maps.length > 1 ? 's' : ''}.`);
+        console.log(lines.join('\n'));
+        return;
+    }
+    lines.push(`Links of ${result.reference} (${result.links.length}, from ${result.maps.length} map${result.maps.length > 1 ? 's' : ''}):`);
+    for (const link of result.links) {
+        lines.push(`  ${link.similarity.toFixed(3)}  ${bible.labelAramaic(link.reference, link.aramaic)}  - shared: ${link.sharedStrongs.map(strong => `H${strong}`).join(' ')}`);
+    }
+    console.log(lines.join('\n'));
+}
+
+// ============================================================================
+// Main
+// ============================================================================
+
+async function main(args = process.argv.slice(2)) {
+    let options;
+    try {
+        options = parseArgs(args);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        console.error('Use --help for usage information.');
+        process.exit(1);
+    }
+
+    if (options.help || !options.command) {
+        console.log(usage);
+        process.exit(options.help ? 0 : 1);
+    }
+
+    if (options.command === 'lookup') {
+        let result;
+        try {
+            result = lookupVerse(options.reference, options);
+        } catch (error) {
+            console.error(`Error: ${error.message}`);
+            process.exit(1);
+        }
+        if (options.format === 'json') {
+            console.log(JSON.stringify(result, null, 2));
+        } else {
+            formatLookupText(result, options);
+        }
+        return;
+    }
+
+    if (options.rebuildIndex) {
+        bible.requestIndexRebuild();
+    }
+    bible.setAramaicMode(options.aramaic);
+
+    // Ctrl-C: save the progress at the next checkpoint, then stop
+    let stopRequested = false;
+    const requestStop = () => { stopRequested = true; };
+    process.on('SIGINT', requestStop);
+
+    let result;
+    try {
+        result = await buildMap(options, {
+            log: message => console.error(`bible_intertextuality_map: ${message}`),
+            shouldStop: () => stopRequested,
+        });
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    } finally {
+        process.off('SIGINT', requestStop);
+    }
+
+    if (result.stopped) {
+        console.error(`Stopped - run the same command again to resume (progress: ${result.files.progress})`);
+        process.exit(130);
+    }
+
+    if (options.format === 'json') {
+        formatBuildJson(result, options);
+    } else {
+        formatBuildText(result, options);
+    }
+}
+
+// Export for testing
+export {
+    main,
+    parseArgs,
+    buildMap,
+    findVerseLinks,
+    assembleMap,
+    lookupVerse,
+    formatDot,
+    formatGraphML,
+    getMapFiles,
+    computeMapKey,
+    MAPS_DIR,
+};
+
+// Run main if executed directly (not through the daemon: a build is long, and reports its progress as it goes)
+const isMainModule = process.argv[1] && import.meta.url === `file://${process.argv[1]}`;
+if (isMainModule) {
+    main().catch(error => {
+        console.error(`Fatal error: ${error.message}`);
+        process.exit(1);
+    });
+}
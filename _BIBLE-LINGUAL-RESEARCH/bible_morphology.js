@@ -17,8 +17,12 @@ INTENT/GOAL:
     WHERE it appears.
 
 SYNTAX:
-    ./bible_morphology.js <strong-number> [options]
+    ./bible_morphology.js <strong-number>[:CONSTRAINTS] [options]
     ./bible_morphology.js "<root>" [options]
+    ./bible_morphology.js "<root:CONSTRAINTS>" [options]
+
+    CONSTRAINTS limit the analysis to matching occurrences - same syntax as in
+    bible_search (e.g. "<שמר:imperfect>", "8104:niphal:3ms"). See ./bible_search.js --help
 
 OPTIONS:
     --group-by=MODE     Grouping: "form" (default), "binyan", "prefix", "suffix"
@@ -26,6 +30,8 @@ OPTIONS:
     --range=RANGE       Limit to specific range
     --no-points         Remove nikud from output
     --format=FORMAT     Output format: "text" (default), "json"
+    --aramaic=MODE      Aramaic sections (Daniel, Ezra...): "exclude" (default), "include" or "only"
+    --rebuild-index     Re-parse the source data and rewrite the index cache
 
 EXAMPLES:
     # Analyze verb "שמר" (to guard/keep) by Strong's number
@@ -37,6 +43,9 @@ EXAMPLES:
     # Group by prefix patterns
     ./bible_morphology.js 8104 --group-by=prefix
 
+    # Only the imperfect forms, grouped by binyan
+    ./bible_morphology.js "<שמר:imperfect>" --group-by=binyan
+
     # Group by suffix patterns (for nouns with possessives)
     ./bible_morphology.js 1285 --group-by=suffix
 
@@ -64,27 +73,23 @@ MORPHOLOGICAL PATTERNS DETECTED:
     - Imperfect: prefix + root (יִשְׁמֹר)
 
 NOTES:
-    - This tool detects patterns from spelling, not from tagged data
-    - Accuracy is limited by ambiguous forms
-    - Aramaic sections excluded (not relevant for Hebrew linguistic research)
+    - With a morphology file (see bible-utils.js MORPHOLOGY_INPUT_FILE), binyanim and
+      constraints come from the tagged data; otherwise patterns are detected from spelling
+    - Spelling-based accuracy is limited by ambiguous forms (weak roots, homographs)
+    - Aramaic sections excluded by default (--aramaic=include or only to study them);
+      Aramaic verses and words are marked [Aramaic] (JSON: "aramaic": true)
 `;
 
 import * as bible from './bible-utils.js';
 import {
     SECTION_NAMES,
+    getConsonants,
+    detectPrefix,
+    detectSuffix,
+    detectForm,
+    detectBinyan,
 } from './bible-utils.js';
-
-// Hebrew letter categories for morphological detection
-const LETTERS = {
-    prefixes: new Set(['ו', 'ה', 'ל', 'ב', 'כ', 'מ', 'ש']),
-    imperfectPrefixes: new Set(['י', 'ת', 'א', 'נ']),
-    vav: 'ו',
-    he: 'ה',
-    lamed: 'ל',
-    mem: 'מ',
-    nun: 'נ',
-    tav: 'ת',
-};
+import { runTool } from './bible-daemon.js';
 
 // Suffix patterns (with nikud variations)
 const SUFFIX_PATTERNS = {
@@ -135,205 +140,6 @@ function parseRange(rangeStr) {
     throw new Error(`Unknown range: ${rangeStr}`);
 }
 
-/**
- * Get the consonants only (remove nikud, teamim, and shin/sin dots)
- */
-function getConsonants(word) {
-    let result = bible.removeNikud(word);
-    // Also remove shin dot (U+05C1) and sin dot (U+05C2)
-    result = result.replace(/[\u05C1\u05C2]/g, '');
-    return result;
-}
-
-/**
- * Get the first consonant (excluding vav conjunction if present)
- */
-function getFirstConsonant(word) {
-    const clean = getConsonants(word);
-    if (clean.length === 0) return '';
-    // Check if starts with vav + another letter - might be conjunction
-    return clean[0];
-}
-
-/**
- * Detect prefix pattern
- */
-function detectPrefix(word) {
-    const clean = word;
-    const consonants = getConsonants(word);
-
-    if (consonants.length === 0) return { prefix: 'none', description: 'empty' };
-
-    const first = consonants[0];
-    const second = consonants.length > 1 ? consonants[1] : '';
-
-    // Check for common prefix combinations
-    const prefixes = [];
-
-    // Vav at start
-    if (first === 'ו') {
-        prefixes.push('ו');
-        // Check what follows
-        if (LETTERS.imperfectPrefixes.has(second)) {
-            prefixes.push(second);
-            return { prefix: prefixes.join('+'), description: 'vav + imperfect', isImperfect: true };
-        }
-        if (second === 'ה') {
-            return { prefix: 'ו+ה', description: 'vav + article/hiphil' };
-        }
-        if (second === 'ל') {
-            return { prefix: 'ו+ל', description: 'vav + infinitive', isInfinitive: true };
-        }
-        if (second === 'מ') {
-            return { prefix: 'ו+מ', description: 'vav + participle/preposition' };
-        }
-        return { prefix: 'ו', description: 'vav conjunctive' };
-    }
-
-    // Imperfect prefixes
-    if (LETTERS.imperfectPrefixes.has(first)) {
-        return { prefix: first, description: 'imperfect', isImperfect: true };
-    }
-
-    // Lamed prefix (infinitive)
-    if (first === 'ל') {
-        return { prefix: 'ל', description: 'infinitive', isInfinitive: true };
-    }
-
-    // He prefix (article or hiphil)
-    if (first === 'ה') {
-        // Check for patach under he (article) vs other vowels
-        if (clean[0] === 'ה' && clean.length > 1) {
-            const afterHe = clean[1];
-            // Dagesh after he often indicates article
-            return { prefix: 'ה', description: 'article/hiphil' };
-        }
-        return { prefix: 'ה', description: 'article/hiphil' };
-    }
-
-    // Mem prefix (participle or preposition)
-    if (first === 'מ') {
-        return { prefix: 'מ', description: 'participle/preposition' };
-    }
-
-    // Bet/Kaf prefixes (prepositions)
-    if (first === 'ב') {
-        return { prefix: 'ב', description: 'preposition "in"' };
-    }
-    if (first === 'כ') {
-        return { prefix: 'כ', description: 'preposition "like"' };
-    }
-    // Note: ש as prefix ("that") is rare and hard to distinguish from root
-    // We don't detect it as a prefix by default
-
-    return { prefix: 'none', description: 'no prefix' };
-}
-
-/**
- * Detect suffix pattern
- */
-function detectSuffix(word) {
-    const clean = word;
-    const consonants = getConsonants(word);
-
-    // Check possessive suffixes first (more specific)
-    if (/נוּ$/.test(clean)) {
-        return { suffix: 'נוּ', description: '1st plural possessive (our)', isPossessive: true };
-    }
-    if (/כֶם$/.test(clean)) {
-        return { suffix: 'כֶם', description: '2nd masc. plural possessive (your)', isPossessive: true };
-    }
-    if (/כֶן$/.test(clean)) {
-        return { suffix: 'כֶן', description: '2nd fem. plural possessive (your)', isPossessive: true };
-    }
-    if (/תִּי$/.test(clean)) {
-        return { suffix: 'תִּי', description: '1st sing. perfect (I)', isVerbal: true };
-    }
-    if (/תָּ$/.test(clean)) {
-        return { suffix: 'תָּ', description: '2nd masc. sing. perfect (you)', isVerbal: true };
-    }
-    if (/תְּ$/.test(clean)) {
-        return { suffix: 'תְּ', description: '2nd fem. sing. perfect (you)', isVerbal: true };
-    }
-    if (/נָה$/.test(clean)) {
-        return { suffix: 'נָה', description: '3rd fem. plural', isVerbal: true };
-    }
-
-    // Plural endings
-    if (/ים$/.test(consonants)) {
-        return { suffix: 'ים', description: 'masc. plural', isPlural: true };
-    }
-    if (/ות$/.test(consonants)) {
-        return { suffix: 'ות', description: 'fem. plural', isPlural: true };
-    }
-    if (/יים$/.test(consonants)) {
-        return { suffix: 'יים', description: 'dual', isDual: true };
-    }
-
-    // Simple possessives (check consonants)
-    if (/הּ$/.test(clean)) {
-        return { suffix: 'הּ', description: '3rd fem. sing. possessive (her)', isPossessive: true };
-    }
-    if (/וֹ$/.test(clean)) {
-        return { suffix: 'וֹ', description: '3rd masc. sing. possessive (his)', isPossessive: true };
-    }
-    if (/וּ$/.test(clean)) {
-        return { suffix: 'וּ', description: '3rd plural perfect (they)', isVerbal: true };
-    }
-
-    // Check for directional ־ָה (ending with qamats-he but not possessive)
-    if (/ָה$/.test(clean) && !/הּ$/.test(clean)) {
-        return { suffix: 'ָה', description: 'directional', isDirectional: true };
-    }
-
-    return { suffix: 'none', description: 'no suffix' };
-}
-
-/**
- * Detect overall form
- */
-function detectForm(word, strongInfo) {
-    const prefix = detectPrefix(word);
-    const suffix = detectSuffix(word);
-    const isVerb = strongInfo?.typeEnglish === 'Verb';
-
-    let form = 'base';
-    let formDescription = 'base form';
-
-    if (prefix.isInfinitive) {
-        form = 'infinitive';
-        formDescription = 'infinitive construct';
-    } else if (prefix.isImperfect) {
-        form = 'imperfect';
-        formDescription = 'imperfect tense';
-    } else if (suffix.isVerbal && suffix.suffix.startsWith('ת')) {
-        form = 'perfect';
-        formDescription = 'perfect tense (2nd person)';
-    } else if (suffix.suffix === 'וּ' && isVerb) {
-        form = 'perfect';
-        formDescription = 'perfect tense (3rd plural)';
-    } else if (prefix.prefix === 'מ' && isVerb) {
-        form = 'participle';
-        formDescription = 'participle';
-    } else if (suffix.isPlural) {
-        form = 'plural';
-        formDescription = 'plural';
-    } else if (suffix.isDual) {
-        form = 'dual';
-        formDescription = 'dual';
-    } else if (suffix.isPossessive) {
-        form = 'possessive';
-        formDescription = `with possessive suffix (${suffix.description})`;
-    }
-
-    return {
-        form,
-        formDescription,
-        prefix,
-        suffix,
-    };
-}
-
 // ============================================================================
 // Argument Parsing
 // ============================================================================
@@ -346,6 +152,8 @@ function parseArgs(args) {
         range: null,
         noPoints: false,
         format: 'text',
+        aramaic: 'exclude',
+        rebuildIndex: false,
         help: false,
     };
 
@@ -366,6 +174,10 @@ function parseArgs(args) {
             options.format = arg.substring(9);
         } else if (!arg.startsWith('-')) {
             options.query = arg;
+        } else if (arg.startsWith('--aramaic=')) {
+            options.aramaic = arg.substring(10);
+        } else if (arg === '--rebuild-index') {
+            options.rebuildIndex = true;
         } else {
             throw new Error(`Unknown option: ${arg}`);
         }
@@ -378,6 +190,9 @@ function parseArgs(args) {
     if (!['form', 'prefix', 'suffix', 'binyan'].includes(options.groupBy)) {
         throw new Error(`Invalid group-by: ${options.groupBy}. Must be form, prefix, suffix, or binyan.`);
     }
+    if (!bible.ARAMAIC_MODES.includes(options.aramaic)) {
+        throw new Error(`Invalid aramaic mode: ${options.aramaic}. Must be exclude, include, or only.`);
+    }
 
     return options;
 }
@@ -388,6 +203,7 @@ function parseArgs(args) {
 
 /**
  * Find all occurrences of a Strong's number with their morphological forms
+ * (options.constraints: morphology constraints the occurrences must match)
  */
 function findOccurrences(strongNum, options) {
     const allVerses = bible.getAllVerses();
@@ -401,12 +217,19 @@ function findOccurrences(strongNum, options) {
         // Find matching words
         for (let i = 0; i < verse.strongs.length; i++) {
             if (verse.strongs[i] === strongNum) {
+                if (options.constraints &&
+                    !bible.matchesMorphology(bible.getWordMorphologyFeatures(verse, i), options.constraints)) {
+                    continue;
+                }
                 occurrences.push({
                     word: verse.words[i],
                     location: verse.location,
                     book: verse.book,
                     context: verse.text,
                     position: i,
+                    // From the morphology file, if there is one
+                    morphology: verse.morphology?.[i] ?? null,
+                    ...(verse.isAramaic && { aramaic: true }),
                 });
             }
         }
@@ -419,15 +242,25 @@ function findOccurrences(strongNum, options) {
  * Analyze morphological patterns
  */
 function analyzeMorphology(query, options) {
+    // Morphology constraints: "8104:piel", "<שמר:imperfect:3ms>"
+    let lemmaQuery = query;
+    let constraints = [];
+    const constraintsMatch = /^(<?)([^:<>]+):([^<>]+?)(>?)$/.exec(query);
+    if (constraintsMatch) {
+        const [, openBracket, lemma, constraintsText, closeBracket] = constraintsMatch;
+        lemmaQuery = openBracket + lemma + closeBracket;
+        constraints = bible.parseMorphologyConstraints(constraintsText);
+    }
+
     // Determine if query is Strong's number or root
     let strongNumbers = [];
 
-    if (/^\d+$/.test(query)) {
+    if (/^\d+$/.test(lemmaQuery)) {
         // It's a Strong's number
-        strongNumbers.push(parseInt(query, 10));
-    } else if (/^<.+>$/.test(query)) {
+        strongNumbers.push(parseInt(lemmaQuery, 10));
+    } else if (/^<.+>$/.test(lemmaQuery)) {
         // It's a root search
-        const root = query.slice(1, -1);
+        const root = lemmaQuery.slice(1, -1);
         const strongs = bible.findStrongNumbers(root);
         strongNumbers = strongs.map(s => s.strongNumber);
     } else {
@@ -451,9 +284,9 @@ function analyzeMorphology(query, options) {
     for (const num of strongNumbers) {
         const info = bible.getStrongInfo(num);
         if (info) {
-            strongsUsed.push({ number: num, word: info.word, type: info.typeEnglish });
+            strongsUsed.push({ number: num, word: info.word, type: info.typeEnglish, ...(bible.isAramaicStrong(num) && { aramaic: true }) });
         }
-        const occs = findOccurrences(num, options);
+        const occs = findOccurrences(num, { ...options, constraints });
         for (const occ of occs) {
             occ.strongNumber = num;
             allOccurrences.push(occ);
@@ -483,8 +316,8 @@ function analyzeMorphology(query, options) {
                 key = occ.suffix.suffix;
                 break;
             case 'binyan':
-                // Simplified binyan detection based on prefix patterns
-                key = detectBinyan(occ);
+                // Tagged data when available, otherwise simplified detection based on prefix patterns
+                key = occ.morphology ? (occ.morphology.binyan ?? 'none') : detectBinyan(occ);
                 break;
             case 'form':
             default:
@@ -529,65 +362,20 @@ function analyzeMorphology(query, options) {
         }
     }
 
+    const taggedCount = analyzed.filter(occ => occ.morphology).length;
+
     return {
         query,
         strongsUsed,
         baseWord: strongInfo.word,
         wordType: strongInfo.typeEnglish,
         totalOccurrences: analyzed.length,
+        morphologySource: (taggedCount === 0) ? 'heuristic' : (taggedCount === analyzed.length) ? 'tagged' : 'mixed',
         groupBy: options.groupBy,
         groups: groupedArray,
     };
 }
 
-/**
- * Detect binyan (verb pattern) from word form
- */
-function detectBinyan(occurrence) {
-    const consonants = getConsonants(occurrence.word);
-    const clean = occurrence.word;
-
-    // Check for Niphal (נ prefix in perfect, or vowel pattern)
-    if (consonants.startsWith('נ') && consonants.length > 3) {
-        return 'niphal';
-    }
-
-    // Check for Hitpael (הת prefix, or metathesis with sibilants: השת, הסת, הצת)
-    // Metathesis: הִתְשַׁמֵּר → הִשְׁתַּמֵּר (ת moves after sibilant)
-    if (consonants.startsWith('הת') || consonants.startsWith('ית')) {
-        return 'hitpael';
-    }
-    // Hitpael with metathesis: ה + sibilant + ת pattern
-    if (consonants.length >= 4 && consonants[0] === 'ה') {
-        const second = consonants[1];
-        const third = consonants[2];
-        // Sibilants: שׁ, שׂ, ש, ס, צ, ז
-        const sibilants = new Set(['ש', 'שׁ', 'שׂ', 'ס', 'צ', 'ז']);
-        if ((sibilants.has(second) || second === 'ש') && third === 'ת') {
-            return 'hitpael';
-        }
-    }
-
-    // Check for Hiphil (ה prefix with hiriq pattern)
-    if (consonants.startsWith('ה') && /ִ/.test(clean)) {
-        return 'hiphil';
-    }
-
-    // Check for Piel/Pual (doubled middle consonant - hard to detect without vowels)
-    // Look for dagesh forte which would indicate doubling
-    if (/ּ/.test(clean) && consonants.length >= 3) {
-        // Check position of dagesh
-        const dageshPos = clean.indexOf('ּ');
-        if (dageshPos > 1 && dageshPos < clean.length - 2) {
-            // Dagesh might be in middle consonant
-            return 'piel/pual';
-        }
-    }
-
-    // Default to Qal
-    return 'qal';
-}
-
 /**
  * Get description for a group key
  */
@@ -602,8 +390,12 @@ function getGroupDescription(key, groupBy, sampleOcc) {
                 'qal': 'Basic (Qal) - active simple',
                 'niphal': 'Passive/Reflexive (Niphal)',
                 'piel/pual': 'Intensive (Piel/Pual)',
+                'piel': 'Intensive (Piel)',
+                'pual': 'Intensive passive (Pual)',
                 'hiphil': 'Causative (Hiphil)',
+                'hophal': 'Causative passive (Hophal)',
                 'hitpael': 'Reflexive (Hitpael)',
+                'none': 'Not a verb (tagged data)',
             };
             return binyanDescriptions[key] || key;
         case 'form':
@@ -634,12 +426,13 @@ function formatText(result, options) {
     const lines = [];
 
     // Header
-    lines.push(`Morphological Analysis: ${result.baseWord} (H${result.strongsUsed[0].number})`);
+    lines.push(bible.labelAramaic(`Morphological Analysis: ${result.baseWord} (H${result.strongsUsed[0].number})`, result.strongsUsed[0].aramaic));
     lines.push(`Type: ${result.wordType}`);
     lines.push(`Total occurrences: ${result.totalOccurrences}`);
+    lines.push(`Morphology source: ${result.morphologySource}`);
 
     if (result.strongsUsed.length > 1) {
-        lines.push(`Strong's numbers used: ${result.strongsUsed.map(s => `H${s.number}`).join(', ')}`);
+        lines.push(`Strong's numbers used: ${result.strongsUsed.map(s => bible.labelAramaic(`H${s.number}`, s.aramaic)).join(', ')}`);
     }
 
     lines.push('');
@@ -655,7 +448,7 @@ function formatText(result, options) {
         // Examples
         for (const ex of group.examples) {
             const word = formatWord(ex.word, options.noPoints);
-            lines.push(`  Example: "${word}" (${ex.location})`);
+            lines.push(`  Example: "${word}" (${bible.labelAramaic(ex.location, ex.aramaic)})`);
         }
     }
 
@@ -754,9 +547,7 @@ function generateInsights(result) {
 // Main
 // ============================================================================
 
-async function main() {
-    const args = process.argv.slice(2);
-
+async function main(args = process.argv.slice(2)) {
     let options;
     try {
         options = parseArgs(args);
@@ -771,6 +562,11 @@ async function main() {
         process.exit(options.help ? 0 : 1);
     }
 
+    if (options.rebuildIndex) {
+        bible.requestIndexRebuild();
+    }
+    bible.setAramaicMode(options.aramaic);
+
     let result;
     try {
         result = analyzeMorphology(options.query, options);
@@ -786,8 +582,9 @@ async function main() {
     }
 }
 
-// Export for testing
+// Export for testing (main() is also run by the daemon)
 export {
+    main,
     parseArgs,
     parseRange,
     detectPrefix,
@@ -802,7 +599,7 @@ export {
 // Run main if executed directly
 const isMainModule = process.argv[1] && import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-    main().catch(error => {
+    runTool('bible_morphology', main).catch(error => {
         console.error(`Fatal error: ${error.message}`);
         process.exit(1);
     });
@@ -29,11 +29,23 @@ ROOT FORMAT:
 
 OPTIONS:
     --type=TYPE             Filter by word type (verb, noun, etc.)
-    --show-occurrences      Show occurrence count for each word
+    --show-occurrences      Show occurrence count for each word, per 10,000 words,
+                            and its dispersion over books and chapters
     --show-examples=N       Show N examples per Strong's number
     --phonetic              Include phonetically similar roots
+    --related-by-context    Rank the phonetic and metathesis variants of the root
+                            (e.g. רקע: רגע, קרע...) by how similar their usage contexts are,
+                            with the shared context words and evidence verses
+    --metathesis            List the attested roots spelled with the root's letters in
+                            another order (e.g. רקע: קרע, ערק...)
+    --biliteral-core        For a 2-letter core: list every attested triliteral root that
+                            adds a consonant before, between or after it (e.g. שב: ישב, שוב, שבר...)
+    --aramaic-cognates      List the Aramaic forms of the root that the Aramaic sections attest
+                            (e.g. זהב: דהב), from the hint table aramaic-cognates.txt
     --no-points             Remove nikud from output
     --format=FORMAT         Output format: "text" (default), "json", "tree"
+    --aramaic=MODE          Aramaic sections (Daniel, Ezra...): "exclude" (default), "include" or "only"
+    --rebuild-index         Re-parse the source data and rewrite the index cache
 
 EXAMPLES:
     # Explore the root א.ו.ר (light)
@@ -48,6 +60,16 @@ EXAMPLES:
     # Include phonetically similar roots
     ./bible_root_family.js אור --phonetic
 
+    # Screen candidate families: transpositions of רקע, extensions of the core שב
+    ./bible_root_family.js רקע --metathesis
+    ./bible_root_family.js שב --biliteral-core
+
+    # Cognate evidence from Daniel and Ezra: זהב (gold) is דהב in Aramaic
+    ./bible_root_family.js זהב --aramaic-cognates
+
+    # Which variants of רקע are used in the most similar contexts?
+    ./bible_root_family.js רקע --related-by-context
+
     # Show occurrence counts and examples
     ./bible_root_family.js אור --show-occurrences --show-examples=2
 
@@ -55,16 +77,35 @@ TREE FORMAT:
     The "tree" format shows hierarchical relationships:
 
         אור
-        ├── Verb: אוֹר (H215) - to shine
-        ├── Noun: אוֹר (H216) - light
-        ├── Noun: אוּר (H217) - fire
-        └── Name: אוּר (H218) - Ur
+        ├── Verb:
+        │   └── אוֹר (H215) - shine
+        │       Forms: אוֹר, הֵאִיר, ...
+        │       English: shine 12, give light 9, ...
+        └── Noun:
+            ├── אוֹר (H216) - light
+            ...
+
+    Each word shows its gloss (most frequent BSB English rendering)
+    and its most frequent renderings with counts.
 
 NOTES:
     - This tool is essential for the "allegorical dictionary" methodology
     - Finding unified ancient meanings requires examining ALL derivatives
     - Consider both semantic AND phonetic relationships
-    - Aramaic sections excluded (not relevant for Hebrew linguistic research)
+    - Aramaic sections excluded by default (--aramaic=include or only to study them);
+      Aramaic verses and words are marked [Aramaic] (JSON: "aramaic": true)
+    - Dispersion (--show-occurrences): range = books/chapters with occurrences;
+      D (Juilland) = 1 for an even spread, 0 for all in one part;
+      DP (Gries) = 0 when occurrences follow the parts' sizes, ~1 when clustered
+    - --metathesis and --biliteral-core list each word's Strong's number, occurrences
+      and gloss (its most frequent BSB English rendering)
+    - --aramaic-cognates: the table's word pairs for the root, and the root with the
+      regular sound correspondences applied (ז>ד, ש>ת, צ>ט, צ>ע), counted in the Aramaic
+      sections whatever --aramaic says; these are hints - check the verses
+    - Context similarity (--related-by-context): each root's context is the words
+      (Strong's numbers, stopwords excluded) sharing a verse with its words, weighted
+      by positive PMI; roots are compared by the cosine of these vectors (0-1).
+      Variants found in few verses give noisy scores - check the verse counts
 `;
 
 import * as bible from './bible-utils.js';
@@ -73,7 +114,12 @@ import {
     TYPE_ORDER,
     getOccurrenceCount,
     getExamples,
+    getStrongCountsByChapter,
+    computeFrequencyProfile,
+    formatDispersion,
+    STOPWORD_STRONGS,
 } from './bible-utils.js';
+import { runTool } from './bible-daemon.js';
 
 // ============================================================================
 // Constants
@@ -95,6 +141,13 @@ const PHONETIC_GROUPS = [
     new Set(['נ', 'מ']),           // Nasals
 ];
 
+// --format=tree: BSB English renderings shown per word
+const TREE_RENDERINGS = 5;
+
+// --related-by-context: shared context words and evidence verses (per side) shown for each variant
+const SHARED_CONTEXT_WORDS = 8;
+const EVIDENCE_VERSES = 2;
+
 // ============================================================================
 // Root Normalization
 // ============================================================================
@@ -209,6 +262,19 @@ function getPhoneticVariants(root) {
     return [...variants];
 }
 
+/**
+ * Generate the roots spelled with the same letters in another order (metathesis)
+ * @param {string} root
+ * @returns {string[]} - Distinct permutations, without the root itself
+ */
+function getMetathesisVariants(root) {
+    const permute = letters => letters.length <= 1
+        ? [letters.join('')]
+        : letters.flatMap((letter, i) => permute([...letters.slice(0, i), ...letters.slice(i + 1)]).map(rest => letter + rest));
+
+    return [...new Set(permute([...root]))].filter(variant => variant !== root);
+}
+
 // ============================================================================
 // Strong's Number Lookup
 // ============================================================================
@@ -238,10 +304,16 @@ function findStrongsByRoot(root, options = {}) {
             searchable: data.searchable,
             type: data.type,
             typeEnglish: data.typeEnglish,
+            gloss: data.gloss,
+            renderings: data.renderings,
+            ...(bible.isAramaicStrong(strongNumber) && { aramaic: true }),
         };
 
         if (options.showOccurrences) {
+            const profile = computeFrequencyProfile(getStrongCountsByChapter(strongNumber));
             entry.occurrences = getOccurrenceCount(strongNumber);
+            entry.per10k = profile.per10k;
+            entry.dispersion = profile.dispersion;
         }
 
         if (options.showExamples > 0) {
@@ -279,6 +351,305 @@ function collectWordForms(strongNumber, maxSamples = 100) {
     return [...forms].sort();
 }
 
+// ============================================================================
+// Metathesis and Biliteral Cores
+// ============================================================================
+
+/**
+ * Generate every triliteral root that extends a 2-letter core with one more consonant, in any position
+ * @param {string} core - 2-letter core, e.g. "שב"
+ * @returns {{root: string, positions: string[]}[]} - positions of the added consonant: "before", "between", "after"
+ *                                                   (ששב is both "before" and "between")
+ */
+function getBiliteralExtensions(core) {
+    const [c1, c2] = core;
+    const builders = [
+        ['before', c => c + c1 + c2],
+        ['between', c => c1 + c + c2],
+        ['after', c => c1 + c2 + c],
+    ];
+
+    const extensions = new Map();
+    for (const [position, build] of builders) {
+        for (const consonant of HEBREW_CONSONANTS) {
+            const root = build(consonant);
+            if (!extensions.has(root)) {
+                extensions.set(root, { root, positions: [] });
+            }
+            extensions.get(root).positions.push(position);
+        }
+    }
+
+    return [...extensions.values()];
+}
+
+/**
+ * Keep the candidate roots that have Strong's numbers, describing each word for screening
+ * @param {{root: string}[]} candidates
+ * @param {Object} options
+ * @param {string} [options.typeFilter]
+ * @returns {Object[]} - The candidates, with entries (Strong's number, word, type, occurrences, gloss) and occurrences
+ */
+function findAttestedRoots(candidates, options = {}) {
+    const attested = [];
+
+    for (const candidate of candidates) {
+        const entries = findStrongsByRoot(candidate.root, { typeFilter: options.typeFilter });
+        if (entries.length === 0) continue;
+
+        for (const entry of entries) {
+            entry.occurrences = getOccurrenceCount(entry.strongNumber);
+        }
+        entries.sort((a, b) => b.occurrences - a.occurrences || a.strongNumber - b.strongNumber);
+
+        attested.push({
+            ...candidate,
+            entries,
+            occurrences: entries.reduce((sum, entry) => sum + entry.occurrences, 0),
+        });
+    }
+
+    return attested;
+}
+
+// ============================================================================
+// Aramaic Cognates
+// ============================================================================
+
+/**
+ * Find the Aramaic cognates of a Hebrew root that the Aramaic sections attest:
+ * the candidates of bible.getAramaicCognateCandidates() that have Strong's numbers occurring there
+ * @param {string} root - e.g. "זהב"
+ * @param {Object} options
+ * @param {string} [options.typeFilter]
+ * @returns {Object[]} - The candidates (root, basis, gloss), with entries and occurrences - in the Aramaic sections
+ */
+function findAramaicCognates(root, options = {}) {
+    const cognates = [];
+
+    for (const candidate of bible.getAramaicCognateCandidates(root)) {
+        const entries = findStrongsByRoot(candidate.root, { typeFilter: options.typeFilter });
+        for (const entry of entries) {
+            entry.occurrences = bible.getAramaicOccurrenceCount(entry.strongNumber);
+        }
+        const attestedEntries = entries
+            .filter(entry => entry.occurrences > 0)
+            .sort((a, b) => b.occurrences - a.occurrences || a.strongNumber - b.strongNumber);
+        if (attestedEntries.length === 0) continue;
+
+        cognates.push({
+            ...candidate,
+            entries: attestedEntries,
+            occurrences: attestedEntries.reduce((sum, entry) => sum + entry.occurrences, 0),
+        });
+    }
+
+    // The table's pairs first, then the most frequent
+    return cognates.sort((a, b) =>
+        (b.basis === 'table') - (a.basis === 'table') || b.occurrences - a.occurrences || a.root.localeCompare(b.root));
+}
+
+// ============================================================================
+// Related by Context (Distributional Similarity)
+// ============================================================================
+
+/**
+ * @typedef {Object} ContextProfile
+ * @property {Set<number>} strongs - The root's own Strong's numbers (not counted as context)
+ * @property {number[]} verseIndexes - Verses containing any of them (indexes into getAllVerses())
+ * @property {Map<number, number>} contextCounts - Context Strong's number -> verses shared with the root
+ * @property {Map<number, number>} [vector] - Context Strong's number -> PPMI weight
+ * @property {number} [norm] - Euclidean norm of the vector
+ */
+
+/**
+ * Collect the context of several roots in one pass over the Bible:
+ * the (non-stopword) Strong's numbers that share a verse with each root's words.
+ * @param {Set<number>[]} strongSets - Strong's numbers of each root
+ * @returns {{profiles: ContextProfile[], verseFrequencies: Map<number, number>, totalVerses: number}}
+ */
+function collectContextProfiles(strongSets) {
+    const profiles = strongSets.map(strongs => ({ strongs, verseIndexes: [], contextCounts: new Map() }));
+    const verseFrequencies = new Map();
+    let totalVerses = 0;
+
+    const allVerses = bible.getAllVerses();
+    for (let verseIndex = 0; verseIndex < allVerses.length; verseIndex++) {
+        const verseStrongs = new Set(allVerses[verseIndex].strongs.filter(s => s > 0 && !STOPWORD_STRONGS.has(s)));
+        if (verseStrongs.size === 0) continue;
+
+        totalVerses++;
+        for (const strong of verseStrongs) {
+            verseFrequencies.set(strong, (verseFrequencies.get(strong) || 0) + 1);
+        }
+
+        for (const profile of profiles) {
+            if (![...profile.strongs].some(strong => verseStrongs.has(strong))) continue;
+            profile.verseIndexes.push(verseIndex);
+            for (const strong of verseStrongs) {
+                if (!profile.strongs.has(strong)) {
+                    profile.contextCounts.set(strong, (profile.contextCounts.get(strong) || 0) + 1);
+                }
+            }
+        }
+    }
+
+    return { profiles, verseFrequencies, totalVerses };
+}
+
+/**
+ * Weight a root's context by positive PMI: how much more often a word shares a verse with the root
+ * than its overall frequency predicts. Sets profile.vector and profile.norm.
+ * @param {ContextProfile} profile
+ * @param {Map<number, number>} verseFrequencies - Strong's number -> verses containing it
+ * @param {number} totalVerses
+ */
+function weightContextProfile(profile, verseFrequencies, totalVerses) {
+    profile.vector = new Map();
+    let sumOfSquares = 0;
+
+    for (const [strong, count] of profile.contextCounts) {
+        const pmi = Math.log((count * totalVerses) / (profile.verseIndexes.length * verseFrequencies.get(strong)));
+        if (pmi > 0) {
+            profile.vector.set(strong, pmi);
+            sumOfSquares += pmi * pmi;
+        }
+    }
+
+    profile.norm = Math.sqrt(sumOfSquares);
+}
+
+/**
+ * Cosine similarity of two weighted context profiles, with each shared context word's share of it
+ * @param {ContextProfile} profile1
+ * @param {ContextProfile} profile2
+ * @returns {{similarity: number, contributions: Map<number, number>}}
+ */
+function compareContextProfiles(profile1, profile2) {
+    const contributions = new Map();
+    if (profile1.norm === 0 || profile2.norm === 0) {
+        return { similarity: 0, contributions };
+    }
+
+    let similarity = 0;
+    for (const [strong, weight] of profile1.vector) {
+        const otherWeight = profile2.vector.get(strong);
+        if (otherWeight !== undefined) {
+            const contribution = (weight * otherWeight) / (profile1.norm * profile2.norm);
+            contributions.set(strong, contribution);
+            similarity += contribution;
+        }
+    }
+
+    return { similarity, contributions };
+}
+
+/**
+ * The verses of a root that best show the shared context: those containing the most of it (by contribution)
+ * @param {ContextProfile} profile
+ * @param {Map<number, number>} contributions - Shared context Strong's number -> contribution (see compareContextProfiles)
+ * @param {number} count
+ * @returns {Object[]} - {location, text, words: the root's words, sharedContext: the shared context words}
+ */
+function getContextEvidence(profile, contributions, count) {
+    const allVerses = bible.getAllVerses();
+    const scored = [];
+
+    for (const verseIndex of profile.verseIndexes) {
+        const verse = allVerses[verseIndex];
+        const sharedStrongs = new Set(verse.strongs.filter(s => contributions.has(s)));
+        if (sharedStrongs.size === 0) continue;
+        let score = 0;
+        for (const strong of sharedStrongs) {
+            score += contributions.get(strong);
+        }
+        scored.push({ verse, score });
+    }
+
+    scored.sort((a, b) => b.score - a.score || a.verse.location.localeCompare(b.verse.location));
+
+    return scored.slice(0, count).map(({ verse }) => ({
+        location: verse.location,
+        text: verse.text,
+        words: verse.words.filter((word, i) => profile.strongs.has(verse.strongs[i])),
+        sharedContext: verse.words.filter((word, i) => contributions.has(verse.strongs[i])),
+    }));
+}
+
+/**
+ * Rank the phonetic and metathesis variants of a root by how similar their usage contexts are to the root's
+ * @param {string} root - 3-letter root (normalized)
+ * @param {number[]} rootStrongs - The root family's Strong's numbers
+ * @param {Object} options
+ * @param {string} [options.typeFilter]
+ * @returns {{verses: number, candidates: Object[]}}
+ */
+function findRelatedByContext(root, rootStrongs, options = {}) {
+    // Candidate roots: each with its own Strong's numbers (not the family's)
+    const relations = new Map();
+    for (const [variants, relation] of [[getPhoneticVariants(root), 'phonetic'], [getMetathesisVariants(root), 'metathesis']]) {
+        for (const variant of variants.map(v => bible.removeNikud(v))) {
+            if (variant === root) continue;
+            if (!relations.has(variant)) relations.set(variant, []);
+            if (!relations.get(variant).includes(relation)) relations.get(variant).push(relation);
+        }
+    }
+
+    const familyStrongs = new Set(rootStrongs);
+    const candidates = [];
+    for (const [candidateRoot, relation] of relations) {
+        const entries = findStrongsByRoot(candidateRoot, { typeFilter: options.typeFilter })
+            .filter(entry => !familyStrongs.has(entry.strongNumber));
+        if (entries.length > 0) {
+            candidates.push({ root: candidateRoot, relation, entries });
+        }
+    }
+
+    const { profiles, verseFrequencies, totalVerses } = collectContextProfiles([
+        familyStrongs,
+        ...candidates.map(candidate => new Set(candidate.entries.map(entry => entry.strongNumber))),
+    ]);
+    for (const profile of profiles) {
+        weightContextProfile(profile, verseFrequencies, totalVerses);
+    }
+
+    const [rootProfile, ...candidateProfiles] = profiles;
+    const results = candidates.map((candidate, i) => {
+        const profile = candidateProfiles[i];
+        const { similarity, contributions } = compareContextProfiles(rootProfile, profile);
+
+        const sharedContext = [...contributions]
+            .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+            .slice(0, SHARED_CONTEXT_WORDS)
+            .map(([strongNumber, contribution]) => ({
+                strongNumber,
+                word: bible.getStrongInfo(strongNumber)?.word ?? '',
+                contribution,
+            }));
+
+        return {
+            root: candidate.root,
+            relation: candidate.relation,
+            strongs: candidate.entries.map(entry => ({
+                strongNumber: entry.strongNumber,
+                word: entry.word,
+                typeEnglish: entry.typeEnglish,
+            })),
+            verses: profile.verseIndexes.length,
+            similarity,
+            sharedContext,
+            evidence: {
+                root: getContextEvidence(rootProfile, contributions, EVIDENCE_VERSES),
+                candidate: getContextEvidence(profile, contributions, EVIDENCE_VERSES),
+            },
+        };
+    });
+
+    results.sort((a, b) => b.similarity - a.similarity || a.root.localeCompare(b.root));
+
+    return { verses: rootProfile.verseIndexes.length, candidates: results };
+}
+
 // ============================================================================
 // Main Analysis Function
 // ============================================================================
@@ -290,8 +661,16 @@ function collectWordForms(strongNumber, maxSamples = 100) {
  * @property {string[]} [expansions] - 3-letter expansions (for 2-letter roots)
  * @property {Object.<string, Object[]>} family - Grouped by word type
  * @property {Object[]} [phoneticRelatives] - Phonetically similar roots
+ * @property {Object[]} [metathesis] - Attested roots with the same letters in another order (see findAttestedRoots)
+ * @property {Object[]} [biliteralCore] - Attested triliteral extensions of a 2-letter core (see findAttestedRoots)
+ * @property {Object[]} [aramaicCognates] - Aramaic forms of the root attested in the Aramaic sections
+ *                                          (see findAramaicCognates)
+ * @property {{verses: number, candidates: Object[]}} [relatedByContext] - Variants ranked by context similarity
+ *                                                                       (see findRelatedByContext)
  * @property {number} totalStrongs - Total Strong's numbers found
  * @property {number} totalOccurrences - Total occurrences across all words
+ * @property {Object} [totalProfile] - Relative frequency and dispersion of the whole family
+ *                                     (with --show-occurrences, see computeFrequencyProfile)
  */
 
 /**
@@ -302,6 +681,9 @@ function collectWordForms(strongNumber, maxSamples = 100) {
  */
 function analyzeRootFamily(input, options = {}) {
     const { root, is2Letter } = normalizeRoot(input);
+    if (options.biliteralCore && !is2Letter) {
+        throw new Error(`--biliteral-core needs a 2-letter core (e.g. "שב"), got "${root}"`);
+    }
 
     const result = {
         root,
@@ -362,6 +744,17 @@ function analyzeRootFamily(input, options = {}) {
         }
     }
 
+    // The family as a whole: all its Strong's numbers together
+    if (options.showOccurrences) {
+        const countsByChapter = new Map();
+        for (const entry of allEntries) {
+            for (const [chapterKey, count] of getStrongCountsByChapter(entry.strongNumber)) {
+                countsByChapter.set(chapterKey, (countsByChapter.get(chapterKey) || 0) + count);
+            }
+        }
+        result.totalProfile = computeFrequencyProfile(countsByChapter);
+    }
+
     // Add phonetically similar roots
     if (options.phonetic && !is2Letter) {
         const phoneticRoots = getPhoneticVariants(root);
@@ -385,6 +778,25 @@ function analyzeRootFamily(input, options = {}) {
         }
     }
 
+    if (options.metathesis) {
+        result.metathesis = findAttestedRoots(getMetathesisVariants(root).map(variant => ({ root: variant })), options)
+            .sort((a, b) => b.occurrences - a.occurrences || a.root.localeCompare(b.root));
+    }
+
+    if (options.biliteralCore) {
+        result.biliteralCore = findAttestedRoots(getBiliteralExtensions(root), options);
+    }
+
+    if (options.aramaicCognates) {
+        result.aramaicCognates = findAramaicCognates(root, options);
+    }
+
+    if (options.relatedByContext && !is2Letter && allEntries.length > 0) {
+        result.relatedByContext = findRelatedByContext(root, allEntries.map(entry => entry.strongNumber), {
+            typeFilter: options.typeFilter,
+        });
+    }
+
     return result;
 }
 
@@ -404,8 +816,14 @@ function parseArgs(args) {
         showOccurrences: false,
         showExamples: 0,
         phonetic: false,
+        relatedByContext: false,
+        metathesis: false,
+        biliteralCore: false,
+        aramaicCognates: false,
         noPoints: false,
         format: 'text',
+        aramaic: 'exclude',
+        rebuildIndex: false,
         help: false,
     };
 
@@ -423,12 +841,24 @@ function parseArgs(args) {
             options.showExamples = parseInt(arg.substring(16), 10);
         } else if (arg === '--phonetic') {
             options.phonetic = true;
+        } else if (arg === '--related-by-context') {
+            options.relatedByContext = true;
+        } else if (arg === '--metathesis') {
+            options.metathesis = true;
+        } else if (arg === '--biliteral-core') {
+            options.biliteralCore = true;
+        } else if (arg === '--aramaic-cognates') {
+            options.aramaicCognates = true;
         } else if (arg === '--no-points') {
             options.noPoints = true;
         } else if (arg.startsWith('--format=')) {
             options.format = arg.substring(9);
         } else if (!arg.startsWith('-')) {
             options.root = arg;
+        } else if (arg.startsWith('--aramaic=')) {
+            options.aramaic = arg.substring(10);
+        } else if (arg === '--rebuild-index') {
+            options.rebuildIndex = true;
         } else {
             throw new Error(`Unknown option: ${arg}`);
         }
@@ -437,6 +867,9 @@ function parseArgs(args) {
     if (!['text', 'json', 'tree'].includes(options.format)) {
         throw new Error(`Invalid format: ${options.format}. Must be text, json, or tree.`);
     }
+    if (!bible.ARAMAIC_MODES.includes(options.aramaic)) {
+        throw new Error(`Invalid aramaic mode: ${options.aramaic}. Must be exclude, include, or only.`);
+    }
 
     return options;
 }
@@ -481,7 +914,11 @@ function formatText(result, options) {
 
     lines.push(`Found ${result.totalStrongs} Strong's number${result.totalStrongs > 1 ? 's' : ''}`);
     if (result.totalOccurrences > 0) {
-        lines.push(`Total occurrences: ${result.totalOccurrences}`);
+        lines.push(`Total occurrences: ${result.totalOccurrences}` +
+            (result.totalProfile ? ` (${result.totalProfile.per10k.toFixed(2)} per 10k words)` : ''));
+    }
+    if (result.totalProfile) {
+        lines.push(`Dispersion: ${formatProfileDispersion(result.totalProfile.dispersion)}`);
     }
     lines.push('');
 
@@ -497,7 +934,7 @@ function formatText(result, options) {
 
         for (const entry of entries) {
             const word = formatWord(entry.word, options.noPoints);
-            let line = `│  H${entry.strongNumber}: ${word}`;
+            let line = bible.labelAramaic(`│  H${entry.strongNumber}: ${word}`, entry.aramaic);
             if (entry.type && entry.type !== entry.typeEnglish) {
                 line += ` (${entry.type})`;
             }
@@ -508,7 +945,8 @@ function formatText(result, options) {
             }
 
             if (entry.occurrences !== undefined) {
-                lines.push(`│      Occurrences: ${entry.occurrences}`);
+                lines.push(`│      Occurrences: ${entry.occurrences} (${entry.per10k.toFixed(2)} per 10k words)`);
+                lines.push(`│      Dispersion: ${formatProfileDispersion(entry.dispersion)}`);
             }
 
             if (entry.examples && entry.examples.length > 0) {
@@ -551,9 +989,112 @@ function formatText(result, options) {
         }
     }
 
+    // Metathesis
+    if (result.metathesis) {
+        lines.push('');
+        lines.push(`Metathesis (the letters ${result.root.split('').join('.')} in another order):`);
+        if (result.metathesis.length === 0) {
+            lines.push('  No attested roots.');
+        }
+        for (const attested of result.metathesis) {
+            formatAttestedRoot(lines, attested, '  ', options);
+        }
+    }
+
+    // Biliteral core
+    if (result.biliteralCore) {
+        const [c1, c2] = result.root;
+        const patterns = { before: `X${c1}${c2}`, between: `${c1}X${c2}`, after: `${c1}${c2}X` };
+
+        lines.push('');
+        lines.push(`Biliteral core ${c1}.${c2} - attested triliteral roots:`);
+        if (result.biliteralCore.length === 0) {
+            lines.push('  No attested roots.');
+        }
+        for (const [position, pattern] of Object.entries(patterns)) {
+            const roots = result.biliteralCore.filter(attested => attested.positions[0] === position);
+            if (roots.length === 0) continue;
+            lines.push(`  ${pattern}:`);
+            for (const attested of roots) {
+                formatAttestedRoot(lines, attested, '    ', options);
+            }
+        }
+    }
+
+    // Aramaic cognates
+    if (result.aramaicCognates) {
+        lines.push('');
+        lines.push(`Aramaic cognates (occurrences in the Aramaic sections - hints, check the verses):`);
+        if (result.aramaicCognates.length === 0) {
+            lines.push('  No attested Aramaic forms.');
+        }
+        for (const attested of result.aramaicCognates) {
+            formatAttestedRoot(lines, attested, '  ', options);
+        }
+    }
+
+    // Related by context
+    if (result.relatedByContext) {
+        lines.push('');
+        lines.push(`Related by context (variants ranked by the similarity of their co-occurring words; root in ${result.relatedByContext.verses} verses):`);
+
+        if (result.relatedByContext.candidates.length === 0) {
+            lines.push('  No attested phonetic or metathesis variants.');
+        }
+
+        result.relatedByContext.candidates.forEach((candidate, i) => {
+            const words = candidate.strongs
+                .map(s => `H${s.strongNumber} ${formatWord(s.word, options.noPoints)}`)
+                .join(', ');
+            lines.push(`  ${i + 1}. ${candidate.root}  ${candidate.similarity.toFixed(3)}  [${candidate.relation.join(', ')}]  ${words} (${candidate.verses} verse${candidate.verses === 1 ? '' : 's'})`);
+
+            if (candidate.sharedContext.length > 0) {
+                const shared = candidate.sharedContext
+                    .map(c => `${formatWord(c.word, options.noPoints)} (H${c.strongNumber})`)
+                    .join(', ');
+                lines.push(`       Shared context: ${shared}`);
+            }
+            for (const [side, evidence] of [[result.root, candidate.evidence.root], [candidate.root, candidate.evidence.candidate]]) {
+                for (const ex of evidence) {
+                    lines.push(`       ${side}: (${ex.location}) ${formatWord(ex.text, options.noPoints)}`);
+                }
+            }
+        });
+    }
+
     console.log(lines.join('\n'));
 }
 
+/**
+ * Add an attested root (see findAttestedRoots) and its words to the text output
+ * @param {string[]} lines
+ * @param {Object} attested
+ * @param {string} indent
+ * @param {Object} options
+ */
+function formatAttestedRoot(lines, attested, indent, options) {
+    let basis = '';
+    if (attested.basis) {
+        basis = attested.basis === 'table' ? ` (table${attested.gloss ? `: ${attested.gloss}` : ''})` : ` (${attested.basis})`;
+    }
+    lines.push(`${indent}${attested.root}${basis} - ${attested.occurrences} occ.`);
+    for (const entry of attested.entries) {
+        let line = `${indent}  H${entry.strongNumber}: ${formatWord(entry.word, options.noPoints)} (${entry.typeEnglish}) - ${entry.occurrences} occ.`;
+        if (entry.gloss) {
+            line += ` - "${entry.gloss}"`;
+        }
+        lines.push(line);
+    }
+}
+
+/**
+ * @param {{books: Object, chapters: Object}} dispersion - See computeFrequencyProfile()
+ * @returns {string}
+ */
+function formatProfileDispersion(dispersion) {
+    return `${formatDispersion(dispersion.books, 'books')}; ${formatDispersion(dispersion.chapters, 'chapters')}`;
+}
+
 /**
  * Format results as tree
  * @param {RootFamilyResult} result
@@ -586,24 +1127,44 @@ function formatTree(result, options) {
             const entryPrefix = childPrefix + (isLastEntry ? '└── ' : '├── ');
 
             const word = formatWord(entry.word, options.noPoints);
-            let line = `${entryPrefix}${word} (H${entry.strongNumber})`;
+            let line = bible.labelAramaic(`${entryPrefix}${word} (H${entry.strongNumber})`, entry.aramaic);
+            if (entry.gloss) {
+                line += ` - ${entry.gloss}`;
+            }
             if (entry.occurrences !== undefined) {
                 line += ` [${entry.occurrences}]`;
             }
             lines.push(line);
 
+            const detailsPrefix = childPrefix + (isLastEntry ? '    ' : '│   ');
+
             // Show forms if available
             if (entry.forms && entry.forms.length > 0) {
-                const formsPrefix = childPrefix + (isLastEntry ? '    ' : '│   ');
                 const formsSample = entry.forms.slice(0, 5);
                 if (entry.forms.length > 5) {
                     formsSample.push('...');
                 }
-                lines.push(`${formsPrefix}Forms: ${formsSample.join(', ')}`);
+                lines.push(`${detailsPrefix}Forms: ${formsSample.join(', ')}`);
+            }
+
+            // Show how the BSB translates it
+            if (entry.renderings && entry.renderings.length > 0) {
+                const renderingsSample = entry.renderings.slice(0, TREE_RENDERINGS)
+                    .map(rendering => `${rendering.english} ${rendering.count}`);
+                if (entry.renderings.length > TREE_RENDERINGS) {
+                    renderingsSample.push('...');
+                }
+                lines.push(`${detailsPrefix}English: ${renderingsSample.join(', ')}`);
             }
         }
     }
 
+    if (result.aramaicCognates && result.aramaicCognates.length > 0) {
+        const cognates = result.aramaicCognates.flatMap(attested => attested.entries.map(entry =>
+            `${formatWord(entry.word, options.noPoints)} (H${entry.strongNumber}) [${entry.occurrences}]`));
+        lines.push(`Aramaic cognates: ${cognates.join(', ')}`);
+    }
+
     console.log(lines.join('\n'));
 }
 
@@ -620,6 +1181,11 @@ function formatJson(result, options) {
         totalOccurrences: result.totalOccurrences,
     };
 
+    if (result.totalProfile) {
+        output.totalPer10k = result.totalProfile.per10k;
+        output.totalDispersion = result.totalProfile.dispersion;
+    }
+
     if (result.is2Letter) {
         output.expansions = result.expansions;
     }
@@ -632,9 +1198,14 @@ function formatJson(result, options) {
                 strongNumber: entry.strongNumber,
                 word: options.noPoints ? bible.removeNikud(entry.word) : entry.word,
                 searchable: entry.searchable,
+                gloss: entry.gloss,
+                renderings: entry.renderings,
+                ...(entry.aramaic && { aramaic: true }),
             };
             if (entry.occurrences !== undefined) {
                 e.occurrences = entry.occurrences;
+                e.per10k = entry.per10k;
+                e.dispersion = entry.dispersion;
             }
             if (entry.matchedRoot) {
                 e.matchedRoot = entry.matchedRoot;
@@ -655,10 +1226,57 @@ function formatJson(result, options) {
             strongNumber: entry.strongNumber,
             word: options.noPoints ? bible.removeNikud(entry.word) : entry.word,
             typeEnglish: entry.typeEnglish,
+            gloss: entry.gloss,
             occurrences: entry.occurrences,
+            per10k: entry.per10k,
+            dispersion: entry.dispersion,
         }));
     }
 
+    const formatAttestedJson = attested => ({
+        root: attested.root,
+        ...(attested.positions ? { positions: attested.positions } : {}),
+        ...(attested.basis ? { basis: attested.basis, gloss: attested.gloss } : {}),
+        occurrences: attested.occurrences,
+        strongs: attested.entries.map(entry => ({
+            strongNumber: entry.strongNumber,
+            word: options.noPoints ? bible.removeNikud(entry.word) : entry.word,
+            typeEnglish: entry.typeEnglish,
+            occurrences: entry.occurrences,
+            gloss: entry.gloss,
+        })),
+    });
+    if (result.metathesis) {
+        output.metathesis = result.metathesis.map(formatAttestedJson);
+    }
+    if (result.biliteralCore) {
+        output.biliteralCore = result.biliteralCore.map(formatAttestedJson);
+    }
+    if (result.aramaicCognates) {
+        output.aramaicCognates = result.aramaicCognates.map(formatAttestedJson);
+    }
+
+    if (result.relatedByContext) {
+        const noPoints = word => options.noPoints ? bible.removeNikud(word) : word;
+        output.relatedByContext = {
+            verses: result.relatedByContext.verses,
+            candidates: result.relatedByContext.candidates.map(candidate => ({
+                ...candidate,
+                strongs: candidate.strongs.map(s => ({ ...s, word: noPoints(s.word) })),
+                sharedContext: candidate.sharedContext.map(c => ({ ...c, word: noPoints(c.word) })),
+                evidence: Object.fromEntries(Object.entries(candidate.evidence).map(([side, verses]) => [
+                    side,
+                    verses.map(ex => ({
+                        ...ex,
+                        text: noPoints(ex.text),
+                        words: ex.words.map(noPoints),
+                        sharedContext: ex.sharedContext.map(noPoints),
+                    })),
+                ])),
+            })),
+        };
+    }
+
     console.log(JSON.stringify(output, null, 2));
 }
 
@@ -666,9 +1284,7 @@ function formatJson(result, options) {
 // Main
 // ============================================================================
 
-async function main() {
-    const args = process.argv.slice(2);
-
+async function main(args = process.argv.slice(2)) {
     let options;
     try {
         options = parseArgs(args);
@@ -683,6 +1299,11 @@ async function main() {
         process.exit(options.help ? 0 : 1);
     }
 
+    if (options.rebuildIndex) {
+        bible.requestIndexRebuild();
+    }
+    bible.setAramaicMode(options.aramaic);
+
     let result;
     try {
         result = analyzeRootFamily(options.root, options);
@@ -705,12 +1326,21 @@ async function main() {
     }
 }
 
-// Export for testing
+// Export for testing (main() is also run by the daemon)
 export {
+    main,
     normalizeRoot,
     expand2LetterRoot,
     getPhoneticVariants,
+    getMetathesisVariants,
+    getBiliteralExtensions,
     findStrongsByRoot,
+    findAttestedRoots,
+    findAramaicCognates,
+    findRelatedByContext,
+    collectContextProfiles,
+    weightContextProfile,
+    compareContextProfiles,
     analyzeRootFamily,
     parseArgs,
     getOccurrenceCount,
@@ -724,7 +1354,7 @@ export {
 // Run main if executed directly
 const isMainModule = process.argv[1] && import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-    main().catch(error => {
+    runTool('bible_root_family', main).catch(error => {
         console.error(`Fatal error: ${error.message}`);
         process.exit(1);
     });
@@ -38,6 +38,31 @@ QUERY PATTERNS:
                                 Expands to: שב|נשב|ישב|שוב|שיב|שבה|שבב|שבשב
                                 (Only matches VERBS)
 
+    Morphology constraints (after ":" inside the angle brackets, separated by ":"):
+        "<שמר:piel:imperfect>"  Occurrences of שמר that look like piel imperfect
+        "<:noun:plural>"        Any plural noun (no root = any word)
+        "2שב2:hiphil"           Also after the 2-letter root pattern
+
+        verb, noun, name, ...   Word type (as in bible_strong_info --type)
+        pos=X                   Part of speech: noun, verb, adjective, adverb, pronoun,
+                                preposition, conjunction, particle
+        qal, niphal, piel, pual, hiphil, hophal, hitpael (and polel, pilpel, ...)
+                                Binyan
+        perfect, imperfect, wayyiqtol, imperative, infinitive, participle
+                                Tense/form (tagged data adds: weqatal, cohortative, jussive,
+                                passive-participle, infinitive-absolute, infinitive-construct)
+        3ms, 3p, 1cs, fp, ...   Person (1/2/3), gender (m/f/c), number (s/p/d)
+        singular, plural, dual  Number
+        absolute, construct, determined
+                                State (tagged data only)
+        prefix=X                X: ו ה ב כ ל מ, conjunction, article, preposition,
+                                interrogative, relative, none
+        suffix=X                X: none, pronominal, verbal, plural, dual, directional,
+                                paragogic, or the person/gender/number of a pronominal
+                                suffix (suffix=3, suffix=3fs)
+
+        For alternatives, repeat the brackets: "(<שמר:piel>|<שמר:pual>)"
+
     Standard regex:
         "."                     Any character (including space - spans words)
         "[אבג]"                 Character class
@@ -48,13 +73,36 @@ QUERY PATTERNS:
         " מים .* ארץ "          "מים" and "ארץ" in same verse, any distance
         "<מים> #* <ארץ>"        Same concepts by Strong's, adjacent words only
 
+    Boolean and proximity operators (upper case, between whole queries):
+        "A AND B"               A and B in the same verse
+        "A OR B"                A or B
+        "A NOT B"               A in a verse without B (also: "A AND NOT B")
+        "A NEAR/n B"            A within n words of B (may cross verse boundaries)
+        "A WITHIN/n B"          A within n verses of B (WITHIN/0 = same verse)
+        "A SAMECHAPTER B"       A in the same chapter as B
+
+        Precedence: NEAR/WITHIN/SAMECHAPTER, then AND/NOT, then OR - each left to
+        right. No grouping: parentheses belong to the regex syntax.
+        Distances never cross books. Every verse that takes part in a match is listed
+        (for WITHIN/SAMECHAPTER - the verses of both sides), and each highlighted word
+        is tagged with the number of its query: **מַיִם**[1] ... **רוּחַ**[2]
+
 OPTIONS:
     --max=N, -n N           Maximum results (default: 100, max: 10000)
     --group-by=MODE         Group results: "none" (default), "book", "strong"
     --range=RANGE           Limit to range: "בראשית", "בראשית 1-10", "תורה"
     --no-points             Remove nikud from output
-    --format=FORMAT         Output format: "text" (default), "json", "summary"
+    --format=FORMAT         Output format: "text" (default), "json", "summary",
+                            "kwic" (concordance), "tsv" or "csv" (concordance for spreadsheets)
+    --context=N             Concordance: words of context on each side (default: 5, max: 50)
+    --sort=ORDER            Concordance order: "none" (biblical, default), "left" (by the
+                            words before the keyword, nearest first), "right" (by the words
+                            after it), "keyword"
     --count-only            Only show count, not verses
+    --reading=FORM          Ketiv/qere pairs: match the "ketiv", the "qere" or "both"
+                            (default: both - every word the text has)
+    --aramaic=MODE          Aramaic sections (Daniel, Ezra...): "exclude" (default), "include" or "only"
+    --rebuild-index         Re-parse the source data and rewrite the index cache
 
 SPECIAL RANGES:
     --range="תורה"          Torah only (Genesis-Deuteronomy)
@@ -79,12 +127,30 @@ EXAMPLES:
     # Proto-Semitic root analysis
     ./bible_search.js "2שב2"
 
+    # Water within 3 verses of wind/spirit
+    ./bible_search.js "<מים> WITHIN/3 <רוח>"
+
+    # Light without darkness in the same verse
+    ./bible_search.js "<אור> AND NOT <חשך>"
+
+    # Morphology: a wayyiqtol verb followed by a plural noun
+    ./bible_search.js "<:verb:wayyiqtol> <:noun:plural>"
+
     # Search only in Torah, show summary
     ./bible_search.js "<ברא>" --range="תורה" --format=summary
 
     # Quick count
     ./bible_search.js "אלהים" --count-only
 
+    # Concordance of "בְּיַד", sorted by what follows - collocations line up
+    ./bible_search.js " ביד " --format=kwic --sort=right --context=4
+
+    # The same concordance, for a spreadsheet
+    ./bible_search.js " ביד " --format=tsv --sort=right > ביד.tsv
+
+    # Ketiv/qere: the written form only (the qere words are left out)
+    ./bible_search.js " קריאי " --reading=ketiv
+
 OUTPUT FORMATS:
 
     text (default):
@@ -115,13 +181,38 @@ OUTPUT FORMATS:
           "strongMatches": [...],
           "matches": [...]
         }
+        With --context or --sort, also "kwic": the concordance lines.
+
+    kwic (keyword in context) - one line per hit, in aligned columns:
+        Found 127 matches for "<אור>":
+
+        בראשית א:ג |         וַיֹּאמֶר אֱלֹהִים יְהִי | אוֹר   | וַיְהִי אוֹר
+        בראשית א:ג | אֱלֹהִים יְהִי אוֹר וַיְהִי | אוֹר   |
+        בראשית א:ד |            וַיַּרְא אֱלֹהִים אֶת | הָאוֹר | כִּי טוֹב וַיַּבְדֵּל אֱלֹהִים
+        ...
+
+    tsv, csv - the kwic lines with a header row:
+        location, book, chapter, verse, left, keyword, right, strongs
 
 NOTES:
-    - Aramaic sections are EXCLUDED (not relevant for Hebrew linguistic research)
+    - Aramaic sections are EXCLUDED by default (--aramaic=include or only to study them);
+      Aramaic verses are marked [Aramaic] (JSON: "aramaic": true)
     - Accents are ALWAYS stripped (no linguistic value for this analysis)
     - Nikud is ON by default (aids readability)
     - Results are ordered by biblical order (Genesis to Chronicles)
     - Matched words are highlighted with ** markers in text output
+    - Concordance: a hit is a run of adjacent matched words (a verse may have several).
+      The context stays within the verse. --max limits the verses, not the lines.
+      --group-by does not apply
+    - Boolean queries match verses, not words: the range filter, --max and the counts
+      apply to the verses that took part in a match
+    - Morphology constraints use the morphology file when it exists (see bible-utils.js
+      MORPHOLOGY_INPUT_FILE). Otherwise they are guessed from spelling and nikud (the
+      heuristics of bible_morphology) - expect some misses and false hits
+    - Ketiv/qere pairs are marked as in the repo's תנך-מנוקד: the BSB words align with it.
+      --reading=ketiv or qere leaves the other form out; a form the BSB lacks is searched
+      in its place (with the Strong's number of the word it stands for)
+    - Maqaf-joined words are separate words (as in hebrew-grep): " כל הארץ " matches כָּל־הָאָרֶץ
 `;
 
 import * as bible from './bible-utils.js';
@@ -130,7 +221,10 @@ import {
     NEVIIM,
     KETUVIM,
     parseRange,
+    displayWidth,
+    padToWidth,
 } from './bible-utils.js';
+import { runTool } from './bible-daemon.js';
 
 /**
  * Parse command line arguments
@@ -143,9 +237,14 @@ function parseArgs(args) {
         maxResults: 100,
         groupBy: 'none',
         range: null,
+        reading: 'both',
         noPoints: false,
         format: 'text',
         countOnly: false,
+        context: null,
+        sort: 'none',
+        aramaic: 'exclude',
+        rebuildIndex: false,
         help: false,
     };
 
@@ -168,18 +267,33 @@ function parseArgs(args) {
         } else if (arg.startsWith('--range=')) {
             options.range = arg.substring(8);
             i++;
+        } else if (arg.startsWith('--reading=')) {
+            options.reading = arg.substring(10);
+            i++;
         } else if (arg === '--no-points') {
             options.noPoints = true;
             i++;
         } else if (arg.startsWith('--format=')) {
             options.format = arg.substring(9);
             i++;
+        } else if (arg.startsWith('--context=')) {
+            options.context = parseInt(arg.substring(10));
+            i++;
+        } else if (arg.startsWith('--sort=')) {
+            options.sort = arg.substring(7);
+            i++;
         } else if (arg === '--count-only') {
             options.countOnly = true;
             i++;
         } else if (!arg.startsWith('-')) {
             options.query = arg;
             i++;
+        } else if (arg.startsWith('--aramaic=')) {
+            options.aramaic = arg.substring(10);
+            i++;
+        } else if (arg === '--rebuild-index') {
+            options.rebuildIndex = true;
+            i++;
         } else {
             throw new Error(`Unknown option: ${arg}`);
         }
@@ -189,12 +303,24 @@ function parseArgs(args) {
     if (!['none', 'book', 'strong'].includes(options.groupBy)) {
         throw new Error(`Invalid group-by value: ${options.groupBy}. Must be none, book, or strong.`);
     }
-    if (!['text', 'json', 'summary'].includes(options.format)) {
-        throw new Error(`Invalid format value: ${options.format}. Must be text, json, or summary.`);
+    if (!['text', 'json', 'summary', 'kwic', 'tsv', 'csv'].includes(options.format)) {
+        throw new Error(`Invalid format value: ${options.format}. Must be text, json, summary, kwic, tsv, or csv.`);
+    }
+    if (options.context !== null && !(options.context >= 0 && options.context <= 50)) {
+        throw new Error(`Invalid context value: ${options.context}. Must be between 0 and 50.`);
+    }
+    if (!['none', 'left', 'right', 'keyword'].includes(options.sort)) {
+        throw new Error(`Invalid sort value: ${options.sort}. Must be none, left, right, or keyword.`);
     }
     if (options.maxResults < 1 || options.maxResults > 10000) {
         throw new Error(`Invalid max value: ${options.maxResults}. Must be between 1 and 10000.`);
     }
+    if (!bible.READINGS.includes(options.reading)) {
+        throw new Error(`Invalid reading: ${options.reading}. Must be ketiv, qere, or both.`);
+    }
+    if (!bible.ARAMAIC_MODES.includes(options.aramaic)) {
+        throw new Error(`Invalid aramaic mode: ${options.aramaic}. Must be exclude, include, or only.`);
+    }
 
     return options;
 }
@@ -204,13 +330,22 @@ function parseArgs(args) {
  * @param {string[]} words - Array of words in the verse
  * @param {number[]} matchedIndexes - Indexes of matched words
  * @param {boolean} noPoints - Whether to remove nikud
+ * @param {Object[]} [components] - Boolean queries: tag each word with the number(s) of the query that matched it
  * @returns {string}
  */
-function highlightVerse(words, matchedIndexes, noPoints) {
+function highlightVerse(words, matchedIndexes, noPoints, components = []) {
     const matchedSet = new Set(matchedIndexes);
+    const wordComponents = new Map();
+    for (const { component, matchedWordIndexes } of components) {
+        for (const wordIndex of matchedWordIndexes) {
+            wordComponents.set(wordIndex, [...(wordComponents.get(wordIndex) ?? []), component]);
+        }
+    }
+
     return words.map((word, i) => {
         const displayWord = noPoints ? bible.removeNikud(word) : word;
-        return matchedSet.has(i) ? `**${displayWord}**` : displayWord;
+        if (!matchedSet.has(i)) return displayWord;
+        return wordComponents.has(i) ? `**${displayWord}**[${wordComponents.get(i).join(',')}]` : `**${displayWord}**`;
     }).join(' ');
 }
 
@@ -290,6 +425,89 @@ function countByBook(matches) {
     return counts;
 }
 
+// ============================================================================
+// Keyword in Context (Concordance)
+// ============================================================================
+
+/** Words of context on each side of the keyword, unless --context is given */
+const DEFAULT_KWIC_CONTEXT = 5;
+
+const kwicCollator = new Intl.Collator('he');
+
+/**
+ * @typedef {Object} KwicLine
+ * @property {Object} verse - The verse (VerseInfo)
+ * @property {string[]} left - Words before the keyword (in text order)
+ * @property {string[]} keyword - The matched words
+ * @property {string[]} right - Words after the keyword
+ * @property {number} fromWordIndex - Index of the keyword's first word in the verse
+ * @property {number[]} strongs - Strong's numbers of the keyword's words
+ */
+
+/**
+ * Build the concordance lines: one per hit - a run of adjacent matched words
+ * @param {Object[]} matches - Search matches
+ * @param {Object} [options]
+ * @param {number} [options.context] - Words of context on each side (default: DEFAULT_KWIC_CONTEXT)
+ * @param {string} [options.sort] - "none" (biblical order), "left", "right" or "keyword"
+ * @returns {KwicLine[]}
+ */
+function buildKwicLines(matches, options = {}) {
+    const context = options.context ?? DEFAULT_KWIC_CONTEXT;
+    const lines = [];
+
+    for (const match of matches) {
+        const words = match.verse.words;
+        const indexes = match.matchedWordIndexes;
+        for (let i = 0; i < indexes.length; i++) {
+            const fromWordIndex = indexes[i];
+            while (i + 1 < indexes.length && indexes[i + 1] === indexes[i] + 1) {
+                i++;
+            }
+            const toWordIndex = indexes[i];
+            lines.push({
+                verse: match.verse,
+                left: words.slice(Math.max(0, fromWordIndex - context), fromWordIndex),
+                keyword: words.slice(fromWordIndex, toWordIndex + 1),
+                right: words.slice(toWordIndex + 1, toWordIndex + 1 + context),
+                fromWordIndex,
+                strongs: match.verse.strongs.slice(fromWordIndex, toWordIndex + 1),
+            });
+        }
+    }
+
+    // Sort keys ignore nikud; ties keep the biblical order (the sort is stable)
+    const compareWords = (a, b) => {
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            const order = kwicCollator.compare(bible.removeNikud(a[i]), bible.removeNikud(b[i]));
+            if (order !== 0) return order;
+        }
+        return a.length - b.length;
+    };
+    switch (options.sort ?? 'none') {
+        case 'left':
+            lines.sort((a, b) => compareWords([...a.left].reverse(), [...b.left].reverse()));
+            break;
+        case 'right':
+            lines.sort((a, b) => compareWords(a.right, b.right));
+            break;
+        case 'keyword':
+            lines.sort((a, b) => compareWords([...a.keyword, ...a.right], [...b.keyword, ...b.right]));
+            break;
+    }
+
+    return lines;
+}
+
+/**
+ * Quote a value for a CSV file (RFC 4180)
+ * @param {string} value
+ * @returns {string}
+ */
+function csvField(value) {
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
 // ============================================================================
 // Main Search Function
 // ============================================================================
@@ -306,7 +524,7 @@ function performSearch(query, options) {
 
     // Perform the core search with higher limit to account for filtering
     const searchLimit = options.countOnly ? 10000 : Math.min(options.maxResults * 10, 10000);
-    const rawResult = bible.search(query, { maxResults: searchLimit });
+    const rawResult = bible.search(query, { maxResults: searchLimit, reading: options.reading });
 
     // Filter results
     let filteredMatches = rawResult.matches;
@@ -334,6 +552,7 @@ function performSearch(query, options) {
         totalMatches: options.countOnly ? filteredMatches.length : filteredMatches.length,
         filteredCount: filteredMatches.length,
         truncated: truncated && !options.countOnly,
+        components: rawResult.components,
         options,
     };
 }
@@ -353,6 +572,11 @@ function formatText(result, options) {
     // Header
     lines.push(`Found ${result.filteredCount} matches for "${result.query}"${result.truncated ? ' (showing first ' + result.matches.length + ')' : ''}:`);
 
+    // Boolean queries: which number stands for which query
+    if (result.components) {
+        lines.push(`Queries: ${result.components.map(c => `[${c.component}] ${c.query.trim()}`).join('  ')}`);
+    }
+
     // Show Strong's matches if any
     if (result.strongMatches.length > 0) {
         const strongsDisplay = result.strongMatches.slice(0, 10).map(sm =>
@@ -374,8 +598,8 @@ function formatText(result, options) {
         for (const [book, matches] of groups) {
             lines.push(`== ${book} (${matches.length} matches) ==`);
             for (const match of matches) {
-                const highlighted = highlightVerse(match.verse.words, match.matchedWordIndexes, options.noPoints);
-                lines.push(`  (${match.verse.chapter}:${match.verse.verse}) ${highlighted}`);
+                const highlighted = highlightVerse(match.verse.words, match.matchedWordIndexes, options.noPoints, match.components);
+                lines.push(`  ${bible.labelAramaic(`(${match.verse.chapter}:${match.verse.verse})`, match.verse.isAramaic)} ${highlighted}`);
             }
             lines.push('');
         }
@@ -384,18 +608,18 @@ function formatText(result, options) {
         for (const [strongNum, matches] of groups) {
             const strongInfo = bible.getStrongInfo(strongNum);
             const word = options.noPoints ? bible.removeNikud(strongInfo.word) : strongInfo.word;
-            lines.push(`== H${strongNum}: ${word} (${strongInfo.type}) - ${matches.length} matches ==`);
+            lines.push(`== H${strongNum}: ${bible.labelAramaic(`${word} (${strongInfo.type})`, bible.isAramaicStrong(strongNum))} - ${matches.length} matches ==`);
             for (const match of matches) {
-                const highlighted = highlightVerse(match.verse.words, match.matchedWordIndexes, options.noPoints);
-                lines.push(`  (${match.verse.location}) ${highlighted}`);
+                const highlighted = highlightVerse(match.verse.words, match.matchedWordIndexes, options.noPoints, match.components);
+                lines.push(`  ${bible.labelAramaic(`(${match.verse.location})`, match.verse.isAramaic)} ${highlighted}`);
             }
             lines.push('');
         }
     } else {
         // No grouping
         for (const match of result.matches) {
-            const highlighted = highlightVerse(match.verse.words, match.matchedWordIndexes, options.noPoints);
-            lines.push(`(${match.verse.location}) ${highlighted}`);
+            const highlighted = highlightVerse(match.verse.words, match.matchedWordIndexes, options.noPoints, match.components);
+            lines.push(`${bible.labelAramaic(`(${match.verse.location})`, match.verse.isAramaic)} ${highlighted}`);
         }
     }
 
@@ -424,7 +648,7 @@ function formatSummary(result, options) {
         for (const [strongNum, count] of sortedStrongs) {
             const info = bible.getStrongInfo(strongNum);
             const word = options.noPoints ? bible.removeNikud(info.word) : info.word;
-            lines.push(`  H${strongNum} (${word}, ${info.typeEnglish}) - ${count} occurrences`);
+            lines.push(`  ${bible.labelAramaic(`H${strongNum} (${word}, ${info.typeEnglish})`, bible.isAramaicStrong(strongNum))} - ${count} occurrences`);
         }
         lines.push('');
     }
@@ -455,6 +679,7 @@ function formatJson(result, options) {
             word: options.noPoints ? bible.removeNikud(sm.word) : sm.word,
             type: sm.type,
             typeEnglish: sm.typeEnglish,
+            ...(bible.isAramaicStrong(sm.strongNumber) && { aramaic: true }),
         })),
         matches: result.matches.map(match => ({
             location: match.verse.location,
@@ -464,9 +689,30 @@ function formatJson(result, options) {
             text: options.noPoints ? bible.removeNikud(match.verse.text) : match.verse.text,
             matchedWordIndexes: match.matchedWordIndexes,
             matchedText: options.noPoints ? bible.removeNikud(match.matchedText) : match.matchedText,
+            ...(match.components && {
+                components: match.components.map(c => ({ component: c.component, matchedWordIndexes: c.matchedWordIndexes })),
+            }),
+            ...(match.verse.isAramaic && { aramaic: true }),
         })),
     };
 
+    if (result.components) {
+        output.components = result.components;
+    }
+
+    // The concordance, when asked for
+    if (options.context !== null || options.sort !== 'none') {
+        output.kwic = buildKwicLines(result.matches, options).map(line => ({
+            location: line.verse.location,
+            fromWordIndex: line.fromWordIndex,
+            left: options.noPoints ? bible.removeNikud(line.left.join(' ')) : line.left.join(' '),
+            keyword: options.noPoints ? bible.removeNikud(line.keyword.join(' ')) : line.keyword.join(' '),
+            right: options.noPoints ? bible.removeNikud(line.right.join(' ')) : line.right.join(' '),
+            strongs: line.strongs,
+            ...(line.verse.isAramaic && { aramaic: true }),
+        }));
+    }
+
     // Add grouping info if requested
     if (options.groupBy === 'book') {
         output.byBook = {};
@@ -494,13 +740,71 @@ function formatJson(result, options) {
     console.log(JSON.stringify(output, null, 2));
 }
 
+/**
+ * Format output as a keyword-in-context concordance, in aligned columns
+ * @param {Object} result
+ * @param {Object} options
+ */
+function formatKwic(result, options) {
+    const lines = [];
+    lines.push(`Found ${result.filteredCount} matches for "${result.query}"${result.truncated ? ' (showing first ' + result.matches.length + ')' : ''}:`);
+    lines.push('');
+
+    const display = (words) => (options.noPoints ? bible.removeNikud(words.join(' ')) : words.join(' '));
+    const rows = buildKwicLines(result.matches, options).map(line => [
+        bible.labelAramaic(line.verse.location, line.verse.isAramaic),
+        display(line.left),
+        display(line.keyword),
+        display(line.right),
+    ]);
+    const widths = [0, 1, 2].map(column => Math.max(0, ...rows.map(row => displayWidth(row[column]))));
+
+    for (const [location, left, keyword, right] of rows) {
+        lines.push([
+            padToWidth(location, widths[0], false),
+            padToWidth(left, widths[1], true),
+            padToWidth(keyword, widths[2], false),
+            right,
+        ].join(' | ').trimEnd());
+    }
+
+    console.log(lines.join('\n'));
+}
+
+/**
+ * Format the concordance as TSV or CSV, with a header row
+ * @param {Object} result
+ * @param {Object} options
+ */
+function formatDelimited(result, options) {
+    const display = (words) => (options.noPoints ? bible.removeNikud(words.join(' ')) : words.join(' '));
+    // Tabs and newlines never appear inside the fields
+    const toRow = options.format === 'csv'
+        ? (fields) => fields.map(field => csvField(String(field))).join(',')
+        : (fields) => fields.join('\t');
+
+    const rows = [toRow(['location', 'book', 'chapter', 'verse', 'left', 'keyword', 'right', 'strongs'])];
+    for (const line of buildKwicLines(result.matches, options)) {
+        rows.push(toRow([
+            line.verse.location,
+            line.verse.book,
+            line.verse.chapterIndex + 1,
+            line.verse.verseIndex + 1,
+            display(line.left),
+            display(line.keyword),
+            display(line.right),
+            line.strongs.map(strongNum => `H${strongNum}`).join(' '),
+        ]));
+    }
+
+    console.log(rows.join('\n'));
+}
+
 // ============================================================================
 // Main Entry Point
 // ============================================================================
 
-async function main() {
-    const args = process.argv.slice(2);
-
+async function main(args = process.argv.slice(2)) {
     // Parse arguments
     let options;
     try {
@@ -517,6 +821,11 @@ async function main() {
         process.exit(options.help ? 0 : 1);
     }
 
+    if (options.rebuildIndex) {
+        bible.requestIndexRebuild();
+    }
+    bible.setAramaicMode(options.aramaic);
+
     // Perform search
     let result;
     try {
@@ -534,6 +843,13 @@ async function main() {
         case 'summary':
             formatSummary(result, options);
             break;
+        case 'kwic':
+            formatKwic(result, options);
+            break;
+        case 'tsv':
+        case 'csv':
+            formatDelimited(result, options);
+            break;
         case 'text':
         default:
             formatText(result, options);
@@ -541,12 +857,15 @@ async function main() {
     }
 }
 
-// Export for testing
+// Export for testing (main() is also run by the daemon)
 export {
+    main,
     parseArgs,
     parseRange,
     performSearch,
     highlightVerse,
+    buildKwicLines,
+    csvField,
     groupByBook,
     groupByStrong,
     countByBook,
@@ -559,7 +878,7 @@ export {
 // Run main if executed directly
 const isMainModule = process.argv[1] && import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-    main().catch(error => {
+    runTool('bible_search', main).catch(error => {
         console.error(`Fatal error: ${error.message}`);
         process.exit(1);
     });
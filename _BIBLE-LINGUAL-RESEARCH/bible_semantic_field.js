@@ -31,8 +31,12 @@ OPTIONS:
     --category=CAT      Focus on category: noun, verb, all (default: all)
     --show-examples=N   Show N examples for key relationships
     --range=RANGE       Limit to specific range
+    --reading=FORM      Ketiv/qere pairs: match the "ketiv", the "qere" or "both"
+                        (default: both - every word the text has)
     --no-points         Remove nikud from output
     --format=FORMAT     Output format: "text" (default), "json", "graph"
+    --aramaic=MODE      Aramaic sections (Daniel, Ezra...): "exclude" (default), "include" or "only"
+    --rebuild-index     Re-parse the source data and rewrite the index cache
 
 EXAMPLES:
     # Map the semantic field of "מים" (water)
@@ -64,7 +68,8 @@ ASSOCIATION STRENGTH:
 
 NOTES:
     - Computationally intensive for depth > 1
-    - Aramaic sections excluded (not relevant for Hebrew linguistic research)
+    - Aramaic sections excluded by default (--aramaic=include or only to study them);
+      Aramaic verses and words are marked [Aramaic] (JSON: "aramaic": true)
 `;
 
 import * as bible from './bible-utils.js';
@@ -74,6 +79,7 @@ import {
     isStopword,
     parseRange,
 } from './bible-utils.js';
+import { runTool } from './bible-daemon.js';
 
 // ============================================================================
 // Constants
@@ -102,8 +108,11 @@ function parseArgs(args) {
         category: null,
         showExamples: 0,
         range: null,
+        reading: 'both',
         noPoints: false,
         format: 'text',
+        aramaic: 'exclude',
+        rebuildIndex: false,
         help: false,
     };
 
@@ -125,12 +134,18 @@ function parseArgs(args) {
             options.showExamples = parseInt(arg.substring(16), 10);
         } else if (arg.startsWith('--range=')) {
             options.range = arg.substring(8);
+        } else if (arg.startsWith('--reading=')) {
+            options.reading = arg.substring(10);
         } else if (arg === '--no-points') {
             options.noPoints = true;
         } else if (arg.startsWith('--format=')) {
             options.format = arg.substring(9);
         } else if (!arg.startsWith('-')) {
             options.concept = arg;
+        } else if (arg.startsWith('--aramaic=')) {
+            options.aramaic = arg.substring(10);
+        } else if (arg === '--rebuild-index') {
+            options.rebuildIndex = true;
         } else {
             throw new Error(`Unknown option: ${arg}`);
         }
@@ -144,6 +159,13 @@ function parseArgs(args) {
         throw new Error(`Invalid depth: ${options.depth}. Must be 1-3.`);
     }
 
+    if (!bible.READINGS.includes(options.reading)) {
+        throw new Error(`Invalid reading: ${options.reading}. Must be ketiv, qere, or both.`);
+    }
+    if (!bible.ARAMAIC_MODES.includes(options.aramaic)) {
+        throw new Error(`Invalid aramaic mode: ${options.aramaic}. Must be exclude, include, or only.`);
+    }
+
     return options;
 }
 
@@ -228,7 +250,7 @@ function calculatePMI(cooccurCount, word1Count, word2Count, totalVerses) {
  * Find associations for a query at depth 1
  */
 function findDirectAssociations(query, options) {
-    const searchResult = bible.search(query, { maxResults: 10000 });
+    const searchResult = bible.search(query, { maxResults: 10000, reading: options.reading });
     const rangeFilter = parseRange(options.range);
 
     // Count verse occurrences and co-occurrences
@@ -292,15 +314,17 @@ function findDirectAssociations(query, options) {
                     location: verse.location,
                     book: verse.book,
                     text: verse.text,
+                    ...(verse.isAramaic && { aramaic: true }),
                 });
             }
         }
     }
 
-    // Get total verses for PMI calculation
+    // Get total verses for PMI calculation (not those the Aramaic mode leaves out)
     const allVerses = bible.getAllVerses();
     let totalVerses = 0;
     for (const verse of allVerses) {
+        if (verse.skipped) continue;
         if (rangeFilter) {
             if (!rangeFilter.books.has(verse.book)) continue;
             if (!rangeFilter.chapterFilter(verse.book, verse.chapterIndex)) continue;
@@ -351,6 +375,9 @@ function findDirectAssociations(query, options) {
             if (info) {
                 assoc.type = info.typeEnglish;
             }
+            if (assoc.strongNumbers.every(bible.isAramaicStrong)) {
+                assoc.aramaic = true;
+            }
         }
 
         // Select diverse examples
@@ -464,7 +491,7 @@ function formatText(result, options) {
     let header = `Semantic field around "${result.concept}"`;
     if (result.strongMatches.length > 0) {
         const strongs = result.strongMatches.slice(0, 3)
-            .map(s => `H${s.strongNumber}`)
+            .map(s => bible.labelAramaic(`H${s.strongNumber}`, bible.isAramaicStrong(s.strongNumber)))
             .join(', ');
         header += ` (${strongs})`;
     }
@@ -483,10 +510,10 @@ function formatText(result, options) {
     lines.push('┌' + '─'.repeat(60));
 
     const maxWordLen = Math.max(...result.depth1.map(a =>
-        formatWord(a.word, options.noPoints).length));
+        bible.labelAramaic(formatWord(a.word, options.noPoints), a.aramaic).length));
 
     for (const assoc of result.depth1) {
-        const word = formatWord(assoc.word, options.noPoints);
+        const word = bible.labelAramaic(formatWord(assoc.word, options.noPoints), assoc.aramaic);
         const paddedWord = word.padStart(maxWordLen);
         const strengthBar = '█'.repeat(Math.round(assoc.strength * 20));
 
@@ -498,7 +525,7 @@ function formatText(result, options) {
 
         if (assoc.examples && assoc.examples.length > 0) {
             for (const ex of assoc.examples) {
-                lines.push(`│      (${ex.location}) ${ex.text.substring(0, 50)}...`);
+                lines.push(`│      ${bible.labelAramaic(`(${ex.location})`, ex.aramaic)} ${ex.text.substring(0, 50)}...`);
             }
         }
     }
@@ -523,7 +550,7 @@ function formatText(result, options) {
         for (const [via, assocs] of byVia) {
             lines.push(`│  Via ${formatWord(via, options.noPoints)}:`);
             for (const assoc of assocs.slice(0, 5)) {
-                const word = formatWord(assoc.word, options.noPoints);
+                const word = bible.labelAramaic(formatWord(assoc.word, options.noPoints), assoc.aramaic);
                 lines.push(`│    ${word}  (${(assoc.strength * 100).toFixed(0)}%)`);
             }
         }
@@ -582,9 +609,7 @@ function formatJson(result, options) {
 // Main
 // ============================================================================
 
-async function main() {
-    const args = process.argv.slice(2);
-
+async function main(args = process.argv.slice(2)) {
     let options;
     try {
         options = parseArgs(args);
@@ -599,6 +624,11 @@ async function main() {
         process.exit(options.help ? 0 : 1);
     }
 
+    if (options.rebuildIndex) {
+        bible.requestIndexRebuild();
+    }
+    bible.setAramaicMode(options.aramaic);
+
     let result;
     try {
         result = buildSemanticField(options.concept, options);
@@ -621,8 +651,9 @@ async function main() {
     }
 }
 
-// Export for testing
+// Export for testing (main() is also run by the daemon)
 export {
+    main,
     parseArgs,
     parseRange,
     isStopword,
@@ -636,7 +667,7 @@ export {
 // Run main if executed directly
 const isMainModule = process.argv[1] && import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-    main().catch(error => {
+    runTool('bible_semantic_field', main).catch(error => {
         console.error(`Fatal error: ${error.message}`);
         process.exit(1);
     });
@@ -28,9 +28,12 @@ QUERY TYPES:
 
 OPTIONS:
     --type=TYPE             Filter by word type: verb, noun, adjective, name, etc.
-    --show-occurrences      Show count of occurrences in Bible
+    --show-occurrences      Show count of occurrences in Bible, per 10,000 words,
+                            and their dispersion over books and chapters
     --show-examples=N       Show N example verses (default: 0)
     --format=FORMAT         Output format: "text" (default), "json"
+    --aramaic=MODE          Aramaic sections (Daniel, Ezra...): "exclude" (default), "include" or "only"
+    --rebuild-index         Re-parse the source data and rewrite the index cache
 
 WORD TYPES (English / Hebrew):
     Verb / פֹּעַל
@@ -50,9 +53,11 @@ EXAMPLES:
 
     Output:
         H216: אוֹר
-        Type: שֵׁם עֶצֶם (Noun)
-        Searchable: אור
-        BibleHub: https://biblehub.com/hebrew/216.htm
+          Type: שֵׁם עֶצֶם (Noun)
+          Gloss: light
+          English (BSB): light 94, daylight 4, dawn 2, lightning 1, ...
+          Searchable: אור
+          BibleHub: https://biblehub.com/hebrew/216.htm
 
     # Find all Strong's for root אור
     ./bible_strong_info.js אור
@@ -106,6 +111,16 @@ NOTES ON STRONG'S NUMBERS:
       * H6034 - Anah (name)
     - BibleHub provides detailed etymological information
 
+GLOSS AND ENGLISH RENDERINGS:
+    How the Berean Standard Bible translates the word, aggregated over all its
+    occurrences; the gloss is the most frequent rendering. The text output shows
+    the most frequent renderings, JSON has all of them with counts.
+
+DISPERSION (--show-occurrences):
+    range = books/chapters with at least one occurrence;
+    D (Juilland) = 1 for a perfectly even spread, 0 for all occurrences in one part;
+    DP (Gries) = 0 when occurrences follow the parts' sizes, ~1 when clustered
+
 LINGUISTIC INSIGHT:
     When a root has multiple Strong's numbers, ask: "Was there once a unified
     ancient meaning that split into these different usages?" This is a key
@@ -117,7 +132,18 @@ import {
     TYPE_ALIASES,
     getOccurrenceCount,
     getExamples,
+    getStrongCountsByChapter,
+    computeFrequencyProfile,
+    formatDispersion,
 } from './bible-utils.js';
+import { runTool } from './bible-daemon.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/** English renderings shown per Strong's number in the text output */
+const MAX_RENDERINGS_SHOWN = 8;
 
 // ============================================================================
 // Query Parsing
@@ -183,11 +209,27 @@ function parseQuery(query) {
  * @property {string} searchable - Normalized searchable form
  * @property {string} type - Hebrew type name
  * @property {string} typeEnglish - English type name
+ * @property {string} gloss - Most frequent BSB English rendering
+ * @property {{english: string, count: number}[]} renderings - BSB English renderings with counts
  * @property {string} url - BibleHub URL
+ * @property {boolean} [aramaic] - Occurs only in the Aramaic sections
  * @property {number} [occurrences] - Occurrence count (if requested)
+ * @property {number} [per10k] - Occurrences per 10,000 words (with occurrences)
+ * @property {{books: Object, chapters: Object}} [dispersion] - See computeDispersion() (with occurrences)
  * @property {Object[]} [examples] - Example verses (if requested)
  */
 
+/**
+ * Add the occurrence count, the relative frequency and the dispersion (in place)
+ * @param {StrongResult} result
+ */
+function addOccurrences(result) {
+    const profile = computeFrequencyProfile(getStrongCountsByChapter(result.strongNumber));
+    result.occurrences = getOccurrenceCount(result.strongNumber);
+    result.per10k = profile.per10k;
+    result.dispersion = profile.dispersion;
+}
+
 /**
  * Look up Strong's numbers by number
  * @param {number[]} numbers
@@ -211,11 +253,14 @@ function lookupByNumbers(numbers, options) {
                 searchable: info.searchable,
                 type: info.type,
                 typeEnglish: info.typeEnglish,
+                gloss: info.gloss,
+                renderings: info.renderings,
                 url: `https://biblehub.com/hebrew/${num}.htm`,
+                ...(bible.isAramaicStrong(num) && { aramaic: true }),
             };
 
             if (options.showOccurrences) {
-                result.occurrences = getOccurrenceCount(num);
+                addOccurrences(result);
             }
 
             if (options.showExamples > 0) {
@@ -251,11 +296,14 @@ function lookupByHebrew(pattern, options) {
             searchable: data.searchable,
             type: data.type,
             typeEnglish: data.typeEnglish,
+            gloss: data.gloss,
+            renderings: data.renderings,
             url: `https://biblehub.com/hebrew/${strongNumber}.htm`,
+            ...(bible.isAramaicStrong(strongNumber) && { aramaic: true }),
         };
 
         if (options.showOccurrences) {
-            result.occurrences = getOccurrenceCount(strongNumber);
+            addOccurrences(result);
         }
 
         if (options.showExamples > 0) {
@@ -284,6 +332,8 @@ function parseArgs(args) {
         showOccurrences: false,
         showExamples: 0,
         format: 'text',
+        aramaic: 'exclude',
+        rebuildIndex: false,
         help: false,
     };
 
@@ -303,6 +353,10 @@ function parseArgs(args) {
             options.format = arg.substring(9);
         } else if (!arg.startsWith('-')) {
             options.query = arg;
+        } else if (arg.startsWith('--aramaic=')) {
+            options.aramaic = arg.substring(10);
+        } else if (arg === '--rebuild-index') {
+            options.rebuildIndex = true;
         } else {
             throw new Error(`Unknown option: ${arg}`);
         }
@@ -311,6 +365,9 @@ function parseArgs(args) {
     if (!['text', 'json'].includes(options.format)) {
         throw new Error(`Invalid format: ${options.format}. Must be text or json.`);
     }
+    if (!bible.ARAMAIC_MODES.includes(options.aramaic)) {
+        throw new Error(`Invalid aramaic mode: ${options.aramaic}. Must be exclude, include, or only.`);
+    }
 
     return options;
 }
@@ -335,12 +392,18 @@ function formatText(results, query, options) {
     console.log(`Found ${results.length} Strong's number${results.length > 1 ? 's' : ''} for "${query}"${typeInfo}:\n`);
 
     for (const result of results) {
-        console.log(`H${result.strongNumber}: ${result.word}`);
+        console.log(bible.labelAramaic(`H${result.strongNumber}: ${result.word}`, result.aramaic));
         console.log(`  Type: ${result.type} (${result.typeEnglish})`);
+        if (result.gloss) {
+            console.log(`  Gloss: ${result.gloss}`);
+            console.log(`  English (BSB): ${formatRenderings(result.renderings)}`);
+        }
         console.log(`  Searchable: ${result.searchable}`);
 
         if (result.occurrences !== undefined) {
-            console.log(`  Occurrences: ${result.occurrences}`);
+            console.log(`  Occurrences: ${result.occurrences} (${result.per10k.toFixed(2)} per 10k words)`);
+            console.log(`  Dispersion: ${formatDispersion(result.dispersion.books, 'books')}; ` +
+                `${formatDispersion(result.dispersion.chapters, 'chapters')}`);
         }
 
         console.log(`  BibleHub: ${result.url}`);
@@ -348,7 +411,7 @@ function formatText(results, query, options) {
         if (result.examples && result.examples.length > 0) {
             console.log('  Examples:');
             for (const ex of result.examples) {
-                console.log(`    (${ex.location}) ${ex.matchedWords.join(' ')}`);
+                console.log(`    (${bible.labelAramaic(ex.location, ex.aramaic)}) ${ex.matchedWords.join(' ')}`);
             }
         }
 
@@ -356,6 +419,18 @@ function formatText(results, query, options) {
     }
 }
 
+/**
+ * @param {{english: string, count: number}[]} renderings - Most frequent first
+ * @returns {string} - e.g. "light 94, daylight 4, ..."
+ */
+function formatRenderings(renderings) {
+    const shown = renderings.slice(0, MAX_RENDERINGS_SHOWN).map(rendering => `${rendering.english} ${rendering.count}`);
+    if (renderings.length > MAX_RENDERINGS_SHOWN) {
+        shown.push('...');
+    }
+    return shown.join(', ');
+}
+
 /**
  * Format results as JSON
  * @param {StrongResult[]} results
@@ -377,9 +452,7 @@ function formatJson(results, query, options) {
 // Main
 // ============================================================================
 
-async function main() {
-    const args = process.argv.slice(2);
-
+async function main(args = process.argv.slice(2)) {
     let options;
     try {
         options = parseArgs(args);
@@ -394,6 +467,11 @@ async function main() {
         process.exit(options.help ? 0 : 1);
     }
 
+    if (options.rebuildIndex) {
+        bible.requestIndexRebuild();
+    }
+    bible.setAramaicMode(options.aramaic);
+
     // Parse the query
     const parsedQuery = parseQuery(options.query);
 
@@ -418,12 +496,14 @@ async function main() {
     }
 }
 
-// Export for testing
+// Export for testing (main() is also run by the daemon)
 export {
+    main,
     parseQuery,
     parseArgs,
     lookupByNumbers,
     lookupByHebrew,
+    formatRenderings,
     getOccurrenceCount,
     getExamples,
     TYPE_ALIASES,
@@ -432,7 +512,7 @@ export {
 // Run main if executed directly
 const isMainModule = process.argv[1] && import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-    main().catch(error => {
+    runTool('bible_strong_info', main).catch(error => {
         console.error(`Fatal error: ${error.message}`);
         process.exit(1);
     });
@@ -9,6 +9,9 @@ INTENT/GOAL:
     Frequency analysis reveals whether a word is core vocabulary or specialized,
     which books emphasize certain concepts, and how usage evolved over time
     (earlier vs later biblical texts).
+    Books differ hugely in length, so every group also gets its frequency per
+    10,000 words, and dispersion measures tell whether the word is spread across
+    the corpus or clustered in one passage.
 
 SYNTAX:
     ./bible_word_frequency.js <query> [options]
@@ -21,18 +24,36 @@ QUERY:
     - Pattern: "ה@ל@ך"
 
 OPTIONS:
-    --group-by=MODE         Grouping: "book" (default), "chapter", "section"
+    --group-by=MODE         Grouping: "book" (default), "chapter", "section", "partition"
+    --partition=FILE        Corpus partition file (for --group-by=partition): a path, or the
+                            name of a bundled file in partitions/ - "late-biblical-hebrew",
+                            "genesis-1-11-sources"
     --range=RANGE           Limit analysis to specific range
     --top=N                 Show only top N results (default: show all)
     --min=N                 Only show groups with at least N occurrences
+    --reading=FORM          Ketiv/qere pairs: match the "ketiv", the "qere" or "both"
+                            (default: both - every word the text has)
     --no-points             Remove nikud from output
     --format=FORMAT         Output format: "text" (default), "json", "chart"
-    --sort=MODE             Sort by: "count" (default), "biblical"
+    --sort=MODE             Sort by: "count" (default), "biblical" (partitions: the file's order)
+    --aramaic=MODE          Aramaic sections (Daniel, Ezra...): "exclude" (default), "include" or "only"
+    --rebuild-index         Re-parse the source data and rewrite the index cache
 
 GROUPING MODES:
     book        Count per book (39 groups max)
     chapter     Count per chapter (929 groups max)
     section     Count per section: תורה, נביאים ראשונים, נביאים אחרונים, כתובים
+    partition   Count per partition of a --partition file (layers, sources, ...), with
+                frequencies per 10,000 words and significance tests between the partitions
+
+PARTITION FILES:
+    One "label: range, range, ..." per line; "#" starts a comment:
+        classical: *
+        late: דברי-הימים-א, דברי-הימים-ב, עזרא, נחמיה, אסתר, קהלת, דניאל
+        P: בראשית 1:1-2:3, בראשית 5:1-28
+    Ranges: a section, a book, chapters ("בראשית 1-11") or verses ("בראשית 2:4-25",
+    "בראשית 1:1-2:3"). "*" = all verses not covered by another line.
+    When ranges overlap, the later line wins. Uncovered verses are left out.
 
 RANGE SYNTAX (same as bible_get_verses):
     "בראשית"                Single book
@@ -58,11 +79,34 @@ EXAMPLES:
     # JSON for further analysis
     ./bible_word_frequency.js "<מים>" --format=json
 
+    # Is a word "late"? Late vs. classical books, per 10,000 words
+    ./bible_word_frequency.js "<מלכות>" --group-by=partition --partition=late-biblical-hebrew
+
+    # The divine names in P vs. non-P (Genesis 1-11)
+    ./bible_word_frequency.js "<יהוה>" --group-by=partition --partition=genesis-1-11-sources
+
+    # Gold in the Hebrew and in the Aramaic chapters of Daniel
+    ./bible_word_frequency.js "<זהב>|<דהב>" --range="דניאל" --group-by=chapter --aramaic=include
+
 NOTES:
-    - Aramaic sections excluded (not relevant for Hebrew linguistic research)
+    - Aramaic sections excluded by default (--aramaic=include or only to study them);
+      Aramaic words are marked [Aramaic] (JSON: "aramaic": true), and a group's
+      occurrences in Aramaic verses are counted after it: "4 [Aramaic]" (JSON: aramaicCount)
     - Accents always stripped
     - Nikud shown by default
     - Zero-count books/chapters are omitted from output
+    - "per 10k" = occurrences per 10,000 words of the group (or of the range)
+    - Dispersion, over the books and over the chapters of the range:
+      range = parts with at least one occurrence;
+      Juilland's D = 1 for a perfectly even spread, 0 for all occurrences in one part
+      (computed on each part's rate, so short and long parts weigh the same);
+      DP (Gries' deviation of proportions) = 0 when the occurrences follow the parts'
+      sizes, close to 1 when they are clustered in a small part of the text
+    - Partition statistics: "per 10k" = occurrences per 10,000 words of the partition.
+      "G²" compares each partition with all the others (log-likelihood, 1 degree of
+      freedom): "+" = more frequent there than elsewhere, "-" = less frequent.
+      The chi-square test of homogeneity asks whether the rate differs between the
+      partitions at all (partitions - 1 degrees of freedom)
 `;
 
 import * as bible from './bible-utils.js';
@@ -74,7 +118,13 @@ import {
     SECTIONS,
     parseRange,
     getBookSection,
+    loadPartitionFile,
+    getWordTotals,
+    getChapterKey,
+    computeFrequencyProfile,
+    formatDispersion,
 } from './bible-utils.js';
+import { runTool } from './bible-daemon.js';
 
 // ============================================================================
 // Argument Parsing
@@ -84,12 +134,16 @@ function parseArgs(args) {
     const options = {
         query: null,
         groupBy: 'book',
+        partition: null,
         range: null,
+        reading: 'both',
         top: null,
         min: null,
         noPoints: false,
         format: 'text',
         sort: 'count',
+        aramaic: 'exclude',
+        rebuildIndex: false,
         help: false,
     };
 
@@ -100,8 +154,12 @@ function parseArgs(args) {
             options.help = true;
         } else if (arg.startsWith('--group-by=')) {
             options.groupBy = arg.substring(11);
+        } else if (arg.startsWith('--partition=')) {
+            options.partition = arg.substring(12);
         } else if (arg.startsWith('--range=')) {
             options.range = arg.substring(8);
+        } else if (arg.startsWith('--reading=')) {
+            options.reading = arg.substring(10);
         } else if (arg.startsWith('--top=')) {
             options.top = parseInt(arg.substring(6));
         } else if (arg.startsWith('--min=')) {
@@ -114,13 +172,20 @@ function parseArgs(args) {
             options.sort = arg.substring(7);
         } else if (!arg.startsWith('-')) {
             options.query = arg;
+        } else if (arg.startsWith('--aramaic=')) {
+            options.aramaic = arg.substring(10);
+        } else if (arg === '--rebuild-index') {
+            options.rebuildIndex = true;
         } else {
             throw new Error(`Unknown option: ${arg}`);
         }
     }
 
-    if (!['book', 'chapter', 'section'].includes(options.groupBy)) {
-        throw new Error(`Invalid group-by: ${options.groupBy}. Must be book, chapter, or section.`);
+    if (!['book', 'chapter', 'section', 'partition'].includes(options.groupBy)) {
+        throw new Error(`Invalid group-by: ${options.groupBy}. Must be book, chapter, section, or partition.`);
+    }
+    if ((options.groupBy === 'partition') !== (options.partition !== null)) {
+        throw new Error('--group-by=partition and --partition=FILE go together');
     }
     if (!['text', 'json', 'chart'].includes(options.format)) {
         throw new Error(`Invalid format: ${options.format}. Must be text, json, or chart.`);
@@ -128,6 +193,12 @@ function parseArgs(args) {
     if (!['count', 'biblical'].includes(options.sort)) {
         throw new Error(`Invalid sort: ${options.sort}. Must be count or biblical.`);
     }
+    if (!bible.READINGS.includes(options.reading)) {
+        throw new Error(`Invalid reading: ${options.reading}. Must be ketiv, qere, or both.`);
+    }
+    if (!bible.ARAMAIC_MODES.includes(options.aramaic)) {
+        throw new Error(`Invalid aramaic mode: ${options.aramaic}. Must be exclude, include, or only.`);
+    }
 
     return options;
 }
@@ -138,13 +209,17 @@ function parseArgs(args) {
 
 function analyzeFrequency(query, options) {
     // Search for matches
-    const searchResult = bible.search(query, { maxResults: 10000 });
+    const searchResult = bible.search(query, { maxResults: 10000, reading: options.reading });
 
     // Parse range filter
     const rangeFilter = parseRange(options.range);
 
+    const partition = options.groupBy === 'partition' ? loadPartitionFile(options.partition) : null;
+
     // Count occurrences by group
     const counts = new Map();
+    const aramaicCounts = new Map();
+    const countsByChapter = new Map();
     let total = 0;
 
     for (const match of searchResult.matches) {
@@ -158,19 +233,18 @@ function analyzeFrequency(query, options) {
 
         // Count matched words (not just verses)
         const matchCount = match.matchedWordIndexes.length;
-        total += matchCount;
+        const chapterKey = getChapterKey(verse);
+        countsByChapter.set(chapterKey, (countsByChapter.get(chapterKey) || 0) + matchCount);
 
         // Group by specified mode
-        let groupKey;
-        if (options.groupBy === 'section') {
-            groupKey = getBookSection(verse.book);
-        } else if (options.groupBy === 'chapter') {
-            groupKey = `${verse.book} ${verse.chapter}`;
-        } else {
-            groupKey = verse.book;
-        }
+        const groupKey = partition ? partition.labelOf(verse) : getGroupKey(verse, options.groupBy);
+        if (groupKey === null) continue;
 
+        total += matchCount;
         counts.set(groupKey, (counts.get(groupKey) || 0) + matchCount);
+        if (verse.isAramaic) {
+            aramaicCounts.set(groupKey, (aramaicCounts.get(groupKey) || 0) + matchCount);
+        }
     }
 
     // Convert to array and sort
@@ -178,11 +252,23 @@ function analyzeFrequency(query, options) {
         key,
         count,
         percentage: total > 0 ? (count / total * 100).toFixed(1) : '0.0',
+        ...(aramaicCounts.has(key) && { aramaicCount: aramaicCounts.get(key) }),
     }));
 
+    // Rates: partitions also get significance tests
+    let partitionTest = null;
+    if (partition) {
+        partitionTest = comparePartitions(distribution, partition, rangeFilter);
+    } else {
+        addGroupRates(distribution, options.groupBy, rangeFilter);
+    }
+
     // Sort
     if (options.sort === 'count') {
         distribution.sort((a, b) => b.count - a.count);
+    } else if (partition) {
+        // The order of the partition file
+        distribution.sort((a, b) => partition.labels.indexOf(a.key) - partition.labels.indexOf(b.key));
     } else {
         // Biblical order - use book order
         const bookOrder = bible.getBookNames();
@@ -215,9 +301,119 @@ function analyzeFrequency(query, options) {
         strongMatches: searchResult.strongMatches,
         distribution,
         groupBy: options.groupBy,
+        profile: computeFrequencyProfile(countsByChapter, rangeFilter),
+        ...(partition && { partitionFile: partition.filePath, partitionTest }),
+    };
+}
+
+/**
+ * The group of a verse - or of a chapter (a ChapterWordTotal)
+ * @param {{book: string, chapter: string}} verse
+ * @param {string} groupBy - "book", "chapter" or "section"
+ * @returns {string}
+ */
+function getGroupKey(verse, groupBy) {
+    if (groupBy === 'section') return getBookSection(verse.book);
+    if (groupBy === 'chapter') return getChapterKey(verse);
+    return verse.book;
+}
+
+/**
+ * Add the words of each group and the occurrences per 10,000 words (in place)
+ * @param {Object[]} distribution - {key, count, percentage} per group
+ * @param {string} groupBy - "book", "chapter" or "section"
+ * @param {Object | null} rangeFilter - From parseRange()
+ */
+function addGroupRates(distribution, groupBy, rangeFilter) {
+    const wordCounts = new Map();
+    for (const chapter of getWordTotals().byChapter.values()) {
+        if (rangeFilter) {
+            if (!rangeFilter.books.has(chapter.book)) continue;
+            if (!rangeFilter.chapterFilter(chapter.book, chapter.chapterIndex)) continue;
+        }
+        const groupKey = getGroupKey(chapter, groupBy);
+        wordCounts.set(groupKey, (wordCounts.get(groupKey) || 0) + chapter.words);
+    }
+
+    for (const item of distribution) {
+        item.words = wordCounts.get(item.key) || 0;
+        item.per10k = item.words > 0 ? item.count / item.words * 10000 : 0;
+    }
+}
+
+/**
+ * Add rates and significance tests to a per-partition distribution (in place).
+ * Every partition of the file takes part - also those without occurrences.
+ * @param {Object[]} distribution - {key, count, percentage} per partition label
+ * @param {Object} partition - From loadPartitionFile()
+ * @param {Object | null} rangeFilter - From parseRange()
+ * @returns {{chiSquare: number, degreesOfFreedom: number, pValue: number}} - Chi-square test of homogeneity
+ */
+function comparePartitions(distribution, partition, rangeFilter) {
+    // Words per partition
+    const wordCounts = new Map(partition.labels.map(label => [label, 0]));
+    for (const verse of bible.getAllVerses()) {
+        if (rangeFilter) {
+            if (!rangeFilter.books.has(verse.book)) continue;
+            if (!rangeFilter.chapterFilter(verse.book, verse.chapterIndex)) continue;
+        }
+        const label = partition.labelOf(verse);
+        if (label !== null) {
+            wordCounts.set(label, wordCounts.get(label) + verse.words.length);
+        }
+    }
+
+    for (const label of partition.labels) {
+        if (wordCounts.get(label) > 0 && !distribution.some(item => item.key === label)) {
+            distribution.push({ key: label, count: 0, percentage: '0.0' });
+        }
+    }
+
+    const totalCount = distribution.reduce((sum, item) => sum + item.count, 0);
+    const totalWords = [...wordCounts.values()].reduce((sum, words) => sum + words, 0);
+
+    // Each partition against all the others: log-likelihood (G²)
+    const term = (observed, expected) => (observed > 0 ? observed * Math.log(observed / expected) : 0);
+    let chiSquare = 0;
+    for (const item of distribution) {
+        item.words = wordCounts.get(item.key);
+        item.per10k = item.words > 0 ? item.count / item.words * 10000 : 0;
+
+        const otherCount = totalCount - item.count;
+        const otherWords = totalWords - item.words;
+        const expected = totalCount * item.words / totalWords;
+        const otherExpected = totalCount * otherWords / totalWords;
+        const logLikelihood = (otherWords > 0 && totalCount > 0)
+            ? 2 * (term(item.count, expected) + term(otherCount, otherExpected))
+            : 0;
+        item.logLikelihood = item.count >= expected ? logLikelihood : -logLikelihood;
+        item.pValue = bible.chiSquarePValue(logLikelihood, 1);
+
+        // Homogeneity: occurrences and other words, per partition
+        if (expected > 0) {
+            chiSquare += (item.count - expected) ** 2 / expected;
+            const expectedOther = item.words - expected;
+            chiSquare += ((item.words - item.count) - expectedOther) ** 2 / expectedOther;
+        }
+    }
+
+    const degreesOfFreedom = Math.max(1, distribution.length - 1);
+    return {
+        chiSquare,
+        degreesOfFreedom,
+        pValue: bible.chiSquarePValue(chiSquare, degreesOfFreedom),
     };
 }
 
+/**
+ * Format a p-value for display
+ * @param {number} pValue
+ * @returns {string}
+ */
+function formatPValue(pValue) {
+    return pValue < 0.001 ? 'p < 0.001' : `p = ${pValue.toFixed(3)}`;
+}
+
 // ============================================================================
 // Output Formatting
 // ============================================================================
@@ -229,7 +425,7 @@ function formatText(result, options) {
     let header = `Frequency of "${result.query}"`;
     if (result.strongMatches.length > 0) {
         const strongs = result.strongMatches.slice(0, 5)
-            .map(s => `H${s.strongNumber}`)
+            .map(s => bible.labelAramaic(`H${s.strongNumber}`, bible.isAramaicStrong(s.strongNumber)))
             .join(', ');
         header += ` (${strongs}${result.strongMatches.length > 5 ? '...' : ''})`;
     }
@@ -254,16 +450,55 @@ function formatText(result, options) {
     // Distribution
     const maxKeyLength = Math.max(...result.distribution.map(d => d.key.length));
 
+    if (result.partitionTest) {
+        // Rates, not counts: partitions differ in size
+        const maxRate = Math.max(...result.distribution.map(d => d.per10k));
+        const rateScale = maxRate > 0 ? maxBarLength / maxRate : 1;
+        for (const item of result.distribution) {
+            const paddedKey = item.key.padStart(maxKeyLength);
+            const bar = '█'.repeat(Math.round(item.per10k * rateScale)).padEnd(maxBarLength);
+            const sign = item.logLikelihood > 0 ? '+' : item.logLikelihood < 0 ? '-' : ' ';
+            lines.push(`  ${paddedKey}  ${String(item.count).padStart(5)} in ${String(item.words).padStart(6)} words  ` +
+                `${item.per10k.toFixed(2).padStart(7)} per 10k  ${bar}  ` +
+                `G² ${sign}${Math.abs(item.logLikelihood).toFixed(2)} (${formatPValue(item.pValue)})`);
+        }
+        lines.push('');
+        lines.push(...formatProfile(result.profile));
+        const { chiSquare, degreesOfFreedom, pValue } = result.partitionTest;
+        lines.push(`Chi-square test of homogeneity: χ² = ${chiSquare.toFixed(2)}, df = ${degreesOfFreedom}, ${formatPValue(pValue)}`);
+        lines.push(`Partitions: ${result.partitionFile}`);
+        console.log(lines.join('\n'));
+        return;
+    }
+
     for (const item of result.distribution) {
         const paddedKey = item.key.padStart(maxKeyLength);
-        const bar = '█'.repeat(Math.round(item.count * scale));
+        const bar = '█'.repeat(Math.round(item.count * scale)).padEnd(maxBarLength);
         const countStr = String(item.count).padStart(5);
-        lines.push(`  ${paddedKey}  ${countStr}  ${bar}  (${item.percentage}%)`);
+        const percentageStr = `(${item.percentage}%)`.padStart(8);
+        const aramaicStr = item.aramaicCount ? `  ${item.aramaicCount} ${bible.ARAMAIC_LABEL}` : '';
+        lines.push(`  ${paddedKey}  ${countStr}  ${bar}  ${percentageStr}  ${item.per10k.toFixed(2).padStart(7)} per 10k${aramaicStr}`);
     }
 
+    lines.push('');
+    lines.push(...formatProfile(result.profile));
+
     console.log(lines.join('\n'));
 }
 
+/**
+ * Format the relative frequency and dispersion over the whole range
+ * @param {Object} profile - From computeFrequencyProfile()
+ * @returns {string[]}
+ */
+function formatProfile(profile) {
+    return [
+        `Overall: ${profile.count} in ${profile.words} words = ${profile.per10k.toFixed(2)} per 10k`,
+        `Dispersion: ${formatDispersion(profile.dispersion.books, 'books')}; ` +
+            `${formatDispersion(profile.dispersion.chapters, 'chapters')}`,
+    ];
+}
+
 function formatChart(result, options) {
     if (result.distribution.length === 0) {
         console.log('No matches found.');
@@ -293,16 +528,34 @@ function formatJson(result, options) {
             strongNumber: s.strongNumber,
             word: options.noPoints ? bible.removeNikud(s.word) : s.word,
             type: s.type,
+            ...(bible.isAramaicStrong(s.strongNumber) && { aramaic: true }),
         })),
         distribution: result.distribution.reduce((acc, item) => {
             acc[item.key] = {
                 count: item.count,
                 percentage: parseFloat(item.percentage),
+                words: item.words,
+                per10k: item.per10k,
+                ...(item.aramaicCount && { aramaicCount: item.aramaicCount }),
             };
+            if (result.partitionTest) {
+                Object.assign(acc[item.key], {
+                    logLikelihood: item.logLikelihood,
+                    pValue: item.pValue,
+                });
+            }
             return acc;
         }, {}),
+        words: result.profile.words,
+        per10k: result.profile.per10k,
+        dispersion: result.profile.dispersion,
     };
 
+    if (result.partitionTest) {
+        output.partitionFile = result.partitionFile;
+        output.partitionTest = result.partitionTest;
+    }
+
     console.log(JSON.stringify(output, null, 2));
 }
 
@@ -310,9 +563,7 @@ function formatJson(result, options) {
 // Main
 // ============================================================================
 
-async function main() {
-    const args = process.argv.slice(2);
-
+async function main(args = process.argv.slice(2)) {
     let options;
     try {
         options = parseArgs(args);
@@ -327,6 +578,11 @@ async function main() {
         process.exit(options.help ? 0 : 1);
     }
 
+    if (options.rebuildIndex) {
+        bible.requestIndexRebuild();
+    }
+    bible.setAramaicMode(options.aramaic);
+
     let result;
     try {
         result = analyzeFrequency(options.query, options);
@@ -349,11 +605,13 @@ async function main() {
     }
 }
 
-// Export for testing
+// Export for testing (main() is also run by the daemon)
 export {
+    main,
     parseArgs,
     parseRange,
     analyzeFrequency,
+    comparePartitions,
     getBookSection,
     SECTIONS,
     TORAH,
@@ -365,7 +623,7 @@ export {
 // Run main if executed directly
 const isMainModule = process.argv[1] && import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-    main().catch(error => {
+    runTool('bible_word_frequency', main).catch(error => {
         console.error(`Fatal error: ${error.message}`);
         process.exit(1);
     });
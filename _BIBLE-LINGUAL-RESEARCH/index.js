@@ -0,0 +1,863 @@
+'use strict';
+
+/**
+ * index.js - The programmatic API of the bible_* research tools
+ *
+ * One function per tool, for code that would otherwise spawn the CLIs and parse their text
+ * (the MCP server, the deliberation room, notebooks):
+ * 1. Options are plain objects with the same names in every tool - the camelCase of the CLI's flags
+ *    (range, reading, aramaic, maxResults, top, min, showExamples, type...).
+ *    They go through the tool's own parseArgs(), so defaults, aliases and validation are the CLI's.
+ *    An unknown option throws "Unknown option: NAME".
+ * 2. Results are the tool's data, as its --format=json output is built from - nothing is printed.
+ * 3. Every function has an async variant (searchAsync...): calls are queued one after another and run
+ *    after the current event loop turn, so the caller's code goes on first. The work itself is still synchronous:
+ *    while a call runs (loading the data too), it blocks the event loop.
+ *
+ * Every call runs in the Aramaic mode of its `aramaic` option (default "exclude"), as every CLI does,
+ * and then restores the previous mode of bible-utils.
+ *
+ * Usage:
+ *   import * as research from './index.js';
+ *
+ *   research.search('<ברא>', {range: 'תורה', maxResults: 10});
+ *   research.getVerses('בראשית 1:1-3', {context: 1});
+ *   research.strongInfo('H216', {showOccurrences: true});
+ *   research.rootFamily('אור', {phonetic: true});
+ *   research.cooccurrences('<מים>', {measure: 'log-likelihood', top: 10});
+ *   research.wordPair('<שמים>', '<ארץ>', {proximity: 5});
+ *   research.wordFrequency('<חסד>', {groupBy: 'section'});
+ *   research.morphology('<שמר>', {groupBy: 'binyan'});
+ *   research.findParallels('שמות 20:1-17', {differentBook: true});
+ *   research.semanticField('אהבה', {depth: 2});
+ *   research.structure('דניאל', null, {aramaic: 'only'});
+ *   research.compareTexts({sources: ['bsb', 'menukad'], range: 'רות'});
+ *   research.lookupIntertextuality('בראשית 1:1');
+ *   await research.buildIntertextualityMap({range: 'בראשית'});
+ *   research.getVerses('בראשית 1:1', {interlinear: true, ltrColumns: true}).interlinear[0].markdown;
+ *   await research.searchAsync('<אור>');
+ */
+
+import * as bible from './bible-utils.js';
+import * as compareTextsTool from './bible_compare_texts.js';
+import * as cooccurrencesTool from './bible_cooccurrences.js';
+import * as findParallelsTool from './bible_find_parallels.js';
+import * as getStructureTool from './bible_get_structure.js';
+import * as getVersesTool from './bible_get_verses.js';
+import * as intertextualityMapTool from './bible_intertextuality_map.js';
+import * as morphologyTool from './bible_morphology.js';
+import * as rootFamilyTool from './bible_root_family.js';
+import * as searchTool from './bible_search.js';
+import * as semanticFieldTool from './bible_semantic_field.js';
+import * as strongInfoTool from './bible_strong_info.js';
+import * as wordFrequencyTool from './bible_word_frequency.js';
+
+// ============================================================================
+// Options
+// ============================================================================
+
+/**
+ * The options every tool takes
+ * @typedef {Object} CommonOptions
+ * @property {string} [aramaic] - "exclude" (default), "include" or "only" - see bible.setAramaicMode()
+ */
+
+/**
+ * API option name -> CLI flag, per tool.
+ * A flag with a value is passed as "--flag=value" (arrays joined with ","), a boolean one when true.
+ */
+const OPTION_FLAGS = {
+    search: {
+        maxResults: '--max',
+        range: '--range',
+        reading: '--reading',
+        countOnly: '--count-only',
+        context: '--context',
+        sort: '--sort',
+        groupBy: '--group-by',
+        noPoints: '--no-points',
+    },
+    getVerses: { context: '--context', source: '--source', interlinear: '--interlinear', ltrColumns: '--ltr-columns' },
+    strongInfo: { type: '--type', showOccurrences: '--show-occurrences', showExamples: '--show-examples' },
+    rootFamily: {
+        type: '--type',
+        showOccurrences: '--show-occurrences',
+        showExamples: '--show-examples',
+        phonetic: '--phonetic',
+        relatedByContext: '--related-by-context',
+        metathesis: '--metathesis',
+        biliteralCore: '--biliteral-core',
+        aramaicCognates: '--aramaic-cognates',
+    },
+    cooccurrences: {
+        proximity: '--proximity',
+        measure: '--measure',
+        significance: '--significance',
+        top: '--top',
+        min: '--min',
+        showExamples: '--show-examples',
+        byStrong: '--by-strong',
+        range: '--range',
+        reading: '--reading',
+        includeStopwords: '--include-stopwords',
+    },
+    wordFrequency: {
+        groupBy: '--group-by',
+        partition: '--partition',
+        range: '--range',
+        reading: '--reading',
+        top: '--top',
+        min: '--min',
+        sort: '--sort',
+    },
+    morphology: { groupBy: '--group-by', showExamples: '--show-examples', range: '--range' },
+    findParallels: {
+        window: '--window',
+        ngram: '--ngram',
+        minSimilarity: '--min-similarity',
+        maxResults: '--max-results',
+        sameBook: '--same-book',
+        differentBook: '--different-book',
+        range: '--range',
+    },
+    semanticField: {
+        depth: '--depth',
+        minStrength: '--min-strength',
+        top: '--top',
+        category: '--category',
+        showExamples: '--show-examples',
+        range: '--range',
+        reading: '--reading',
+    },
+    structure: {},
+    compareTexts: { sources: '--sources', range: '--range', points: '--points', types: '--types', limit: '--limit' },
+    buildIntertextualityMap: {
+        range: '--range',
+        against: '--against',
+        differentBook: '--different-book',
+        minSimilarity: '--min-similarity',
+        maxLinks: '--max-links',
+        name: '--name',
+        restart: '--restart',
+        output: '--output',
+    },
+    lookupIntertextuality: { map: '--map', output: '--output' },
+};
+
+/**
+ * Turn API options into a tool's options: through a command line, parsed by the tool's own parseArgs()
+ * @param {function(string[]): Object} parseArgs - The tool's parseArgs()
+ * @param {string} apiName - Key of OPTION_FLAGS
+ * @param {Array<string | number | null | undefined>} positional - The tool's positional arguments (missing ones are null)
+ * @param {Object} [apiOptions]
+ * @returns {Object} - As from parseArgs()
+ */
+function buildToolOptions(parseArgs, apiName, positional, apiOptions = {}) {
+    const flags = { ...OPTION_FLAGS[apiName], aramaic: '--aramaic' };
+    const args = positional.filter(value => value !== null && value !== undefined).map(String);
+
+    for (const [name, value] of Object.entries(apiOptions)) {
+        if (!Object.hasOwn(flags, name)) {
+            throw new Error(`Unknown option: ${name}`);
+        }
+        if (value === null || value === undefined || value === false) continue;
+        args.push(value === true ? flags[name] : `${flags[name]}=${Array.isArray(value) ? value.join(',') : value}`);
+    }
+
+    return parseArgs(args);
+}
+
+/**
+ * Run a computation in an Aramaic mode of bible-utils, then restore the previous one
+ * @template T
+ * @param {string} aramaicMode - See bible.setAramaicMode()
+ * @param {function(): T} compute
+ * @returns {T}
+ */
+function withAramaicMode(aramaicMode, compute) {
+    const previousMode = bible.getAramaicMode();
+    bible.setAramaicMode(aramaicMode);
+    try {
+        return compute();
+    } finally {
+        bible.setAramaicMode(previousMode);
+    }
+}
+
+/**
+ * Check a required positional argument (the CLIs print their usage instead)
+ * @param {*} value
+ * @param {string} name
+ */
+function requireArgument(value, name) {
+    if (typeof value !== 'string' || value.trim() === '') {
+        throw new Error(`Missing ${name}`);
+    }
+}
+
+// ============================================================================
+// Async Variants
+// ============================================================================
+
+/** The async calls, one after another: each call runs in its own (global) Aramaic mode of bible-utils */
+let queue = Promise.resolve();
+
+/**
+ * Queue a computation after the previous async calls, and run it after the current event loop turn
+ * (it still runs on the main thread - see the module's documentation)
+ * @template T
+ * @param {function(): T | Promise<T>} compute
+ * @returns {Promise<T>}
+ */
+function enqueue(compute) {
+    const run = queue
+        .then(() => new Promise(resolve => setImmediate(resolve)))
+        .then(compute);
+    queue = run.catch(() => {});
+    return run;
+}
+
+// ============================================================================
+// Search
+// ============================================================================
+
+/**
+ * @typedef {Object} SearchOptions
+ * @property {number} [maxResults] - 1-10000 (default 100)
+ * @property {string} [range] - A book, a book with chapters ("בראשית 1-11") or a section ("תורה")
+ * @property {string} [reading] - Ketiv/qere pairs: "both" (default), "ketiv" or "qere"
+ * @property {boolean} [countOnly] - Only count: no matches in the result
+ * @property {number} [context] - Add the concordance, with this many words on each side: 0-50
+ * @property {string} [sort] - Add the concordance, sorted: "none" (default), "left", "right" or "keyword"
+ * @property {string} [groupBy] - Add the matches grouped: "none" (default), "book" or "strong"
+ * @property {boolean} [noPoints] - The matched texts, concordance and Strong's words without nikud (not the verses)
+ * @property {string} [aramaic]
+ */
+
+/**
+ * @typedef {Object} SearchApiResult
+ * @property {string} query
+ * @property {string} normalizedRegex
+ * @property {Object[]} strongMatches - Strong's numbers matched (for <...> queries)
+ * @property {import('./bible-utils.js').SearchMatch[]} matches
+ * @property {number} totalMatches - In the range
+ * @property {number} filteredCount - In the range
+ * @property {boolean} truncated - More than maxResults matches
+ * @property {{component: number, query: string}[]} [components] - Boolean queries only: the operands
+ * @property {Object[]} [kwic] - With the context or sort option: the concordance lines (see bible_search.js buildKwicLines)
+ * @property {Map<string, import('./bible-utils.js').SearchMatch[]>} [byBook] - With groupBy "book"
+ * @property {Map<number, import('./bible-utils.js').SearchMatch[]>} [byStrong] - With groupBy "strong"
+ * @property {Object} options - The tool's options
+ */
+
+/**
+ * Search the Bible - see bible_search.js for the query syntax
+ * @param {string} query
+ * @param {SearchOptions} [options]
+ * @returns {SearchApiResult}
+ */
+function search(query, options = {}) {
+    requireArgument(query, 'query');
+    const toolOptions = buildToolOptions(searchTool.parseArgs, 'search', [query], options);
+    return withAramaicMode(toolOptions.aramaic, () => {
+        const result = searchTool.performSearch(query, toolOptions);
+
+        // As the CLI's --format=json: the matches are copied, not changed - their verses are shared
+        const display = words => (toolOptions.noPoints ? words.map(word => bible.removeNikud(word)) : words);
+        if (toolOptions.noPoints) {
+            result.strongMatches = result.strongMatches.map(sm => ({ ...sm, word: bible.removeNikud(sm.word) }));
+            result.matches = result.matches.map(match => ({ ...match, matchedText: bible.removeNikud(match.matchedText) }));
+        }
+        if (toolOptions.context !== null || toolOptions.sort !== 'none') {
+            result.kwic = searchTool.buildKwicLines(result.matches, toolOptions)
+                .map(line => ({ ...line, left: display(line.left), keyword: display(line.keyword), right: display(line.right) }));
+        }
+        if (toolOptions.groupBy === 'book') {
+            result.byBook = searchTool.groupByBook(result.matches);
+        } else if (toolOptions.groupBy === 'strong') {
+            result.byStrong = searchTool.groupByStrong(result.matches);
+        }
+        return result;
+    });
+}
+
+/**
+ * @param {string} query
+ * @param {SearchOptions} [options]
+ * @returns {Promise<SearchApiResult>}
+ */
+function searchAsync(query, options) {
+    return enqueue(() => search(query, options));
+}
+
+// ============================================================================
+// Verses
+// ============================================================================
+
+/**
+ * @typedef {Object} VersesOptions
+ * @property {number} [context] - Verses before and after the range: 0-50 (default 0)
+ * @property {string} [source] - Text source: "bsb" (default), "menukad", "naki" or a directory of Markdown books
+ * @property {boolean} [interlinear] - Add the interlinear rows of the verses (BSB source only - else it throws)
+ * @property {boolean} [ltrColumns] - Interlinear renderings with their columns left to right
+ * @property {string} [aramaic]
+ */
+
+/**
+ * @typedef {Object} InterlinearVerse
+ * @property {string} location
+ * @property {boolean} isContext
+ * @property {import('./bible_get_verses.js').InterlinearWord[]} words
+ * @property {string} text - As the CLI's --interlinear
+ * @property {string} markdown - As the CLI's --interlinear --format=markdown
+ * @property {string} html - As the CLI's --interlinear --format=html
+ */
+
+/**
+ * @typedef {Object} VersesResult
+ * @property {Object[]} verses - VerseInfo objects (context verses have isContext: true)
+ * @property {number} contextBefore
+ * @property {number} contextAfter
+ * @property {InterlinearVerse[]} [interlinear] - With the interlinear option: per verse
+ */
+
+/**
+ * Get verses by reference
+ * @param {string} reference - e.g. "בראשית 1:1-5", "Genesis 1", "בראשית א:א"
+ * @param {VersesOptions} [options]
+ * @returns {VersesResult}
+ */
+function getVerses(reference, options = {}) {
+    requireArgument(reference, 'reference');
+    const toolOptions = buildToolOptions(getVersesTool.parseArgs, 'getVerses', [reference], options);
+    return withAramaicMode(toolOptions.aramaic, () => {
+        const result = getVersesTool.getVerses(getVersesTool.parseReference(reference), toolOptions.context);
+        if (toolOptions.source !== 'bsb') {
+            return getVersesTool.readFromTextSource(result, toolOptions.source);
+        }
+        if (toolOptions.interlinear) {
+            result.interlinear = result.verses.map((verse, i) => {
+                const isContext = i < result.mainStartIdx || i > result.mainEndIdx;
+                return {
+                    location: verse.location,
+                    isContext,
+                    words: getVersesTool.buildInterlinearWords(verse, toolOptions),
+                    text: getVersesTool.buildInterlinearText(verse, toolOptions, isContext).join('\n'),
+                    markdown: getVersesTool.buildInterlinearMarkdown(verse, toolOptions, isContext).join('\n'),
+                    html: getVersesTool.buildInterlinearHtml(verse, toolOptions, isContext).join('\n'),
+                };
+            });
+        }
+        return result;
+    });
+}
+
+/**
+ * @param {string} reference
+ * @param {VersesOptions} [options]
+ * @returns {Promise<VersesResult>}
+ */
+function getVersesAsync(reference, options) {
+    return enqueue(() => getVerses(reference, options));
+}
+
+// ============================================================================
+// Strong's Numbers
+// ============================================================================
+
+/**
+ * @typedef {Object} StrongInfoOptions
+ * @property {string} [type] - Word type filter: "verb", "noun", "adjective"... (aliases as the CLI's --type)
+ * @property {boolean} [showOccurrences] - Add occurrence counts, relative frequency and dispersion
+ * @property {number} [showExamples] - Example verses per number
+ * @property {string} [aramaic]
+ */
+
+/**
+ * Look up Strong's numbers: by number ("H216", "216,217") or by Hebrew word pattern
+ * @param {string} query
+ * @param {StrongInfoOptions} [options]
+ * @returns {import('./bible_strong_info.js').StrongResult[]}
+ */
+function strongInfo(query, options = {}) {
+    requireArgument(query, 'query');
+    const toolOptions = buildToolOptions(strongInfoTool.parseArgs, 'strongInfo', [query], options);
+    return withAramaicMode(toolOptions.aramaic, () => {
+        const parsedQuery = strongInfoTool.parseQuery(query);
+        return (parsedQuery.type === 'numbers')
+            ? strongInfoTool.lookupByNumbers(parsedQuery.numbers, toolOptions)
+            : strongInfoTool.lookupByHebrew(parsedQuery.pattern, toolOptions);
+    });
+}
+
+/**
+ * @param {string} query
+ * @param {StrongInfoOptions} [options]
+ * @returns {Promise<import('./bible_strong_info.js').StrongResult[]>}
+ */
+function strongInfoAsync(query, options) {
+    return enqueue(() => strongInfo(query, options));
+}
+
+// ============================================================================
+// Root Family
+// ============================================================================
+
+/**
+ * @typedef {Object} RootFamilyOptions
+ * @property {string} [type] - Word type filter (as the CLI's --type)
+ * @property {boolean} [showOccurrences]
+ * @property {number} [showExamples]
+ * @property {boolean} [phonetic] - Phonetically similar roots
+ * @property {boolean} [relatedByContext] - Rank the variants by context similarity
+ * @property {boolean} [metathesis] - Attested roots with the same letters in another order
+ * @property {boolean} [biliteralCore] - Attested triliteral extensions of a 2-letter core
+ * @property {boolean} [aramaicCognates] - Aramaic forms of the root attested in the Aramaic sections
+ * @property {string} [aramaic]
+ */
+
+/**
+ * Find the words of a root, and optionally its relatives
+ * @param {string} root - 2 or 3 letters
+ * @param {RootFamilyOptions} [options]
+ * @returns {import('./bible_root_family.js').RootFamilyResult}
+ */
+function rootFamily(root, options = {}) {
+    requireArgument(root, 'root');
+    const toolOptions = buildToolOptions(rootFamilyTool.parseArgs, 'rootFamily', [root], options);
+    return withAramaicMode(toolOptions.aramaic, () => rootFamilyTool.analyzeRootFamily(root, toolOptions));
+}
+
+/**
+ * @param {string} root
+ * @param {RootFamilyOptions} [options]
+ * @returns {Promise<import('./bible_root_family.js').RootFamilyResult>}
+ */
+function rootFamilyAsync(root, options) {
+    return enqueue(() => rootFamily(root, options));
+}
+
+// ============================================================================
+// Co-occurrences
+// ============================================================================
+
+/**
+ * @typedef {Object} CooccurrencesOptions
+ * @property {string | number} [proximity] - "verse" (default), "adjacent", or a distance in words
+ * @property {string} [measure] - "count" (default) or an association measure (see bible_cooccurrences' MEASURES)
+ * @property {string} [significance] - Significance level (log-likelihood and chi-square only)
+ * @property {number} [top] - Default 20
+ * @property {number} [min] - Minimum co-occurrence count (default 1)
+ * @property {number} [showExamples]
+ * @property {boolean} [byStrong] - Group by Strong's number instead of word form
+ * @property {string} [range]
+ * @property {string} [reading]
+ * @property {boolean} [includeStopwords]
+ * @property {string} [aramaic]
+ */
+
+/**
+ * The words that occur near a word
+ * @param {string} word - A search query
+ * @param {CooccurrencesOptions} [options]
+ * @returns {import('./bible_cooccurrences.js').CooccurrenceResult}
+ */
+function cooccurrences(word, options = {}) {
+    requireArgument(word, 'word');
+    const toolOptions = buildToolOptions(cooccurrencesTool.parseArgs, 'cooccurrences', [word], options);
+    return withAramaicMode(toolOptions.aramaic, () => cooccurrencesTool.analyzeCooccurrences(word, toolOptions));
+}
+
+/**
+ * @param {string} word
+ * @param {CooccurrencesOptions} [options]
+ * @returns {Promise<import('./bible_cooccurrences.js').CooccurrenceResult>}
+ */
+function cooccurrencesAsync(word, options) {
+    return enqueue(() => cooccurrences(word, options));
+}
+
+/**
+ * @typedef {Object} WordPairResult
+ * @property {string} query1
+ * @property {string} query2
+ * @property {number} word1Count - Verses with the first word
+ * @property {number} word2Count - Verses with the second word
+ * @property {number} cooccurrenceCount
+ * @property {string} percentage1 - Of word1Count, one decimal
+ * @property {string} percentage2 - Of word2Count, one decimal
+ * @property {Object} distribution - Per book
+ * @property {Object[]} examples
+ * @property {import('./bible_cooccurrences.js').Association} [association] - With a measure other than "count"
+ */
+
+/**
+ * How two words occur together
+ * @param {string} word1 - A search query
+ * @param {string} word2 - A search query
+ * @param {CooccurrencesOptions} [options]
+ * @returns {WordPairResult}
+ */
+function wordPair(word1, word2, options = {}) {
+    requireArgument(word1, 'word1');
+    requireArgument(word2, 'word2');
+    const toolOptions = buildToolOptions(cooccurrencesTool.parseArgs, 'cooccurrences', [word1, word2], options);
+    return withAramaicMode(toolOptions.aramaic, () => cooccurrencesTool.analyzeWordPair(word1, word2, toolOptions));
+}
+
+/**
+ * @param {string} word1
+ * @param {string} word2
+ * @param {CooccurrencesOptions} [options]
+ * @returns {Promise<WordPairResult>}
+ */
+function wordPairAsync(word1, word2, options) {
+    return enqueue(() => wordPair(word1, word2, options));
+}
+
+// ============================================================================
+// Word Frequency
+// ============================================================================
+
+/**
+ * @typedef {Object} WordFrequencyOptions
+ * @property {string} [groupBy] - "book" (default), "chapter", "section" or "partition"
+ * @property {string} [partition] - Partition file (with groupBy: "partition")
+ * @property {string} [range]
+ * @property {string} [reading]
+ * @property {number} [top]
+ * @property {number} [min]
+ * @property {string} [sort] - "count" (default) or "biblical"
+ * @property {string} [aramaic]
+ */
+
+/**
+ * @typedef {Object} WordFrequencyResult
+ * @property {string} query
+ * @property {number} total
+ * @property {Object[]} strongMatches
+ * @property {Object[]} distribution - Per group
+ * @property {string} groupBy
+ * @property {Object} profile - Relative frequency and dispersion (see bible.computeFrequencyProfile)
+ * @property {string} [partitionFile]
+ * @property {{chiSquare: number, degreesOfFreedom: number, pValue: number}} [partitionTest]
+ */
+
+/**
+ * How a word is distributed across the Bible
+ * @param {string} query - A search query
+ * @param {WordFrequencyOptions} [options]
+ * @returns {WordFrequencyResult}
+ */
+function wordFrequency(query, options = {}) {
+    requireArgument(query, 'query');
+    const toolOptions = buildToolOptions(wordFrequencyTool.parseArgs, 'wordFrequency', [query], options);
+    return withAramaicMode(toolOptions.aramaic, () => wordFrequencyTool.analyzeFrequency(query, toolOptions));
+}
+
+/**
+ * @param {string} query
+ * @param {WordFrequencyOptions} [options]
+ * @returns {Promise<WordFrequencyResult>}
+ */
+function wordFrequencyAsync(query, options) {
+    return enqueue(() => wordFrequency(query, options));
+}
+
+// ============================================================================
+// Morphology
+// ============================================================================
+
+/**
+ * @typedef {Object} MorphologyOptions
+ * @property {string} [groupBy] - "form" (default), "prefix", "suffix" or "binyan"
+ * @property {number} [showExamples] - Default 2
+ * @property {string} [range]
+ * @property {string} [aramaic]
+ */
+
+/**
+ * @typedef {Object} MorphologyResult
+ * @property {string} query
+ * @property {{number: number, word: string, type: string}[]} strongsUsed
+ * @property {string} baseWord
+ * @property {string} wordType
+ * @property {number} totalOccurrences
+ * @property {string} morphologySource - "tagged", "heuristic" or "mixed"
+ * @property {string} groupBy
+ * @property {Object[]} groups
+ */
+
+/**
+ * The forms a word takes: prefixes, suffixes, binyanim
+ * @param {string} query - A Strong's number ("8104") or a root ("<שמר>")
+ * @param {MorphologyOptions} [options]
+ * @returns {MorphologyResult}
+ */
+function morphology(query, options = {}) {
+    requireArgument(query, 'query');
+    const toolOptions = buildToolOptions(morphologyTool.parseArgs, 'morphology', [query], options);
+    return withAramaicMode(toolOptions.aramaic, () => morphologyTool.analyzeMorphology(query, toolOptions));
+}
+
+/**
+ * @param {string} query
+ * @param {MorphologyOptions} [options]
+ * @returns {Promise<MorphologyResult>}
+ */
+function morphologyAsync(query, options) {
+    return enqueue(() => morphology(query, options));
+}
+
+// ============================================================================
+// Parallels
+// ============================================================================
+
+/**
+ * @typedef {Object} ParallelsOptions
+ * @property {number} [window] - Compare passages of this many verses
+ * @property {number} [ngram] - Find shared sequences of this many Strong's numbers instead
+ * @property {number} [minSimilarity] - 0-1 (default 0.3)
+ * @property {number} [maxResults] - Default 20
+ * @property {boolean} [sameBook]
+ * @property {boolean} [differentBook]
+ * @property {string} [range]
+ * @property {string} [aramaic]
+ */
+
+/**
+ * Find verses (or passages, or shared sequences) parallel to a verse
+ * @param {string} reference - e.g. "בראשית 1:1" or "שמות 20:1-17"
+ * @param {ParallelsOptions} [options]
+ * @returns {Object} - {source, parallels}: see bible_find_parallels' findParallels()
+ */
+function findParallels(reference, options = {}) {
+    requireArgument(reference, 'reference');
+    const toolOptions = buildToolOptions(findParallelsTool.parseArgs, 'findParallels', [reference], options);
+    return withAramaicMode(toolOptions.aramaic, () => findParallelsTool.findParallels(reference, toolOptions));
+}
+
+/**
+ * @param {string} reference
+ * @param {ParallelsOptions} [options]
+ * @returns {Promise<Object>}
+ */
+function findParallelsAsync(reference, options) {
+    return enqueue(() => findParallels(reference, options));
+}
+
+// ============================================================================
+// Semantic Field
+// ============================================================================
+
+/**
+ * @typedef {Object} SemanticFieldOptions
+ * @property {number} [depth] - 1-3 (default 1)
+ * @property {number} [minStrength] - Default 0.05
+ * @property {number} [top] - Default 20
+ * @property {string} [category] - Word type filter (aliases as the CLI's --category)
+ * @property {number} [showExamples]
+ * @property {string} [range]
+ * @property {string} [reading]
+ * @property {string} [aramaic]
+ */
+
+/**
+ * The words associated with a concept
+ * @param {string} concept - A search query
+ * @param {SemanticFieldOptions} [options]
+ * @returns {Object} - See bible_semantic_field's buildSemanticField()
+ */
+function semanticField(concept, options = {}) {
+    requireArgument(concept, 'concept');
+    const toolOptions = buildToolOptions(semanticFieldTool.parseArgs, 'semanticField', [concept], options);
+    return withAramaicMode(toolOptions.aramaic, () => semanticFieldTool.buildSemanticField(concept, toolOptions));
+}
+
+/**
+ * @param {string} concept
+ * @param {SemanticFieldOptions} [options]
+ * @returns {Promise<Object>}
+ */
+function semanticFieldAsync(concept, options) {
+    return enqueue(() => semanticField(concept, options));
+}
+
+// ============================================================================
+// Structure
+// ============================================================================
+
+/**
+ * The structure of the Bible, a book or a chapter - as bible_get_structure's --format=json
+ * @param {string | null} [book] - Hebrew book name; null for all books
+ * @param {number | string | null} [chapter] - 1-indexed, or a Hebrew number ("יב")
+ * @param {CommonOptions} [options] - aramaic: "only" lists just the books and chapters with Aramaic verses
+ * @returns {Object}
+ */
+function structure(book = null, chapter = null, options = {}) {
+    if (chapter !== null && book === null) {
+        throw new Error('A chapter needs a book');
+    }
+    const toolOptions = buildToolOptions(getStructureTool.parseArgs, 'structure', [book, chapter], options);
+    return withAramaicMode(toolOptions.aramaic, () => {
+        if (toolOptions.chapter !== null) {
+            return getStructureTool.describeChapter(toolOptions.book, toolOptions.chapter);
+        }
+        if (toolOptions.book !== null) {
+            return getStructureTool.describeBook(toolOptions.book, toolOptions);
+        }
+        return getStructureTool.describeAllBooks(toolOptions);
+    });
+}
+
+/**
+ * @param {string | null} [book]
+ * @param {number | string | null} [chapter]
+ * @param {CommonOptions} [options]
+ * @returns {Promise<Object>}
+ */
+function structureAsync(book, chapter, options) {
+    return enqueue(() => structure(book, chapter, options));
+}
+
+// ============================================================================
+// Text Comparison
+// ============================================================================
+
+/**
+ * @typedef {Object} CompareTextsOptions
+ * @property {string[]} [sources] - Two text sources (default ["bsb", "menukad"])
+ * @property {string} [range]
+ * @property {boolean} [points] - Compare the nikud too
+ * @property {string[]} [types] - Report only these difference types
+ * @property {number} [limit] - Verses listed (default 50, 0 = all)
+ * @property {string} [aramaic]
+ */
+
+/**
+ * Compare two text sources word by word
+ * @param {CompareTextsOptions} [options]
+ * @returns {import('./bible_compare_texts.js').TextComparison}
+ */
+function compareTexts(options = {}) {
+    const toolOptions = buildToolOptions(compareTextsTool.parseArgs, 'compareTexts', [], options);
+    return withAramaicMode(toolOptions.aramaic, () => compareTextsTool.compareTexts(toolOptions));
+}
+
+/**
+ * @param {CompareTextsOptions} [options]
+ * @returns {Promise<import('./bible_compare_texts.js').TextComparison>}
+ */
+function compareTextsAsync(options) {
+    return enqueue(() => compareTexts(options));
+}
+
+// ============================================================================
+// Intertextuality Map
+// ============================================================================
+
+/**
+ * @typedef {Object} IntertextualityMapOptions
+ * @property {string} [range] - The verses to map (default: the whole Bible)
+ * @property {string} [against] - Link them only to this range
+ * @property {boolean} [differentBook]
+ * @property {number} [minSimilarity] - 0-1 (default 0.4)
+ * @property {number} [maxLinks] - Per verse (default 10)
+ * @property {string} [name] - Map file name
+ * @property {boolean} [restart] - Ignore a built map and saved progress
+ * @property {string} [output] - Maps directory (default MAPS_DIR)
+ * @property {string} [aramaic]
+ */
+
+/**
+ * Build (or resume, or reuse) an intertextuality map - a promise, as building saves its progress as it goes
+ * @param {IntertextualityMapOptions} [options]
+ * @param {Object} [hooks] - log, shouldStop: see bible_intertextuality_map's buildMap()
+ * @returns {Promise<{map: Object | null, files: Object, cached: boolean, stopped: boolean}>}
+ */
+async function buildIntertextualityMap(options = {}, hooks = {}) {
+    const toolOptions = buildToolOptions(intertextualityMapTool.parseArgs, 'buildIntertextualityMap', ['build'], options);
+    const previousMode = bible.getAramaicMode();
+    bible.setAramaicMode(toolOptions.aramaic);
+    try {
+        return await intertextualityMapTool.buildMap(toolOptions, hooks);
+    } finally {
+        bible.setAramaicMode(previousMode);
+    }
+}
+
+/**
+ * @param {IntertextualityMapOptions} [options]
+ * @param {Object} [hooks]
+ * @returns {Promise<{map: Object | null, files: Object, cached: boolean, stopped: boolean}>}
+ */
+function buildIntertextualityMapAsync(options, hooks) {
+    return enqueue(() => buildIntertextualityMap(options, hooks));
+}
+
+/**
+ * @typedef {Object} IntertextualityLookupOptions
+ * @property {string} [map] - One map file (default: every map in the output directory)
+ * @property {string} [output] - Maps directory (default MAPS_DIR)
+ * @property {string} [aramaic]
+ */
+
+/**
+ * The links of a verse in the built maps
+ * @param {string} reference - e.g. "בראשית 1:1"
+ * @param {IntertextualityLookupOptions} [options]
+ * @returns {{reference: string, maps: string[], links: Object[]}}
+ */
+function lookupIntertextuality(reference, options = {}) {
+    requireArgument(reference, 'reference');
+    const toolOptions = buildToolOptions(intertextualityMapTool.parseArgs, 'lookupIntertextuality', ['lookup', reference], options);
+    return withAramaicMode(toolOptions.aramaic, () => intertextualityMapTool.lookupVerse(reference, toolOptions));
+}
+
+/**
+ * @param {string} reference
+ * @param {IntertextualityLookupOptions} [options]
+ * @returns {Promise<{reference: string, maps: string[], links: Object[]}>}
+ */
+function lookupIntertextualityAsync(reference, options) {
+    return enqueue(() => lookupIntertextuality(reference, options));
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+export {
+    search,
+    searchAsync,
+    getVerses,
+    getVersesAsync,
+    strongInfo,
+    strongInfoAsync,
+    rootFamily,
+    rootFamilyAsync,
+    cooccurrences,
+    cooccurrencesAsync,
+    wordPair,
+    wordPairAsync,
+    wordFrequency,
+    wordFrequencyAsync,
+    morphology,
+    morphologyAsync,
+    findParallels,
+    findParallelsAsync,
+    semanticField,
+    semanticFieldAsync,
+    structure,
+    structureAsync,
+    compareTexts,
+    compareTextsAsync,
+    buildIntertextualityMap,
+    buildIntertextualityMapAsync,
+    lookupIntertextuality,
+    lookupIntertextualityAsync,
+
+    // For tests
+    buildToolOptions,
+    OPTION_FLAGS,
+};
@@ -0,0 +1,868 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Tests for bible-utils.js
+ *
+ * Run with: ./bible-utils.test.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    search,
+    parseBooleanQuery,
+    getAllVerses,
+    getStrongInfo,
+    getOccurrenceCount,
+    analyzeWordMorphology,
+    getWordMorphologyFeatures,
+    parseMorphologyCode,
+    parseMorphologyFile,
+    parseMorphologyConstraints,
+    matchesMorphology,
+    requestIndexRebuild,
+    computeIndexKey,
+    serializeIndex,
+    hydrateIndex,
+    INDEX_CACHE_FILE,
+    loadPartitionFile,
+    chiSquarePValue,
+    getWordTotals,
+    getChapterKey,
+    getStrongCountsByChapter,
+    computeDispersion,
+    computeFrequencyProfile,
+    normalizeEnglishRendering,
+    getEnglishRenderings,
+    getStrongGloss,
+    displayWidth,
+    padToWidth,
+    getTextSource,
+    getTextSourceNames,
+    getSourceVerse,
+    textSourceHasPoints,
+    parseMarkdownVerseLine,
+    compareSourceWords,
+    getVerse,
+    joinVerseWords,
+    tokenizeHebrewText,
+    getVerseTokens,
+    getMaqafGroups,
+    selectReading,
+    collectShinSpellings,
+    resolveBareShin,
+    setAramaicMode,
+    getAramaicMode,
+    isAramaicStrong,
+    getAramaicOccurrenceCount,
+    labelAramaic,
+    loadAramaicCognates,
+    getAramaicCognateCandidates,
+} from '../bible-utils.js';
+
+// ============================================================================
+// Test Utilities
+// ============================================================================
+
+let testCount = 0;
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+    testCount++;
+    try {
+        fn();
+        passCount++;
+        console.log(`  ✓ ${name}`);
+    } catch (error) {
+        failCount++;
+        console.log(`  ✗ ${name}`);
+        console.log(`    Error: ${error.message}`);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n    Expected: ${JSON.stringify(expected)}\n    Actual: ${JSON.stringify(actual)}`);
+    }
+}
+
+function assertTrue(value, message = '') {
+    if (!value) {
+        throw new Error(message || 'Expected true but got false');
+    }
+}
+
+function assertDeepEqual(actual, expected, message = '') {
+    const actualJson = JSON.stringify(actual);
+    const expectedJson = JSON.stringify(expected);
+    if (actualJson !== expectedJson) {
+        throw new Error(`${message}\n    Expected: ${expectedJson}\n    Actual: ${actualJson}`);
+    }
+}
+
+function assertThrows(fn, expectedMessage) {
+    try {
+        fn();
+        throw new Error(`Expected function to throw, but it didn't`);
+    } catch (error) {
+        if (expectedMessage && !error.message.includes(expectedMessage)) {
+            throw new Error(`Expected error message to contain "${expectedMessage}", got: "${error.message}"`);
+        }
+    }
+}
+
+// ============================================================================
+// Tests
+// ============================================================================
+
+console.log('\n=== bible-utils.js Tests ===\n');
+
+// ------------------------------------------
+console.log('serializeIndex / hydrateIndex:');
+// ------------------------------------------
+
+const sampleStrongs = [
+    { word: ' ', searchable: '', typeIndex: 11, type: 'לא ידוע', typeEnglish: 'unknown', gloss: '', renderings: [] },
+    {
+        word: 'אָב', searchable: 'אב', typeIndex: 2, type: 'שֵׁם עֶצֶם', typeEnglish: 'Noun',
+        gloss: 'father', renderings: [{ english: 'father', count: 3 }, { english: 'fathers', count: 1 }],
+    },
+];
+const sampleVerses = [
+    {
+        book: 'בראשית', chapterIndex: 0, verseIndex: 2, chapter: 'א', verse: 'ג', location: 'בראשית א:ג',
+        words: ['יְהִי', 'אוֹר'], strongs: [1961, 216], maqaf: [], text: 'יְהִי אוֹר', searchableVerse: ' יהי<1961> אור<216> ',
+        english: ['Let there be', 'light'],
+    },
+    {
+        book: 'בראשית', chapterIndex: 0, verseIndex: 1, chapter: 'א', verse: 'ב', location: 'בראשית א:ב',
+        words: ['עַל', 'פְּנֵי', 'הַמָּיִם'], strongs: [5921, 6440, 4325], maqaf: [0], text: 'עַל־פְּנֵי הַמָּיִם',
+        searchableVerse: ' על<5921> פני<6440> המימ<4325> ', english: ['over', 'the surface of', 'the waters'],
+    },
+    {
+        book: 'דניאל', chapterIndex: 1, verseIndex: 4, chapter: 'ב', verse: 'ה', location: 'דניאל ב:ה',
+        words: ['עָנֵה', 'מַלְכָּא'], strongs: [6032, 4430], maqaf: [], text: 'עָנֵה מַלְכָּא',
+        searchableVerse: ' ענה<6032> מלכא<4430> ', english: ['replied', 'the king'], isAramaic: true,
+    },
+];
+const sampleCounts = new Map([[216, 1], [1961, 1]]);
+
+test('round-trips the Strong\'s table', () => {
+    const hydrated = hydrateIndex(serializeIndex('key', sampleStrongs, sampleVerses, sampleCounts));
+    assertDeepEqual(hydrated.strongNumbersToData, sampleStrongs);
+});
+
+test('round-trips verses, including derived fields', () => {
+    const hydrated = hydrateIndex(serializeIndex('key', sampleStrongs, sampleVerses, sampleCounts));
+    assertDeepEqual(hydrated.allVerses, sampleVerses);
+});
+
+test('round-trips occurrence counts', () => {
+    const hydrated = hydrateIndex(serializeIndex('key', sampleStrongs, sampleVerses, sampleCounts));
+    assertEqual(hydrated.occurrenceCounts.get(216), 1);
+    assertEqual(hydrated.occurrenceCounts.size, 2);
+});
+
+test('serialized index survives JSON', () => {
+    const serialized = JSON.parse(JSON.stringify(serializeIndex('key', sampleStrongs, sampleVerses, sampleCounts)));
+    assertDeepEqual(hydrateIndex(serialized).allVerses, sampleVerses);
+});
+
+const sampleTaggedVerse = {
+    book: 'בראשית', chapterIndex: 0, verseIndex: 2, chapter: 'א', verse: 'ג', location: 'בראשית א:ג',
+    words: ['וַיֹּאמֶר', 'אֱלֹהִים'], strongs: [559, 430], maqaf: [], text: 'וַיֹּאמֶר אֱלֹהִים', searchableVerse: ' ויאמר<559> אלהימ<430> ',
+    english: ['And said', 'God'],
+    morphology: [
+        { lemma: 'c/559', root: 'אמר', code: 'HC/Vqw3ms', ...parseMorphologyCode('HC/Vqw3ms') },
+        null,
+    ],
+};
+
+test('round-trips verses with morphology', () => {
+    const serialized = JSON.parse(JSON.stringify(serializeIndex('key', sampleStrongs, [sampleTaggedVerse], sampleCounts)));
+    assertDeepEqual(hydrateIndex(serialized).allVerses, [sampleTaggedVerse]);
+});
+
+// ------------------------------------------
+console.log('\nMorphology data:');
+// ------------------------------------------
+
+test('parses an OSHB verb code with prefixes', () => {
+    const parsed = parseMorphologyCode('HC/Vqw3ms');
+    assertEqual(parsed.pos, 'verb');
+    assertEqual(parsed.binyan, 'qal');
+    assertEqual(parsed.tense, 'wayyiqtol');
+    assertEqual(`${parsed.person}${parsed.gender}${parsed.number}`, '3ms');
+    assertDeepEqual(parsed.prefixes, ['conjunction']);
+    assertEqual(parsed.suffix, null);
+});
+
+test('parses an OSHB noun code with a suffix', () => {
+    const parsed = parseMorphologyCode('HRd/Ncfpc/Sp3mp');
+    assertEqual(parsed.pos, 'noun');
+    assertEqual(parsed.gender, 'f');
+    assertEqual(parsed.number, 'p');
+    assertEqual(parsed.state, 'construct');
+    assertDeepEqual(parsed.prefixes, ['preposition', 'article']);
+    assertDeepEqual(parsed.suffix, { type: 'pronominal', person: '3', gender: 'm', number: 'p' });
+});
+
+test('parses OSHB participle codes', () => {
+    const parsed = parseMorphologyCode('HVNsfsa');
+    assertEqual(parsed.binyan, 'niphal');
+    assertEqual(parsed.tense, 'passive-participle');
+    assertEqual(parsed.person, null);
+    assertEqual(parsed.gender, 'f');
+    assertEqual(parsed.state, 'absolute');
+});
+
+test('throws on invalid codes', () => {
+    assertThrows(() => parseMorphologyCode('Vqp3ms'), 'Invalid morphology code');
+    assertThrows(() => parseMorphologyCode('HX'), 'Unknown part of speech');
+    assertThrows(() => parseMorphologyCode('HQ/Ncmsa'), 'Unknown prefix');
+});
+
+test('parses the morphology file', () => {
+    const filePath = path.join(os.tmpdir(), `bible-morphology-test-${process.pid}.tsv`);
+    fs.writeFileSync(filePath, 'id\tlemma\troot\tmorph\n2\t1254\tברא\tHVqp3ms\n3\td/430\tאלה\tHTd/Ncmpa\n');
+    try {
+        const parsed = parseMorphologyFile(filePath);
+        assertEqual(parsed.size, 2);
+        assertDeepEqual(parsed.get(3), ['d/430', 'אלה', 'HTd/Ncmpa']);
+    } finally {
+        fs.rmSync(filePath);
+    }
+});
+
+test('a missing morphology file is not an error', () => {
+    assertEqual(parseMorphologyFile(path.join(os.tmpdir(), 'no-such-morphology-file.tsv')), null);
+});
+
+test('tagged data takes precedence over the heuristics', () => {
+    const features = getWordMorphologyFeatures(sampleTaggedVerse, 0);
+    assertDeepEqual(features.tense, ['imperfect', 'wayyiqtol']);
+    assertDeepEqual(features.binyan, ['qal']);
+    assertDeepEqual(features.prefix, ['ו', 'conjunction']);
+    assertTrue(matchesMorphology(features, parseMorphologyConstraints('pos=verb:qal:wayyiqtol:3ms:suffix=none')));
+    // No tagged data for the second word
+    assertDeepEqual(getWordMorphologyFeatures(sampleTaggedVerse, 1), analyzeWordMorphology('אֱלֹהִים', 430));
+});
+
+// ------------------------------------------
+console.log('\nPersistent index (integration):');
+// ------------------------------------------
+
+test('computeIndexKey is stable', () => {
+    assertEqual(computeIndexKey(), computeIndexKey());
+});
+
+test('cache file is written with the current key', () => {
+    getAllVerses();
+    const cached = JSON.parse(fs.readFileSync(INDEX_CACHE_FILE, 'utf8'));
+    assertEqual(cached.key, computeIndexKey());
+});
+
+test('rebuilt data equals cached data', () => {
+    const fromCache = getAllVerses();
+    const strong216 = getStrongInfo(216);
+    const count216 = getOccurrenceCount(216);
+
+    requestIndexRebuild();
+    const rebuilt = getAllVerses();
+    assertTrue(rebuilt !== fromCache, 'Expected a fresh verses array');
+    assertEqual(rebuilt.length, fromCache.length);
+    assertDeepEqual(rebuilt[0], fromCache[0]);
+    assertDeepEqual(rebuilt[rebuilt.length - 1], fromCache[fromCache.length - 1]);
+    assertDeepEqual(getStrongInfo(216), strong216);
+    assertEqual(getOccurrenceCount(216), count216);
+});
+
+// ------------------------------------------
+console.log('\nparseMorphologyConstraints:');
+// ------------------------------------------
+
+test('parses bare values', () => {
+    assertDeepEqual(parseMorphologyConstraints('verb:hiphil:wayyiqtol'), [
+        { feature: 'type', values: ['verb'] },
+        { feature: 'binyan', values: ['hiphil'] },
+        { feature: 'tense', values: ['wayyiqtol'] },
+    ]);
+});
+
+test('parses person/gender/number codes', () => {
+    assertDeepEqual(parseMorphologyConstraints('3fp'), [
+        { feature: 'person', values: ['3'] },
+        { feature: 'gender', values: ['f'] },
+        { feature: 'number', values: ['p'] },
+    ]);
+    assertDeepEqual(parseMorphologyConstraints('plural'), [{ feature: 'number', values: ['p'] }]);
+});
+
+test('parses prefix and suffix constraints', () => {
+    assertDeepEqual(parseMorphologyConstraints('prefix=ו:suffix=3ms'), [
+        { feature: 'prefix', values: ['ו'] },
+        { feature: 'suffix', values: ['pronominal'] },
+        { feature: 'suffix-person', values: ['3'] },
+        { feature: 'suffix-gender', values: ['m'] },
+        { feature: 'suffix-number', values: ['s'] },
+    ]);
+});
+
+test('throws on unknown constraints', () => {
+    assertThrows(() => parseMorphologyConstraints('piel:bogus'), 'Unknown morphology constraint: bogus');
+    assertThrows(() => parseMorphologyConstraints('person=m'), 'Unknown morphology constraint');
+});
+
+test('throws on empty constraints', () => {
+    assertThrows(() => parseMorphologyConstraints(''), 'Empty morphology constraint');
+    assertThrows(() => parseMorphologyConstraints('verb::piel'), 'Empty morphology constraint');
+});
+
+// ------------------------------------------
+console.log('\nanalyzeWordMorphology:');
+// ------------------------------------------
+
+// H1254 ברא (verb), and the first noun in the Strong's table
+const nounStrongNumber = Array.from({ length: 10000 }, (_, i) => i)
+    .find(i => getStrongInfo(i)?.typeEnglish === 'Noun');
+
+test('analyzes a wayyiqtol verb', () => {
+    const features = analyzeWordMorphology('וַיִּבְרָא', 1254);
+    assertDeepEqual(features.tense, ['imperfect', 'wayyiqtol']);
+    assertDeepEqual(features.person, ['3']);
+    assertDeepEqual(features.prefix, ['ו', 'conjunction']);
+    assertTrue(matchesMorphology(features, parseMorphologyConstraints('verb:wayyiqtol:3ms')));
+    assertTrue(!matchesMorphology(features, parseMorphologyConstraints('perfect')));
+});
+
+test('common gender agrees with masculine and feminine', () => {
+    const features = analyzeWordMorphology('אֶבְרָא', 1254);
+    assertTrue(matchesMorphology(features, parseMorphologyConstraints('1cs')));
+    assertTrue(matchesMorphology(features, parseMorphologyConstraints('1ms')));
+});
+
+test('analyzes a noun with a pronominal suffix', () => {
+    const features = analyzeWordMorphology('בְּבֵיתוֹ', nounStrongNumber);
+    assertDeepEqual(features.suffix, ['pronominal']);
+    assertTrue(matchesMorphology(features, parseMorphologyConstraints('noun:prefix=preposition:suffix=3ms')));
+    assertDeepEqual(features.tense, [], 'Nouns have no tense');
+});
+
+test('analyzes a plural noun', () => {
+    const features = analyzeWordMorphology('הַבָּתִּים', nounStrongNumber);
+    assertTrue(matchesMorphology(features, parseMorphologyConstraints('mp:prefix=article:suffix=plural')));
+});
+
+// ------------------------------------------
+console.log('\nsearch with morphology constraints (integration):');
+// ------------------------------------------
+
+test('constraints narrow down a lemma search', () => {
+    const all = search('<1254>');
+    const wayyiqtol = search('<1254:wayyiqtol>');
+    assertTrue(wayyiqtol.totalMatches > 0, 'Expected some wayyiqtol forms of ברא');
+    assertTrue(wayyiqtol.totalMatches < all.totalMatches);
+    for (const match of wayyiqtol.matches) {
+        assertTrue(match.matchedText.startsWith('וַ'), `Unexpected match: ${match.matchedText}`);
+    }
+});
+
+test('a constraint without a lemma matches any word', () => {
+    const constraints = parseMorphologyConstraints('verb:wayyiqtol:3ms');
+    const result = search('<:verb:wayyiqtol:3ms>', { maxResults: 5 });
+    assertEqual(result.matches.length, 5);
+    assertEqual(result.strongMatches.length, 0);
+    for (const { verse, matchedWordIndexes } of result.matches) {
+        for (const i of matchedWordIndexes) {
+            assertTrue(matchesMorphology(analyzeWordMorphology(verse.words[i], verse.strongs[i]), constraints));
+        }
+    }
+});
+
+test('word indexes stay right in multi-word queries', () => {
+    const result = search('<1254:wayyiqtol> <430>', { maxResults: 5 });
+    assertTrue(result.totalMatches > 0);
+    for (const match of result.matches) {
+        const [first, second] = match.matchedWordIndexes;
+        assertEqual(match.verse.strongs[first], 1254);
+        assertEqual(match.verse.strongs[second], 430);
+    }
+});
+
+test('a type constraint filters the Strong\'s numbers', () => {
+    const result = search('<אור|ברא:verb>', { maxResults: 1 });
+    assertTrue(result.strongMatches.every(strongMatch => strongMatch.typeEnglish === 'Verb'));
+});
+
+test('2xy2 pattern accepts constraints', () => {
+    const all = search('2בר2');
+    const niphal = search('2בר2:niphal');
+    assertTrue(niphal.totalMatches <= all.totalMatches);
+    assertTrue(niphal.normalizedRegex.includes('binyan=(?:niphal)'));
+});
+
+test('throws on unknown constraints', () => {
+    assertThrows(() => search('<ברא:bogus>'), 'Unknown morphology constraint');
+    assertThrows(() => search('<שמר:>'), 'Empty morphology constraint');
+    assertThrows(() => search('<:>'), 'Empty morphology constraint');
+});
+
+// ------------------------------------------
+console.log('\nparseBooleanQuery:');
+// ------------------------------------------
+
+test('applies the precedence of the operators', () => {
+    const tree = parseBooleanQuery('א OR ב AND ג WITHIN/2 ד');
+    assertEqual(tree.operator, 'OR');
+    assertEqual(tree.right.operator, 'AND');
+    assertEqual(tree.right.right.operator, 'WITHIN');
+    assertEqual(tree.right.right.distance, 2);
+    assertEqual(tree.right.right.right.component, 3);
+});
+
+test('AND NOT is the same as NOT', () => {
+    assertEqual(JSON.stringify(parseBooleanQuery('א AND NOT ב')), JSON.stringify(parseBooleanQuery('א NOT ב')));
+});
+
+test('operands keep their word boundaries', () => {
+    const tree = parseBooleanQuery(' מים  AND  ארץ ');
+    assertEqual(tree.left.query, ' מים ');
+    assertEqual(tree.right.query, ' ארץ ');
+});
+
+test('throws on a missing operand or distance', () => {
+    assertThrows(() => parseBooleanQuery('AND אור'), 'Missing a query before AND');
+    assertThrows(() => parseBooleanQuery('אור OR'), 'Missing a query at the end');
+    assertThrows(() => parseBooleanQuery('אור NEAR חשך'), 'NEAR needs a distance');
+});
+
+test('throws on a malformed distance', () => {
+    assertThrows(() => parseBooleanQuery('אור NEAR/x חשך'), 'Invalid distance of NEAR: "x"');
+    assertThrows(() => parseBooleanQuery('אור NEAR/0 חשך'), 'Invalid distance of NEAR: "0"');
+    assertThrows(() => parseBooleanQuery('אור WITHIN/-1 חשך'), 'Invalid distance of WITHIN: "-1"');
+    assertThrows(() => search('אור NEAR/x חשך'), 'Invalid distance of NEAR');
+    assertEqual(parseBooleanQuery('אור WITHIN/0 חשך').distance, 0);
+});
+
+// ------------------------------------------
+console.log('\nsearch with boolean operators (integration):');
+// ------------------------------------------
+
+const verseIndexes = new Map(getAllVerses().map((verse, i) => [verse, i]));
+const matchedVerses = (query) => new Set(search(query).matches.map(match => match.verse));
+
+test('AND, OR and NOT combine verse sets', () => {
+    const water = matchedVerses('<מים>');
+    const land = matchedVerses('<ארץ>');
+    const both = search('<מים> AND <ארץ>');
+    assertEqual(both.totalMatches, [...water].filter(verse => land.has(verse)).length);
+    assertEqual(search('<מים> OR <ארץ>').totalMatches, new Set([...water, ...land]).size);
+    assertEqual(search('<מים> NOT <ארץ>').totalMatches, water.size - both.totalMatches);
+});
+
+test('each match lists the words of every component', () => {
+    const result = search('<מים> AND <ארץ>', { maxResults: 5 });
+    assertEqual(result.components.length, 2);
+    for (const match of result.matches) {
+        assertEqual(match.components.map(c => c.component).join(), '1,2');
+        const [water, land] = match.components;
+        assertTrue(water.matchedWordIndexes.every(i => match.matchedWordIndexes.includes(i)));
+        assertTrue(land.matchedWordIndexes.every(i => match.matchedWordIndexes.includes(i)));
+    }
+});
+
+test('WITHIN/n pairs verses up to n verses apart, in one book', () => {
+    const result = search('<מים> WITHIN/2 <רוח>');
+    assertTrue(result.totalMatches > 0);
+    const waterIndexes = [...matchedVerses('<מים>')].map(verse => verseIndexes.get(verse));
+    const windIndexes = [...matchedVerses('<רוח>')].map(verse => verseIndexes.get(verse));
+    const allVerses = getAllVerses();
+    for (const match of result.matches) {
+        const verseIndex = verseIndexes.get(match.verse);
+        const others = match.components[0].component === 1 ? windIndexes : waterIndexes;
+        assertTrue(others.some(other => Math.abs(other - verseIndex) <= 2 && allVerses[other].book === match.verse.book),
+            `No partner for ${match.verse.location}`);
+    }
+    assertTrue(result.totalMatches >= search('<מים> AND <רוח>').totalMatches);
+});
+
+test('WITHIN/0 is the same verse', () => {
+    assertEqual(search('<מים> WITHIN/0 <ארץ>').totalMatches, search('<מים> AND <ארץ>').totalMatches);
+});
+
+test('NEAR/n keeps only the words that are close enough', () => {
+    const result = search('<מים> NEAR/1 <ארץ>');
+    for (const match of result.matches) {
+        for (const { matchedWordIndexes } of match.components) {
+            assertTrue(matchedWordIndexes.length > 0);
+        }
+    }
+    assertTrue(result.totalMatches <= search('<מים> NEAR/5 <ארץ>').totalMatches);
+});
+
+test('SAMECHAPTER pairs verses of one chapter', () => {
+    const result = search('<מים> SAMECHAPTER <רוח>');
+    const chapterKey = (verse) => `${verse.book} ${verse.chapterIndex}`;
+    const windChapters = new Set([...matchedVerses('<רוח>')].map(chapterKey));
+    for (const match of result.matches) {
+        assertTrue(windChapters.has(chapterKey(match.verse)));
+    }
+});
+
+// ------------------------------------------
+console.log('\nWord totals and dispersion:');
+// ------------------------------------------
+
+test('computeDispersion: even spread, all in one part, proportional to size', () => {
+    const sizes = new Map([['a', 100], ['b', 100], ['c', 200]]);
+    const even = computeDispersion(new Map([['a', 5], ['b', 5], ['c', 10]]), sizes);
+    assertEqual(even.parts, 3);
+    assertEqual(even.range, 3);
+    assertTrue(Math.abs(even.juillandD - 1) < 1e-9);
+    assertTrue(Math.abs(even.dp) < 1e-9);
+
+    const clustered = computeDispersion(new Map([['a', 10]]), sizes);
+    assertEqual(clustered.range, 1);
+    assertTrue(Math.abs(clustered.juillandD) < 1e-9);
+    assertTrue(Math.abs(clustered.dp - 0.75) < 1e-9);
+
+    const none = computeDispersion(new Map(), sizes);
+    assertEqual(none.range, 0);
+    assertEqual(none.dp, null);
+});
+
+test('getWordTotals: books and chapters add up', () => {
+    const totals = getWordTotals();
+    assertEqual(totals.byBook.size, 39);
+    const chapterWords = [...totals.byChapter.values()].reduce((sum, chapter) => sum + chapter.words, 0);
+    const bookWords = [...totals.byBook.values()].reduce((sum, words) => sum + words, 0);
+    assertEqual(chapterWords, totals.total);
+    assertEqual(bookWords, totals.total);
+    assertEqual(totals.byChapter.get(getChapterKey({ book: 'בראשית', chapter: 'א' })).chapterIndex, 0);
+});
+
+test('computeFrequencyProfile of a Strong\'s number', () => {
+    const profile = computeFrequencyProfile(getStrongCountsByChapter(430));
+    assertEqual(profile.count, getOccurrenceCount(430));
+    assertEqual(profile.words, getWordTotals().total);
+    assertTrue(Math.abs(profile.per10k - profile.count / profile.words * 10000) < 1e-9);
+
+    const genesis = computeFrequencyProfile(getStrongCountsByChapter(430), { books: new Set(['בראשית']), chapterFilter: () => true });
+    assertEqual(genesis.dispersion.books.parts, 1);
+    assertTrue(genesis.count < profile.count);
+});
+
+// ------------------------------------------
+console.log('\nEnglish renderings:');
+// ------------------------------------------
+
+test('normalizeEnglishRendering strips brackets and punctuation', () => {
+    assertEqual(normalizeEnglishRendering('[the] earth,'), 'the earth');
+    assertEqual(normalizeEnglishRendering('  The gods  cower. '), 'The gods cower');
+    assertEqual(normalizeEnglishRendering(' - '), '');
+    assertEqual(normalizeEnglishRendering('vvv'), '');
+});
+
+test('getEnglishRenderings counts the BSB renderings, most frequent first', () => {
+    const renderings = getEnglishRenderings(430);
+    assertTrue(renderings.length > 0);
+    const total = renderings.reduce((sum, rendering) => sum + rendering.count, 0);
+    assertTrue(total <= getOccurrenceCount(430), `${total} renderings for ${getOccurrenceCount(430)} occurrences`);
+    for (let i = 1; i < renderings.length; i++) {
+        assertTrue(renderings[i - 1].count >= renderings[i].count);
+    }
+    assertEqual(getStrongGloss(430), renderings[0].english);
+    assertEqual(getStrongGloss(999999), '');
+});
+
+test('verses carry the BSB English of each word', () => {
+    const verse = getAllVerses().find(verse => !verse.isAramaic && verse.words.length > 0);
+    assertEqual(verse.english.length, verse.words.length);
+    assertTrue(verse.english.some(english => english !== ''));
+});
+
+// ------------------------------------------
+console.log('\nDisplay width:');
+// ------------------------------------------
+
+test('nikud and accents take no columns', () => {
+    assertEqual(displayWidth('בְּרֵאשִׁ֖ית'), 6);
+    assertEqual(displayWidth('light'), 5);
+});
+
+test('padToWidth pads at either edge', () => {
+    assertEqual(padToWidth('אוֹר', 5, false), 'אוֹר  ');
+    assertEqual(padToWidth('אוֹר', 5, true), '  אוֹר');
+    assertEqual(padToWidth('light', 3, true), 'light');
+});
+
+// ------------------------------------------
+console.log('\nText sources:');
+// ------------------------------------------
+
+test('parseMarkdownVerseLine reads the location, with the editions\' book spellings', () => {
+    assertDeepEqual(parseMarkdownVerseLine('> בראשית א א: בְּרֵאשִׁית בָּרָא.'),
+        { book: 'בראשית', chapterIndex: 0, verseIndex: 0, text: 'בְּרֵאשִׁית בָּרָא.' });
+    assertEqual(parseMarkdownVerseLine('> קוהלת יב יד: כִּי').book, 'קהלת');
+    assertEqual(parseMarkdownVerseLine('Some commentary'), null);
+    assertThrows(() => parseMarkdownVerseLine('> ספר א א: מילה'), 'Unknown book name');
+});
+
+test('the repo\'s texts are registered sources, in the same verses as the BSB', () => {
+    assertTrue(['bsb', 'menukad', 'naki'].every(name => getTextSourceNames().includes(name)));
+    assertThrows(() => getTextSource('no-such-source'), 'Unknown text source');
+    const menukad = getSourceVerse('menukad', 'בראשית', 0, 0);
+    assertEqual(menukad.location, 'בראשית א:א');
+    assertEqual(compareSourceWords(getSourceVerse('bsb', 'בראשית', 0, 0), menukad).length, 0);
+    assertEqual(compareSourceWords(menukad, getSourceVerse('naki', 'בראשית', 0, 0)).length, 0);
+    assertTrue(textSourceHasPoints('menukad'));
+    assertTrue(!textSourceHasPoints('naki'));
+});
+
+test('compareSourceWords classifies the words between aligned ones', () => {
+    const differences = compareSourceWords(
+        { words: ['וַיֹּאמֶר', 'אֱלֹהִים', 'אֶל', 'מֹשֶׁה', 'לֵאמֹר'] },
+        { words: ['וַיֹּאמַר', 'אלוהים', 'אֶלמֹשֶׁה', 'לֵאמֹר', 'עוֹד'] },
+        { points: true },
+    );
+    assertDeepEqual(differences, [
+        { type: 'vocalization', a: ['וַיֹּאמֶר'], b: ['וַיֹּאמַר'] },
+        { type: 'spelling', a: ['אֱלֹהִים'], b: ['אלוהים'] },
+        { type: 'word-division', a: ['אֶל', 'מֹשֶׁה'], b: ['אֶלמֹשֶׁה'] },
+        { type: 'missing', a: [], b: ['עוֹד'] },
+    ]);
+    assertEqual(compareSourceWords({ words: ['וַיֹּאמֶר'] }, { words: ['ויאמר'] }).length, 0);
+});
+
+// ------------------------------------------
+console.log('\nTokenization:');
+// ------------------------------------------
+
+const wordsAndReadings = (tokens) => ({ words: tokens.map(token => token.word), readings: tokens.map(token => token.reading) });
+
+test('tokenizeHebrewText marks ketiv/qere pairs and drops punctuation', () => {
+    assertDeepEqual(wordsAndReadings(tokenizeHebrewText('אֵלֶּה קְריּאֵי (קְרוּאֵי) הָעֵדָה:  אַלְפֵי.')), {
+        words: ['אֵלֶּה', 'קְריּאֵי', 'קְרוּאֵי', 'הָעֵדָה', 'אַלְפֵי'],
+        readings: [null, 'ketiv', 'qere', null, null],
+    });
+    // Ketiv without qere, and qere without ketiv (after the bare vowels of the missing word)
+    assertDeepEqual(wordsAndReadings(tokenizeHebrewText('כִּי אם (  ) גֹאֵל')), { words: ['כִּי', 'אם', 'גֹאֵל'], readings: [null, 'ketiv', null] });
+    assertDeepEqual(wordsAndReadings(tokenizeHebrewText('וְלֹא  ִ  (אִם) בִּדְבַר')), { words: ['וְלֹא', 'אִם', 'בִּדְבַר'], readings: [null, 'qere', null] });
+});
+
+test('both words of a ketiv/qere pair record both forms', () => {
+    const [, ketiv, qere, other] = tokenizeHebrewText('אֵלֶּה קְריּאֵי (קְרוּאֵי) הָעֵדָה');
+    for (const token of [ketiv, qere]) {
+        assertEqual(token.ketiv, 'קְריּאֵי');
+        assertEqual(token.qere, 'קְרוּאֵי');
+        assertEqual(token.pair, 0);
+    }
+    assertEqual(other.pair, null);
+    const [gad, ba] = tokenizeHebrewText('בגד (בָּא גָד)');
+    assertEqual(gad.qere, 'בָּא גָד');
+    assertEqual(ba.ketiv, 'בגד');
+    assertEqual(tokenizeHebrewText('כִּי אם (  )')[1].qere, '');
+});
+
+test('maqaf-joined words are members of one group', () => {
+    const tokens = tokenizeHebrewText('וַיְדַבֵּר אֶל־אַהֲרֹן וְאֶל־בָּנָיו');
+    assertDeepEqual(getMaqafGroups(tokens), [[0], [1, 2], [3, 4]]);
+    assertDeepEqual(tokens.map(token => token.member), [0, 0, 1, 0, 1]);
+    assertEqual(joinVerseWords(tokens.map(token => token.word), [1, 3]), 'וַיְדַבֵּר אֶל־אַהֲרֹן וְאֶל־בָּנָיו');
+});
+
+test('selectReading reads the ketiv, the qere or both', () => {
+    const tokens = tokenizeHebrewText('אֵלֶּה קְריּאֵי (קְרוּאֵי) בגד (בָּא גָד) הָעֵדָה');
+    const words = (reading) => selectReading(tokens, reading).map(({ word }) => word).join(' ');
+    assertEqual(words('both'), 'אֵלֶּה קְריּאֵי קְרוּאֵי בגד בָּא גָד הָעֵדָה');
+    assertEqual(words('ketiv'), 'אֵלֶּה קְריּאֵי בגד הָעֵדָה');
+    assertEqual(words('qere'), 'אֵלֶּה קְרוּאֵי בָּא גָד הָעֵדָה');
+    assertDeepEqual(selectReading(tokens, 'qere').map(({ index }) => index), [0, 2, 4, 5, 6]);
+    assertThrows(() => selectReading(tokens, 'written'), 'Invalid reading');
+});
+
+test('selectReading puts a form the text lacks in place of the other one', () => {
+    // As in a BSB verse that has only the qere: the token still records its ketiv
+    const [qereOnly] = tokenizeHebrewText('קְריּאֵי (קְרוּאֵי)').slice(1);
+    const tokens = [{ ...tokenizeHebrewText('אֵלֶּה')[0] }, { ...qereOnly, group: 1 }];
+    assertDeepEqual(selectReading(tokens, 'ketiv'), [{ word: 'אֵלֶּה', index: 0 }, { word: 'קְריּאֵי', index: 1 }]);
+    assertDeepEqual(selectReading(tokens, 'qere'), [{ word: 'אֵלֶּה', index: 0 }, { word: 'קְרוּאֵי', index: 1 }]);
+});
+
+test('resolveBareShin dots a bare ש as the word is spelled elsewhere, or as its dotted neighbour', () => {
+    const spellings = collectShinSpellings(['\u05E9\u05C1\u05B8\u05DE\u05B7\u05D9\u05B4\u05DD', 'אוֹר']);
+    assertEqual(resolveBareShin('\u05E9\u05B8\u05DE\u05B7\u05D9\u05B4\u05DD', spellings), '\uFB2A\u05B8\u05DE\u05B7\u05D9\u05B4\u05DD');
+    // Issachar: the silent second ש is written once for the doubled sin
+    assertEqual(resolveBareShin('\u05D9\u05B4\u05E9\u05C2\u05BC\u05B8\u05E9\u05DB\u05B8\u05E8', spellings),
+        '\u05D9\u05B4\uFB2B\u05BC\u05B8\uFB2B\u05DB\u05B8\u05E8');
+    assertThrows(() => resolveBareShin('\u05E9\u05B8\u05DD', spellings), 'Unnormalized');
+});
+
+test('resolveBareShin dots the bare ש of the known words, whatever their spellings elsewhere', () => {
+    const noSpellings = new Map();
+    // Issachar
+    assertEqual(resolveBareShin('\u05D9\u05B4\uFB2B\u05BC\u05B8\u05E9\u05DB\u05B8\u05E8', noSpellings),
+        '\u05D9\u05B4\uFB2B\u05BC\u05B8\uFB2B\u05DB\u05B8\u05E8');
+    assertEqual(resolveBareShin('\u05E9\u05B5\u05D9\u05D1\u05B8\u05D4', noSpellings), '\uFB2B\u05B5\u05D9\u05D1\u05B8\u05D4'); // שֵׂיבָה
+    assertEqual(resolveBareShin('\u05D0\u05B4\u05D9\u05E9', noSpellings), '\u05D0\u05B4\u05D9\uFB2A'); // אִישׁ
+    assertEqual(resolveBareShin('\u05D7\u05DE\u05E9', noSpellings), '\u05D7\u05DE\uFB2A'); // חמשׁ
+    assertEqual(resolveBareShin('\u05D4\u05B7\u05E9\u05B8\u05DE\u05B7\u05D9\u05B4\u05DD', noSpellings),
+        '\u05D4\u05B7\uFB2A\u05B8\u05DE\u05B7\u05D9\u05B4\u05DD'); // הַשָּׁמַיִם
+
+    // The known words win over a (wrong) spelling elsewhere
+    const sinSpellings = collectShinSpellings(['\uFB2B\u05B8\u05DE\u05B7\u05D9\u05B4\u05DD']);
+    assertEqual(resolveBareShin('\u05E9\u05B8\u05DE\u05B7\u05D9\u05B4\u05DD', sinSpellings), '\uFB2A\u05B8\u05DE\u05B7\u05D9\u05B4\u05DD');
+});
+
+test('BSB verses take the ketiv/qere pairs of the repo\'s text (integration)', () => {
+    const verse = getVerse('במדבר', 0, 15);
+    const tokens = getVerseTokens(verse);
+    assertEqual(tokens.length, verse.words.length);
+    const ketivIndex = tokens.findIndex(token => token.reading === 'ketiv');
+    assertTrue(ketivIndex >= 0, 'a ketiv in במדבר א:טז');
+    assertEqual(tokens[ketivIndex].qere, tokens[ketivIndex + 1].word);
+});
+
+test('search reads the ketiv, the qere or both (integration)', () => {
+    const verse = getVerse('במדבר', 0, 15);
+    const matchesIn = (query, reading) => search(query, { reading }).matches.filter(match => match.verse === verse);
+    assertEqual(matchesIn(' קריאי ', 'both').length, 1);
+    assertEqual(matchesIn(' קריאי ', 'ketiv').length, 1);
+    assertEqual(matchesIn(' קריאי ', 'qere').length, 0);
+    assertEqual(matchesIn(' קרואי ', 'ketiv').length, 0);
+    // Word indexes stay those of the verse
+    const [qereMatch] = matchesIn(' קרואי ', 'qere');
+    assertEqual(verse.words[qereMatch.matchedWordIndexes[0]], getVerseTokens(verse)[qereMatch.matchedWordIndexes[0]].qere);
+    // Boolean operands read the same way
+    assertEqual(search('קריאי AND אלה', { reading: 'qere' }).matches.filter(match => match.verse === verse).length, 0);
+    assertThrows(() => search('אור', { reading: 'written' }), 'Invalid reading');
+});
+
+// ------------------------------------------
+console.log('\nAramaic sections:');
+// ------------------------------------------
+
+test('the Aramaic mode leaves verses out as placeholders, keeping verse positions', () => {
+    const findVerse = (verses, book, chapter, verse) => verses.find(v =>
+        v.book === book && v.chapterIndex === chapter - 1 && v.verseIndex === verse - 1);
+    try {
+        assertEqual(getAramaicMode(), 'exclude');
+        const excluded = getAllVerses();
+        assertTrue(findVerse(excluded, 'דניאל', 2, 5).skipped);
+        assertEqual(findVerse(excluded, 'דניאל', 2, 5).words.length, 0);
+        assertTrue(!findVerse(excluded, 'דניאל', 2, 3).skipped);
+
+        setAramaicMode('include');
+        const included = getAllVerses();
+        assertEqual(included.length, excluded.length);
+        assertTrue(findVerse(included, 'דניאל', 2, 5).isAramaic);
+        assertTrue(findVerse(included, 'דניאל', 2, 5).words.length > 0);
+
+        setAramaicMode('only');
+        const only = getAllVerses();
+        assertEqual(only.length, excluded.length);
+        assertTrue(!findVerse(only, 'דניאל', 2, 5).skipped);
+        assertTrue(findVerse(only, 'בראשית', 1, 1).skipped);
+        assertEqual(search('<דהב>').matches.length, search('<דהב>', { maxResults: 10000 }).totalMatches);
+        assertTrue(search('<דהב>').matches.every(match => match.verse.isAramaic));
+    } finally {
+        setAramaicMode('exclude');
+    }
+    assertThrows(() => setAramaicMode('both'), 'Invalid Aramaic mode');
+});
+
+test('Aramaic Strong\'s numbers: counted in the Aramaic sections only', () => {
+    const aramaicGold = 29250;
+    assertTrue(isAramaicStrong(aramaicGold));
+    assertTrue(getAramaicOccurrenceCount(aramaicGold) > 0);
+    assertEqual(getOccurrenceCount(aramaicGold), 0);
+    assertTrue(!isAramaicStrong(9163));
+    assertEqual(labelAramaic('דניאל ב:ה', true), 'דניאל ב:ה [Aramaic]');
+    assertEqual(labelAramaic('בראשית א:א', false), 'בראשית א:א');
+});
+
+test('loadAramaicCognates reads sound correspondences and word pairs', () => {
+    const filePath = path.join(os.tmpdir(), `bible-cognates-test-${process.pid}.txt`);
+    fs.writeFileSync(filePath, '# comment\nד = ז   דהב/זהב\nדהב = זהב   gold\nארע = ארץ   earth\n');
+    try {
+        const table = loadAramaicCognates(filePath);
+        assertDeepEqual(table.sounds.map(sound => `${sound.aramaic}=${sound.hebrew}`), ['ד=ז']);
+        assertDeepEqual(table.words.map(word => `${word.aramaic}=${word.hebrew}`), ['דהב=זהב', 'ארע=ארצ']);
+
+        const candidates = getAramaicCognateCandidates('זהב', filePath);
+        assertDeepEqual(candidates, [
+            { root: 'דהב', basis: 'table', gloss: 'gold' },
+            { root: 'זהב', basis: 'same letters', gloss: '' },
+        ]);
+        assertDeepEqual(getAramaicCognateCandidates('ארץ', filePath).map(candidate => candidate.root), ['ארע', 'ארץ']);
+        assertDeepEqual(getAramaicCognateCandidates('זכר', filePath)[1], { root: 'דכר', basis: 'ז>ד', gloss: '' });
+    } finally {
+        fs.rmSync(filePath);
+    }
+});
+
+test('the bundled cognate table loads', () => {
+    assertTrue(getAramaicCognateCandidates('זהב').some(candidate => candidate.root === 'דהב'));
+    assertTrue(getAramaicCognateCandidates('שוב').some(candidate => candidate.root === 'תוב'));
+});
+
+// ------------------------------------------
+console.log('\nloadPartitionFile:');
+// ------------------------------------------
+
+test('labels verses by the file, later lines winning, * as the fallback', () => {
+    const filePath = path.join(os.tmpdir(), `bible-partition-test-${process.pid}.txt`);
+    fs.writeFileSync(filePath, '# comment\nrest: *\nfirst: בראשית 1-2\nsecond: בראשית 2:4-3:24, שמות 1\n');
+    try {
+        const partition = loadPartitionFile(filePath);
+        assertEqual(partition.labels.join(), 'rest,first,second');
+        const verses = getAllVerses();
+        const labelAt = (book, chapter, verse) => partition.labelOf(verses.find(v =>
+            v.book === book && v.chapterIndex === chapter - 1 && v.verseIndex === verse - 1));
+        assertEqual(labelAt('בראשית', 1, 1), 'first');
+        assertEqual(labelAt('בראשית', 2, 3), 'first');
+        assertEqual(labelAt('בראשית', 2, 4), 'second');
+        assertEqual(labelAt('בראשית', 4, 1), 'rest');
+        assertEqual(labelAt('שמות', 1, 1), 'second');
+    } finally {
+        fs.rmSync(filePath);
+    }
+});
+
+test('finds bundled partition files by name', () => {
+    const partition = loadPartitionFile('late-biblical-hebrew');
+    assertTrue(partition.labels.includes('late'));
+});
+
+test('throws on invalid lines', () => {
+    const filePath = path.join(os.tmpdir(), `bible-partition-test-${process.pid}.txt`);
+    fs.writeFileSync(filePath, 'no colon here\n');
+    try {
+        assertThrows(() => loadPartitionFile(filePath), 'Invalid line 1');
+    } finally {
+        fs.rmSync(filePath);
+    }
+    assertThrows(() => loadPartitionFile('no-such-partition'), 'no-such-partition');
+});
+
+test('chiSquarePValue', () => {
+    assertTrue(Math.abs(chiSquarePValue(3.841, 1) - 0.05) < 0.001);
+    assertTrue(Math.abs(chiSquarePValue(9.488, 4) - 0.05) < 0.001);
+    assertEqual(chiSquarePValue(0, 3), 1);
+});
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+console.log('\n=== Test Summary ===');
+console.log(`Total: ${testCount}`);
+console.log(`Passed: ${passCount}`);
+console.log(`Failed: ${failCount}`);
+
+if (failCount > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Tests for bible_compare_texts.js
+ *
+ * Run with: ./bible_compare_texts.test.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+    parseArgs,
+    compareTexts,
+    formatDifference,
+} from '../bible_compare_texts.js';
+import { getSourceVerse } from '../bible-utils.js';
+
+// ============================================================================
+// Test Utilities
+// ============================================================================
+
+let testCount = 0;
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+    testCount++;
+    try {
+        fn();
+        passCount++;
+        console.log(`  ✓ ${name}`);
+    } catch (error) {
+        failCount++;
+        console.log(`  ✗ ${name}`);
+        console.log(`    Error: ${error.message}`);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n    Expected: ${JSON.stringify(expected)}\n    Actual: ${JSON.stringify(actual)}`);
+    }
+}
+
+function assertTrue(value, message = '') {
+    if (!value) {
+        throw new Error(message || 'Expected true but got false');
+    }
+}
+
+function assertThrows(fn, expectedMessage) {
+    try {
+        fn();
+        throw new Error(`Expected function to throw, but it didn't`);
+    } catch (error) {
+        if (expectedMessage && !error.message.includes(expectedMessage)) {
+            throw new Error(`Expected error message to contain "${expectedMessage}", got: "${error.message}"`);
+        }
+    }
+}
+
+// ============================================================================
+// Tests
+// ============================================================================
+
+console.log('\n=== bible_compare_texts.js Tests ===\n');
+
+// ------------------------------------------
+console.log('parseArgs:');
+// ------------------------------------------
+
+test('defaults to the BSB against the repo\'s pointed text', () => {
+    const options = parseArgs([]);
+    assertEqual(options.sources.join(','), 'bsb,menukad');
+    assertEqual(options.points, false);
+    assertEqual(options.limit, 50);
+});
+
+test('parses all options', () => {
+    const options = parseArgs(['--sources=menukad,naki', '--range=בראשית 1', '--points', '--types=spelling,missing', '--limit=0', '--format=json']);
+    assertEqual(options.sources.join(','), 'menukad,naki');
+    assertEqual(options.range, 'בראשית 1');
+    assertTrue(options.points);
+    assertEqual(options.types.join(','), 'spelling,missing');
+    assertEqual(options.limit, 0);
+    assertEqual(options.format, 'json');
+});
+
+test('rejects bad sources, types and formats', () => {
+    assertThrows(() => parseArgs(['--sources=bsb']), 'exactly two sources');
+    assertThrows(() => parseArgs(['--types=typo']), 'Invalid type');
+    assertThrows(() => parseArgs(['--format=xml']), 'Invalid format');
+    assertThrows(() => parseArgs(['--unknown']), 'Unknown option');
+});
+
+// ------------------------------------------
+console.log('\ncompareTexts:');
+// ------------------------------------------
+
+// Another local edition: Genesis 1:1-2 of the repo's text, with variants; 1:3 left out
+// 1:1 - "אלוהים" spelled plene, "את" missing, "השמים ואת" as one word; 1:2 - an extra ketiv/qere pair
+const editionDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bible-compare-texts-test-'));
+const verse1 = getSourceVerse('menukad', 'בראשית', 0, 0).words;
+const verse2 = getSourceVerse('menukad', 'בראשית', 0, 1).words;
+const variantVerse1 = [...verse1.slice(0, 2), 'אלוהים', `${verse1[4]}${verse1[5]}`, verse1[6]];
+const variantVerse2 = [...verse2, 'מְאֹד (מְאֹד)'];
+fs.writeFileSync(path.join(editionDir, 'בראשית.md'), [
+    `> בראשית א א: ${variantVerse1.join(' ')}.`,
+    `> בראשית א ב: ${variantVerse2.join(' ')}.`,
+].join('\n'));
+
+test('compares identical texts without differences', () => {
+    const result = compareTexts(parseArgs(['--sources=menukad,naki', '--range=בראשית 1']));
+    assertEqual(result.versesCompared, 31);
+    assertEqual(result.verses.length, 0);
+    assertEqual(result.versesOnlyIn[0].length + result.versesOnlyIn[1].length, 0);
+});
+
+test('classifies the differences of another edition', () => {
+    const result = compareTexts(parseArgs([`--sources=menukad,${editionDir}`, '--range=בראשית 1:1-3']));
+    assertEqual(result.versesCompared, 2);
+    const types = result.verses.flatMap(verse => verse.differences.map(difference => difference.type));
+    assertEqual(types.join(','), 'spelling,missing,word-division,ketiv-qere,ketiv-qere');
+    assertEqual(result.versesOnlyIn[0].join(','), 'בראשית א:ג');
+    assertEqual(result.counts['word-division'], 1);
+});
+
+test('--types filters the reported differences', () => {
+    const result = compareTexts(parseArgs([`--sources=menukad,${editionDir}`, '--range=בראשית 1:1-2', '--types=spelling']));
+    assertEqual(result.verses.length, 1);
+    assertEqual(Object.keys(result.counts).join(','), 'spelling');
+});
+
+test('--points needs pointed sources', () => {
+    assertThrows(() => compareTexts(parseArgs(['--sources=menukad,naki', '--points'])), 'naki has no nikud');
+});
+
+test('formatDifference names both sources', () => {
+    const line = formatDifference({ type: 'missing', a: ['אור'], b: [] }, ['bsb', 'menukad']);
+    assertTrue(line.includes('missing'));
+    assertTrue(line.includes('bsb: אור'));
+    assertTrue(line.includes('menukad: —'));
+});
+
+fs.rmSync(editionDir, { recursive: true, force: true });
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+console.log('\n=== Test Summary ===');
+console.log(`Total: ${testCount}`);
+console.log(`Passed: ${passCount}`);
+console.log(`Failed: ${failCount}`);
+
+if (failCount > 0) {
+    process.exit(1);
+}
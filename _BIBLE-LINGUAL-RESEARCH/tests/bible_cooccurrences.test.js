@@ -13,6 +13,7 @@ import {
     isStopword,
     analyzeCooccurrences,
     analyzeWordPair,
+    computeAssociation,
     STOPWORDS,
     SECTION_NAMES,
 } from '../bible_cooccurrences.js';
@@ -50,6 +51,12 @@ function assertTrue(value, message = '') {
     }
 }
 
+function assertClose(actual, expected, message = '') {
+    if (Math.abs(actual - expected) > 0.01) {
+        throw new Error(`${message}\n    Expected: ~${expected}\n    Actual: ${actual}`);
+    }
+}
+
 function assertThrows(fn, expectedMessage) {
     try {
         fn();
@@ -145,6 +152,18 @@ test('parses --help option', () => {
     assertTrue(opts.help);
 });
 
+test('parses --measure and --significance options', () => {
+    const result = parseArgs(['מים', '--measure=log-likelihood', '--significance=0.01']);
+    assertEqual(result.measure, 'log-likelihood');
+    assertEqual(result.significance, '0.01');
+});
+
+test('throws on invalid measure or significance', () => {
+    assertThrows(() => parseArgs(['מים', '--measure=bogus']), 'Invalid measure');
+    assertThrows(() => parseArgs(['מים', '--measure=chi-square', '--significance=0.2']), 'Invalid significance');
+    assertThrows(() => parseArgs(['מים', '--measure=dice', '--significance=0.05']), '--significance requires');
+});
+
 test('throws on invalid format', () => {
     assertThrows(() => parseArgs(['מים', '--format=invalid']), 'Invalid format');
 });
@@ -298,6 +317,81 @@ test('returns percentage for each co-occurrence', () => {
     }
 });
 
+test('ranks by an association measure', () => {
+    const result = analyzeCooccurrences('<מים>', { measure: 'log-likelihood', top: 20 });
+    assertEqual(result.measure, 'log-likelihood');
+    assertTrue(result.versesInRange > result.totalVerses);
+    for (let i = 1; i < result.cooccurrences.length; i++) {
+        assertTrue(result.cooccurrences[i - 1].score >= result.cooccurrences[i].score, 'Expected descending scores');
+    }
+    for (const entry of result.cooccurrences) {
+        assertTrue(entry.observed <= entry.count && entry.observed <= entry.wordVerses);
+        assertTrue(entry.expected > 0);
+    }
+});
+
+test('counts the words of the chosen reading, observed and expected alike', () => {
+    // בראשית כה:כג - the ketiv גֹיִים, the qere גוֹיִם
+    const ketiv = analyzeCooccurrences('בטנך', { reading: 'ketiv', measure: 'log-likelihood', top: 1000, includeStopwords: true });
+    const qere = analyzeCooccurrences('בטנך', { reading: 'qere', measure: 'log-likelihood', top: 1000, includeStopwords: true });
+    assertTrue(ketiv.cooccurrences.some(entry => entry.searchable === 'גיימ'));
+    assertTrue(!ketiv.cooccurrences.some(entry => entry.searchable === 'גוימ'));
+    assertTrue(qere.cooccurrences.some(entry => entry.searchable === 'גוימ'));
+    assertTrue(!qere.cooccurrences.some(entry => entry.searchable === 'גיימ'));
+    for (const entry of [...ketiv.cooccurrences, ...qere.cooccurrences]) {
+        assertTrue(entry.observed <= entry.wordVerses, `${entry.searchable}: ${entry.observed} > ${entry.wordVerses}`);
+    }
+});
+
+test('--significance drops results that are not significant', () => {
+    const result = analyzeCooccurrences('<מים>', { measure: 'chi-square', significance: '0.001', top: 1000 });
+    assertTrue(result.cooccurrences.length > 0);
+    assertTrue(result.cooccurrences.every(entry => entry.score >= 10.828));
+});
+
+test('scores a word pair', () => {
+    const result = analyzeWordPair('<מים>', '<ארץ>', { measure: 'dice' });
+    assertEqual(result.association.observed, result.cooccurrenceCount);
+    assertClose(result.association.score, 2 * result.cooccurrenceCount / (result.word1Count + result.word2Count));
+});
+
+// ------------------------------------------
+console.log('\ncomputeAssociation:');
+// ------------------------------------------
+
+// 1000 verses: word 1 in 20, word 2 in 30, both in 10 - expected 0.6
+
+test('computes the expected frequency', () => {
+    assertClose(computeAssociation('dice', 10, 20, 30, 1000).expected, 0.6);
+});
+
+test('computes each measure', () => {
+    assertClose(computeAssociation('log-likelihood', 10, 20, 30, 1000).score, 46.50, 'log-likelihood');
+    assertClose(computeAssociation('chi-square', 10, 20, 30, 1000).score, 154.92, 'chi-square');
+    assertClose(computeAssociation('t-score', 10, 20, 30, 1000).score, 2.97, 't-score');
+    assertClose(computeAssociation('dice', 10, 20, 30, 1000).score, 0.4, 'dice');
+    assertClose(computeAssociation('pmi', 10, 20, 30, 1000).score, Math.log2(10 / 0.6), 'pmi');
+    assertClose(computeAssociation('mi3', 10, 20, 30, 1000).score, Math.log2(1000 / 0.6), 'mi3');
+});
+
+test('significance tests report the p-value they pass', () => {
+    assertEqual(computeAssociation('log-likelihood', 10, 20, 30, 1000).significance, '0.001');
+    assertEqual(computeAssociation('chi-square', 1, 20, 30, 1000).significance, null);
+    assertEqual(computeAssociation('dice', 10, 20, 30, 1000).significance, null);
+});
+
+test('negative association gets a negative test statistic', () => {
+    // Expected 15, observed 5
+    const association = computeAssociation('log-likelihood', 5, 100, 150, 1000);
+    assertTrue(association.score < 0, `Expected a negative score, got ${association.score}`);
+    assertEqual(association.significance, null);
+});
+
+test('flags low evidence', () => {
+    assertTrue(computeAssociation('pmi', 2, 20, 30, 1000).lowEvidence);
+    assertEqual(computeAssociation('pmi', 10, 20, 30, 1000).lowEvidence, false);
+});
+
 // ------------------------------------------
 console.log('\nanalyzeWordPair (integration):');
 // ------------------------------------------
@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Tests for bible_daemon.js and bible-daemon.js
+ *
+ * Run with: ./bible_daemon.test.js
+ */
+
+import { execFile } from 'child_process';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+
+import { parseArgs } from '../bible_daemon.js';
+import {
+    startDaemon,
+    runOnDaemon,
+    getDaemonStatus,
+    stopDaemon,
+    runCaptured,
+    TOOL_NAMES,
+    DAEMON_SOCKET_PATH,
+} from '../bible-daemon.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const execFileAsync = promisify(execFile);
+
+// ============================================================================
+// Test Utilities
+// ============================================================================
+
+let testCount = 0;
+let passCount = 0;
+let failCount = 0;
+
+async function test(name, fn) {
+    testCount++;
+    try {
+        await fn();
+        passCount++;
+        console.log(`  ✓ ${name}`);
+    } catch (error) {
+        failCount++;
+        console.log(`  ✗ ${name}`);
+        console.log(`    Error: ${error.message}`);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n    Expected: ${JSON.stringify(expected)}\n    Actual: ${JSON.stringify(actual)}`);
+    }
+}
+
+function assertTrue(value, message = '') {
+    if (!value) {
+        throw new Error(message || 'Expected true but got false');
+    }
+}
+
+function assertThrows(fn, expectedMessage) {
+    try {
+        fn();
+        throw new Error(`Expected function to throw, but it didn't`);
+    } catch (error) {
+        if (expectedMessage && !error.message.includes(expectedMessage)) {
+            throw new Error(`Expected error message to contain "${expectedMessage}", got: "${error.message}"`);
+        }
+    }
+}
+
+/**
+ * Run a tool as a separate process
+ * @param {string} toolName
+ * @param {string[]} args
+ * @param {Object} env - Extra environment variables
+ * @param {string} [cwd] - Working directory (default: this process')
+ * @returns {Promise<{stdout: string, stderr: string, exitCode: number}>}
+ */
+async function runProcess(toolName, args, env, cwd = undefined) {
+    try {
+        const { stdout, stderr } = await execFileAsync(
+            process.execPath,
+            [path.join(__dirname, '..', `${toolName}.js`), ...args],
+            { env: { ...process.env, ...env }, cwd, maxBuffer: 64 * 1024 * 1024 },
+        );
+        return { stdout, stderr, exitCode: 0 };
+    } catch (error) {
+        return { stdout: error.stdout, stderr: error.stderr, exitCode: error.code };
+    }
+}
+
+// ============================================================================
+// Tests
+// ============================================================================
+
+console.log('\n=== bible_daemon.js Tests ===\n');
+
+// ------------------------------------------
+console.log('parseArgs:');
+// ------------------------------------------
+
+await test('parses command', () => {
+    const result = parseArgs(['start']);
+    assertEqual(result.command, 'start');
+    assertEqual(result.socketPath, DAEMON_SOCKET_PATH);
+});
+
+await test('parses --socket option', () => {
+    const result = parseArgs(['status', '--socket=/tmp/x.sock']);
+    assertEqual(result.socketPath, '/tmp/x.sock');
+});
+
+await test('throws on unknown command', () => {
+    assertThrows(() => parseArgs(['restart']), 'Unknown command');
+});
+
+await test('throws on unknown option', () => {
+    assertThrows(() => parseArgs(['start', '--foo']), 'Unknown option');
+});
+
+// ------------------------------------------
+console.log('\nrunCaptured:');
+// ------------------------------------------
+
+await test('captures output and exit code', async () => {
+    const output = await runCaptured(async args => {
+        console.log('out', args.length);
+        console.error('err');
+        process.exit(3);
+    }, ['a', 'b']);
+    assertEqual(output.stdout, 'out 2\n');
+    assertEqual(output.stderr, 'err\n');
+    assertEqual(output.exitCode, 3);
+});
+
+await test('reports thrown errors like the tools do', async () => {
+    const output = await runCaptured(async () => {
+        throw new Error('boom');
+    }, []);
+    assertEqual(output.stderr, 'Fatal error: boom\n');
+    assertEqual(output.exitCode, 1);
+});
+
+await test('restores console and process.exit', async () => {
+    const originalLog = console.log;
+    const originalExit = process.exit;
+    await runCaptured(async () => process.exit(0), []);
+    assertTrue(console.log === originalLog);
+    assertTrue(process.exit === originalExit);
+});
+
+await test('TOOL_NAMES lists all tools', () => {
+    assertEqual(TOOL_NAMES.length, 11);
+    assertTrue(TOOL_NAMES.includes('bible_search'));
+    assertTrue(TOOL_NAMES.includes('bible_compare_texts'));
+});
+
+// ------------------------------------------
+console.log('\nDaemon (integration):');
+// ------------------------------------------
+
+const socketPath = path.join(os.tmpdir(), `bible-daemon-test-${process.pid}.sock`);
+
+await test('no daemon: runOnDaemon and status return null', async () => {
+    assertEqual(await runOnDaemon('bible_search', ['אור'], { socketPath }), null);
+    assertEqual(await getDaemonStatus({ socketPath }), null);
+});
+
+const server = await startDaemon({ socketPath });
+
+await test('status reports the running daemon', async () => {
+    const status = await getDaemonStatus({ socketPath });
+    assertEqual(status.pid, process.pid);
+    assertEqual(status.socketPath, socketPath);
+});
+
+for (const [toolName, args, cwd] of [
+    ['bible_search', ['<אור>', '--max=5']],
+    ['bible_search', ['אור', '--format=json', '--max=3']],
+    ['bible_strong_info', ['216']],
+    ['bible_get_structure', ['בראשית', '1']],
+    ['bible_search', ['--bogus']],
+    // A path relative to the client's working directory
+    ['bible_word_frequency', ['<אור>', '--group-by=partition', '--partition=late-biblical-hebrew.txt'], path.join(__dirname, '..', 'partitions')],
+]) {
+    await test(`same output with and without daemon: ${toolName} ${args.join(' ')}`, async () => {
+        const viaDaemon = await runProcess(toolName, args, { BIBLE_DAEMON_SOCKET: socketPath }, cwd);
+        const inProcess = await runProcess(toolName, args, { BIBLE_NO_DAEMON: '1' }, cwd);
+        assertEqual(viaDaemon.stdout, inProcess.stdout);
+        assertEqual(viaDaemon.stderr, inProcess.stderr);
+        assertEqual(viaDaemon.exitCode, inProcess.exitCode);
+    });
+}
+
+await test('requests are counted', async () => {
+    const status = await getDaemonStatus({ socketPath });
+    assertEqual(status.requestCount, 6);
+});
+
+await test('rejects unknown tools', async () => {
+    let error = null;
+    try {
+        await runOnDaemon('rm', ['-rf'], { socketPath });
+    } catch (e) {
+        error = e;
+    }
+    assertTrue(error && error.message.includes('Unknown tool'));
+});
+
+await test('stop stops the daemon', async () => {
+    assertTrue(await stopDaemon({ socketPath }));
+    await new Promise(resolve => server.listening ? server.once('close', resolve) : resolve());
+    assertEqual(await getDaemonStatus({ socketPath }), null);
+});
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+console.log('\n=== Test Summary ===');
+console.log(`Total: ${testCount}`);
+console.log(`Passed: ${passCount}`);
+console.log(`Failed: ${failCount}`);
+
+if (failCount > 0) {
+    process.exit(1);
+}
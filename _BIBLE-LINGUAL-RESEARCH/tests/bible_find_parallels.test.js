@@ -18,8 +18,12 @@ import {
     getSharedStrongs,
     findVerse,
     findParallels,
+    formatPassageReference,
+    alignPassages,
+    buildAlignment,
     STOPWORD_STRONGS,
 } from '../bible_find_parallels.js';
+import { setAramaicMode } from '../bible-utils.js';
 
 // ============================================================================
 // Test Utilities
@@ -134,6 +138,21 @@ test('throws on conflicting book options', () => {
     assertThrows(() => parseArgs(['בראשית 1:1', '--same-book', '--different-book']), 'Cannot use both');
 });
 
+test('parses --window and --ngram options', () => {
+    const result = parseArgs(['בראשית 1:1', '--window=3', '--ngram=4']);
+    assertEqual(result.window, 3);
+    assertEqual(result.ngram, 4);
+    assertEqual(parseArgs(['בראשית 1:1']).window, 1);
+    assertEqual(parseArgs(['בראשית 1:1']).ngram, null);
+});
+
+test('throws on invalid window or ngram', () => {
+    assertThrows(() => parseArgs(['בראשית 1:1', '--window=0']), 'Invalid window');
+    assertThrows(() => parseArgs(['בראשית 1:1', '--window=x']), 'Invalid window');
+    assertThrows(() => parseArgs(['בראשית 1:1', '--ngram=1']), 'Invalid ngram');
+    assertThrows(() => parseArgs(['בראשית 1:1', '--ngram=11']), 'Invalid ngram');
+});
+
 test('throws on unknown option', () => {
     assertThrows(() => parseArgs(['בראשית 1:1', '--unknown']), 'Unknown option');
 });
@@ -375,6 +394,104 @@ test('parallels are sorted by similarity', () => {
     }
 });
 
+// ------------------------------------------
+console.log('\nAlignment:');
+// ------------------------------------------
+
+test('formatPassageReference', () => {
+    const verse = (chapterIndex, chapter, verse) => ({ chapterIndex, chapter, verse, location: `בראשית ${chapter}:${verse}` });
+    assertEqual(formatPassageReference([verse(0, 'א', 'א')]), 'בראשית א:א');
+    assertEqual(formatPassageReference([verse(0, 'א', 'א'), verse(0, 'א', 'ב'), verse(0, 'א', 'ג')]), 'בראשית א:א-ג');
+    assertEqual(formatPassageReference([verse(0, 'א', 'לא'), verse(1, 'ב', 'א')]), 'בראשית א:לא-ב:א');
+});
+
+test('buildAlignment puts the words between shared words in their own row', () => {
+    const rows = buildAlignment(
+        [{ sourceIndex: 0, targetIndex: 1, strong: 10 }, { sourceIndex: 2, targetIndex: 2, strong: 20 }],
+        ['a', 'x', 'b'], ['y', 'a', 'b']);
+    assertEqual(JSON.stringify(rows), JSON.stringify([
+        { source: ['a'], target: ['a'], strong: 10 },
+        { source: ['x'], target: [], strong: null },
+        { source: ['b'], target: ['b'], strong: 20 },
+    ]));
+});
+
+test('alignPassages follows the longest common subsequence of Strong\'s numbers', () => {
+    const source = { words: ['w1', 'w2', 'w3', 'w4'], strongs: [1, 2, 3, 4] };
+    const target = { words: ['v2', 'v9', 'v3', 'v1', 'v4'], strongs: [2, 9, 3, 1, 4] };
+    const rows = alignPassages(source, target);
+    assertEqual(rows.filter(row => row.strong).map(row => row.strong).join(), '2,3,4');
+    assertEqual(rows[0].source.join(), 'w2');
+    assertEqual(rows[1].target.join(), 'v9');
+});
+
+// ------------------------------------------
+console.log('\nfindParallels with --window and --ngram (integration):');
+// ------------------------------------------
+
+test('window mode compares passages and skips overlapping windows', () => {
+    const result = findParallels('בראשית 1:1', { window: 3, minSimilarity: 0.1, maxResults: 10 });
+    assertEqual(result.mode, 'window');
+    assertEqual(result.source.reference, 'בראשית א:א-ג');
+    assertEqual(result.source.verses.length, 3);
+    const starts = [];
+    for (const p of result.parallels) {
+        assertEqual(p.verses.length, 3);
+        assertTrue(!p.verses.some(location => result.source.verses.includes(location)));
+        assertTrue(p.alignment.some(row => row.strong !== null));
+        for (const location of p.verses) {
+            assertTrue(!starts.includes(location), `Overlapping windows: ${location}`);
+            starts.push(location);
+        }
+    }
+});
+
+test('ngram mode finds the repeated Decalogue', () => {
+    const result = findParallels('שמות 20:2', { ngram: 3, maxResults: 10 });
+    assertEqual(result.mode, 'ngram');
+    const deuteronomy = result.parallels.find(p => p.reference === 'דברים ה:ו');
+    assertTrue(deuteronomy !== undefined, 'Expected Deuteronomy 5:6');
+    for (const sequence of deuteronomy.sequences) {
+        assertTrue(sequence.length >= 3);
+        assertEqual(sequence.strongs.length, sequence.length);
+        assertEqual(sequence.alignment.filter(row => row.strong !== null).length, sequence.length);
+    }
+});
+
+test('ngram mode ranks by rarity', () => {
+    const result = findParallels('שמות 20:2', { ngram: 2, maxResults: 30, differentBook: true });
+    for (let i = 1; i < result.parallels.length; i++) {
+        assertTrue(result.parallels[i - 1].rarity >= result.parallels[i].rarity);
+    }
+    for (const p of result.parallels) {
+        assertTrue(p.book !== 'שמות');
+        for (const sequence of p.sequences) {
+            assertTrue(sequence.verses >= 2);
+        }
+    }
+});
+
+// ------------------------------------------
+console.log('\nAramaic sections (integration):');
+// ------------------------------------------
+
+test('a verse the Aramaic mode leaves out is not a source', () => {
+    assertThrows(() => findParallels('דניאל 3:5', { minSimilarity: 0.1, maxResults: 5 }), '--aramaic=exclude');
+});
+
+test('with --aramaic=only, Aramaic verses are found and marked', () => {
+    try {
+        setAramaicMode('only');
+        const result = findParallels('דניאל 3:5', { minSimilarity: 0.1, maxResults: 5 });
+        assertTrue(result.source.aramaic);
+        assertTrue(result.parallels.length > 0, 'Expected Daniel 3:7, 3:15');
+        assertTrue(result.parallels.every(p => p.aramaic));
+        assertThrows(() => findParallels('בראשית 1:1', {}), '--aramaic=only');
+    } finally {
+        setAramaicMode('exclude');
+    }
+});
+
 // ============================================================================
 // Summary
 // ============================================================================
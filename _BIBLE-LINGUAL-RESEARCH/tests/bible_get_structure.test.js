@@ -202,6 +202,15 @@ test('book has aramaic info when applicable', () => {
     assertEqual(daniel.aramaicSections[0].start, '2:4');
 });
 
+test('Aramaic sections are runs of Aramaic verses, counted per chapter', () => {
+    const ezra = getStructure().get('עזרא');
+    assertTrue(ezra.aramaicSections.length >= 2, 'Expected Ezra 4:8-6:18 and 7:12-26');
+    assertEqual(ezra.aramaicSections[0].start, '4:8');
+    assertEqual(ezra.aramaicSections[0].end, '6:18');
+    assertEqual(ezra.aramaicVersesPerChapter[4], ezra.versesPerChapter[4]);
+    assertEqual(ezra.aramaicVersesPerChapter[0], 0);
+});
+
 test('book without aramaic has null aramaicSections', () => {
     const structure = getStructure();
     const exodus = structure.get('שמות');
@@ -17,6 +17,11 @@ import {
     getVerses,
     findVerseIndex,
     getLastVerseOfChapter,
+    readFromTextSource,
+    buildInterlinearWords,
+    buildInterlinearText,
+    buildInterlinearMarkdown,
+    buildInterlinearHtml,
 } from '../bible_get_verses.js';
 
 import * as bible from '../bible-utils.js';
@@ -295,6 +300,24 @@ test('throws on unknown option', () => {
     assertThrows(() => parseArgs(['בראשית 1:1', '--unknown']), 'Unknown option');
 });
 
+test('parses --interlinear and --ltr-columns', () => {
+    const opts = parseArgs(['בראשית 1:1', '--interlinear', '--ltr-columns', '--format=html']);
+    assertTrue(opts.interlinear);
+    assertTrue(opts.ltrColumns);
+    assertEqual(opts.format, 'html');
+});
+
+test('parses --source, which has no Strong\'s numbers', () => {
+    assertEqual(parseArgs(['בראשית 1:1', '--source=menukad']).source, 'menukad');
+    assertEqual(parseArgs(['בראשית 1:1']).source, 'bsb');
+    assertThrows(() => parseArgs(['בראשית 1:1', '--source=naki', '--include-strongs']), 'no Strong\'s numbers');
+});
+
+test('html and --ltr-columns need --interlinear', () => {
+    assertThrows(() => parseArgs(['בראשית 1:1', '--format=html']), 'needs --interlinear');
+    assertThrows(() => parseArgs(['בראשית 1:1', '--ltr-columns']), 'needs --interlinear');
+});
+
 // ------------------------------------------
 console.log('\ngetVerses (integration):');
 // ------------------------------------------
@@ -356,6 +379,75 @@ test('throws on invalid verse', () => {
     assertThrows(() => getVerses(ref, 0), 'Verse not found');
 });
 
+test('reads the text from another source', () => {
+    const result = readFromTextSource(getVerses(parseReference('בראשית 1:1-2'), 0), 'naki');
+    assertEqual(result.verses.length, 2);
+    assertEqual(result.verses[0].location, 'בראשית א:א');
+    assertEqual(result.verses[0].text, bible.removeNikud(result.verses[0].text));
+    assertEqual(result.verses[0].words.length, result.verses[0].text.split(' ').length);
+});
+
+// ------------------------------------------
+console.log('\nInterlinear:');
+// ------------------------------------------
+
+const genesis1v1 = getVerses(parseReference('בראשית 1:1'), 0).verses[0];
+
+test('buildInterlinearWords gives every word its layers', () => {
+    const words = buildInterlinearWords(genesis1v1, {});
+    assertEqual(words.length, genesis1v1.words.length);
+    assertEqual(words[0].word, genesis1v1.words[0]);
+    assertEqual(words[0].consonants, bible.removeNikud(genesis1v1.words[0]));
+    assertEqual(words[0].strong, genesis1v1.strongs[0]);
+    assertEqual(words[0].type, bible.getStrongInfo(genesis1v1.strongs[0]).typeEnglish);
+    assertEqual(words[0].english, genesis1v1.english[0]);
+    assertEqual(buildInterlinearWords(genesis1v1, { noPoints: true })[0].word, words[0].consonants);
+});
+
+test('terminal rows are aligned, first word at the right', () => {
+    const lines = buildInterlinearText(genesis1v1, {});
+    assertEqual(lines[0], `(${genesis1v1.location})`);
+    assertEqual(lines.length, 6);
+    const widths = lines.slice(1).map(line => bible.displayWidth(line.replace(/ +[A-Za-z']+$/, '')));
+    assertTrue(widths.every(width => width === widths[0]), `row widths ${widths}`);
+    assertTrue(lines[1].endsWith(`${genesis1v1.words[0]}  Hebrew`));
+    assertTrue(lines[3].trimStart().startsWith(`H${genesis1v1.strongs.at(-1)}`));
+});
+
+test('--ltr-columns keeps reading order, labels first', () => {
+    const lines = buildInterlinearText(genesis1v1, { ltrColumns: true });
+    assertTrue(lines[1].startsWith(`Hebrew      ${genesis1v1.words[0]}`));
+});
+
+test('long verses wrap into blocks of columns', () => {
+    const longVerse = bible.getAllVerses().find(verse => verse.words.length > 20);
+    const lines = buildInterlinearText(longVerse, {});
+    assertTrue(lines.includes(''), 'has a block break');
+    for (const line of lines) {
+        assertTrue(bible.displayWidth(line) <= 100, `too wide: ${line}`);
+    }
+});
+
+test('Markdown table: Hebrew header row, a column per word and one for labels', () => {
+    const lines = buildInterlinearMarkdown(genesis1v1, {});
+    assertEqual(lines[0], `**${genesis1v1.location}**`);
+    assertEqual(lines.length, 3 + 5);
+    const cells = lines[2].split(' | ');
+    assertEqual(cells.length, genesis1v1.words.length + 1);
+    assertTrue(lines[2].endsWith(' | Hebrew |'));
+    assertTrue(lines[2].startsWith(`| ${genesis1v1.words.at(-1)} |`));
+    assertTrue(buildInterlinearMarkdown(genesis1v1, {}, true)[0].startsWith('*'));
+});
+
+test('HTML table keeps reading order under dir="rtl"', () => {
+    const html = buildInterlinearHtml(genesis1v1, {}).join('\n');
+    assertTrue(html.startsWith('<table class="interlinear" dir="rtl">'));
+    assertTrue(html.includes(`<tr class="word"><th>Hebrew</th><td lang="he">${genesis1v1.words[0]}</td>`));
+    assertTrue(html.includes('<tr class="english">'));
+    assertTrue(buildInterlinearHtml(genesis1v1, { ltrColumns: true })[0].includes('dir="ltr"'));
+    assertTrue(buildInterlinearHtml({ ...genesis1v1, location: 'a<b' }, {}).join('').includes('a&lt;b'));
+});
+
 // ------------------------------------------
 console.log('\nfindVerseIndex:');
 // ------------------------------------------
@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Tests for bible_intertextuality_map.js
+ *
+ * Run with: ./bible_intertextuality_map.test.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+    parseArgs,
+    buildMap,
+    lookupVerse,
+    formatDot,
+    formatGraphML,
+    getMapFiles,
+    MAPS_DIR,
+} from '../bible_intertextuality_map.js';
+import {
+    buildIDF,
+    getVerseSignature,
+    calculateSimilarity,
+    getVerseIndex,
+} from '../bible_find_parallels.js';
+import { getAllVerses } from '../bible-utils.js';
+
+// ============================================================================
+// Test Utilities
+// ============================================================================
+
+let testCount = 0;
+let passCount = 0;
+let failCount = 0;
+
+async function test(name, fn) {
+    testCount++;
+    try {
+        await fn();
+        passCount++;
+        console.log(`  ✓ ${name}`);
+    } catch (error) {
+        failCount++;
+        console.log(`  ✗ ${name}`);
+        console.log(`    Error: ${error.message}`);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n    Expected: ${JSON.stringify(expected)}\n    Actual: ${JSON.stringify(actual)}`);
+    }
+}
+
+function assertTrue(value, message = '') {
+    if (!value) {
+        throw new Error(message || 'Expected true but got false');
+    }
+}
+
+function assertThrows(fn, expectedMessage) {
+    try {
+        fn();
+        throw new Error(`Expected function to throw, but it didn't`);
+    } catch (error) {
+        if (expectedMessage && !error.message.includes(expectedMessage)) {
+            throw new Error(`Expected error message to contain "${expectedMessage}", got: "${error.message}"`);
+        }
+    }
+}
+
+// ============================================================================
+// Tests
+// ============================================================================
+
+console.log('\n=== bible_intertextuality_map.js Tests ===\n');
+
+// ------------------------------------------
+console.log('parseArgs:');
+// ------------------------------------------
+
+await test('parses build options', () => {
+    const options = parseArgs(['build', '--range=בראשית', '--against=נביאים', '--different-book',
+        '--min-similarity=0.5', '--max-links=3', '--name=genesis', '--restart', '--output=/tmp/maps']);
+    assertEqual(options.command, 'build');
+    assertEqual(options.range, 'בראשית');
+    assertEqual(options.against, 'נביאים');
+    assertTrue(options.differentBook);
+    assertEqual(options.minSimilarity, 0.5);
+    assertEqual(options.maxLinks, 3);
+    assertEqual(options.name, 'genesis');
+    assertTrue(options.restart);
+    assertEqual(options.output, '/tmp/maps');
+});
+
+await test('parses lookup with a reference', () => {
+    const options = parseArgs(['lookup', 'בראשית 1:1', '--map=genesis.json']);
+    assertEqual(options.command, 'lookup');
+    assertEqual(options.reference, 'בראשית 1:1');
+    assertEqual(options.map, 'genesis.json');
+    assertEqual(options.output, MAPS_DIR);
+});
+
+await test('throws on bad commands and options', () => {
+    assertThrows(() => parseArgs(['draw']), 'Unknown command');
+    assertThrows(() => parseArgs(['lookup']), 'lookup needs a verse reference');
+    assertThrows(() => parseArgs(['build', '--min-similarity=2']), 'Invalid min-similarity');
+    assertThrows(() => parseArgs(['build', '--max-links=0']), 'Invalid max-links');
+    assertThrows(() => parseArgs(['build', '--bogus']), 'Unknown option');
+});
+
+// ------------------------------------------
+console.log('\nGraph formats:');
+// ------------------------------------------
+
+const sampleMap = {
+    nodes: [{ id: 'בראשית א:א', book: 'בראשית' }, { id: 'ישעיהו מה:יח', book: 'ישעיהו' }],
+    links: [{ source: 'בראשית א:א', target: 'ישעיהו מה:יח', similarity: 0.52, sharedStrongs: [1254, 430] }],
+};
+
+await test('formatDot writes an undirected graph', () => {
+    const dot = formatDot(sampleMap);
+    assertTrue(dot.startsWith('graph intertextuality {'));
+    assertTrue(dot.includes('"בראשית א:א" -- "ישעיהו מה:יח" [weight=0.52, label="0.52"];'));
+});
+
+await test('formatGraphML writes nodes and edges, escaped', () => {
+    const graphml = formatGraphML({
+        nodes: [{ id: 'a<b', book: 'x&y' }],
+        links: [{ source: 'a<b', target: 'a<b', similarity: 1, sharedStrongs: [7] }],
+    });
+    assertTrue(graphml.includes('<node id="a&lt;b"><data key="book">x&amp;y</data></node>'));
+    assertTrue(graphml.includes('<edge source="a&lt;b" target="a&lt;b"><data key="similarity">1</data><data key="sharedStrongs">7</data></edge>'));
+});
+
+// ------------------------------------------
+console.log('\nbuildMap and lookupVerse (integration):');
+// ------------------------------------------
+
+const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bible-intertextuality-test-'));
+const buildOptions = parseArgs(['build', '--range=רות', '--min-similarity=0.3', '--max-links=5', `--output=${outputDir}`]);
+
+try {
+    let map;
+
+    await test('builds a map and its graph files', async () => {
+        const result = await buildMap(buildOptions);
+        map = result.map;
+        assertEqual(result.cached, false);
+        assertTrue(map.links.length > 0, 'Expected links');
+        for (const file of [result.files.json, result.files.dot, result.files.graphml]) {
+            assertTrue(fs.existsSync(file), `Missing ${file}`);
+        }
+        assertTrue(!fs.existsSync(result.files.progress));
+    });
+
+    await test('links are unique, ordered pairs scored like calculateSimilarity', () => {
+        const { idf } = buildIDF();
+        const allVerses = getAllVerses();
+        const pairs = new Set();
+        for (const link of map.links) {
+            assertTrue(link.similarity >= 0.3);
+            assertTrue(getVerseIndex(link.source) < getVerseIndex(link.target));
+            assertTrue(!pairs.has(`${link.source}|${link.target}`), 'Duplicate link');
+            pairs.add(`${link.source}|${link.target}`);
+
+            const similarity = calculateSimilarity(
+                getVerseSignature(allVerses[getVerseIndex(link.source)]),
+                getVerseSignature(allVerses[getVerseIndex(link.target)]),
+                idf);
+            assertTrue(Math.abs(similarity - link.similarity) < 0.001, `${link.source} - ${link.target}`);
+        }
+    });
+
+    await test('reuses a map built with the same options', async () => {
+        const result = await buildMap(buildOptions);
+        assertEqual(result.cached, true);
+        assertEqual(result.map.links.length, map.links.length);
+    });
+
+    await test('resumes an interrupted run', async () => {
+        const options = { ...buildOptions, name: 'resumed' };
+        const hooks = { checkpointEvery: 20 };
+        const stopped = await buildMap(options, { ...hooks, shouldStop: () => true });
+        assertTrue(stopped.stopped);
+        assertTrue(fs.existsSync(stopped.files.progress));
+        assertEqual(JSON.parse(fs.readFileSync(stopped.files.progress, 'utf8')).nextVerse, 20);
+
+        const messages = [];
+        const resumed = await buildMap(options, { ...hooks, log: message => messages.push(message) });
+        assertTrue(messages[0].startsWith('Resuming at verse 21'));
+        assertEqual(JSON.stringify(resumed.map.links), JSON.stringify(map.links));
+    });
+
+    await test('looks up the links of a verse', () => {
+        const link = map.links[0];
+        const result = lookupVerse(link.target, { output: outputDir, map: getMapFiles(buildOptions, map.key).json });
+        assertEqual(result.reference, link.target);
+        assertEqual(result.links[0].reference, link.source);
+        assertEqual(result.links[0].similarity, link.similarity);
+        for (let i = 1; i < result.links.length; i++) {
+            assertTrue(result.links[i - 1].similarity >= result.links[i].similarity);
+        }
+    });
+
+    await test('looks up Arabic-numeral references in all the maps', () => {
+        const result = lookupVerse('רות 1:1', { output: outputDir, map: null });
+        assertEqual(result.reference, 'רות א:א');
+        assertEqual(result.maps.length, 2);
+    });
+
+    await test('lookup throws on a verse that does not exist', () => {
+        assertThrows(() => lookupVerse('רות 99:1', { output: outputDir, map: null }), 'Verse not found: רות 99:1');
+    });
+
+    await test('lookup throws when there are no maps', () => {
+        assertThrows(() => lookupVerse('רות 1:1', { output: path.join(outputDir, 'none'), map: null }), 'No maps');
+    });
+} finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+}
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+console.log('\n=== Test Summary ===');
+console.log(`Total: ${testCount}`);
+console.log(`Passed: ${passCount}`);
+console.log(`Failed: ${failCount}`);
+
+if (failCount > 0) {
+    process.exit(1);
+}
@@ -403,6 +403,13 @@ test('sorts groups by count descending', () => {
     }
 });
 
+test('morphology constraints filter the occurrences', () => {
+    const all = analyzeMorphology('8104', { groupBy: 'form', showExamples: 2 });
+    const imperfect = analyzeMorphology('8104:imperfect', { groupBy: 'form', showExamples: 2 });
+    assertTrue(imperfect.totalOccurrences <= all.totalOccurrences);
+    assertTrue(imperfect.groups.every(group => group.key === 'imperfect'), 'Only imperfect forms expected');
+});
+
 test('throws on invalid query', () => {
     assertThrows(() => analyzeMorphology('invalid', { groupBy: 'form', showExamples: 2 }), 'Invalid query');
 });
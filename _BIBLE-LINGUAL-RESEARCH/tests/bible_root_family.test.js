@@ -11,6 +11,12 @@ import {
     normalizeRoot,
     expand2LetterRoot,
     getPhoneticVariants,
+    getMetathesisVariants,
+    getBiliteralExtensions,
+    findAttestedRoots,
+    findAramaicCognates,
+    weightContextProfile,
+    compareContextProfiles,
     findStrongsByRoot,
     analyzeRootFamily,
     parseArgs,
@@ -181,6 +187,61 @@ test('returns empty for short roots', () => {
     assertEqual(variants.length, 0);
 });
 
+// ------------------------------------------
+console.log('\ngetMetathesisVariants:');
+// ------------------------------------------
+
+test('lists the other orders of the letters', () => {
+    const variants = getMetathesisVariants('רקע');
+    assertEqual(variants.length, 5);
+    assertArrayContains(variants, 'קרע');
+    assertArrayContains(variants, 'ערק');
+    assertTrue(!variants.includes('רקע'), 'Should not include the root itself');
+});
+
+test('skips duplicate orders of repeated letters', () => {
+    assertEqual(getMetathesisVariants('סבב').sort().join(','), 'בבס,בסב');
+});
+
+test('extends a biliteral core in every position', () => {
+    const extensions = getBiliteralExtensions('שב');
+    const byRoot = new Map(extensions.map(extension => [extension.root, extension.positions]));
+    assertEqual(byRoot.get('ישב').join(','), 'before');
+    assertEqual(byRoot.get('שוב').join(','), 'between');
+    assertEqual(byRoot.get('שבר').join(','), 'after');
+    assertEqual(byRoot.get('ששב').join(','), 'before,between');
+    assertEqual(byRoot.get('שבב').join(','), 'between,after');
+    assertEqual(extensions.length, 3 * 22 - 2);
+});
+
+// ------------------------------------------
+console.log('\nContext profiles:');
+// ------------------------------------------
+
+test('weights context by positive PMI and compares by cosine', () => {
+    const profile1 = { strongs: new Set([1]), verseIndexes: [0, 1], contextCounts: new Map([[10, 2], [11, 1]]) };
+    const profile2 = { strongs: new Set([2]), verseIndexes: [2, 3], contextCounts: new Map([[10, 2], [12, 2]]) };
+    const verseFrequencies = new Map([[10, 4], [11, 1], [12, 2]]);
+    weightContextProfile(profile1, verseFrequencies, 8);
+    weightContextProfile(profile2, verseFrequencies, 8);
+
+    // PMI(10) = ln(2*8 / (2*4)) = ln 2, PMI(11) = ln(1*8 / (2*1)) = ln 4, PMI(12) = ln(2*8 / (2*2)) = ln 4
+    assertTrue(Math.abs(profile1.vector.get(10) - Math.log(2)) < 1e-9);
+    assertTrue(Math.abs(profile1.vector.get(11) - Math.log(4)) < 1e-9);
+
+    const { similarity, contributions } = compareContextProfiles(profile1, profile2);
+    assertEqual([...contributions.keys()].join(','), '10');
+    const expected = (Math.log(2) ** 2) / (Math.sqrt(Math.log(2) ** 2 + Math.log(4) ** 2) ** 2);
+    assertTrue(Math.abs(similarity - expected) < 1e-9, `Expected ${expected}, got ${similarity}`);
+});
+
+test('drops context words that are not more frequent than expected', () => {
+    const profile = { strongs: new Set([1]), verseIndexes: [0, 1], contextCounts: new Map([[10, 1]]) };
+    weightContextProfile(profile, new Map([[10, 4]]), 8);
+    assertEqual(profile.vector.size, 0);
+    assertEqual(compareContextProfiles(profile, profile).similarity, 0);
+});
+
 // ------------------------------------------
 console.log('\nparseArgs:');
 // ------------------------------------------
@@ -211,6 +272,24 @@ test('parses --phonetic option', () => {
     assertTrue(opts.phonetic);
 });
 
+test('parses --related-by-context option', () => {
+    const opts = parseArgs(['אור', '--related-by-context']);
+    assertTrue(opts.relatedByContext);
+});
+
+test('parses --metathesis and --biliteral-core options', () => {
+    const opts = parseArgs(['שב', '--metathesis', '--biliteral-core']);
+    assertTrue(opts.metathesis);
+    assertTrue(opts.biliteralCore);
+});
+
+test('parses --aramaic-cognates and --aramaic options', () => {
+    const opts = parseArgs(['זהב', '--aramaic-cognates', '--aramaic=include']);
+    assertTrue(opts.aramaicCognates);
+    assertEqual(opts.aramaic, 'include');
+    assertThrows(() => parseArgs(['זהב', '--aramaic=all']), 'Invalid aramaic mode');
+});
+
 test('parses --format=json option', () => {
     const opts = parseArgs(['אור', '--format=json']);
     assertEqual(opts.format, 'json');
@@ -396,6 +475,92 @@ test('tracks matched root for 2-letter expansion', () => {
     assertTrue(foundMatchedRoot, 'Expected to find entries with matchedRoot');
 });
 
+test('adds the relative frequency and dispersion of the whole family', () => {
+    const result = analyzeRootFamily('אור', { showOccurrences: true });
+    assertEqual(result.totalProfile.count, result.totalOccurrences);
+    assertTrue(result.totalProfile.per10k > 0);
+    assertTrue(result.totalProfile.dispersion.books.range > 0);
+    for (const entries of Object.values(result.family)) {
+        for (const entry of entries) {
+            assertTrue(entry.dispersion.chapters.range <= entry.occurrences);
+        }
+    }
+});
+
+test('ranks variants by context similarity, with evidence', () => {
+    const result = analyzeRootFamily('רקע', { relatedByContext: true });
+    const { verses, candidates } = result.relatedByContext;
+    assertTrue(verses > 0);
+    assertTrue(candidates.length > 0, 'Expected attested variants');
+
+    const familyStrongs = new Set(Object.values(result.family).flat().map(entry => entry.strongNumber));
+    for (let i = 0; i < candidates.length; i++) {
+        const candidate = candidates[i];
+        assertTrue(candidate.similarity >= 0 && candidate.similarity <= 1 + 1e-9);
+        if (i > 0) assertTrue(candidates[i - 1].similarity >= candidate.similarity);
+        assertTrue(candidate.relation.every(r => ['phonetic', 'metathesis'].includes(r)));
+        assertTrue(candidate.strongs.every(s => !familyStrongs.has(s.strongNumber)));
+
+        const contributions = candidate.sharedContext.reduce((sum, c) => sum + c.contribution, 0);
+        assertTrue(contributions <= candidate.similarity + 1e-9);
+        for (const ex of [...candidate.evidence.root, ...candidate.evidence.candidate]) {
+            assertTrue(ex.words.length > 0 && ex.sharedContext.length > 0, ex.location);
+        }
+    }
+    assertTrue(candidates.some(c => c.relation.includes('metathesis')), 'Expected a metathesis variant (קרע)');
+});
+
+test('carries each word\'s English gloss and renderings', () => {
+    const result = analyzeRootFamily('אור');
+    for (const entry of Object.values(result.family).flat()) {
+        assertEqual(entry.gloss, entry.renderings[0]?.english ?? '');
+    }
+});
+
+test('lists attested metathesis roots with counts and glosses', () => {
+    const result = analyzeRootFamily('רקע', { metathesis: true });
+    assertTrue(result.metathesis.length > 0, 'Expected קרע');
+    for (const attested of result.metathesis) {
+        assertTrue(attested.root !== 'רקע' && [...attested.root].sort().join('') === [...'רקע'].sort().join(''));
+        assertEqual(attested.occurrences, attested.entries.reduce((sum, entry) => sum + entry.occurrences, 0));
+        for (const entry of attested.entries) {
+            assertEqual(entry.occurrences, getOccurrenceCount(entry.strongNumber));
+            assertEqual(typeof entry.gloss, 'string');
+        }
+    }
+});
+
+test('lists attested triliteral extensions of a biliteral core', () => {
+    const result = analyzeRootFamily('שב', { biliteralCore: true, typeFilter: 'Verb' });
+    const roots = result.biliteralCore.map(attested => attested.root);
+    assertTrue(roots.includes('ישב'), `Expected ישב in ${roots.join(',')}`);
+    for (const attested of result.biliteralCore) {
+        assertTrue(attested.entries.every(entry => entry.typeEnglish === 'Verb'));
+    }
+    assertEqual(findAttestedRoots([{ root: 'xyz' }]).length, 0);
+});
+
+test('lists the Aramaic cognates attested in the Aramaic sections', () => {
+    const result = analyzeRootFamily('זהב', { aramaicCognates: true });
+    const gold = result.aramaicCognates.find(attested => attested.root === 'דהב');
+    assertTrue(gold !== undefined, `Expected דהב in ${result.aramaicCognates.map(attested => attested.root).join(',')}`);
+    assertEqual(gold.basis, 'table');
+    for (const attested of result.aramaicCognates) {
+        assertTrue(attested.entries.every(entry => entry.occurrences > 0));
+        assertEqual(attested.occurrences, attested.entries.reduce((sum, entry) => sum + entry.occurrences, 0));
+    }
+    assertEqual(findAramaicCognates('xyz').length, 0);
+});
+
+test('--biliteral-core requires a 2-letter core', () => {
+    assertThrows(() => analyzeRootFamily('שבר', { biliteralCore: true }), '2-letter core');
+});
+
+test('skips context relatives for 2-letter roots', () => {
+    const result = analyzeRootFamily('שב', { relatedByContext: true });
+    assertEqual(result.relatedByContext, undefined);
+});
+
 test('returns empty family for non-existent root', () => {
     const result = analyzeRootFamily('xyz');
     assertEqual(result.totalStrongs, 0);
@@ -12,6 +12,8 @@ import {
     parseRange,
     performSearch,
     highlightVerse,
+    buildKwicLines,
+    csvField,
     groupByBook,
     groupByStrong,
     countByBook,
@@ -104,6 +106,11 @@ test('parses --format option', () => {
     assertEqual(result.format, 'json');
 });
 
+test('parses --rebuild-index option', () => {
+    assertFalse(parseArgs(['אור']).rebuildIndex);
+    assertTrue(parseArgs(['אור', '--rebuild-index']).rebuildIndex);
+});
+
 test('parses --group-by option', () => {
     const result = parseArgs(['אור', '--group-by=book']);
     assertEqual(result.groupBy, 'book');
@@ -138,6 +145,18 @@ test('parses multiple options', () => {
     assertTrue(result.noPoints);
 });
 
+test('parses concordance options', () => {
+    const result = parseArgs(['אור', '--format=kwic', '--context=3', '--sort=left']);
+    assertEqual(result.format, 'kwic');
+    assertEqual(result.context, 3);
+    assertEqual(result.sort, 'left');
+});
+
+test('throws on invalid concordance options', () => {
+    assertThrows(() => parseArgs(['אור', '--context=99']), 'Invalid context');
+    assertThrows(() => parseArgs(['אור', '--sort=up']), 'Invalid sort');
+});
+
 test('throws on invalid group-by', () => {
     assertThrows(() => parseArgs(['אור', '--group-by=invalid']), 'Invalid group-by');
 });
@@ -154,6 +173,18 @@ test('throws on invalid max (too low)', () => {
     assertThrows(() => parseArgs(['אור', '--max=0']), 'Invalid max');
 });
 
+test('parses --reading', () => {
+    assertEqual(parseArgs(['אור']).reading, 'both');
+    assertEqual(parseArgs(['אור', '--reading=qere']).reading, 'qere');
+    assertThrows(() => parseArgs(['אור', '--reading=written']), 'Invalid reading');
+});
+
+test('parses --aramaic', () => {
+    assertEqual(parseArgs(['אור']).aramaic, 'exclude');
+    assertEqual(parseArgs(['אור', '--aramaic=only']).aramaic, 'only');
+    assertThrows(() => parseArgs(['אור', '--aramaic=all']), 'Invalid aramaic mode');
+});
+
 test('throws on unknown option', () => {
     assertThrows(() => parseArgs(['אור', '--unknown']), 'Unknown option');
 });
@@ -245,6 +276,56 @@ test('removes nikud when noPoints is true', () => {
     assertFalse(result.includes('בָּרָא'));
 });
 
+test('tags words with the boolean query components', () => {
+    const words = ['מים', 'על', 'הארץ'];
+    const components = [{ component: 1, matchedWordIndexes: [0] }, { component: 2, matchedWordIndexes: [2] }];
+    const result = highlightVerse(words, [0, 2], false, components);
+    assertEqual(result, '**מים**[1] על **הארץ**[2]');
+});
+
+// ------------------------------------------
+console.log('\nbuildKwicLines:');
+// ------------------------------------------
+
+const kwicVerse = (location, words) => ({ location, words, strongs: words.map((_, i) => 100 + i) });
+
+test('one line per run of adjacent matched words', () => {
+    const verse = kwicVerse('א', ['א1', 'ב2', 'ג3', 'ד4', 'ה5', 'ו6']);
+    const lines = buildKwicLines([{ verse, matchedWordIndexes: [1, 2, 5] }], { context: 2 });
+    assertEqual(lines.length, 2);
+    assertEqual(lines[0].left.join(' '), 'א1');
+    assertEqual(lines[0].keyword.join(' '), 'ב2 ג3');
+    assertEqual(lines[0].right.join(' '), 'ד4 ה5');
+    assertEqual(lines[0].strongs.join(), '101,102');
+    assertEqual(lines[1].left.join(' '), 'ד4 ה5');
+    assertEqual(lines[1].right.length, 0);
+});
+
+test('sorts by left context, nearest word first', () => {
+    const matches = [
+        { verse: kwicVerse('1', ['א', 'ב', 'X']), matchedWordIndexes: [2] },
+        { verse: kwicVerse('2', ['ב', 'א', 'X']), matchedWordIndexes: [2] },
+    ];
+    const lines = buildKwicLines(matches, { sort: 'left' });
+    assertEqual(lines.map(line => line.verse.location).join(), '2,1');
+});
+
+test('sorts by right context, ignoring nikud', () => {
+    const matches = [
+        { verse: kwicVerse('1', ['X', 'בָּ']), matchedWordIndexes: [0] },
+        { verse: kwicVerse('2', ['X', 'אַ']), matchedWordIndexes: [0] },
+        { verse: kwicVerse('3', ['X', 'ב']), matchedWordIndexes: [0] },
+    ];
+    const lines = buildKwicLines(matches, { sort: 'right' });
+    assertEqual(lines.map(line => line.verse.location).join(), '2,1,3');
+});
+
+test('csvField quotes only when needed', () => {
+    assertEqual(csvField('אור'), 'אור');
+    assertEqual(csvField('a,b'), '"a,b"');
+    assertEqual(csvField('say "x"'), '"say ""x"""');
+});
+
 // ------------------------------------------
 console.log('\ngroupByBook:');
 // ------------------------------------------
@@ -388,6 +469,20 @@ test('pattern search with @ works', () => {
     assertTrue(result.matches.length > 0);
 });
 
+test('boolean queries pass through the range filter', () => {
+    const result = performSearch('<מים> WITHIN/1 <ארץ>', { maxResults: 100, range: 'בראשית' });
+    assertTrue(result.matches.length > 0);
+    assertTrue(result.matches.every(m => m.verse.book === 'בראשית'));
+    assertEqual(result.components.length, 2);
+});
+
+test('reading picks the ketiv or the qere of a pair', () => {
+    const locations = (reading) => performSearch(' קריאי ', { maxResults: 10, reading }).matches.map(m => m.verse.location);
+    assertTrue(locations('ketiv').includes('במדבר א:טז'));
+    assertTrue(!locations('qere').includes('במדבר א:טז'));
+    assertEqual(locations('both').length, new Set([...locations('ketiv'), ...locations('qere')]).size);
+});
+
 test('exact word boundary search', () => {
     // " אור " should only match exact word אור
     const result = performSearch(' אור ', { maxResults: 10 });
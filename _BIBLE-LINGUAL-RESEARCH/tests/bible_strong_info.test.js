@@ -12,6 +12,7 @@ import {
     parseArgs,
     lookupByNumbers,
     lookupByHebrew,
+    formatRenderings,
     getOccurrenceCount,
     getExamples,
     TYPE_ALIASES,
@@ -217,6 +218,29 @@ test('includes occurrence count when requested', () => {
     assertTrue(results[0].occurrences > 0);
 });
 
+test('includes relative frequency and dispersion with the occurrences', () => {
+    const [result] = lookupByNumbers([430], { showOccurrences: true, showExamples: 0 });
+    assertTrue(result.per10k > 0);
+    assertEqual(result.dispersion.books.parts, 39);
+    assertTrue(result.dispersion.books.range > 1);
+    assertTrue(result.dispersion.chapters.range >= result.dispersion.books.range);
+    assertTrue(result.dispersion.books.dp > 0 && result.dispersion.books.dp < 1);
+});
+
+test('includes the English gloss and renderings', () => {
+    const [result] = lookupByNumbers([430], { showOccurrences: true, showExamples: 0 });
+    assertTrue(result.renderings.length > 0);
+    assertEqual(result.gloss, result.renderings[0].english);
+    const total = result.renderings.reduce((sum, rendering) => sum + rendering.count, 0);
+    assertTrue(total <= result.occurrences);
+});
+
+test('formatRenderings shows the most frequent renderings', () => {
+    assertEqual(formatRenderings([{ english: 'light', count: 94 }, { english: 'dawn', count: 2 }]), 'light 94, dawn 2');
+    const many = Array.from({ length: 10 }, (_, i) => ({ english: `w${i}`, count: 10 - i }));
+    assertTrue(formatRenderings(many).endsWith('w7 3, ...'));
+});
+
 test('includes examples when requested', () => {
     const results = lookupByNumbers([430], { showOccurrences: false, showExamples: 2 });
     assertTrue(results[0].examples.length > 0);
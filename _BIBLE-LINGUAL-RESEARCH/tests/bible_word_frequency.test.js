@@ -109,6 +109,17 @@ test('throws on invalid group-by', () => {
     assertThrows(() => parseArgs(['אור', '--group-by=invalid']), 'Invalid group-by');
 });
 
+test('parses --group-by=partition with --partition', () => {
+    const result = parseArgs(['אור', '--group-by=partition', '--partition=late-biblical-hebrew']);
+    assertEqual(result.groupBy, 'partition');
+    assertEqual(result.partition, 'late-biblical-hebrew');
+});
+
+test('throws on --group-by=partition without --partition', () => {
+    assertThrows(() => parseArgs(['אור', '--group-by=partition']), '--partition=FILE');
+    assertThrows(() => parseArgs(['אור', '--partition=late-biblical-hebrew']), '--partition=FILE');
+});
+
 test('throws on invalid format', () => {
     assertThrows(() => parseArgs(['אור', '--format=invalid']), 'Invalid format');
 });
@@ -197,6 +208,56 @@ test('calculates percentages', () => {
     }
 });
 
+test('adds words and rates per group', () => {
+    const result = analyzeFrequency('<אור>', { groupBy: 'book', range: 'תורה' });
+    for (const item of result.distribution) {
+        assertTrue(item.words > 0);
+        assertTrue(Math.abs(item.per10k - item.count / item.words * 10000) < 1e-9);
+    }
+    const sectionResult = analyzeFrequency('<אור>', { groupBy: 'section' });
+    const bookResult = analyzeFrequency('<אור>', { groupBy: 'book' });
+    const torahWords = bookResult.distribution
+        .filter(item => getBookSection(item.key) === 'תורה')
+        .reduce((sum, item) => sum + item.words, 0);
+    const torah = sectionResult.distribution.find(item => item.key === 'תורה');
+    assertTrue(torah.words >= torahWords);
+});
+
+test('adds the overall rate and dispersion of the range', () => {
+    const result = analyzeFrequency('<אור>', { groupBy: 'chapter', range: 'בראשית' });
+    assertEqual(result.profile.count, result.total);
+    assertEqual(result.profile.dispersion.books.parts, 1);
+    assertEqual(result.profile.dispersion.books.juillandD, null);
+    assertEqual(result.profile.dispersion.chapters.parts, 50);
+    assertEqual(result.profile.dispersion.chapters.range, result.distribution.length);
+});
+
+// ------------------------------------------
+console.log('\nanalyzeFrequency by partition (integration):');
+// ------------------------------------------
+
+test('analyzes frequency by partition', () => {
+    const result = analyzeFrequency('<מלך>', { groupBy: 'partition', partition: 'late-biblical-hebrew', sort: 'biblical' });
+    assertEqual(result.distribution.map(item => item.key).join(), 'classical,late');
+    assertEqual(result.distribution.reduce((sum, item) => sum + item.count, 0), result.total);
+    for (const item of result.distribution) {
+        assertTrue(item.words > 0);
+        assertTrue(Math.abs(item.per10k - item.count / item.words * 10000) < 1e-9);
+        assertTrue(item.pValue >= 0 && item.pValue <= 1);
+    }
+    // Two partitions: each is compared with the other
+    const [classical, late] = result.distribution;
+    assertTrue(Math.abs(classical.logLikelihood + late.logLikelihood) < 1e-9);
+    assertEqual(result.partitionTest.degreesOfFreedom, 1);
+});
+
+test('partition labels follow the verses, and the range applies', () => {
+    const result = analyzeFrequency('<אלהים>', { groupBy: 'partition', partition: 'genesis-1-11-sources', range: 'בראשית 1' });
+    // Genesis 1 is all P
+    assertEqual(result.distribution.length, 1);
+    assertEqual(result.distribution[0].key, 'P');
+});
+
 // ============================================================================
 // Summary
 // ============================================================================
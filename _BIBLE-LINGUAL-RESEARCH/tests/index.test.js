@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Tests for index.js
+ *
+ * Run with: ./index.test.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import * as research from '../index.js';
+import { buildToolOptions, OPTION_FLAGS } from '../index.js';
+import * as bible from '../bible-utils.js';
+import { parseArgs as parseSearchArgs, performSearch } from '../bible_search.js';
+import { parseArgs as parseCooccurrencesArgs } from '../bible_cooccurrences.js';
+import { parseArgs as parseRootFamilyArgs } from '../bible_root_family.js';
+
+// ============================================================================
+// Test Utilities
+// ============================================================================
+
+let testCount = 0;
+let passCount = 0;
+let failCount = 0;
+
+async function test(name, fn) {
+    testCount++;
+    try {
+        await fn();
+        passCount++;
+        console.log(`  ✓ ${name}`);
+    } catch (error) {
+        failCount++;
+        console.log(`  ✗ ${name}`);
+        console.log(`    Error: ${error.message}`);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n    Expected: ${JSON.stringify(expected)}\n    Actual: ${JSON.stringify(actual)}`);
+    }
+}
+
+function assertTrue(value, message = '') {
+    if (!value) {
+        throw new Error(message || 'Expected true but got false');
+    }
+}
+
+function assertThrows(fn, expectedMessage) {
+    try {
+        fn();
+        throw new Error(`Expected function to throw, but it didn't`);
+    } catch (error) {
+        if (expectedMessage && !error.message.includes(expectedMessage)) {
+            throw new Error(`Expected error message to contain "${expectedMessage}", got: "${error.message}"`);
+        }
+    }
+}
+
+// ============================================================================
+// Tests
+// ============================================================================
+
+console.log('\n=== index.js Tests ===\n');
+
+// ------------------------------------------
+console.log('Options:');
+// ------------------------------------------
+
+await test('starts from the CLI defaults', () => {
+    const options = buildToolOptions(parseSearchArgs, 'search', ['אור']);
+    assertEqual(options.maxResults, 100);
+    assertEqual(options.reading, 'both');
+    assertEqual(options.aramaic, 'exclude');
+});
+
+await test('maps API names to the CLI flags', () => {
+    const options = buildToolOptions(parseSearchArgs, 'search', ['אור'], { maxResults: 5, range: 'תורה', countOnly: true });
+    assertEqual(options.maxResults, 5);
+    assertEqual(options.range, 'תורה');
+    assertEqual(options.countOnly, true);
+});
+
+await test('goes through the CLI parsing: aliases and derived options', () => {
+    assertEqual(buildToolOptions(parseRootFamilyArgs, 'rootFamily', ['אור'], { type: 'verb' }).typeFilter, 'Verb');
+    const options = buildToolOptions(parseCooccurrencesArgs, 'cooccurrences', ['אור'], { proximity: 3 });
+    assertEqual(options.proximity, 'distance');
+    assertEqual(options.proximityDistance, 3);
+});
+
+await test('false and null leave the default', () => {
+    const options = buildToolOptions(parseSearchArgs, 'search', ['אור'], { countOnly: false, range: null });
+    assertEqual(options.countOnly, false);
+    assertEqual(options.range, null);
+});
+
+await test('throws on unknown and invalid options', () => {
+    assertThrows(() => research.search('אור', { max: 5 }), 'Unknown option: max');
+    assertThrows(() => research.strongInfo('216', { range: 'תורה' }), 'Unknown option: range');
+    assertThrows(() => research.search('אור', { maxResults: 0 }), 'Invalid max value');
+    assertThrows(() => research.search('אור', { aramaic: 'all' }), 'Invalid aramaic mode');
+});
+
+await test('throws on missing arguments', () => {
+    assertThrows(() => research.search(''), 'Missing query');
+    assertThrows(() => research.wordPair('אור'), 'Missing word2');
+    assertThrows(() => research.structure(null, 1), 'A chapter needs a book');
+});
+
+await test('every option name is the same in every tool', () => {
+    const flagsByName = new Map();
+    for (const flags of Object.values(OPTION_FLAGS)) {
+        for (const [name, flag] of Object.entries(flags)) {
+            if (name === 'maxResults') continue;   // bible_search's --max, bible_find_parallels' --max-results
+            assertTrue(!flagsByName.has(name) || flagsByName.get(name) === flag, `${name}: ${flag} / ${flagsByName.get(name)}`);
+            flagsByName.set(name, flag);
+        }
+    }
+});
+
+// ------------------------------------------
+console.log('\nTools (integration):');
+// ------------------------------------------
+
+await test('search returns what performSearch returns', () => {
+    const result = research.search('<216>', { maxResults: 3 });
+    const expected = performSearch('<216>', parseSearchArgs(['<216>', '--max=3']));
+    assertEqual(result.filteredCount, expected.filteredCount);
+    assertEqual(result.matches.length, expected.matches.length);
+    assertEqual(result.matches[0].verse.location, expected.matches[0].verse.location);
+});
+
+await test('search adds the concordance and the groups, without nikud if asked', () => {
+    const result = research.search('<216>', { maxResults: 5, context: 2, sort: 'right', groupBy: 'book', noPoints: true });
+    assertTrue(result.kwic.length >= result.matches.length);
+    assertTrue(result.kwic.every(line => line.left.length <= 2 && line.right.length <= 2));
+    assertTrue(result.kwic.every(line => !/[\u05B0-\u05C7]/.test(line.keyword.join(' '))));
+    assertTrue(result.matches.every(match => !/[\u05B0-\u05C7]/.test(match.matchedText)));
+    assertEqual([...result.byBook.values()].flat().length, result.matches.length);
+
+    // The verses themselves keep their nikud
+    assertTrue(/[\u05B0-\u05C7]/.test(result.matches[0].verse.text));
+    const plain = research.search('<216>', { maxResults: 5, groupBy: 'strong' });
+    assertEqual(plain.kwic, undefined);
+    assertEqual(plain.byBook, undefined);
+    assertTrue(plain.byStrong.has(216));
+    assertThrows(() => research.search('<216>', { sort: 'middle' }), 'Invalid sort value');
+});
+
+await test('getVerses reads a reference with context', () => {
+    const result = research.getVerses('בראשית 1:2', { context: 1 });
+    assertEqual(result.verses.length, 3);
+    assertEqual(result.contextBefore, 1);
+    assertEqual(result.contextAfter, 1);
+});
+
+await test('getVerses adds the interlinear rows', () => {
+    const result = research.getVerses('בראשית 1:1', { interlinear: true, ltrColumns: true });
+    assertEqual(result.interlinear.length, 1);
+    const [verse] = result.interlinear;
+    assertEqual(verse.location, result.verses[0].location);
+    assertEqual(verse.words.length, result.verses[0].words.length);
+    assertTrue(verse.html.includes('dir="ltr"'));
+    assertEqual(research.getVerses('בראשית 1:1').interlinear, undefined);
+    assertThrows(() => research.getVerses('בראשית 1:1', { ltrColumns: true }), '--ltr-columns needs --interlinear');
+    assertThrows(() => research.getVerses('בראשית 1:1', { interlinear: true, source: 'menukad' }), 'has no Strong\'s numbers');
+});
+
+await test('strongInfo looks up numbers and words', () => {
+    const byNumber = research.strongInfo('H216', { showOccurrences: true });
+    assertEqual(byNumber.length, 1);
+    assertEqual(byNumber[0].strongNumber, 216);
+    assertTrue(byNumber[0].occurrences > 0);
+    assertTrue(research.strongInfo('אור').some(result => result.strongNumber === 216));
+});
+
+await test('rootFamily, morphology and wordFrequency return their analyses', () => {
+    assertTrue(research.rootFamily('אור').totalStrongs > 0);
+    assertEqual(research.morphology('216').strongsUsed[0].number, 216);
+    assertEqual(research.wordFrequency('<216>', { groupBy: 'section' }).groupBy, 'section');
+});
+
+await test('structure of the Bible, a book and a chapter (Hebrew numbers too)', () => {
+    assertEqual(research.structure().totals.books, 39);
+    assertEqual(research.structure('רות').chapters, 4);
+    assertEqual(research.structure('רות', 'ב').chapter, 2);
+    assertThrows(() => research.structure('ספר'), 'Unknown book');
+});
+
+await test('every call runs in its Aramaic mode, default exclude, and restores the previous one', () => {
+    const previousMode = bible.getAramaicMode();
+    const ezra = research.structure('עזרא', null, { aramaic: 'only' });
+    assertTrue(ezra.chapterDetails.every(chapter => chapter.aramaicVerses > 0));
+    assertEqual(bible.getAramaicMode(), previousMode);
+
+    bible.setAramaicMode('only');
+    try {
+        assertEqual(research.structure('עזרא').chapterDetails.length, 10);
+        assertEqual(bible.getAramaicMode(), 'only');
+        assertThrows(() => research.search('<216>', { aramaic: 'include', sort: 'middle' }), 'Invalid sort value');
+        assertEqual(bible.getAramaicMode(), 'only');
+    } finally {
+        bible.setAramaicMode(previousMode);
+    }
+});
+
+// ------------------------------------------
+console.log('\nAsync variants:');
+// ------------------------------------------
+
+await test('resolve to the sync result', async () => {
+    const result = await research.searchAsync('<216>', { countOnly: true });
+    assertEqual(result.filteredCount, research.search('<216>', { countOnly: true }).filteredCount);
+});
+
+await test('run one after another, each with its own Aramaic mode', async () => {
+    const [excluded, included] = await Promise.all([
+        research.searchAsync('<29250>', { countOnly: true }),
+        research.searchAsync('<29250>', { countOnly: true, aramaic: 'include' }),
+    ]);
+    assertEqual(excluded.filteredCount, 0);
+    assertTrue(included.filteredCount > 0);
+});
+
+await test('reject on errors', async () => {
+    let message = null;
+    await research.strongInfoAsync('216', { bogus: true }).catch(error => { message = error.message; });
+    assertEqual(message, 'Unknown option: bogus');
+    message = null;
+    await research.buildIntertextualityMap({ bogus: true }).catch(error => { message = error.message; });
+    assertEqual(message, 'Unknown option: bogus');
+});
+
+const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bible-index-test-'));
+try {
+    await test('buildIntertextualityMap and lookupIntertextuality', async () => {
+        const built = await research.buildIntertextualityMap({ range: 'רות 1', minSimilarity: 0.3, output: outputDir });
+        assertEqual(built.cached, false);
+        assertTrue(fs.existsSync(built.files.json));
+        const lookup = research.lookupIntertextuality('רות 1:1', { output: outputDir });
+        assertEqual(lookup.maps.length, 1);
+    });
+
+    await test('buildIntertextualityMapAsync reuses the built map', async () => {
+        const built = await research.buildIntertextualityMapAsync({ range: 'רות 1', minSimilarity: 0.3, output: outputDir });
+        assertEqual(built.cached, true);
+    });
+
+    await test('buildIntertextualityMap keeps its Aramaic mode across its awaits, then restores the previous one', async () => {
+        const previousMode = bible.getAramaicMode();
+        let modeAtCheckpoint = null;
+        const shouldStop = () => {
+            modeAtCheckpoint = bible.getAramaicMode();
+            return true;
+        };
+        const built = await research.buildIntertextualityMap(
+            { range: 'רות 2', minSimilarity: 0.3, output: outputDir, aramaic: 'include' }, { shouldStop, checkpointEvery: 1 });
+        assertEqual(built.stopped, true);
+        assertEqual(modeAtCheckpoint, 'include');
+        assertEqual(bible.getAramaicMode(), previousMode);
+    });
+} finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+}
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+console.log('\n=== Test Summary ===');
+console.log(`Total: ${testCount}`);
+console.log(`Passed: ${passCount}`);
+console.log(`Failed: ${failCount}`);
+
+if (failCount > 0) {
+    process.exit(1);
+}
@@ -7,15 +7,21 @@ function test() {
   ( set -x ; ./$1 )
   echo
 }
+test bible-utils.test.js
+test bible_compare_texts.test.js
 test bible_cooccurrences.test.js
+test bible_daemon.test.js
 test bible_find_parallels.test.js
 test bible_get_structure.test.js
 test bible_get_verses.test.js
+test bible_intertextuality_map.test.js
 test bible_morphology.test.js
 test bible_root_family.test.js
 test bible_search.test.js
 test bible_semantic_field.test.js
 test bible_strong_info.test.js
 test bible_word_frequency.test.js
+test index.test.js
+test ../../_MCP-SERVER/tests/bible-research-tools.test.js
 
 echo "=== ALL TESTS DONE ==="
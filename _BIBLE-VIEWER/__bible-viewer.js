@@ -9,6 +9,7 @@ const MAX_SEARCH_RESULTS = 10000;
 const RESIZE_THROTTLE_MS = 500;        // throttle: while the user keeps resizing, the unified resizeHandler (body-size, CSS vars, font-size) runs at most once per this many ms
 
 /** @type {[string, number][]} */ const strongNumbersToData = [];
+/** @type {[string, number][][]} */ const strongNumbersToRenderings = []; // per Strong-number: [[english, count], ...] - the first is the gloss
 const showLocations = getHashParameter('show-locations') !== undefined;
 const showPoints = getHashParameter('hide-points') === undefined;
 const showAccents = getHashParameter('hide-accents') === undefined;
@@ -722,7 +723,8 @@ function findStrongNumberAtPoint(verseElement, verseInfo, clientX, clientY) {
 
 /**
  * Build the HTML snippet that follows the verse-location in the bottom-bar:
- *  the visual-word, a biblehub link (H<strong>), and the word-type.
+ *  the visual-word, a biblehub link (H<strong>), the word-type,
+ *  and the English gloss (with the BSB's most frequent renderings and their counts as a tooltip).
  * Returns an empty string if strongNumber is 0.
  * @param {number} strongNumber
  * @returns {string}
@@ -730,9 +732,14 @@ function findStrongNumberAtPoint(verseElement, verseInfo, clientX, clientY) {
 function buildWordInfoHtml(strongNumber) {
     if (!strongNumber) return '';
     const [word, wordTypeIndex] = strongNumbersToData[strongNumber];
+    const renderings = strongNumbersToRenderings[strongNumber] ?? [];
+    const renderingsTooltip = renderings.map(([english, count]) => `${english} (${count})`).join(', ');
     return ` - ${word}` +
         ` (<a class="biblehub-reference" href="https://biblehub.com/hebrew/${strongNumber}.htm" target="_blank">H${strongNumber}</a>` +
-        ` ${hebrewWordTypesVisual[wordTypeIndex]})`;
+        ` ${hebrewWordTypesVisual[wordTypeIndex]})` +
+        (renderings.length > 0
+            ? ` <span class="word-gloss" title="${escapeHtml(renderingsTooltip)}">${escapeHtml(renderings[0][0])}</span>`
+            : '');
 }
 
 /**
@@ -928,6 +935,15 @@ function initStrongNumbersData(encodedStrongNumbersData) {
     }
 }
 
+/**
+ * This function only lives in the browser:
+ * Populate strongNumbersToRenderings: per Strong-number, the BSB's most frequent English renderings with counts.
+ * @param {[string, number][][]} renderings
+ */
+function initStrongNumbersRenderings(renderings) {
+    strongNumbersToRenderings.push(...renderings);
+}
+
 /**
  * This function only lives in the browser:
  * Populate the table-of-contents (TOC) with Hebrew book names and chapter numbers.
@@ -1912,5 +1928,6 @@ function scriptAtTheEndOfHtml() {
 // This useless code prevents "unused" warnings:
 initTocHtml.bind();
 initStrongNumbersData.bind();
+initStrongNumbersRenderings.bind();
 addBookData.bind();
 addChapterData.bind();
@@ -27,6 +27,7 @@ const BSB_INPUT_FILE = path.join(__dirname, '..', '..', 'hebrew', 'data', 'bsb',
 const BIBLEHUB_INPUT_FILE = path.join(__dirname, '..', '..', 'hebrew', 'data', 'biblehub', 'biblehub-entries-index.md');
 const BIBLE_VIEWER_OUTPUT_FILE = path.join(__dirname, '..', 'docs', 'bible-viewer.html');
 const WORD_TYPE_INDEX_VERB = 0;
+const MAX_RENDERINGS_IN_VIEWER = 5; // per Strong-number: the BSB's most frequent English renderings, shown as the word's gloss
 
 /**
  * For debug - load only books that match this regexp (null = load all).
@@ -179,6 +180,12 @@ hebrewWordTypesSearchable.push(hebrewWordTypesSearchable.at(-1));
 // ----------------------------------------------------------------------------------
 // ----------------------------------------------------------------------------------
 
+/**
+ * strongNumbersToEnglishCounts.get(strong-number).get(english-rendering) --> number of occurrences in the BSB
+ * @type {Map<number, Map<string, number>>}
+ */
+const strongNumbersToEnglishCounts = new Map();
+
 /**
  * bookNamesToData[hebrewBookName][hebrewChapterNumber][hebrewVerseNumber] = [ [word1, strong1], [word2, strong2], ... ]
  * @type {Record<string, [string,number][][][]>}
@@ -206,7 +213,7 @@ const bookNamesToData = {};
         lineNumber++;
         try {
             // Parse line.
-            const [bsbBookName, chapterSequence, verseSequence, hebrewWord, strongNumber] = line.split('\t');
+            const [bsbBookName, chapterSequence, verseSequence, hebrewWord, strongNumber, english] = line.split('\t');
             if (bsbBookName === 'bookName') {
                 continue; // Skip header line
             }
@@ -284,6 +291,16 @@ const bookNamesToData = {};
                 throw new Error(`Invalid Strong number ${JSON.stringify(strongNumber)}`);
             }
             currentVerseData.push([normalizedHebrewWord, strongNumberValue]);
+
+            // Count the word's English rendering
+            const rendering = normalizeEnglishRendering(english);
+            if (strongNumberValue > 0 && rendering) {
+                if (!strongNumbersToEnglishCounts.has(strongNumberValue)) {
+                    strongNumbersToEnglishCounts.set(strongNumberValue, new Map());
+                }
+                const englishCounts = strongNumbersToEnglishCounts.get(strongNumberValue);
+                englishCounts.set(rendering, (englishCounts.get(rendering) || 0) + 1);
+            }
         } catch (error) {
             console.error(`Error processing line ${lineNumber} of ${BSB_INPUT_FILE}:\n  Line: ${JSON.stringify(line)}\n  Error: `, error);
             process.exit(1);
@@ -332,6 +349,20 @@ const strongNumbersToData = [];
     }
 })();
 
+/**
+ * strongNumbersToRenderings[strong-number] --> [ [english1, count1], [english2, count2], ... ]
+ *    the BSB's most frequent English renderings (the first one is the word's gloss)
+ * @type {[string, number][][]}
+ */
+const strongNumbersToRenderings = [];
+(() => { // populate strongNumbersToRenderings
+    for (let strongNumber = 0; strongNumber < strongNumbersToData.length; strongNumber++) {
+        strongNumbersToRenderings[strongNumber] = [...(strongNumbersToEnglishCounts.get(strongNumber) ?? [])]
+            .sort(([english1, count1], [english2, count2]) => (count2 - count1) || english1.localeCompare(english2))
+            .slice(0, MAX_RENDERINGS_IN_VIEWER);
+    }
+})();
+
 
 
 // ----------------------------------------------------------------------------------
@@ -375,6 +406,7 @@ try {
                     // decodeWordsWithStrongNumbers,
                     // escapeHtml,
                     // initStrongNumbersData,
+                    // initStrongNumbersRenderings,
                     // initTocHtml,
                     // addBookData,
                     // addChapterData,
@@ -464,13 +496,15 @@ function addTocHtml() {
 }
 
 /**
- * Populate strongNumbersToData:
- * This will add to the HTML a <script> tag with the strongNumbersToData encoded in Base64.
+ * Populate strongNumbersToData and strongNumbersToRenderings:
+ * This will add to the HTML a <script> tag with the strongNumbersToData encoded in Base64,
+ *  and the English renderings as JSON.
  */
 function addBiblehubDataToHtml() {
     html.push(
         '\n<script>\n',
         'initStrongNumbersData(', JSON.stringify(encodeWordsWithStrongNumbers(strongNumbersToData)), ');\n',
+        'initStrongNumbersRenderings(', JSON.stringify(strongNumbersToRenderings), ');\n',
         '</script>\n');
 }
 
@@ -602,6 +636,20 @@ function normalizeHebrewText(hebrewText) {
     return normalized;
 }
 
+/**
+ * Normalize a BSB English rendering: trim it and strip the brackets and punctuation around it.
+ * Returns an empty string for untranslated words ("-", "vvv").
+ * @param {string} english
+ * @return {string}
+ */
+function normalizeEnglishRendering(english) {
+    const normalized = (english || '')
+        .replace(/[[\]{}()]/g, '')
+        .replace(/^[\s.,;:!?'"-]+|[\s.,;:!?'"-]+$/g, '')
+        .replace(/\s+/g, ' ');
+    return normalized === 'vvv' ? '' : normalized;
+}
+
 /**
  * Given a Hebrew text, convert each character to a number (the index of the character in hebrewCharacters),
  *  and add that number to a Uint8Array.
@@ -0,0 +1,416 @@
+/**
+ * MCP tool definitions for the _BIBLE-LINGUAL-RESEARCH command line tools.
+ *
+ * Every tool here mirrors one bible_*.js CLI: its JSON input schema is generated from the CLI's
+ * positional arguments and options, a call is turned back into a command line, and the CLI's main()
+ * runs in this process with `--format=json` - so the data stays loaded between calls.
+ */
+
+import {runCaptured} from "../_BIBLE-LINGUAL-RESEARCH/bible-daemon.js";
+
+/**
+ * @typedef {Object} CliParameter
+ * @property {string} name - Property name in the MCP input schema (snake_case)
+ * @property {string} [flag] - CLI option, e.g. "--max" (omitted for positional arguments)
+ * @property {"string"|"integer"|"number"|"boolean"} type
+ * @property {string[]} [enum]
+ * @property {boolean} [required]
+ * @property {string} description
+ */
+
+/**
+ * @typedef {Object} ResearchToolDefinition
+ * @property {string} name - MCP tool name, which is also the CLI's file name (without ".js")
+ * @property {string} description
+ * @property {CliParameter[]} positional - In command line order
+ * @property {CliParameter[]} options
+ */
+
+const QUERY_SYNTAX = [
+    'Query syntax (same as bible_search): "אור" text anywhere in a word, " אור " exact word,',
+    '"<216>" Strong\'s number, "<אור>" all Strong\'s numbers of a root, "@" zero or more of א/ה/ו/י,',
+    '"#" any single letter, "2שב2" proto-Semitic 2-letter root (verbs only), plus standard regex.',
+    'Morphology constraints follow ":" inside the angle brackets: "<שמר:piel:imperfect:3ms>", "<:noun:plural:suffix=3>" (any word) -',
+    'word type, pos=noun|verb|..., binyan, tense (perfect/imperfect/wayyiqtol/imperative/infinitive/participle/...), person/gender/number,',
+    'state (absolute/construct/determined), prefix=ו|ה|ב|כ|ל|מ|conjunction|article|preposition|interrogative|relative|none,',
+    'suffix=none|pronominal|verbal|plural|dual|directional|paragogic or suffix=3fs.',
+].join(' ');
+
+const RANGE_DESCRIPTION = 'Limit to a range: a book ("בראשית"), a book with chapters ("בראשית 1-11") or a section ("תורה", "נביאים", "כתובים")';
+
+const NO_POINTS = {name: "no_points", flag: "--no-points", type: "boolean", description: "Remove nikud from the output"};
+
+const ARAMAIC = {name: "aramaic", flag: "--aramaic", type: "string", enum: ["exclude", "include", "only"], description: 'The Aramaic sections (Daniel 2:4-7:28, Ezra 4:8-6:18...): "exclude" (default), "include", or study them alone ("only"). Aramaic verses and words are marked [Aramaic]'};
+
+const READING = {name: "reading", flag: "--reading", type: "string", enum: ["both", "ketiv", "qere"], description: 'Ketiv/qere pairs (as marked in the repo\'s תנך-מנוקד): match only the "ketiv", only the "qere", or "both" (default)'};
+
+/** @type {ResearchToolDefinition[]} */
+const RESEARCH_TOOLS = [
+    {
+        name: "bible_search",
+        description: [
+            "Search the Hebrew Bible (BSB text with Strong's numbers) - the primary discovery tool.",
+            QUERY_SYNTAX,
+            'Boolean/proximity operators (upper case) combine whole queries: "A AND B", "A OR B", "A NOT B" (same verse),',
+            '"A NEAR/n B" (within n words), "A WITHIN/n B" (within n verses), "A SAMECHAPTER B".',
+            'Precedence: NEAR/WITHIN/SAMECHAPTER, then AND/NOT, then OR; no grouping. Each match lists the words every query matched.',
+            'Example: bible_search {"query": "<ברא>", "range": "תורה"}',
+            'Example: bible_search {"query": "<מים> WITHIN/3 <רוח>"}',
+        ].join('\n'),
+        positional: [
+            {name: "query", type: "string", required: true, description: "Search query"},
+        ],
+        options: [
+            {name: "max", flag: "--max", type: "integer", description: "Maximum results (default: 100, max: 10000)"},
+            {name: "group_by", flag: "--group-by", type: "string", enum: ["none", "book", "strong"], description: "Group results (default: none)"},
+            {name: "range", flag: "--range", type: "string", description: RANGE_DESCRIPTION},
+            READING,
+            NO_POINTS,
+            {name: "count_only", flag: "--count-only", type: "boolean", description: "Only return the count, not the verses"},
+            {name: "context", flag: "--context", type: "integer", description: "Add a keyword-in-context concordance (\"kwic\"): words of context on each side (default: 5, max: 50)"},
+            {name: "sort", flag: "--sort", type: "string", enum: ["none", "left", "right", "keyword"], description: "Add the concordance, sorted by the words before the keyword (nearest first), after it, or by the keyword (default: none - biblical order)"},
+            ARAMAIC,
+        ],
+    },
+    {
+        name: "bible_get_verses",
+        description: [
+            "Get the text of Bible verses.",
+            'Example: bible_get_verses {"reference": "בראשית 1:1-5"}',
+        ].join('\n'),
+        positional: [
+            {name: "reference", type: "string", required: true, description: 'Reference: "בראשית 1:1", "בראשית א:א-ה", "בראשית 2:10-3:5", or a whole chapter "בראשית 1"'},
+        ],
+        options: [
+            {name: "context", flag: "--context", type: "integer", description: "Include N verses before and after (default: 0)"},
+            NO_POINTS,
+            {name: "include_strongs", flag: "--include-strongs", type: "boolean", description: "Include Strong's numbers"},
+            {name: "interlinear", flag: "--interlinear", type: "boolean", description: "Word by word: each word's consonantal form, Strong's number, word type, and BSB English"},
+            {name: "source", flag: "--source", type: "string", description: 'Read the text from another source: "menukad" (the repo\'s תנך-מנוקד), "naki" (תנך-נקי) - default "bsb". No Strong\'s numbers outside the BSB'},
+            ARAMAIC,
+        ],
+    },
+    {
+        name: "bible_strong_info",
+        description: [
+            "Look up Strong's number information - by number(s) or by Hebrew root/word.",
+            "Each result has an English gloss and the BSB English renderings with counts.",
+            'Example: bible_strong_info {"query": "215-220"}',
+        ].join('\n'),
+        positional: [
+            {name: "query", type: "string", required: true, description: 'Strong\'s number ("216", "H216"), range ("215-220"), list ("215,216,430"), or Hebrew root/word ("אור")'},
+        ],
+        options: [
+            {name: "type", flag: "--type", type: "string", description: "Filter by word type: verb, noun, adjective, name, etc."},
+            {name: "show_occurrences", flag: "--show-occurrences", type: "boolean", description: "Include the number of occurrences in the Bible, per 10,000 words, and their dispersion (range, Juilland's D, DP)"},
+            {name: "show_examples", flag: "--show-examples", type: "integer", description: "Include N example verses (default: 0)"},
+            ARAMAIC,
+        ],
+    },
+    {
+        name: "bible_root_family",
+        description: [
+            "Find all words (Strong's numbers) derived from a Hebrew root, optionally with phonetically related roots.",
+            "related_by_context: rank the root's phonetic and metathesis variants by the similarity of their usage contexts",
+            "(cosine of PPMI-weighted co-occurring words), with the shared context words and evidence verses.",
+            "metathesis / biliteral_core: list the attested roots with the same letters in another order, or (for a 2-letter core)",
+            "every attested triliteral root adding a consonant before, between or after it - each word with occurrences and an English gloss.",
+            "aramaic_cognates: the root's Aramaic forms (a cognate hint table, and sound correspondences like ז>ד) that Daniel and Ezra attest.",
+            'Example: bible_root_family {"root": "שמר", "show_occurrences": true}',
+            'Example: bible_root_family {"root": "רקע", "related_by_context": true}',
+            'Example: bible_root_family {"root": "שב", "biliteral_core": true}',
+            'Example: bible_root_family {"root": "זהב", "aramaic_cognates": true}',
+        ].join('\n'),
+        positional: [
+            {name: "root", type: "string", required: true, description: 'Root: "שמר", "ש.מ.ר", or a 2-letter root "שב" / "2שב2"'},
+        ],
+        options: [
+            {name: "type", flag: "--type", type: "string", description: "Filter by word type (verb, noun, etc.)"},
+            {name: "show_occurrences", flag: "--show-occurrences", type: "boolean", description: "Include the occurrence count of each word, per 10,000 words, and its dispersion (range, Juilland's D, DP)"},
+            {name: "show_examples", flag: "--show-examples", type: "integer", description: "Include N examples per Strong's number"},
+            {name: "phonetic", flag: "--phonetic", type: "boolean", description: "Include phonetically similar roots"},
+            {name: "related_by_context", flag: "--related-by-context", type: "boolean", description: "Rank phonetic and metathesis variants by context similarity"},
+            {name: "metathesis", flag: "--metathesis", type: "boolean", description: "List attested roots with the same letters in another order"},
+            {name: "biliteral_core", flag: "--biliteral-core", type: "boolean", description: "For a 2-letter root: list every attested triliteral extension"},
+            {name: "aramaic_cognates", flag: "--aramaic-cognates", type: "boolean", description: "List the root's Aramaic forms attested in the Aramaic sections (cognate hint table and sound correspondences)"},
+            NO_POINTS,
+            ARAMAIC,
+        ],
+    },
+    {
+        name: "bible_cooccurrences",
+        description: [
+            "Find words that co-occur with a word - or analyze how two words co-occur.",
+            QUERY_SYNTAX,
+            'Example: bible_cooccurrences {"word": "<מים>", "proximity": "adjacent"}',
+            'Example: bible_cooccurrences {"word": "<מים>", "measure": "log-likelihood", "significance": "0.001"}',
+        ].join('\n'),
+        positional: [
+            {name: "word", type: "string", required: true, description: "The word (query syntax)"},
+            {name: "word2", type: "string", description: "Optional second word - analyze this specific pair"},
+        ],
+        options: [
+            {name: "proximity", flag: "--proximity", type: "string", description: '"verse" (default), "adjacent", or a number N - within N words'},
+            {name: "measure", flag: "--measure", type: "string", enum: ["count", "log-likelihood", "chi-square", "t-score", "dice", "mi3", "pmi"], description: "Rank by (and score a pair with) an association measure over verses, with observed/expected counts and a low-evidence flag (default: count)"},
+            {name: "significance", flag: "--significance", type: "string", enum: ["0.05", "0.01", "0.001"], description: "With measure log-likelihood or chi-square: only results significant at this p-value"},
+            {name: "top", flag: "--top", type: "integer", description: "Top N co-occurring words (default: 20)"},
+            {name: "min", flag: "--min", type: "integer", description: "Only words appearing N+ times together"},
+            {name: "show_examples", flag: "--show-examples", type: "integer", description: "N example verses for each co-occurrence"},
+            {name: "by_strong", flag: "--by-strong", type: "boolean", description: "Group by Strong's number instead of word"},
+            {name: "range", flag: "--range", type: "string", description: RANGE_DESCRIPTION},
+            READING,
+            {name: "include_stopwords", flag: "--include-stopwords", type: "boolean", description: "Include function words"},
+            NO_POINTS,
+            ARAMAIC,
+        ],
+    },
+    {
+        name: "bible_word_frequency",
+        description: [
+            "Count the occurrences of a word/pattern per book, chapter or section - or per partition of a corpus partition file",
+            "(layers or sources of the text) with significance tests between the partitions.",
+            "Every group gets its frequency per 10,000 words; the whole range gets dispersion measures over its books and chapters",
+            "(range, Juilland's D: 1 = even spread, DP: ~1 = clustered in one passage).",
+            QUERY_SYNTAX,
+            'Example: bible_word_frequency {"query": "<אהב>", "group_by": "section"}',
+            'Example: bible_word_frequency {"query": "<מלכות>", "group_by": "partition", "partition": "late-biblical-hebrew"}',
+        ].join('\n'),
+        positional: [
+            {name: "query", type: "string", required: true, description: "Search query"},
+        ],
+        options: [
+            {name: "group_by", flag: "--group-by", type: "string", enum: ["book", "chapter", "section", "partition"], description: "Grouping (default: book)"},
+            {name: "partition", flag: "--partition", type: "string", description: 'Partition file for group_by "partition": a path, or a bundled one - "late-biblical-hebrew", "genesis-1-11-sources". Lines of "label: range, range, ..." (ranges down to verses, "*" = the rest)'},
+            {name: "range", flag: "--range", type: "string", description: RANGE_DESCRIPTION},
+            READING,
+            {name: "top", flag: "--top", type: "integer", description: "Only the top N groups"},
+            {name: "min", flag: "--min", type: "integer", description: "Only groups with at least N occurrences"},
+            NO_POINTS,
+            {name: "sort", flag: "--sort", type: "string", enum: ["count", "biblical"], description: "Sort order (default: count)"},
+            ARAMAIC,
+        ],
+    },
+    {
+        name: "bible_morphology",
+        description: [
+            "Analyze the morphological forms (prefixes, suffixes, binyanim) of a Strong's number or root.",
+            'Example: bible_morphology {"query": "<שמר>", "group_by": "binyan"}',
+        ].join('\n'),
+        positional: [
+            {name: "query", type: "string", required: true, description: 'Strong\'s number ("8104") or root in angle brackets ("<שמר>"), optionally with morphology constraints ("8104:niphal", "<שמר:imperfect>")'},
+        ],
+        options: [
+            {name: "group_by", flag: "--group-by", type: "string", enum: ["form", "binyan", "prefix", "suffix"], description: "Grouping (default: form)"},
+            {name: "show_examples", flag: "--show-examples", type: "integer", description: "N examples per form (default: 2)"},
+            {name: "range", flag: "--range", type: "string", description: RANGE_DESCRIPTION},
+            NO_POINTS,
+            ARAMAIC,
+        ],
+    },
+    {
+        name: "bible_find_parallels",
+        description: [
+            "Find verses that share vocabulary (Strong's numbers) with a given verse.",
+            "window: compare passages of N consecutive verses (the verse and the ones after it) against every N-verse window.",
+            "ngram: instead, find verses sharing an ordered sequence of at least N Strong's numbers (stopwords skipped),",
+            "ranked by the sequence's rarity. Window and ngram results include a word-by-word alignment of the two passages.",
+            'Example: bible_find_parallels {"reference": "בראשית 1:1", "different_book": true}',
+            'Example: bible_find_parallels {"reference": "ישעיהו 40:3", "ngram": 3}',
+        ].join('\n'),
+        positional: [
+            {name: "reference", type: "string", required: true, description: 'Verse reference, e.g. "בראשית 1:1"'},
+        ],
+        options: [
+            {name: "window", flag: "--window", type: "integer", description: "Compare passages of N consecutive verses (default: 1)"},
+            {name: "ngram", flag: "--ngram", type: "integer", description: "Find shared ordered sequences of at least N words (2-10)"},
+            {name: "min_similarity", flag: "--min-similarity", type: "number", description: "Minimum similarity score 0-1 (default: 0.3, not for ngram)"},
+            {name: "max_results", flag: "--max-results", type: "integer", description: "Maximum parallel verses (default: 20)"},
+            {name: "same_book", flag: "--same-book", type: "boolean", description: "Only parallels within the same book"},
+            {name: "different_book", flag: "--different-book", type: "boolean", description: "Only parallels in other books"},
+            {name: "highlight", flag: "--highlight", type: "boolean", description: "Highlight the shared words"},
+            {name: "range", flag: "--range", type: "string", description: RANGE_DESCRIPTION},
+            NO_POINTS,
+            ARAMAIC,
+        ],
+    },
+    {
+        name: "bible_semantic_field",
+        description: [
+            "Map the semantic field of a concept through co-occurrence associations (PMI).",
+            QUERY_SYNTAX,
+            'Example: bible_semantic_field {"concept": "<מים>", "depth": 2}',
+        ].join('\n'),
+        positional: [
+            {name: "concept", type: "string", required: true, description: "The concept (query syntax)"},
+        ],
+        options: [
+            {name: "depth", flag: "--depth", type: "integer", description: "Levels of association, 1-3 (default: 1)"},
+            {name: "min_strength", flag: "--min-strength", type: "number", description: "Minimum association strength 0-1 (default: 0.05)"},
+            {name: "top", flag: "--top", type: "integer", description: "Maximum associations per level (default: 20)"},
+            {name: "category", flag: "--category", type: "string", description: "noun, verb, or all (default: all)"},
+            {name: "show_examples", flag: "--show-examples", type: "integer", description: "N examples for key relationships"},
+            {name: "range", flag: "--range", type: "string", description: RANGE_DESCRIPTION},
+            READING,
+            NO_POINTS,
+            ARAMAIC,
+        ],
+    },
+    {
+        name: "bible_get_structure",
+        description: [
+            "Get the structure of the Bible: all books with chapter counts, a book's chapters with verse counts, or one chapter's verse count.",
+            'Example: bible_get_structure {"book": "בראשית"}',
+        ].join('\n'),
+        positional: [
+            {name: "book", type: "string", description: 'Hebrew book name, e.g. "בראשית" (omit for all books)'},
+            {name: "chapter", type: "string", description: 'Chapter number, Arabic or Hebrew ("12" or "יב")'},
+        ],
+        options: [
+            ARAMAIC,
+        ],
+    },
+    {
+        name: "bible_compare_texts",
+        description: [
+            "Compare the words of two Hebrew text sources verse by verse: the BSB research corpus (\"bsb\"), the repo's תנך-מנוקד (\"menukad\") and תנך-נקי (\"naki\").",
+            "Each difference is classified: vocalization, spelling (plene/defective), word-division, ketiv-qere, missing, different.",
+            'Example: bible_compare_texts {"range": "שמות 25:1", "points": true}',
+        ].join('\n'),
+        positional: [],
+        options: [
+            {name: "sources", flag: "--sources", type: "string", description: 'The two sources, comma separated (default: "bsb,menukad")'},
+            {name: "range", flag: "--range", type: "string", description: 'Section, book, chapters or verses: "תורה", "בראשית 1-11", "בראשית 2:4-25"'},
+            {name: "points", flag: "--points", type: "boolean", description: "Compare the nikud too (both sources must be pointed)"},
+            {name: "types", flag: "--types", type: "string", description: 'Only these difference types, comma separated, e.g. "ketiv-qere,missing"'},
+            {name: "limit", flag: "--limit", type: "integer", description: "List at most N verses (default: 50, 0 = all)"},
+            ARAMAIC,
+        ],
+    },
+    {
+        name: "bible_intertextuality_map",
+        description: [
+            "Look up a verse in the precomputed intertextuality maps: the verses it shares vocabulary with (Strong's numbers, IDF-weighted).",
+            "Maps are built from the command line: ./bible_intertextuality_map.js build --range=... [--against=...]",
+            'Example: bible_intertextuality_map {"command": "lookup", "reference": "בראשית 1:1"}',
+        ].join('\n'),
+        positional: [
+            {name: "command", type: "string", enum: ["lookup"], required: true, description: "Only lookup (build runs from the command line)"},
+            {name: "reference", type: "string", required: true, description: 'Verse reference, e.g. "בראשית 1:1"'},
+        ],
+        options: [
+            {name: "map", flag: "--map", type: "string", description: "Map JSON file (default: every map in the maps directory)"},
+            {name: "output", flag: "--output", type: "string", description: "Maps directory (default: _BIBLE-LINGUAL-RESEARCH/.intertextuality-maps)"},
+        ],
+    },
+];
+
+/**
+ * Build the MCP "tools/list" entry of a research tool
+ * @param {ResearchToolDefinition} tool
+ * @returns {{name: string, description: string, inputSchema: Object}}
+ */
+function toMcpTool(tool) {
+    const properties = {};
+    for (const parameter of [...tool.positional, ...tool.options]) {
+        properties[parameter.name] = {
+            type: parameter.type,
+            ...(parameter.enum ? {enum: parameter.enum} : {}),
+            description: parameter.description,
+        };
+    }
+    return {
+        name: tool.name,
+        description: tool.description,
+        inputSchema: {
+            type: "object",
+            properties,
+            required: tool.positional.filter(parameter => parameter.required).map(parameter => parameter.name),
+        },
+    };
+}
+
+/**
+ * Convert MCP call arguments to the tool's command line
+ * @param {ResearchToolDefinition} tool
+ * @param {Object} args
+ * @returns {string[]}
+ */
+function toCommandLine(tool, args = {}) {
+    const known = new Set([...tool.positional, ...tool.options].map(parameter => parameter.name));
+    for (const name of Object.keys(args)) {
+        if (!known.has(name)) {
+            throw new Error(`Unknown argument for ${tool.name}: ${name}`);
+        }
+    }
+
+    const commandLine = [];
+    for (const parameter of tool.positional) {
+        const value = args[parameter.name];
+        if (value === undefined || value === null || value === '') {
+            if (parameter.required) {
+                throw new Error(`Missing required argument for ${tool.name}: ${parameter.name}`);
+            }
+            break; // Later positional arguments are meaningless without this one
+        }
+        commandLine.push(String(value));
+    }
+    for (const parameter of tool.options) {
+        const value = args[parameter.name];
+        if (value === undefined || value === null || value === false) continue;
+        commandLine.push(parameter.type === "boolean" ? parameter.flag : `${parameter.flag}=${value}`);
+    }
+    commandLine.push('--format=json');
+    return commandLine;
+}
+
+/** @type {Map<string, Object>} */
+const loadedModules = new Map();
+
+/** runCaptured() swaps global console/process functions - so tool runs must not overlap */
+let runQueue = Promise.resolve();
+
+/**
+ * Run a research tool and return its JSON output
+ * @param {string} name - Tool name, e.g. "bible_search"
+ * @param {Object} args - MCP call arguments
+ * @returns {Promise<string>}
+ */
+async function callResearchTool(name, args) {
+    const tool = RESEARCH_TOOLS.find(researchTool => researchTool.name === name);
+    if (!tool) {
+        throw new Error(`Unknown research tool: ${name}`);
+    }
+    const commandLine = toCommandLine(tool, args);
+
+    const run = runQueue.then(async () => {
+        if (!loadedModules.has(name)) {
+            loadedModules.set(name, await import(`../_BIBLE-LINGUAL-RESEARCH/${name}.js`));
+        }
+        return runCaptured(loadedModules.get(name).main, commandLine);
+    });
+    runQueue = run.catch(() => {});
+
+    const {stdout, stderr, exitCode} = await run;
+    if (exitCode !== 0) {
+        throw new Error(stderr.trim() || `${name} exited with code ${exitCode}`);
+    }
+    return stdout;
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isResearchTool(name) {
+    return RESEARCH_TOOLS.some(tool => tool.name === name);
+}
+
+const researchMcpTools = RESEARCH_TOOLS.map(toMcpTool);
+
+export {
+    RESEARCH_TOOLS,
+    researchMcpTools,
+    isResearchTool,
+    callResearchTool,
+    toCommandLine,
+};
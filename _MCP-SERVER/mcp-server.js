@@ -5,6 +5,7 @@ import {StdioServerTransport} from "@modelcontextprotocol/sdk/server/stdio.js";
 import {CallToolRequestSchema, ErrorCode, ListToolsRequestSchema, McpError,} from "@modelcontextprotocol/sdk/types.js";
 import {listFilesInRange, parseLocation} from "../scripts/list-files-range.js";
 import {searchCommentaryRegexp} from "../scripts/search-files.js";
+import {callResearchTool, isResearchTool, researchMcpTools} from "./bible-research-tools.js";
 
 // Change working directory to the project root.
 const baseDir = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
@@ -103,6 +104,8 @@ class BiblicalCommentaryServer {
                             required: ["search_pattern"],
                         },
                     },
+                    // The _BIBLE-LINGUAL-RESEARCH tools (bible_search, bible_root_family, ...)
+                    ...researchMcpTools,
                 ],
             };
         });
@@ -119,6 +122,9 @@ class BiblicalCommentaryServer {
                     case "search_commentary_files_by_regexp":
                         return this.searchCommentaryRegexp(args);
                     default:
+                        if (isResearchTool(name)) {
+                            return await this.researchTool(name, args);
+                        }
                         throw new McpError(
                             ErrorCode.MethodNotFound,
                             `Unknown tool: ${name}`
@@ -189,6 +195,24 @@ class BiblicalCommentaryServer {
         }
     }
 
+    /**
+     * Run one of the _BIBLE-LINGUAL-RESEARCH tools, returning its JSON output.
+     * @param {string} name
+     * @param {Object} args
+     * @returns {Promise<{content: [{type: string, text: string}]}>}
+     */
+    async researchTool(name, args) {
+        const text = await callResearchTool(name, args);
+        return {
+            content: [
+                {
+                    type: "text",
+                    text
+                }
+            ]
+        };
+    }
+
     /**
      * Convert commentary files matches to MCP response format.
      * @param {{filePath: string, lineText: string}[]} matches
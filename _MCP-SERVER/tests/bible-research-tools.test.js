@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Tests for bible-research-tools.js
+ *
+ * Run with: ./bible-research-tools.test.js
+ */
+
+import { RESEARCH_TOOLS, researchMcpTools, isResearchTool, callResearchTool, toCommandLine } from '../bible-research-tools.js';
+
+// ============================================================================
+// Test Utilities
+// ============================================================================
+
+let testCount = 0;
+let passCount = 0;
+let failCount = 0;
+
+async function test(name, fn) {
+    testCount++;
+    try {
+        await fn();
+        passCount++;
+        console.log(`  ✓ ${name}`);
+    } catch (error) {
+        failCount++;
+        console.log(`  ✗ ${name}`);
+        console.log(`    Error: ${error.message}`);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n    Expected: ${JSON.stringify(expected)}\n    Actual: ${JSON.stringify(actual)}`);
+    }
+}
+
+function assertDeepEqual(actual, expected, message = '') {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`${message}\n    Expected: ${JSON.stringify(expected)}\n    Actual: ${JSON.stringify(actual)}`);
+    }
+}
+
+function assertTrue(value, message = '') {
+    if (!value) {
+        throw new Error(message || 'Expected true but got false');
+    }
+}
+
+function assertThrows(fn, expectedMessage) {
+    try {
+        fn();
+        throw new Error(`Expected function to throw, but it didn't`);
+    } catch (error) {
+        if (expectedMessage && !error.message.includes(expectedMessage)) {
+            throw new Error(`Expected error message to contain "${expectedMessage}", got: "${error.message}"`);
+        }
+    }
+}
+
+async function assertRejects(promise, expectedMessage) {
+    let message = null;
+    await promise.catch(error => { message = error.message; });
+    if (message === null) {
+        throw new Error(`Expected promise to reject, but it didn't`);
+    }
+    if (expectedMessage && !message.includes(expectedMessage)) {
+        throw new Error(`Expected error message to contain "${expectedMessage}", got: "${message}"`);
+    }
+}
+
+/** A tool definition with every kind of parameter */
+const tool = {
+    name: 'bible_test',
+    description: 'Test tool',
+    positional: [
+        { name: 'book', type: 'string', required: true, description: 'Book' },
+        { name: 'chapter', type: 'integer', description: 'Chapter' },
+        { name: 'verse', type: 'integer', description: 'Verse' },
+    ],
+    options: [
+        { name: 'max', flag: '--max', type: 'integer', description: 'Maximum' },
+        { name: 'range', flag: '--range', type: 'string', description: 'Range' },
+        { name: 'no_points', flag: '--no-points', type: 'boolean', description: 'No nikud' },
+    ],
+};
+
+// ============================================================================
+// Tests
+// ============================================================================
+
+console.log('\n=== bible-research-tools.js Tests ===\n');
+
+// ------------------------------------------
+console.log('toCommandLine:');
+// ------------------------------------------
+
+await test('positional arguments in order, then the options, then --format=json', () => {
+    assertDeepEqual(toCommandLine(tool, { max: 5, verse: 3, book: 'בראשית', chapter: 1, range: 'תורה' }),
+        ['בראשית', '1', '3', '--max=5', '--range=תורה', '--format=json']);
+});
+
+await test('a boolean option is its flag when true, and left out when false', () => {
+    assertDeepEqual(toCommandLine(tool, { book: 'רות', no_points: true }), ['רות', '--no-points', '--format=json']);
+    assertDeepEqual(toCommandLine(tool, { book: 'רות', no_points: false }), ['רות', '--format=json']);
+});
+
+await test('undefined and null options are left out', () => {
+    assertDeepEqual(toCommandLine(tool, { book: 'רות', max: null, range: undefined }), ['רות', '--format=json']);
+});
+
+await test('--format=json is always added, and always last', () => {
+    for (const researchTool of RESEARCH_TOOLS) {
+        const args = Object.fromEntries(researchTool.positional
+            .filter(parameter => parameter.required)
+            .map(parameter => [parameter.name, 'x']));
+        assertEqual(toCommandLine(researchTool, args).at(-1), '--format=json', researchTool.name);
+    }
+});
+
+await test('a positional argument after a missing one is left out', () => {
+    assertDeepEqual(toCommandLine(tool, { book: 'רות', verse: 3 }), ['רות', '--format=json']);
+    assertDeepEqual(toCommandLine(tool, { book: 'רות', chapter: '', verse: 3 }), ['רות', '--format=json']);
+});
+
+await test('throws on a missing required argument', () => {
+    assertThrows(() => toCommandLine(tool, {}), 'Missing required argument for bible_test: book');
+    assertThrows(() => toCommandLine(tool, { book: '' }), 'Missing required argument for bible_test: book');
+});
+
+await test('throws on an unknown argument', () => {
+    assertThrows(() => toCommandLine(tool, { book: 'רות', format: 'text' }), 'Unknown argument for bible_test: format');
+});
+
+// ------------------------------------------
+console.log('\nTool definitions:');
+// ------------------------------------------
+
+await test('every tool is listed for MCP, with its required positional arguments', () => {
+    assertEqual(researchMcpTools.length, RESEARCH_TOOLS.length);
+    const search = researchMcpTools.find(mcpTool => mcpTool.name === 'bible_search');
+    assertDeepEqual(search.inputSchema.required, ['query']);
+    assertEqual(search.inputSchema.properties.no_points.type, 'boolean');
+    assertTrue(isResearchTool('bible_search'));
+    assertTrue(!isResearchTool('bible_nothing'));
+});
+
+await test('every option has a flag', () => {
+    for (const researchTool of RESEARCH_TOOLS) {
+        for (const option of researchTool.options) {
+            assertTrue(/^--[a-z][a-z-]*$/.test(option.flag), `${researchTool.name}: ${option.name}`);
+        }
+    }
+});
+
+// ------------------------------------------
+console.log('\ncallResearchTool (integration):');
+// ------------------------------------------
+
+await test('returns the JSON output of the tool', async () => {
+    const output = JSON.parse(await callResearchTool('bible_search', { query: '<216>', max: 2 }));
+    assertEqual(output.matches.length, 2);
+});
+
+await test('rejects an unknown tool', async () => {
+    await assertRejects(callResearchTool('bible_nothing', {}), 'Unknown research tool: bible_nothing');
+});
+
+await test('rejects invalid arguments before running the tool', async () => {
+    await assertRejects(callResearchTool('bible_search', { query: '<216>', max_results: 2 }), 'Unknown argument for bible_search: max_results');
+    await assertRejects(callResearchTool('bible_search', {}), 'Missing required argument for bible_search: query');
+});
+
+await test('rejects with the tool\'s error output when it exits non-zero', async () => {
+    await assertRejects(callResearchTool('bible_search', { query: '<216>', max: 0 }), 'Invalid max value: 0');
+});
+
+await test('runs the next call after a failed one', async () => {
+    const [failed, succeeded] = await Promise.allSettled([
+        callResearchTool('bible_search', { query: '<216>', max: 0 }),
+        callResearchTool('bible_search', { query: '<216>', max: 1 }),
+    ]);
+    assertEqual(failed.status, 'rejected');
+    assertEqual(JSON.parse(succeeded.value).matches.length, 1);
+});
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+console.log('\n=== Test Summary ===');
+console.log(`Total: ${testCount}`);
+console.log(`Passed: ${passCount}`);
+console.log(`Failed: ${failCount}`);
+
+if (failCount > 0) {
+    process.exit(1);
+}
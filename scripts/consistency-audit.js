@@ -0,0 +1,373 @@
+#!/usr/local/bin/node
+
+const usage=`
+    Usage: consistency-audit.js <root|H-number> [book_perek_pasuk [book_perek_pasuk]]
+    A concept should keep the interpretation it got where it first appears.
+    This audit finds every backtick-quoted occurrence of a root or a Strong's number in the commentary files
+    (default: all of them), in verse order, with the sentence that interprets it -
+    and groups the interpretations, so that the divergent readings stand out.
+    A quoted word is an occurrence if the verse it comments on has it with the Strong's number (or the root) -
+    or, for a word the verse does not have, if the Bible has it so (the words are compared as hebrew-grep does).
+    The report is Markdown, written to the standard output.
+    Examples:
+      ./scripts/consistency-audit.js נחש
+      ./scripts/consistency-audit.js H3045 > /tmp/ידע.md
+      ./scripts/consistency-audit.js לקח בראשית_*_* שמות_*_*
+`.replace(/\n    /g, '\n').trim()
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { parseLocation, listFilesInRange } = require('./list-files-range');
+const { normalizeForSearch, VERSE_RE } = require('./hebrew-grep');
+
+// --------------------------------------------------------------------------------------------------------------------
+
+const bibleUtilsPath = path.join(__dirname, '..', '_BIBLE-LINGUAL-RESEARCH', 'bible-utils.js');
+
+/** A backtick quote of the commentary */
+const quoteRegexp = /`([^`\n]+)`/g;
+
+/** Two interpretations are grouped when this share of the smaller one's words is in the other */
+const minGroupOverlap = 0.5;
+
+/** An interpretation with less words than this continues on the next line (e.g. "`יְהוָה אֱלֹהִים`:") */
+const minInterpretationWords = 3;
+
+/** Words that say nothing about the interpretation - on top of bible-utils.js STOPWORDS */
+const commentaryStopwords = new Set([
+    'של', 'שהוא', 'שהיא', 'שהם', 'זו', 'אלה', 'אלו', 'כמו', 'כאן', 'יותר', 'מאוד', 'רק', 'אבל', 'אך', 'לכן', 'ולכן',
+    'כלומר', 'המילון', 'לפי', 'מסמל', 'מסמלת', 'מייצג', 'מייצגת', 'הזה', 'הזאת', 'היה', 'היתה', 'להיות',
+]);
+
+/**
+ * @typedef {{
+ *      location: string;        // The verses commented on, e.g. "בראשית ג א" or "בראשית ג א-ב" ("" before the first verse line)
+ *      filePath: string;
+ *      lineNumber: number;      // 1-based
+ *      quote: string;           // The whole backtick quote
+ *      sentence: string;        // The sentence that interprets it
+ *      interpretation: string;  // The part of the sentence that interprets it (see getInterpretation)
+ *      words: Set<string>;      // The interpretation's words, for the grouping
+ * }} Occurrence
+ */
+
+// --------------------------------------------------------------------------------------------------------------------
+
+// Check if this script is being run directly or imported as a module
+if (require.main === module) {
+    // CLI mode
+    (async () => {
+        try {
+            const [query, ...locations] = process.argv.slice(2);
+            if (!query || locations.length > 2) {
+                console.log(usage);
+                process.exit(1);
+            }
+            if (locations.length === 0) {
+                locations.push('*_*_*');
+            }
+            if (locations.length === 1) {
+                locations.push(locations[0]);
+            }
+
+            const filePaths = listFilesInRange(parseLocation(locations[0], 'from'), parseLocation(locations[1], 'to'));
+            const audit = await auditConcept(query, filePaths);
+            process.stdout.write(formatReport(audit));
+            process.exit(0);
+        } catch (error) {
+            console.error('Error:', error.message);
+            process.exit(1);
+        }
+    })();
+}
+
+// --------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Find and group the quoted occurrences of a root or a Strong's number.
+ * @param {string} query - A root ("נחש") or a Strong's number ("H5175" or "5175")
+ * @param {string[]} filePaths - Commentary files, in verse order (see list-files-range.js)
+ * @returns {Promise<{ query: string, strongs: { number: number, word: string, gloss: string }[], occurrences: Occurrence[], groups: Occurrence[][] }>}
+ */
+async function auditConcept(query, filePaths) {
+    const bible = await import(pathToFileURL(bibleUtilsPath).href);
+    bible.setAramaicMode('include');
+
+    const strongMatch = query.match(/^H?(\d+)$/i);
+    const root = strongMatch ? null : bible.removeNikud(query);
+    const strongNumbers = new Set(strongMatch
+        ? [parseInt(strongMatch[1], 10)]
+        : bible.findStrongNumbers(root).map(({ strongNumber }) => strongNumber));
+    if (strongNumbers.size === 0) {
+        throw new Error(`No Strong's number for the root ${JSON.stringify(query)}`);
+    }
+    const isConceptWord = (verse, index) =>
+        strongNumbers.has(verse.strongs[index]) || (root !== null && verse.morphology?.[index]?.root === root);
+
+    // The BSB verses by location, and the concept's word forms anywhere in the Bible
+    const versesByLocation = new Map();
+    const conceptForms = new Set();
+    for (const verse of bible.getAllVerses()) {
+        versesByLocation.set(`${verse.book} ${verse.chapter} ${verse.verse}`, verse);
+        verse.words.forEach((word, index) => {
+            if (isConceptWord(verse, index)) {
+                conceptForms.add(getWordKey(word));
+            }
+        });
+    }
+
+    const occurrences = [];
+    for (const filePath of filePaths) {
+        const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+        let verseLocations = [];
+        let verseForms = new Map();  // Word key --> is it the concept, in the verses commented on
+        let textStarted = true;
+        lines.forEach((line, index) => {
+            const verseMatch = line.match(VERSE_RE);
+            if (verseMatch) {
+                // Consecutive verse lines share the text below them
+                if (textStarted) {
+                    verseLocations = [];
+                    verseForms = new Map();
+                    textStarted = false;
+                }
+                const [, book, chapter, verseNumber] = verseMatch;
+                verseLocations.push({ book, chapter, verse: verseNumber });
+                const verse = versesByLocation.get(`${book} ${chapter} ${verseNumber}`);
+                verse?.words.forEach((word, wordIndex) => {
+                    const key = getWordKey(word);
+                    verseForms.set(key, verseForms.get(key) || isConceptWord(verse, wordIndex));
+                });
+                return;
+            }
+            if (line.trim()) {
+                textStarted = true;
+            }
+
+            for (const quoteMatch of line.matchAll(quoteRegexp)) {
+                const isOccurrence = normalizeForSearch(quoteMatch[1]).trim().split(' ').filter(Boolean).some(key =>
+                    verseForms.has(key) ? verseForms.get(key) : conceptForms.has(key));
+                if (!isOccurrence) continue;
+
+                const sentence = getInterpretingSentence(lines, index, quoteMatch.index);
+                const interpretation = getInterpretation(sentence, quoteMatch[0]);
+                occurrences.push({
+                    location: formatLocations(verseLocations),
+                    filePath,
+                    lineNumber: index + 1,
+                    quote: quoteMatch[1],
+                    sentence,
+                    interpretation,
+                    words: getInterpretationWords(interpretation, bible),
+                });
+            }
+        });
+    }
+
+    return {
+        query,
+        strongs: [...strongNumbers].map(number => {
+            const data = bible.getStrongInfo(number);
+            return { number, word: data?.word ?? '', gloss: data?.gloss ?? '' };
+        }),
+        occurrences,
+        groups: groupInterpretations(occurrences),
+    };
+}
+
+/**
+ * The key a word is compared by: as hebrew-grep sees it (no niqqud, only Hebrew letters).
+ * @param {string} word
+ * @returns {string}
+ */
+function getWordKey(word) {
+    // hebrew-grep reads the shin/sin dots of the files' text: decomposed
+    return normalizeForSearch(word.normalize('NFD')).trim();
+}
+
+/**
+ * @param {{ book: string, chapter: string, verse: string }[]} verseLocations - Consecutive verses
+ * @returns {string} - e.g. "בראשית ג א", "בראשית ג א-ה", "" for none
+ */
+function formatLocations(verseLocations) {
+    if (verseLocations.length === 0) {
+        return '';
+    }
+    const first = verseLocations[0];
+    const last = verseLocations.at(-1);
+    const location = `${first.book} ${first.chapter} ${first.verse}`;
+    if (last === first) {
+        return location;
+    }
+    return (last.chapter === first.chapter) ? `${location}-${last.verse}` : `${location}-${last.chapter} ${last.verse}`;
+}
+
+/**
+ * The sentence of a line that holds a quote - with the next line, if the sentence has (almost) nothing but the quote.
+ * @param {string[]} lines
+ * @param {number} lineIndex
+ * @param {number} quoteIndex - Position of the quote in its line
+ * @returns {string}
+ */
+function getInterpretingSentence(lines, lineIndex, quoteIndex) {
+    const line = lines[lineIndex];
+
+    // Sentences end with ".", "!" or "?" outside the quotes
+    let start = 0;
+    let end = line.length;
+    let inQuote = false;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '`') {
+            inQuote = !inQuote;
+        } else if (!inQuote && '.!?'.includes(line[i]) && /\s/.test(line[i + 1] ?? ' ')) {
+            if (i < quoteIndex) {
+                start = i + 1;
+            } else {
+                end = i + 1;
+                break;
+            }
+        }
+    }
+    let sentence = line.slice(start, end).replace(/^\s*(?:[-*>]|\d+\.)?\s*/, '').trim();
+
+    const ownWords = normalizeForSearch(sentence.replace(quoteRegexp, ' ')).trim().split(' ').filter(Boolean);
+    if (ownWords.length < minInterpretationWords && end === line.length) {
+        const nextLine = lines.slice(lineIndex + 1).find(other => other.trim());
+        if (nextLine && !VERSE_RE.test(nextLine) && !/^\s*<\/?[א-ת]/.test(nextLine)) {
+            sentence += ' ' + nextLine.trim();
+        }
+    }
+    return sentence;
+}
+
+/**
+ * The part of a sentence that interprets a quote: the words before it when it is in parentheses
+ * ("מגוון חוויות הקיום (`אָרֶץ`)"), else the whole sentence without the quote.
+ * @param {string} sentence
+ * @param {string} quote - With its backticks
+ * @returns {string}
+ */
+function getInterpretation(sentence, quote) {
+    const parenthesized = sentence.indexOf(`(${quote}`);
+    if (parenthesized !== -1) {
+        const before = sentence.slice(0, parenthesized).split(/[,;:()`–—]|\s-\s/).at(-1);
+        if (before.trim()) {
+            return before;
+        }
+    }
+    return sentence.split(quote).join(' ');
+}
+
+/**
+ * The words of an interpretation that carry its meaning: no stopwords, and without their prefixes
+ * (up to two of ו, ה, ב, כ, ל, מ, ש - so that "דיון", "לדיון" and "מהדיון" are one word).
+ * @param {string} interpretation
+ * @param {object} bible - bible-utils.js
+ * @returns {Set<string>}
+ */
+function getInterpretationWords(interpretation, bible) {
+    const words = new Set();
+    for (const word of normalizeForSearch(interpretation.replace(quoteRegexp, ' ')).trim().split(' ')) {
+        if (word.length < 2 || bible.isStopword(word) || commentaryStopwords.has(word)) continue;
+        words.add(word.replace(/^[והבכלמש]{1,2}(?=[^ ]{3})/, ''));
+    }
+    return words;
+}
+
+/**
+ * Group the occurrences whose interpretations share their words, in order of first appearance:
+ * each occurrence joins the group with a member it overlaps most (at least minGroupOverlap; on a tie, the earlier group),
+ * or opens a new group.
+ * Occurrences without interpretation words are a group of their own, last.
+ * @param {Occurrence[]} occurrences
+ * @returns {Occurrence[][]}
+ */
+function groupInterpretations(occurrences) {
+    const groups = [];
+    const uninterpreted = [];
+    for (const occurrence of occurrences) {
+        if (occurrence.words.size === 0) {
+            uninterpreted.push(occurrence);
+            continue;
+        }
+        let bestGroup = null;
+        let bestOverlap = 0;
+        for (const group of groups) {
+            for (const member of group) {
+                const shared = [...occurrence.words].filter(word => member.words.has(word)).length;
+                const overlap = shared / Math.min(occurrence.words.size, member.words.size);
+                if (overlap >= minGroupOverlap && overlap > bestOverlap) {
+                    bestGroup = group;
+                    bestOverlap = overlap;
+                }
+            }
+        }
+        if (bestGroup) {
+            bestGroup.push(occurrence);
+        } else {
+            groups.push([occurrence]);
+        }
+    }
+    if (uninterpreted.length) {
+        groups.push(uninterpreted);
+    }
+    return groups;
+}
+
+// --------------------------------------------------------------------------------------------------------------------
+
+/**
+ * @param {Awaited<ReturnType<typeof auditConcept>>} audit
+ * @returns {string} - Markdown
+ */
+function formatReport({ query, strongs, occurrences, groups }) {
+    const lines = [`# Consistency audit: ${query}`, ''];
+    lines.push(`Strong's: ${strongs.map(({ number, word, gloss }) => `H${number} ${word}${gloss ? ` (${gloss})` : ''}`).join(', ')}`, '');
+
+    if (occurrences.length === 0) {
+        lines.push('No quoted occurrences.', '');
+        return lines.join('\n');
+    }
+    const fileCount = new Set(occurrences.map(({ filePath }) => filePath)).size;
+    lines.push(`${occurrences.length} quoted occurrences in ${fileCount} files, ${groups.length} interpretation groups.`);
+    lines.push('The first group holds the first interpretation; the other groups are candidate divergences.', '');
+
+    groups.forEach((group, index) => {
+        const title = (group[0].words.size === 0)
+            ? 'No interpreting text'
+            : `${group[0].location || path.basename(group[0].filePath)}: ${formatTitle(group[0].interpretation)}`;
+        lines.push(`## ${index + 1}. ${title} (${group.length})`, '');
+        for (const { location, filePath, lineNumber, quote, sentence } of group) {
+            lines.push(`- **${location || '-'}** \`${quote}\` - ${filePath}:${lineNumber}`);
+            lines.push(`  ${sentence}`);
+        }
+        lines.push('');
+    });
+
+    lines.push('## All occurrences, in verse order', '');
+    lines.push('| Verse | Quote | Group | File |', '|---|---|---|---|');
+    for (const occurrence of occurrences) {
+        const groupNumber = groups.findIndex(group => group.includes(occurrence)) + 1;
+        lines.push(`| ${occurrence.location || '-'} | \`${occurrence.quote}\` | ${groupNumber} | ${occurrence.filePath}:${occurrence.lineNumber} |`);
+    }
+    lines.push('');
+
+    return lines.join('\n');
+}
+
+/**
+ * @param {string} interpretation
+ * @returns {string} - Its first words, without the quotes
+ */
+function formatTitle(interpretation) {
+    const words = interpretation.replace(quoteRegexp, ' ').replace(/[()*]/g, '').trim().split(/\s+/);
+    return words.slice(0, 8).join(' ') + ((words.length > 8) ? '...' : '');
+}
+
+
+// Export functions for module usage
+module.exports = {
+    auditConcept,
+    formatReport,
+};
@@ -0,0 +1,300 @@
+#!/usr/local/bin/node
+
+const usage=`
+    Usage: dictionary-coverage.js [--summary] [book_perek_pasuk [book_perek_pasuk]]
+    Measure how much of the verses' dictionary words the commentary interprets.
+    For every verse line ("> בראשית א ב: ...") of the commentary files in the range (default: all of them):
+      1. The verse is tokenized as the bible_* research tools do (the qere of a ketiv/qere pair).
+      2. A word is a dictionary word if its Strong's number or its root (from the BSB verse and its morphology)
+         has an entry in המילון.json - or, for a word the BSB verse lacks, its spelling
+         (see "./scripts/dictionary.js lookup").
+      3. A dictionary word is addressed if the text below the verse backtick-quotes it - or another word of its entry.
+         Consecutive verse lines share the text below the last of them (up to the next verse line).
+    The output lists per file its coverage and its unaddressed words (--summary: only the coverage),
+    then the coverage per book.
+    Examples:
+      ./scripts/dictionary-coverage.js
+      ./scripts/dictionary-coverage.js בראשית_א_* בראשית_ג_*
+      ./scripts/dictionary-coverage.js --summary שמות_*_*
+`.replace(/\n    /g, '\n').trim()
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+const fs = require('fs');
+const { parseLocation, listFilesInRange } = require('./list-files-range');
+const { loadDictionary, listEntries, findEntries, normalizeHebrew } = require('./dictionary');
+
+// --------------------------------------------------------------------------------------------------------------------
+
+const bibleUtilsPath = path.join(__dirname, '..', '_BIBLE-LINGUAL-RESEARCH', 'bible-utils.js');
+
+/** A backtick quote of the commentary */
+const quoteRegexp = /`([^`\n]+)`/g;
+
+/**
+ * @typedef {{
+ *      word: string;            // As in the verse line (niqqud kept)
+ *      entryIds: string[];      // The dictionary entries of the word
+ *      addressed: boolean;      // The text below the verse quotes the word, or another word of one of its entries
+ * }} DictionaryWord
+ *
+ * @typedef {{
+ *      location: string;        // e.g. "בראשית א ב"
+ *      lineNumber: number;      // 1-based
+ *      words: DictionaryWord[]; // Only the dictionary words, in verse order
+ * }} VerseCoverage
+ *
+ * @typedef {{
+ *      filePath: string;
+ *      book: string;
+ *      verses: VerseCoverage[];
+ *      total: number;           // Dictionary words in the file's verses
+ *      addressed: number;
+ * }} FileCoverage
+ */
+
+// --------------------------------------------------------------------------------------------------------------------
+
+// Check if this script is being run directly or imported as a module
+if (require.main === module) {
+    // CLI mode
+    (async () => {
+        try {
+            const args = process.argv.slice(2);
+            const summaryOnly = args[0] === '--summary';
+            const locations = summaryOnly ? args.slice(1) : args;
+            if (locations.length > 2 || locations.some(location => location.startsWith('-'))) {
+                console.log(usage);
+                process.exit(1);
+            }
+            if (locations.length === 0) {
+                locations.push('*_*_*');
+            }
+            if (locations.length === 1) {
+                locations.push(locations[0]);
+            }
+
+            const filePaths = listFilesInRange(parseLocation(locations[0], 'from'), parseLocation(locations[1], 'to'));
+            const fileCoverages = await measureCoverage(filePaths);
+
+            for (const { filePath, verses, total, addressed } of fileCoverages) {
+                console.log(`- ${filePath}: ${formatCoverage(addressed, total)}`);
+                if (summaryOnly) continue;
+                for (const { location, lineNumber, words } of verses) {
+                    const unaddressed = words.filter(word => !word.addressed);
+                    if (unaddressed.length) {
+                        console.log(`  - ${lineNumber}: [${location}] ${unaddressed.map(({ word, entryIds }) => `${word} (${entryIds.join(', ')})`).join(' ')}`);
+                    }
+                }
+            }
+
+            console.log('\nBooks:');
+            for (const { book, total, addressed } of summarizeBooks(fileCoverages)) {
+                console.log(`- ${book}: ${formatCoverage(addressed, total)}`);
+            }
+            process.exit(0);
+        } catch (error) {
+            console.error('Error:', error.message);
+            process.exit(1);
+        }
+    })();
+}
+
+// --------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Measure the dictionary coverage of commentary files.
+ * @param {string[]} filePaths
+ * @returns {Promise<FileCoverage[]>}
+ */
+async function measureCoverage(filePaths) {
+    const bible = await import(pathToFileURL(bibleUtilsPath).href);
+    bible.setAramaicMode('include');
+
+    // The BSB verses, for the Strong's numbers
+    const versesByLocation = new Map();
+    for (const verse of bible.getAllVerses()) {
+        versesByLocation.set(`${verse.book} ${verse.chapterIndex} ${verse.verseIndex}`, verse);
+    }
+    const context = { bible, dictionary: loadDictionary(), versesByLocation, entryIdsCache: new Map() };
+
+    return filePaths.map(filePath => measureFileCoverage(filePath, fs.readFileSync(filePath, 'utf8'), context));
+}
+
+/**
+ * @param {string} filePath
+ * @param {string} content
+ * @param {object} context - See measureCoverage()
+ * @returns {FileCoverage}
+ */
+function measureFileCoverage(filePath, content, context) {
+    const { bible } = context;
+    const verses = [];
+    let total = 0;
+    let addressed = 0;
+
+    for (const { verseLines, text } of splitSegments(content, bible)) {
+        // What the text below the verses quotes: words (see getWordKey), and their entries
+        const quotedWords = new Set();
+        const quotedEntryIds = new Set();
+        for (const [, quote] of text.matchAll(quoteRegexp)) {
+            for (const { word } of bible.tokenizeHebrewText(quote)) {
+                const wordKey = getWordKey(word, bible);
+                quotedWords.add(wordKey);
+                getEntryIdsBySpelling(wordKey, context).forEach(entryId => quotedEntryIds.add(entryId));
+            }
+        }
+
+        for (const { lineNumber, book, chapterIndex, verseIndex, text: verseText } of verseLines) {
+            const bsbWords = getBsbWords(context.versesByLocation.get(`${book} ${chapterIndex} ${verseIndex}`), bible);
+            const words = [];
+            for (const { word } of bible.selectReading(bible.tokenizeHebrewText(verseText), 'qere')) {
+                const wordKey = getWordKey(word, bible);
+                const bsbWord = bsbWords.get(wordKey);
+                const entryIds = bsbWord
+                    ? getEntryIdsByStrongAndRoot(bsbWord.strong, bsbWord.root, context)
+                    : getEntryIdsBySpelling(wordKey, context);
+                if (entryIds.length === 0) continue;
+                words.push({
+                    word,
+                    entryIds,
+                    addressed: quotedWords.has(wordKey) || entryIds.some(entryId => quotedEntryIds.has(entryId)),
+                });
+            }
+            total += words.length;
+            addressed += words.filter(word => word.addressed).length;
+            verses.push({
+                location: `${book} ${bible.numberToHebrew(chapterIndex)} ${bible.numberToHebrew(verseIndex)}`,
+                lineNumber,
+                words,
+            });
+        }
+    }
+
+    const book = verses.length ? verses[0].location.split(' ')[0] : path.basename(filePath).split('-')[1];
+    return { filePath, book, verses, total, addressed };
+}
+
+/**
+ * Split a commentary file into segments: consecutive verse lines (blank lines between them allowed),
+ * and the text below them - up to the next verse line. The text before the first verse line is left out.
+ * @param {string} content
+ * @param {object} bible - bible-utils.js
+ * @returns {{ verseLines: { lineNumber: number, book: string, chapterIndex: number, verseIndex: number, text: string }[], text: string }[]}
+ */
+function splitSegments(content, bible) {
+    const segments = [];
+    let segment = null;
+    content.split('\n').forEach((line, index) => {
+        const verseLine = line.startsWith('>') ? bible.parseMarkdownVerseLine(line.trim()) : null;
+        if (verseLine) {
+            if (!segment || segment.text.trim()) {
+                segment = { verseLines: [], text: '' };
+                segments.push(segment);
+            }
+            segment.verseLines.push({ lineNumber: index + 1, ...verseLine });
+        } else if (segment) {
+            segment.text += line + '\n';
+        }
+    });
+    return segments;
+}
+
+/**
+ * The Strong's numbers and roots of a BSB verse's words.
+ * @param {object | undefined} verse - A VerseInfo of bible-utils.js
+ * @param {object} bible - bible-utils.js
+ * @returns {Map<string, { strong: number, root: string | null }>} - Word key (see getWordKey) --> its Strong's number and root
+ *      (the root only when the morphology file exists)
+ */
+function getBsbWords(verse, bible) {
+    const bsbWords = new Map();
+    if (verse) {
+        verse.words.forEach((word, index) => bsbWords.set(getWordKey(word, bible), {
+            strong: verse.strongs[index],
+            root: verse.morphology?.[index]?.root ?? null,
+        }));
+    }
+    return bsbWords;
+}
+
+/**
+ * The dictionary entries of a word of the BSB: of its Strong's number, and of its root.
+ * @param {number} strong
+ * @param {string | null} root
+ * @param {object} context - See measureCoverage()
+ * @returns {string[]} - Entry ids
+ */
+function getEntryIdsByStrongAndRoot(strong, root, context) {
+    const key = `<${strong}> ${root}`;
+    if (!context.entryIdsCache.has(key)) {
+        const entryIds = findEntries(context.dictionary, strong).map(({ entry }) => entry.id);
+        if (root) {
+            for (const { entry } of listEntries(context.dictionary)) {
+                if ((entry.terms ?? []).some(term => term.root && normalizeHebrew(term.root) === normalizeHebrew(root))) {
+                    entryIds.push(entry.id);
+                }
+            }
+        }
+        context.entryIdsCache.set(key, [...new Set(entryIds)]);
+    }
+    return context.entryIdsCache.get(key);
+}
+
+/**
+ * The dictionary entries of a word by its spelling: its word, forms or root - with or without prefixes.
+ * @param {string} wordKey - See getWordKey()
+ * @param {object} context - See measureCoverage()
+ * @returns {string[]} - Entry ids
+ */
+function getEntryIdsBySpelling(wordKey, context) {
+    if (!context.entryIdsCache.has(wordKey)) {
+        context.entryIdsCache.set(wordKey, findEntries(context.dictionary, wordKey).map(({ entry }) => entry.id));
+    }
+    return context.entryIdsCache.get(wordKey);
+}
+
+/**
+ * The letters of a word, as bible-utils.js searches them (no niqqud, finals as regulars) - and with every ש a plain ש:
+ * the quotes of the commentary are often unpointed, and the dictionary does not tell shin from sin.
+ * @param {string} word - A token of bible-utils.js tokenizeHebrewText(), or a BSB word
+ * @param {object} bible - bible-utils.js
+ * @returns {string}
+ */
+function getWordKey(word, bible) {
+    return bible.hebrewFinalsToRegulars(bible.removeNikud(word).replace(/[\uFB2A\uFB2B]/g, 'ש').replace(/[^א-ת]/g, ''));
+}
+
+/**
+ * Sum the coverage of the files per book, in the order of the files.
+ * @param {FileCoverage[]} fileCoverages
+ * @returns {{ book: string, total: number, addressed: number }[]}
+ */
+function summarizeBooks(fileCoverages) {
+    const books = new Map();
+    for (const { book, total, addressed } of fileCoverages) {
+        const summary = books.get(book) ?? { book, total: 0, addressed: 0 };
+        summary.total += total;
+        summary.addressed += addressed;
+        books.set(book, summary);
+    }
+    return [...books.values()];
+}
+
+/**
+ * @param {number} addressed
+ * @param {number} total
+ * @returns {string} - e.g. "75% (3/4)"
+ */
+function formatCoverage(addressed, total) {
+    const percent = total ? Math.round(100 * addressed / total) : 100;
+    return `${percent}% (${addressed}/${total})`;
+}
+
+
+// Export functions for module usage
+module.exports = {
+    measureCoverage,
+    summarizeBooks,
+    formatCoverage,
+};
@@ -0,0 +1,401 @@
+#!/usr/local/bin/node
+
+const usage=`
+    Usage: dictionary.js generate | check | lookup <word|root|H-number>
+    The dictionary (המילון) is kept in המילון.json - this script is its loader.
+      generate   Write the dictionary sections of CLAUDE-ENGLISH.md and פירוש/הקדמה-לפירוש.rtl.md from המילון.json
+      check      Exit with an error if these sections are not what "generate" would write
+      lookup     List the entries of a word (any spelling, with or without niqqud), a root, or a Strong's number
+    Examples:
+      ./scripts/dictionary.js generate
+      ./scripts/dictionary.js lookup הָאָרֶץ
+      ./scripts/dictionary.js lookup H6440
+`.replace(/\n    /g, '\n').trim()
+
+const fs = require('fs');
+const path = require('path');
+
+// --------------------------------------------------------------------------------------------------------------------
+
+const repoDir = path.join(__dirname, '..');
+
+const dictionaryPath = path.join(repoDir, 'המילון.json');
+
+/** @typedef {'en' | 'he'} Language */
+const languages = ['en', 'he'];
+
+/**
+ * The files holding a generated dictionary section: from its title heading up to the next top-level heading.
+ * (CLAUDE-HEBREW.md has no dictionary of its own: it sends the reader to the introduction)
+ * @type {{ language: Language, filePath: string }[]}
+ */
+const dictionaryTargets = [
+    { language: 'en', filePath: 'CLAUDE-ENGLISH.md' },
+    { language: 'he', filePath: path.join('פירוש', 'הקדמה-לפירוש.rtl.md') },
+];
+
+/** Loaded dictionaries, per file path */
+/** @type {Map<string, Dictionary>} */
+const loadedDictionaries = new Map();
+
+/** How the numbered steps of an entry (the day cycle) join their word and definition */
+const stepConnectors = { en: ': ', he: ' - ' };
+
+/**
+ * @typedef {{ en?: string, he?: string }} Texts - Per language (a language may be missing)
+ * @typedef {{ en?: string[], he?: string[] }} TextLines - Per language: Markdown lines
+ *
+ * @typedef {{
+ *      word: string;            // Without niqqud, as the dictionary writes it
+ *      display?: Texts;         // Another spelling for a language (e.g. with niqqud)
+ *      note?: Texts;            // Markdown after the word, e.g. "(water)"
+ *      opposite?: boolean;      // The word opens the other side of a polarity: "למעלה / על ↔ למטה / תחת"
+ *      forms?: string[];        // Other spellings: defective/plene, inflected forms
+ *      root: string | null;     // null when no root is agreed upon
+ *      strongs: number[];
+ * }} DictionaryTerm
+ *
+ * @typedef {{
+ *      id: string;
+ *      terms?: DictionaryTerm[];    // Missing for an entry that is only text (the day cycle)
+ *      separator?: Texts;           // Between the terms (default " / ")
+ *      definition: TextLines;       // The first line follows "=", the others are indented
+ *      subentries?: DictionaryEntry[];
+ *      steps?: DictionaryEntry[];   // Numbered sub-entries
+ *      separateIn?: Language[];     // A sub-entry written as its own bullet in these languages
+ * }} DictionaryEntry
+ *
+ * @typedef {{
+ *      id: string;
+ *      name: Texts;
+ *      kind: 'scale' | 'polarity';  // scale: "A → B → C", polarity: "A ↔ B"
+ *      terms: string[];             // Dictionary words, in order
+ *      description: Texts;
+ * }} DictionaryAxis
+ *
+ * @typedef {{
+ *      id: string;
+ *      title: Texts;
+ *      spaced: boolean;             // A blank line between the entries
+ *      entries: DictionaryEntry[];
+ * }} DictionarySection
+ *
+ * @typedef {{
+ *      title: Texts;
+ *      introduction: TextLines;     // Paragraphs
+ *      axesIntroduction: Texts;
+ *      axes: DictionaryAxis[];
+ *      sections: DictionarySection[];
+ * }} Dictionary
+ */
+
+// --------------------------------------------------------------------------------------------------------------------
+
+// Check if this script is being run directly or imported as a module
+if (require.main === module) {
+    // CLI mode
+    try {
+        const [command, ...args] = process.argv.slice(2);
+        const dictionary = loadDictionary();
+        if (command === 'generate' && args.length === 0) {
+            for (const { language, filePath } of dictionaryTargets) {
+                const fullPath = path.join(repoDir, filePath);
+                const content = fs.readFileSync(fullPath, 'utf8');
+                const newContent = replaceDictionarySection(content, dictionary, language);
+                if (newContent !== content) {
+                    fs.writeFileSync(fullPath, newContent);
+                    console.log(`Updated: ${filePath}`);
+                } else {
+                    console.log(`Up to date: ${filePath}`);
+                }
+            }
+        } else if (command === 'check' && args.length === 0) {
+            const outdated = dictionaryTargets.filter(({ language, filePath }) => {
+                const content = fs.readFileSync(path.join(repoDir, filePath), 'utf8');
+                return replaceDictionarySection(content, dictionary, language) !== content;
+            });
+            for (const { filePath } of outdated) {
+                console.error(`Not generated from המילון.json: ${filePath} (run ./scripts/dictionary.js generate)`);
+            }
+            process.exit(outdated.length ? 1 : 0);
+        } else if (command === 'lookup' && args.length === 1) {
+            const matches = findEntries(dictionary, args[0]);
+            if (matches.length === 0) {
+                console.log(`No dictionary entry for ${JSON.stringify(args[0])}`);
+                process.exit(1);
+            }
+            for (const { entry, section } of matches) {
+                // The entry alone, without its sub-entries
+                const ownEntry = { ...entry, subentries: undefined, steps: undefined };
+                console.log(`${entry.id} (${section.title.he})`);
+                for (const term of entry.terms) {
+                    console.log(`  ${term.word}: root ${term.root ?? '-'}, ${term.strongs.map(strong => `H${strong}`).join(' ')}`);
+                }
+                for (const language of languages) {
+                    console.log(renderEntry(ownEntry, language, '- ').join('\n'));
+                }
+                console.log();
+            }
+        } else {
+            console.log(usage);
+            process.exit(1);
+        }
+        process.exit(0);
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exit(1);
+    }
+}
+
+// --------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Load and validate the dictionary (cached per file).
+ * @param {string} [filePath] - Default: המילון.json
+ * @returns {Dictionary}
+ * @throws {Error} - If the file is not a valid dictionary.
+ */
+function loadDictionary(filePath = dictionaryPath) {
+    if (!loadedDictionaries.has(filePath)) {
+        const dictionary = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        validateDictionary(dictionary, filePath);
+        loadedDictionaries.set(filePath, dictionary);
+    }
+    return loadedDictionaries.get(filePath);
+}
+
+/**
+ * @param {Dictionary} dictionary
+ * @param {string} filePath - For the error messages
+ * @throws {Error}
+ */
+function validateDictionary(dictionary, filePath) {
+    const fail = message => { throw new Error(`${filePath}: ${message}`); };
+    if (!Array.isArray(dictionary.sections) || !Array.isArray(dictionary.axes)) {
+        fail('"sections" and "axes" must be arrays');
+    }
+
+    const ids = new Set();
+    const words = new Set();
+    for (const { section, entry } of listEntries(dictionary)) {
+        if (!entry.id || ids.has(entry.id)) {
+            fail(`Missing or duplicate entry id ${JSON.stringify(entry.id)} in section ${JSON.stringify(section.id)}`);
+        }
+        ids.add(entry.id);
+        if (!entry.definition || !languages.some(language => Array.isArray(entry.definition[language]))) {
+            fail(`Entry ${JSON.stringify(entry.id)} has no definition`);
+        }
+        for (const term of entry.terms ?? []) {
+            if (!/^[א-ת ]+$/.test(term.word)) {
+                fail(`Entry ${JSON.stringify(entry.id)}: the word ${JSON.stringify(term.word)} must be Hebrew letters without niqqud`);
+            }
+            if (!Array.isArray(term.strongs) || !term.strongs.every(Number.isInteger)) {
+                fail(`Entry ${JSON.stringify(entry.id)}: the Strong's numbers of ${JSON.stringify(term.word)} must be integers`);
+            }
+            words.add(term.word);
+        }
+    }
+
+    for (const axis of dictionary.axes) {
+        if (!['scale', 'polarity'].includes(axis.kind)) {
+            fail(`Axis ${JSON.stringify(axis.id)}: unknown kind ${JSON.stringify(axis.kind)}`);
+        }
+        const unknownWords = axis.terms.filter(word => !words.has(word));
+        if (unknownWords.length) {
+            fail(`Axis ${JSON.stringify(axis.id)}: not dictionary words: ${unknownWords.join(', ')}`);
+        }
+    }
+}
+
+/**
+ * All the entries, sub-entries and steps included, in the dictionary's order.
+ * @param {Dictionary} dictionary
+ * @returns {{ section: DictionarySection, entry: DictionaryEntry, parent: DictionaryEntry | null }[]}
+ */
+function listEntries(dictionary) {
+    const result = [];
+    for (const section of dictionary.sections) {
+        for (const entry of section.entries) {
+            result.push({ section, entry, parent: null });
+            for (const child of [...(entry.subentries ?? []), ...(entry.steps ?? [])]) {
+                result.push({ section, entry: child, parent: entry });
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * Normalize Hebrew for matching: no niqqud or cantillation, no final letters.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeHebrew(text) {
+    return text
+        .replace(/[֑-ׇ]/g, '')
+        .replace(/[ךםןףץ]/g, letter => ({ 'ך': 'כ', 'ם': 'מ', 'ן': 'נ', 'ף': 'פ', 'ץ': 'צ' })[letter]);
+}
+
+/**
+ * The entries of a word, a root, or a Strong's number.
+ * A word matches a term's word, forms or root - or, when nothing matches it, the word without its prefixes
+ * (ו, ה, ב, כ, ל, מ, ש: up to two, so that "שמים" does not find "מים").
+ * @param {Dictionary} dictionary
+ * @param {string | number} query - A word (niqqud allowed), a root, or a Strong's number ("H216", "216" or 216)
+ * @returns {{ section: DictionarySection, entry: DictionaryEntry, term: DictionaryTerm }[]} - Each entry once, with the matching term
+ */
+function findEntries(dictionary, query) {
+    const strongMatch = String(query).match(/^H?(\d+)$/i);
+    if (strongMatch) {
+        const strong = parseInt(strongMatch[1], 10);
+        return findEntriesByTerm(dictionary, term => term.strongs.includes(strong));
+    }
+
+    let word = normalizeHebrew(String(query)).trim();
+    for (let prefixes = 0; prefixes <= 2; prefixes++) {
+        const result = findEntriesByTerm(dictionary, term =>
+            [term.word, ...(term.forms ?? []), term.root].some(form => form && normalizeHebrew(form) === word));
+        if (result.length || !/^[והבכלמש]../.test(word)) {
+            return result;
+        }
+        word = word.substring(1);
+    }
+    return [];
+}
+
+/**
+ * @param {Dictionary} dictionary
+ * @param {function(DictionaryTerm): boolean} isMatch
+ * @returns {{ section: DictionarySection, entry: DictionaryEntry, term: DictionaryTerm }[]}
+ */
+function findEntriesByTerm(dictionary, isMatch) {
+    const result = [];
+    for (const { section, entry } of listEntries(dictionary)) {
+        const term = (entry.terms ?? []).find(isMatch);
+        if (term) {
+            result.push({ section, entry, term });
+        }
+    }
+    return result;
+}
+
+// --------------------------------------------------------------------------------------------------------------------
+
+/**
+ * The Markdown of one entry, with its sub-entries and steps.
+ * @param {DictionaryEntry} entry
+ * @param {Language} language
+ * @param {string} bullet - "- " for an entry, "  " for a sub-entry, "  1. " for a step
+ * @param {string} [connector] - Between the words and the definition
+ * @returns {string[]} - Lines (none if the entry has no definition in the language)
+ */
+function renderEntry(entry, language, bullet, connector = ' = ') {
+    const definition = entry.definition[language];
+    if (!definition) {
+        return [];
+    }
+
+    let head = definition[0];
+    if (entry.terms) {
+        const separator = entry.separator?.[language] ?? ' / ';
+        const words = entry.terms.map((term, index) => {
+            const word = `**${term.display?.[language] ?? term.word}**${term.note?.[language] ? ` ${term.note[language]}` : ''}`;
+            return (index === 0) ? word : `${term.opposite ? ' ↔ ' : separator}${word}`;
+        });
+        head = `${words.join('')}${connector}${definition[0]}`;
+    }
+
+    const lines = [`${bullet}${head}`, ...definition.slice(1).map(line => `  ${line}`)];
+    for (const subentry of entry.subentries ?? []) {
+        lines.push(...renderEntry(subentry, language, subentry.separateIn?.includes(language) ? '- ' : '  '));
+    }
+    (entry.steps ?? []).forEach((step, index) => {
+        lines.push(...renderEntry(step, language, `  ${index + 1}. `, stepConnectors[language]));
+    });
+    return lines;
+}
+
+/**
+ * The Markdown of the whole dictionary section: from its title heading up to (and including) the blank line before the next heading.
+ * @param {Dictionary} dictionary
+ * @param {Language} language
+ * @returns {string}
+ */
+function renderDictionary(dictionary, language) {
+    const lines = [`# ${dictionary.title[language]}`, ''];
+
+    for (const paragraph of dictionary.introduction[language] ?? []) {
+        lines.push(paragraph, '');
+    }
+    const axes = dictionary.axes.filter(axis => axis.description[language]);
+    if (axes.length) {
+        lines.push(dictionary.axesIntroduction[language]);
+        lines.push(...axes.map(axis => `- **${axis.name[language]}**: ${axis.description[language]}`));
+        lines.push('');
+    }
+
+    for (const section of dictionary.sections) {
+        lines.push(`## ${section.title[language]}`, '');
+        const entries = section.entries.map(entry => renderEntry(entry, language, '- ')).filter(entryLines => entryLines.length);
+        entries.forEach((entryLines, index) => {
+            if (index > 0 && section.spaced) {
+                lines.push('');
+            }
+            lines.push(...entryLines);
+        });
+        lines.push('');
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * A Markdown text, with its whitespace that does not change how it renders evened out:
+ * every run of spaces in a line (an indent too) as one space - but a line break ("  " at the end of the line) kept.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeWhitespace(text) {
+    return text.split('\n').map(line => {
+        const [, words, lineBreak] = line.match(/^(.*?)([ \t]{2,})?$/);
+        return words.replace(/[ \t]+/g, ' ') + (lineBreak ? '  ' : '');
+    }).join('\n');
+}
+
+/**
+ * Replace the dictionary section of a Markdown file with the rendered dictionary.
+ * A section that differs only in its whitespace (see normalizeWhitespace) is kept as it is written.
+ * @param {string} content - The file's content
+ * @param {Dictionary} dictionary
+ * @param {Language} language
+ * @returns {string}
+ * @throws {Error} - If the file has no dictionary section.
+ */
+function replaceDictionarySection(content, dictionary, language) {
+    const heading = `# ${dictionary.title[language]}\n`;
+    const start = content.startsWith(heading) ? 0 : content.indexOf(`\n${heading}`) + 1;
+    if (start === 0 && !content.startsWith(heading)) {
+        throw new Error(`No section ${JSON.stringify(heading.trim())}`);
+    }
+    const nextHeading = content.slice(start + heading.length).search(/^# /m);
+    const end = (nextHeading === -1) ? content.length : start + heading.length + nextHeading;
+    const section = renderDictionary(dictionary, language);
+    if (normalizeWhitespace(content.slice(start, end)) === normalizeWhitespace(section)) {
+        return content;
+    }
+    return content.slice(0, start) + section + content.slice(end);
+}
+
+
+// Export functions for module usage
+module.exports = {
+    loadDictionary,
+    listEntries,
+    findEntries,
+    normalizeHebrew,
+    renderEntry,
+    renderDictionary,
+    replaceDictionarySection,
+    dictionaryPath,
+    dictionaryTargets,
+};
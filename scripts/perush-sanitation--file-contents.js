@@ -4,6 +4,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const { normalizeForSearch } = require('./hebrew-grep');
+const { VERSE_LINE_RE } = require('./perush-sanitation--verse-quotes');
 
 // Ensure we're running from the repo's base directory
 process.chdir(path.join(__dirname, '..'));
@@ -16,6 +18,18 @@ const EXCLUDED_PATHS = new Set([
     `${BASE_DIR_LINGUAL}/=== פרומפט תבניתי למחקר ניתוח-לשוני ===.rtl.md`,
 ]);
 
+/**
+ * The pseudo-HTML tags: their attributes, and the tags they may be nested in (null: not nested).
+ * @type {Record<string, { attributes: string[], parents: (string | null)[] }>}
+ */
+const PSEUDO_HTML_TAGS = {
+    'עיון':           { attributes: [],        parents: [null, 'ניתוח-לשוני'] },
+    'מדרש':           { attributes: [],        parents: [null, 'ניתוח-לשוני'] },
+    'הקבלה-היסטורית': { attributes: [],        parents: [null] },
+    'ניתוח-לשוני':    { attributes: ['ביטוי'], parents: [null] },
+    'הצעת-קלוד':      { attributes: [],        parents: [null, 'עיון', 'מדרש', 'הקבלה-היסטורית', 'ניתוח-לשוני'] },
+};
+
 /** @typedef {'PERUSH' | 'LINGUAL' | 'APPENDIX'} FileType */
 /** @type {FileType} */ const FILE_TYPE_PERUSH = 'PERUSH';
 /** @type {FileType} */ const FILE_TYPE_LINGUAL = 'LINGUAL';
@@ -117,6 +131,7 @@ function sanitizeFile(fileInfo) {
     try {
         replaceNbsp(fileInfo);
         fixHtmlQuotes(fileInfo);
+        verifyPseudoHtmlTags(fileInfo);
         verifyMarkdownLinks(fileInfo);
     } catch (error) {
         fileInfo.errors.push(error);
@@ -145,6 +160,94 @@ function fixHtmlQuotes(fileInfo) {
     );
 }
 
+/**
+ * Verify the pseudo-HTML tags (<עיון>, <מדרש>...): known names and attributes, balanced, legally nested.
+ * In commentary files also: no verse line inside a tag, and a <ניתוח-לשוני ביטוי="..."> expression
+ * appears in the verse line before it.
+ * Code (`...` and ``` blocks) is skipped.
+ * @param {FileInfo} fileInfo
+ */
+function verifyPseudoHtmlTags(fileInfo) {
+    const isPerush = fileInfo.fileType === FILE_TYPE_PERUSH;
+    /** @type {{ name: string, lineNumber: number }[]} */ const openTags = [];
+    let lastVerseLine = null;
+    let inCodeBlock = false;
+    fileInfo.effectiveContent.split('\n').forEach((line, lineIndex) => {
+        const lineNumber = lineIndex + 1;
+        if (line.trimStart().startsWith('```')) {
+            inCodeBlock = !inCodeBlock;
+            return;
+        }
+        if (inCodeBlock) {
+            return;
+        }
+        if (VERSE_LINE_RE.test(line)) {
+            lastVerseLine = line;
+            if (isPerush && openTags.length > 0) {
+                fileInfo.errors.push(`Line ${lineNumber}: a verse line inside <${openTags.at(-1).name}> (opened in line ${openTags.at(-1).lineNumber})`);
+            }
+            return;
+        }
+
+        const lineWithoutCode = line.replace(/`[^`]*`/g, '');
+        for (const [tag, closing, name, rawAttributes] of lineWithoutCode.matchAll(/<(\/?)([א-תa-zA-Z][\wא-ת-]*)((?:\s[^<>]*)?)>/g)) {
+            const tagInfo = PSEUDO_HTML_TAGS[name];
+            if (!tagInfo) {
+                fileInfo.errors.push(`Line ${lineNumber}: unknown tag ${tag}`);
+                continue;
+            }
+
+            if (closing) {
+                const openTag = openTags.pop();
+                if (!openTag) {
+                    fileInfo.errors.push(`Line ${lineNumber}: ${tag} without an opening tag`);
+                } else if (openTag.name !== name) {
+                    fileInfo.errors.push(`Line ${lineNumber}: ${tag} closes <${openTag.name}> (opened in line ${openTag.lineNumber})`);
+                }
+                continue;
+            }
+
+            const parent = openTags.length ? openTags.at(-1).name : null;
+            if (!tagInfo.parents.includes(parent)) {
+                fileInfo.errors.push(`Line ${lineNumber}: <${name}> may not be nested in <${parent}>`);
+            }
+            openTags.push({ name, lineNumber });
+
+            // Attributes: name="value"
+            const attributesLeft = rawAttributes.replace(/\s([^\s=]+)="([^"]*)"/g, (_whole, attributeName, value) => {
+                if (!tagInfo.attributes.includes(attributeName)) {
+                    fileInfo.errors.push(`Line ${lineNumber}: unknown attribute ${JSON.stringify(attributeName)} in <${name}>`);
+                } else if (isPerush && attributeName === 'ביטוי') {
+                    verifyExpressionInVerse(fileInfo, lineNumber, value, lastVerseLine);
+                }
+                return '';
+            });
+            if (attributesLeft.trim()) {
+                fileInfo.errors.push(`Line ${lineNumber}: malformed attributes in ${tag}`);
+            }
+        }
+    });
+
+    for (const { name, lineNumber } of openTags) {
+        fileInfo.errors.push(`Line ${lineNumber}: <${name}> is never closed`);
+    }
+}
+
+/**
+ * Verify that the expression of a <ניתוח-לשוני ביטוי="..."> is in the verse line before it (as hebrew-grep compares).
+ * @param {FileInfo} fileInfo
+ * @param {number} lineNumber
+ * @param {string} expression
+ * @param {string | null} verseLine
+ */
+function verifyExpressionInVerse(fileInfo, lineNumber, expression, verseLine) {
+    if (!verseLine) {
+        fileInfo.errors.push(`Line ${lineNumber}: ביטוי=${JSON.stringify(expression)} has no verse line before it`);
+    } else if (!normalizeForSearch(verseLine.match(VERSE_LINE_RE)[4]).includes(normalizeForSearch(expression))) {
+        fileInfo.errors.push(`Line ${lineNumber}: ביטוי=${JSON.stringify(expression)} is not in the verse line before it: ${verseLine.trim()}`);
+    }
+}
+
 /**
  * Verify all [Markdown Links](relative-path or absolute-url)
  * @param {FileInfo} fileInfo
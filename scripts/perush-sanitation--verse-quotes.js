@@ -0,0 +1,383 @@
+#!/usr/local/bin/node
+
+// This script will verify that the verses in all the files `./פירוש/**/*.rtl.md` match `./תנך-מנוקד` (no file is changed).
+
+/**************************************************************************************
+
+The immutable files under './תנך-מנוקד' contain ALL the verses of the Bible, one "verse line" per verse:
+
+   > [book-name] [perek] [pasuk]: ...the verse, with niqqud...
+
+The commentary files under './פירוש' contain two kinds of verse text:
+
+1. Verse lines (same syntax). Each must be identical to the canonical verse line - including niqqud.
+   Only the whitespace runs, and the parasha markers ("{פ}", "{ס}", "{ש}") are ignored.
+   A verse may be split over consecutive verse lines of the same location: together they must be the verse.
+
+2. Inline backtick quotes with niqqud, such as `אֵת הַשָּׁמַיִם וְאֵת הָאָרֶץ`. Each must be a contiguous substring of:
+   - The verses it comments on: the verse lines above it (consecutive verse lines share the text below them).
+   - Or the verse cited right after it: `...` (בראשית א:א)  -  or  `...` - בראשית א:א
+   A quote that is in neither is reported - without a citation, as a quote that cites no verse.
+   The comparison ignores the punctuation (";:,.!?"), the markers "*", and a maqaf vs. a space.
+   A quote may drop a word's prefix or suffix (`הַנָּחָשׁ` of `וְהַנָּחָשׁ`).
+   An ellipsis ("..." or "…") within a quote skips words: the parts must appear in order.
+   Not verified: quotes without niqqud (words, roots, the commentary's own phrases).
+
+Every mismatch is logged with a word-diff: [-canonical-]{+commentary+}.
+If mismatches are found - exit with code 1.
+Not yet called by 'perush-sanitation.js': the commentary still has mismatches to fix.
+
+**************************************************************************************/
+
+const fs = require('fs');
+const path = require('path');
+
+// Ensure we're running from the repo's base directory
+process.chdir(path.join(__dirname, '..'));
+
+const BASE_DIR_PERUSH = 'פירוש';
+const BASE_DIR_CANONICAL = 'תנך-מנוקד';
+
+/** A verse line (of any book - e.g. "שמואל-א"): book, perek, pasuk, text */
+const VERSE_LINE_RE = /^> ([^\s:]+) ([א-ת]{1,3}) ([א-ת]{1,3}): (.*)$/;
+
+/** A backtick quote */
+const QUOTE_RE = /`([^`\n]+)`/g;
+
+/** A citation right after a quote: "(בראשית א:א)" or "- בראשית א:א" */
+const CITATION_RE = /^\s*(?:\(|-\s*)([^\s()`]+) ([א-ת]{1,3})[: ]([א-ת]{1,3})(?![א-ת])/;
+
+/** Niqqud (and cantillation) marks */
+const NIQQUD_RE = /[֑-ׇ]/;
+
+/** A parasha marker: "{פ}", "{ס}", "{ש}" */
+const PARASHA_MARKER_RE = /\{[א-ת]\}/g;
+
+/** The number of unchanged words that are kept around a change in a diff */
+const DIFF_CONTEXT_WORDS = 3;
+
+// A map from locations ("[book-name] [perek] [pasuk]") to the canonical verse texts.
+/** @type {Map<string, string>} */ const canonicalVerses = new Map();
+/** @type {Set<string>} */ const canonicalBooks = new Set();
+
+// A map from file-paths to their mismatches.
+/** @type {Map<string, string[]>} */ const errorsByFile = new Map();
+
+// Check if this script is being run directly or imported as a module (for VERSE_LINE_RE)
+if (require.main === module) {
+    try {
+        // Read the canonical verses.
+        readCanonicalDirectory(BASE_DIR_CANONICAL);
+        console.log(`Canonical verses:    ${canonicalVerses.size}`);
+
+        // Verify all commentary files.
+        const filePaths = listFiles(BASE_DIR_PERUSH);
+        for (const filePath of filePaths) {
+            const content = fs.readFileSync(filePath, 'utf8');
+            const errors = [...verifyVerseLines(content), ...verifyQuotes(content)];
+            if (errors.length) {
+                errorsByFile.set(filePath, errors);
+            }
+        }
+
+        // If mismatches are found - log all and exit with an error.
+        exitOnErrors();
+
+        console.log(`All verse lines and quotes match (${filePaths.length} files)`);
+    } catch (error) {
+        console.error('Fatal error:', error.message);
+        process.exit(1);
+    }
+}
+
+// --------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Read the verse lines of all the files under the given directory (recursively) into canonicalVerses
+ * @param {string} dir
+ */
+function readCanonicalDirectory(dir) {
+    for (const filePath of listFiles(dir)) {
+        for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+            const match = line.match(VERSE_LINE_RE);
+            if (match) {
+                const [, book, perek, pasuk, text] = match;
+                canonicalVerses.set(`${book} ${perek} ${pasuk}`, text);
+                canonicalBooks.add(book);
+            }
+        }
+    }
+}
+
+/**
+ * @param {string} dir
+ * @returns {string[]} - The paths of all the *.rtl.md files under the given directory (recursively), sorted
+ */
+function listFiles(dir) {
+    const filePaths = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const filePath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            filePaths.push(...listFiles(filePath));
+        } else if (entry.isFile() && entry.name.endsWith('.rtl.md')) {
+            filePaths.push(filePath);
+        }
+    }
+    return filePaths.sort();
+}
+
+/** If mismatches are found - log all and exit with an error. */
+function exitOnErrors() {
+    let errorsCount = 0;
+    for (const [filePath, errors] of errorsByFile) {
+        for (const error of errors) {
+            console.error(`Mismatch in ${JSON.stringify(filePath)}:    ${error}`);
+            errorsCount++;
+        }
+    }
+    if (errorsCount > 0) {
+        console.error(`\n${errorsCount} verse mismatches found.`);
+        process.exit(1);
+    }
+}
+
+// --------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Verify that every verse line is identical to the canonical one.
+ * Consecutive verse lines of the same location are one verse, split: their texts are compared together.
+ * @param {string} content
+ * @returns {string[]} - Errors
+ */
+function verifyVerseLines(content) {
+    const errors = [];
+
+    // The verse lines, the parts of a split verse merged
+    /** @type {{ lineNumber: number, location: string, text: string }[]} */ const verseLines = [];
+    content.split('\n').forEach((line, index) => {
+        const match = line.startsWith('>') ? line.trim().match(VERSE_LINE_RE) : null;
+        if (!match) return;
+        const [, book, perek, pasuk, text] = match;
+        const location = `${book} ${perek} ${pasuk}`;
+        if (verseLines.at(-1)?.location === location) {
+            verseLines.at(-1).text += ` ${text}`;
+        } else {
+            verseLines.push({ lineNumber: index + 1, location, text });
+        }
+    });
+
+    for (const { lineNumber, location, text } of verseLines) {
+        const canonicalText = canonicalVerses.get(location);
+        if (canonicalText === undefined) {
+            errors.push(`Line ${lineNumber}: unknown verse ${location}`);
+        } else if (normalizeVerseLine(text) !== normalizeVerseLine(canonicalText)) {
+            errors.push(`Line ${lineNumber}: ${location} differs from ${BASE_DIR_CANONICAL}:    ${diffWords(normalizeVerseLine(canonicalText), normalizeVerseLine(text))}`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Verify that every quote with niqqud is a contiguous substring of the verses it comments on, or of the verse it cites.
+ * @param {string} content
+ * @returns {string[]} - Errors
+ */
+function verifyQuotes(content) {
+    const errors = [];
+    let verseTexts = [];            // The verses that the current text comments on
+    let isBelowVerseLines = false;  // Whether a text line appeared since the last verse line
+    let isInCodeBlock = false;
+    content.split('\n').forEach((line, index) => {
+        if (line.startsWith('```')) {
+            isInCodeBlock = !isInCodeBlock;
+        }
+        if (isInCodeBlock) return;
+
+        const verseLineMatch = line.startsWith('>') ? line.trim().match(VERSE_LINE_RE) : null;
+        if (verseLineMatch) {
+            const [, book, perek, pasuk] = verseLineMatch;
+            if (isBelowVerseLines) {
+                verseTexts = [];
+                isBelowVerseLines = false;
+            }
+            const canonicalText = canonicalVerses.get(`${book} ${perek} ${pasuk}`);
+            if (canonicalText !== undefined && verseTexts.at(-1) !== canonicalText) {
+                verseTexts.push(canonicalText);
+            }
+            return;
+        }
+        if (line.trim()) {
+            isBelowVerseLines = true;
+        }
+
+        for (const match of line.matchAll(QUOTE_RE)) {
+            const quote = match[1];
+            if (!NIQQUD_RE.test(quote)) continue;
+
+            // The verses under commentary - joined, for a quote that spans consecutive verses
+            const candidateTexts = verseTexts.length ? [verseTexts.join(' ')] : [];
+            const citationMatch = line.slice(match.index + match[0].length).match(CITATION_RE);
+            const isCited = Boolean(citationMatch && canonicalBooks.has(citationMatch[1]));
+            if (isCited) {
+                const [, book, perek, pasuk] = citationMatch;
+                const citedText = canonicalVerses.get(`${book} ${perek} ${pasuk}`);
+                if (citedText === undefined) {
+                    errors.push(`Line ${index + 1}: unknown cited verse ${book} ${perek} ${pasuk}`);
+                    continue;
+                }
+                candidateTexts.push(citedText);
+            }
+
+            const quoteParts = normalizeQuote(quote).split(/\s*(?:\.\.\.|…)\s*/).filter(Boolean);
+            const quoteText = quoteParts.join(' ');
+            const normalizedTexts = candidateTexts.map(normalizeQuote);
+            if (normalizedTexts.some(text => containsInOrder(text, quoteParts))) continue;
+
+            const problem = isCited ? 'is not in the verses' : 'is not in the verses under commentary, and cites no verse';
+            errors.push(normalizedTexts.length
+                ? `Line ${index + 1}: the quote ${JSON.stringify(quote)} ${problem}:    ${diffWords(findClosestWindow(normalizedTexts, quoteText), quoteText)}`
+                : `Line ${index + 1}: the quote ${JSON.stringify(quote)} is under no verse line, and cites no verse`);
+        }
+    });
+    return errors;
+}
+
+// --------------------------------------------------------------------------------------------------------------------
+
+/**
+ * @param {string} text - A verse line's text
+ * @returns {string} - The text without parasha markers, with single spaces (NFD: a precomposed shin/sin as its marks)
+ */
+function normalizeVerseLine(text) {
+    return text.normalize('NFD').replace(PARASHA_MARKER_RE, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * @param {string} text - A quote, or a verse line's text
+ * @returns {string} - The words only: no punctuation, markers and maqafs (an ellipsis is kept)
+ */
+function normalizeQuote(text) {
+    return text
+        .normalize('NFD')
+        .replace(PARASHA_MARKER_RE, '')
+        .replace(/\*/g, '')
+        .replace(/־/g, ' ')
+        .replace(/(\.\.\.|…)|[;:,.!?]/g, (_, ellipsis) => ellipsis ? ` ${ellipsis} ` : '')
+        .replace(/(^|\s)-+|-+(?=\s|$)/g, '$1')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * @param {string} text
+ * @param {string[]} parts
+ * @returns {boolean} - Whether the parts are found in the text, in order
+ */
+function containsInOrder(text, parts) {
+    let position = 0;
+    for (const part of parts) {
+        const index = text.indexOf(part, position);
+        if (index === -1) return false;
+        position = index + part.length;
+    }
+    return true;
+}
+
+/**
+ * @param {string[]} texts
+ * @param {string} quote
+ * @returns {string} - The words of the texts that are the most similar to the quote (as many as its words)
+ */
+function findClosestWindow(texts, quote) {
+    const quoteWords = quote.split(' ');
+    let closestWindow = '';
+    let maxCommonWords = -1;
+    for (const text of texts) {
+        const words = text.split(' ');
+        for (let start = 0; start <= Math.max(0, words.length - quoteWords.length); start++) {
+            const window = words.slice(start, start + quoteWords.length);
+            const commonWords = computeLcs(window, quoteWords).length;
+            if (commonWords > maxCommonWords) {
+                maxCommonWords = commonWords;
+                closestWindow = window.join(' ');
+            }
+        }
+    }
+    return closestWindow;
+}
+
+/**
+ * A word-diff. Long runs of unchanged words are shortened to "...".
+ * @param {string} expected
+ * @param {string} actual
+ * @returns {string} - e.g. "וַיֹּאמֶר [-אֱלֹהִים-]{+אֱלֹקִים+} יְהִי"
+ */
+function diffWords(expected, actual) {
+    const expectedWords = expected.split(' ');
+    const actualWords = actual.split(' ');
+    const pieces = [];   // { unchanged: string } | { removed: string[], added: string[] }
+    let expectedIndex = 0;
+    let actualIndex = 0;
+    for (const [commonExpectedIndex, commonActualIndex] of [...computeLcs(expectedWords, actualWords), [expectedWords.length, actualWords.length]]) {
+        const removed = expectedWords.slice(expectedIndex, commonExpectedIndex);
+        const added = actualWords.slice(actualIndex, commonActualIndex);
+        if (removed.length || added.length) {
+            pieces.push({ removed, added });
+        }
+        if (commonExpectedIndex < expectedWords.length) {
+            pieces.push({ unchanged: expectedWords[commonExpectedIndex] });
+        }
+        expectedIndex = commonExpectedIndex + 1;
+        actualIndex = commonActualIndex + 1;
+    }
+
+    const isNearChange = index => pieces
+        .slice(Math.max(0, index - DIFF_CONTEXT_WORDS), index + DIFF_CONTEXT_WORDS + 1)
+        .some(piece => !('unchanged' in piece));
+    const output = [];
+    pieces.forEach((piece, index) => {
+        if ('unchanged' in piece) {
+            if (isNearChange(index)) {
+                output.push(piece.unchanged);
+            } else if (output.at(-1) !== '...') {
+                output.push('...');
+            }
+        } else {
+            if (piece.removed.length) output.push(`[-${piece.removed.join(' ')}-]`);
+            if (piece.added.length) output.push(`{+${piece.added.join(' ')}+}`);
+        }
+    });
+    return output.join(' ');
+}
+
+/**
+ * The longest common subsequence of two word arrays.
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {[number, number][]} - Index pairs (into a, into b) of the common words, in order
+ */
+function computeLcs(a, b) {
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+    const pairs = [];
+    for (let i = 0, j = 0; i < a.length && j < b.length;) {
+        if (a[i] === b[j]) {
+            pairs.push([i++, j++]);
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    return pairs;
+}
+
+
+// Export for module usage
+module.exports = {
+    VERSE_LINE_RE,
+};